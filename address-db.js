@@ -0,0 +1,323 @@
+import pool from './db.js';
+import { transitionOrderStatus } from './order-status.js';
+import { buildToAddress } from './shipping.js';
+import { httpError } from './errors.js';
+
+// Orders whose check failed (verifier down) are tried again after this long
+const RECHECK_MINUTES = 60;
+
+// Once a shipment exists the address is on a label; changing it here won't help
+const EDITABLE_ORDER_STATUSES = ['Pending', 'On Hold', 'Batched', 'Picking', 'Packed'];
+
+// Orders checked in the background: anything not packed yet, however early
+// it was batched. An undeliverable one is held unless it already is.
+const VERIFIED_ORDER_STATUSES = ['Pending', 'On Hold', 'Batched', 'Picking'];
+const HOLDABLE_ORDER_STATUSES = ['Pending', 'Batched', 'Picking'];
+
+const ADDRESS_HOLD_ACTOR = 'address-verification';
+
+const ADDRESS_COLUMNS = `
+  id, shop_id, order_number, status, batch_id, customer_email,
+  recipient_name, recipient_company, recipient_address, recipient_address2,
+  recipient_city, recipient_state, recipient_zip, recipient_country, recipient_phone,
+  address_status, address_messages, suggested_address, address_checked_at, address_hold
+`;
+
+// The recipient_* columns an address (API or verifier shape) is written to
+const RECIPIENT_COLUMNS = {
+  name: 'recipient_name',
+  company: 'recipient_company',
+  street1: 'recipient_address',
+  street2: 'recipient_address2',
+  city: 'recipient_city',
+  state: 'recipient_state',
+  zip: 'recipient_zip',
+  country: 'recipient_country',
+  phone: 'recipient_phone',
+};
+
+/**
+ * An order's shipping address and where its verification stands
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @returns {Promise<Object|null>}
+ */
+export async function getOrderAddress(shopId, orderId) {
+  try {
+    const result = await pool.query(
+      `SELECT ${ADDRESS_COLUMNS} FROM orders WHERE id = $1 AND shop_id = $2`,
+      [orderId, shopId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting order address:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim orders whose address hasn't been checked, in any status up to
+ * Packed. Marked as checked now, so another loop (or a failed check)
+ * leaves them alone for RECHECK_MINUTES.
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>} - Orders with their address columns
+ */
+export async function claimAddressVerifications({ limit = 25 } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE orders
+      SET address_checked_at = NOW()
+      WHERE id IN (
+        SELECT id FROM orders
+        WHERE address_status IS NULL
+          AND status = ANY($3::text[])
+          AND (address_checked_at IS NULL
+               OR address_checked_at < NOW() - make_interval(mins => $2))
+        ORDER BY address_checked_at NULLS FIRST, order_date
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING ${ADDRESS_COLUMNS}
+      `,
+      [limit, RECHECK_MINUTES, VERIFIED_ORDER_STATUSES]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming address verifications:', error);
+    throw error;
+  }
+}
+
+// Whether the order still ships to the address that was checked
+function sameAddress(order, address) {
+  const current = buildToAddress(order);
+  return ['street1', 'street2', 'city', 'state', 'zip', 'country'].every(
+    field => (current[field] || '') === (address[field] || '')
+  );
+}
+
+// Back to Pending (or its batch) if verification is what held it
+async function releaseAddressHold(client, order, actor, reason) {
+  if (!order.address_hold) {
+    return null;
+  }
+
+  await client.query('UPDATE orders SET address_hold = FALSE WHERE id = $1', [order.id]);
+
+  if (order.status !== 'On Hold') {
+    return null;
+  }
+
+  const transition = await transitionOrderStatus(order.id, order.batch_id ? 'Batched' : 'Pending', {
+    actor,
+    reason,
+    skipInvalid: true,
+    client,
+  });
+  return transition.changed ? transition.to : null;
+}
+
+/**
+ * Store a verifier's answer. An undeliverable order not packed yet goes On Hold;
+ * an order verification held is released once its address checks out.
+ * Answers for an address that has since been edited are dropped.
+ * @param {number} orderId - orders.id
+ * @param {Object} address - The EasyPost-style address that was checked
+ * @param {Object} result - { deliverable, messages, suggested }
+ * @returns {Promise<Object|null>} - { address_status, order_status }, null if stale
+ */
+export async function recordAddressVerification(orderId, address, { deliverable, messages, suggested }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `SELECT ${ADDRESS_COLUMNS} FROM orders WHERE id = $1 FOR UPDATE`,
+      [orderId]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order || !sameAddress(order, address)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const addressStatus = deliverable ? 'verified' : 'undeliverable';
+    await client.query(
+      `
+      UPDATE orders
+      SET address_status = $2, address_messages = $3, suggested_address = $4, address_checked_at = NOW()
+      WHERE id = $1
+      `,
+      [orderId, addressStatus, JSON.stringify(messages || []), suggested ? JSON.stringify(suggested) : null]
+    );
+
+    let orderStatus = null;
+
+    if (deliverable) {
+      orderStatus = await releaseAddressHold(client, order, ADDRESS_HOLD_ACTOR, 'Address verified');
+    } else if (HOLDABLE_ORDER_STATUSES.includes(order.status)) {
+      const transition = await transitionOrderStatus(orderId, 'On Hold', {
+        actor: ADDRESS_HOLD_ACTOR,
+        reason: ['Address may not be deliverable', ...(messages || [])].join(': '),
+        skipInvalid: true,
+        client,
+      });
+
+      if (transition.changed) {
+        await client.query('UPDATE orders SET address_hold = TRUE WHERE id = $1', [orderId]);
+        orderStatus = transition.to;
+      }
+    }
+
+    await client.query('COMMIT');
+    return { address_status: addressStatus, order_status: orderStatus };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error recording address verification:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Lock an order whose address can still be changed
+async function lockEditableOrder(client, shopId, orderId) {
+  const result = await client.query(
+    `SELECT ${ADDRESS_COLUMNS} FROM orders WHERE id = $1 AND shop_id = $2 FOR UPDATE`,
+    [orderId, shopId]
+  );
+  const order = result.rows[0];
+
+  if (!order) {
+    throw httpError(404, 'Order not found');
+  }
+  if (!EDITABLE_ORDER_STATUSES.includes(order.status)) {
+    throw httpError(409, `Order is ${order.status}; its address can no longer be changed`);
+  }
+
+  return order;
+}
+
+// Write the given fields of an address; whatever was known about the old one goes
+async function writeAddress(client, orderId, address, addressStatus) {
+  const fields = Object.keys(RECIPIENT_COLUMNS).filter(field => address[field] !== undefined);
+  const params = [orderId, addressStatus, addressStatus ? new Date() : null, ...fields.map(field => address[field])];
+  const assignments = [
+    ...fields.map((field, index) => `${RECIPIENT_COLUMNS[field]} = $${index + 4}`),
+    'address_status = $2',
+    'address_messages = NULL',
+    'suggested_address = NULL',
+    'address_checked_at = $3',
+  ];
+
+  await client.query(`UPDATE orders SET ${assignments.join(', ')} WHERE id = $1`, params);
+}
+
+async function readAddress(client, orderId) {
+  const result = await client.query(`SELECT ${ADDRESS_COLUMNS} FROM orders WHERE id = $1`, [orderId]);
+  return result.rows[0];
+}
+
+/**
+ * Change an order's shipping address by hand. It's checked again from
+ * scratch; a hold from the old address stays until then.
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @param {Object} address - From normalizeAddressInput (only changed fields)
+ * @returns {Promise<Object>} - Updated address row
+ */
+export async function updateOrderAddress(shopId, orderId, address) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await lockEditableOrder(client, shopId, orderId);
+    await writeAddress(client, orderId, address, null);
+    const order = await readAddress(client, orderId);
+    await client.query('COMMIT');
+    return order;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!error.status) {
+      console.error('Error updating order address:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Ship to the carrier's suggested address instead, and release the hold
+ * verification put on the order
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @param {string} actor - Recorded in order_status_history
+ * @returns {Promise<Object>} - { order, order_status }
+ */
+export async function acceptSuggestedAddress(shopId, orderId, actor) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const current = await lockEditableOrder(client, shopId, orderId);
+
+    if (!current.suggested_address) {
+      throw httpError(409, 'There is no suggested address for this order');
+    }
+
+    await writeAddress(client, orderId, current.suggested_address, 'verified');
+    const orderStatus = await releaseAddressHold(client, current, actor, 'Suggested address accepted');
+    const order = await readAddress(client, orderId);
+
+    await client.query('COMMIT');
+    return { order, order_status: orderStatus };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!error.status) {
+      console.error('Error accepting suggested address:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Ship to the address as it is, whatever the carrier says, and release the
+ * hold verification put on the order
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @param {string} actor - Recorded in order_status_history
+ * @returns {Promise<Object>} - { order, order_status }
+ */
+export async function overrideAddressVerification(shopId, orderId, actor) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const current = await lockEditableOrder(client, shopId, orderId);
+
+    await client.query(
+      `UPDATE orders SET address_status = 'overridden', suggested_address = NULL WHERE id = $1`,
+      [orderId]
+    );
+    const orderStatus = await releaseAddressHold(client, current, actor, 'Address verification overridden');
+    const order = await readAddress(client, orderId);
+
+    await client.query('COMMIT');
+    return { order, order_status: orderStatus };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!error.status) {
+      console.error('Error overriding address verification:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
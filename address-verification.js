@@ -0,0 +1,143 @@
+import { easypost } from "./shipping.js";
+
+// ==============================
+// ADDRESS VERIFICATION
+// ==============================
+//
+// A verifier is anything with verify(address) resolving to
+// { deliverable, address, messages }: whether the carrier can deliver
+// there, the address as the carrier would write it, and why not.
+// ADDRESS_VERIFIER picks one: "easypost" (the default when EASYPOST_API_KEY
+// is set) or "none".
+
+const ADDRESS_FIELDS = ["street1", "street2", "city", "state", "zip", "country"];
+
+/**
+ * Verify through EasyPost's delivery verification
+ * @param {Object} client - EasyPost client
+ * @returns {Object} - Verifier
+ */
+export function easyPostVerifier(client) {
+  return {
+    name: "easypost",
+    async verify(address) {
+      const verified = await client.Address.create({ ...address, verify: true });
+      const delivery = verified.verifications?.delivery || {};
+
+      return {
+        deliverable: Boolean(delivery.success),
+        address: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, verified[field] || null])),
+        messages: (delivery.errors || []).map(error => error.message).filter(Boolean),
+      };
+    },
+  };
+}
+
+/**
+ * The verifier the environment asks for
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object|null} - Null when verification is off
+ */
+export function createAddressVerifier(env = process.env) {
+  const kind = env.ADDRESS_VERIFIER || (easypost ? "easypost" : "none");
+  return kind === "easypost" && easypost ? easyPostVerifier(easypost) : null;
+}
+
+let verifier;
+
+/**
+ * The process-wide verifier, created from the environment on first use
+ * @returns {Object|null}
+ */
+export function getAddressVerifier() {
+  if (verifier === undefined) {
+    verifier = createAddressVerifier();
+  }
+  return verifier;
+}
+
+/**
+ * Swap the process-wide verifier (another provider, or a stub in tests)
+ * @param {Object|null} next
+ */
+export function setAddressVerifier(next) {
+  verifier = next;
+}
+
+// Case, spacing and punctuation don't count as a correction
+const comparable = value => String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * The carrier's version of an address, if it's really different: another
+ * street, city, state, ZIP (first five characters) or country
+ * @param {Object} original - EasyPost-style address (street1, city, ...)
+ * @param {Object} verified - Address from a verifier
+ * @returns {Object|null} - The suggestion, null when there's nothing to change
+ */
+export function suggestedCorrection(original, verified) {
+  const differs = ADDRESS_FIELDS.some(field => {
+    if (!verified[field]) {
+      return false;
+    }
+    const limit = field === "zip" ? 5 : undefined;
+    return comparable(original[field]).slice(0, limit) !== comparable(verified[field]).slice(0, limit);
+  });
+
+  return differs ? verified : null;
+}
+
+// Longest value each field's column holds
+const FIELD_LIMITS = {
+  name: 255,
+  company: 255,
+  street1: 255,
+  street2: 255,
+  city: 255,
+  state: 100,
+  zip: 20,
+  country: 2,
+  phone: 50,
+};
+const EDITABLE_FIELDS = Object.keys(FIELD_LIMITS);
+const REQUIRED_FIELDS = ["name", "street1", "city", "country"];
+
+/**
+ * Check an address edit from the API. Only the fields sent are returned;
+ * null or "" clears an optional one.
+ * @param {Object} input - name, company, street1, street2, city, state, zip, country, phone
+ * @returns {{ address: Object|null, error: string|null }}
+ */
+export function normalizeAddressInput(input = {}) {
+  const address = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (input[field] !== null && typeof input[field] !== "string") {
+      return { address: null, error: `${field} must be text` };
+    }
+
+    const value = (input[field] || "").trim();
+    if (value.length > FIELD_LIMITS[field]) {
+      return { address: null, error: `${field} must be at most ${FIELD_LIMITS[field]} characters` };
+    }
+    if (!value && REQUIRED_FIELDS.includes(field)) {
+      return { address: null, error: `${field} can't be empty` };
+    }
+    address[field] = value || null;
+  }
+
+  if (address.country) {
+    address.country = address.country.toUpperCase();
+    if (!/^[A-Z]{2}$/.test(address.country)) {
+      return { address: null, error: "country must be a two-letter country code" };
+    }
+  }
+
+  if (Object.keys(address).length === 0) {
+    return { address: null, error: `Send at least one of: ${EDITABLE_FIELDS.join(", ")}` };
+  }
+
+  return { address, error: null };
+}
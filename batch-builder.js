@@ -0,0 +1,177 @@
+// ==============================
+// AUTOMATIC BATCH PLANNING
+// ==============================
+//
+// Pure planning: given unbatched orders and a rule set, decide which orders
+// go in which batch. batch-db.js saves the plan.
+
+export const GROUP_BY_KEYS = ["order_type", "sku", "shipping_method", "region"];
+
+const ORDER_TYPES = ["single", "multi", "any"];
+
+/**
+ * Check a rule set and fill in defaults
+ * @param {Object} rules - Rule set from the API or batch_rule_sets.rules
+ * @returns {{ rules: Object|null, error: string|null }}
+ */
+export function normalizeRules(rules = {}) {
+  const orderType = rules.order_type || "any";
+  if (!ORDER_TYPES.includes(orderType)) {
+    return { rules: null, error: `order_type must be one of ${ORDER_TYPES.join(", ")}` };
+  }
+
+  const groupBy = [].concat(rules.group_by || []);
+  const unknown = groupBy.filter(key => !GROUP_BY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { rules: null, error: `Unknown group_by: ${unknown.join(", ")}` };
+  }
+
+  const limit = value => (value == null || value === "" ? null : parseInt(value, 10));
+  const maxOrders = limit(rules.max_orders);
+  const maxUnits = limit(rules.max_units);
+  const minAgeHours = limit(rules.min_age_hours);
+  const maxAgeHours = limit(rules.max_age_hours);
+
+  for (const [name, value] of Object.entries({
+    max_orders: maxOrders,
+    max_units: maxUnits,
+    min_age_hours: minAgeHours,
+    max_age_hours: maxAgeHours,
+  })) {
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      return { rules: null, error: `${name} must be a whole number` };
+    }
+  }
+
+  if (maxOrders === 0 || maxUnits === 0) {
+    return { rules: null, error: "max_orders and max_units must be at least 1" };
+  }
+
+  const list = value => [].concat(value || []).map(String).filter(Boolean);
+
+  return {
+    rules: {
+      order_type: orderType,
+      group_by: groupBy,
+      skus: list(rules.skus),
+      shipping_methods: list(rules.shipping_methods),
+      priority_shipping_methods: list(rules.priority_shipping_methods),
+      regions: rules.regions && typeof rules.regions === "object" ? rules.regions : {},
+      include_regions: list(rules.include_regions),
+      min_age_hours: minAgeHours,
+      max_age_hours: maxAgeHours,
+      max_orders: maxOrders,
+      max_units: maxUnits,
+    },
+    error: null,
+  };
+}
+
+// Named region for a state when the rule set maps them, otherwise the state
+function regionOf(order, regions) {
+  const state = (order.recipient_state || "").toUpperCase();
+
+  for (const [region, states] of Object.entries(regions)) {
+    if ([].concat(states).map(s => String(s).toUpperCase()).includes(state)) {
+      return region;
+    }
+  }
+
+  return state || "Unknown";
+}
+
+const sameText = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+/**
+ * Split orders into proposed batches under a rule set
+ * @param {Array<Object>} orders - Unbatched orders with items [{ sku, quantity }]
+ * @param {Object} rules - From normalizeRules
+ * @param {Date} [now] - For order age
+ * @returns {{ batches: Array<Object>, skipped: number }}
+ */
+export function planBatches(orders, rules, now = new Date()) {
+  const hoursOld = order => (now - new Date(order.order_date)) / 36e5;
+
+  const eligible = orders.filter(order => {
+    const skus = [...new Set(order.items.map(item => item.sku))];
+    const units = order.items.reduce((total, item) => total + item.quantity, 0);
+    const age = hoursOld(order);
+
+    return [
+      units > 0,
+      rules.order_type !== "single" || units === 1,
+      rules.order_type !== "multi" || units >= 2,
+      rules.skus.length === 0 || skus.every(sku => rules.skus.includes(sku)),
+      rules.shipping_methods.length === 0 ||
+        rules.shipping_methods.some(method => sameText(method, order.shipping_method)),
+      rules.include_regions.length === 0 ||
+        rules.include_regions.includes(regionOf(order, rules.regions)),
+      rules.min_age_hours === null || age >= rules.min_age_hours,
+      rules.max_age_hours === null || age <= rules.max_age_hours,
+    ].every(Boolean);
+  });
+
+  // Priority shipping methods first (in the order listed), then oldest first
+  const priority = order => {
+    const index = rules.priority_shipping_methods.findIndex(method => sameText(method, order.shipping_method));
+    return index === -1 ? Infinity : index;
+  };
+  eligible.sort((a, b) =>
+    priority(a) - priority(b) || new Date(a.order_date) - new Date(b.order_date) || a.id - b.id
+  );
+
+  const groups = new Map();
+  for (const order of eligible) {
+    const units = order.items.reduce((total, item) => total + item.quantity, 0);
+    const values = {
+      order_type: units === 1 ? "single" : "multi",
+      sku: [...new Set(order.items.map(item => item.sku))].sort().join("+"),
+      shipping_method: order.shipping_method || "Unknown",
+      region: regionOf(order, rules.regions),
+    };
+    const group = Object.fromEntries(rules.group_by.map(key => [key, values[key]]));
+    const key = JSON.stringify(group);
+
+    if (!groups.has(key)) {
+      groups.set(key, { group, orders: [] });
+    }
+    groups.get(key).orders.push({ ...order, units });
+  }
+
+  // Fill batches up to the limits; an order bigger than max_units gets a
+  // batch to itself rather than being left out
+  const batches = [];
+  for (const { group, orders: groupOrders } of groups.values()) {
+    let current = null;
+
+    for (const order of groupOrders) {
+      const full = current && (
+        (rules.max_orders && current.orders.length >= rules.max_orders) ||
+        (rules.max_units && current.units + order.units > rules.max_units)
+      );
+
+      if (!current || full) {
+        current = { group, orders: [], units: 0 };
+        batches.push(current);
+      }
+
+      current.orders.push({ id: order.id, order_number: order.order_number, units: order.units });
+      current.units += order.units;
+    }
+  }
+
+  return { batches, skipped: orders.length - eligible.length };
+}
+
+/**
+ * Human-readable batch name, e.g. "Singles · sku=TEE-BLK · 2026-10-18 #2"
+ * @param {string} prefix - Rule set name
+ * @param {Object} group - Grouping values of the batch
+ * @param {number} sequence - Batch number within the run
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function batchName(prefix, group, sequence, now = new Date()) {
+  const parts = [prefix, ...Object.entries(group).map(([key, value]) => `${key}=${value}`)];
+  return `${parts.join(" · ")} · ${now.toISOString().slice(0, 10)} #${sequence}`.slice(0, 255);
+}
@@ -0,0 +1,595 @@
+import pool from './db.js';
+import { transitionOrderStatus } from './order-status.js';
+import { batchName } from './batch-builder.js';
+import { httpError } from './errors.js';
+
+export const BATCH_STATUSES = ['Open', 'Picking', 'Packing', 'Completed', 'Archived'];
+
+// Only Open batches take or give up orders; every other status is locked
+// until the batch is reopened
+export const BATCH_TRANSITIONS = {
+  'Open': ['Picking', 'Completed'],
+  'Picking': ['Open', 'Packing', 'Completed'],
+  'Packing': ['Open', 'Picking', 'Completed'],
+  'Completed': ['Open', 'Archived'],
+  'Archived': ['Completed'],
+};
+
+// Orders that can never be (re)batched
+const UNBATCHABLE_ORDER_STATUSES = ['Cancelled', 'Shipped', 'Delivered', 'Partially Returned', 'Returned'];
+
+// Orders still waiting on the warehouse; a batch can't close over them
+// unless they are released
+const UNFINISHED_ORDER_STATUSES = ['Pending', 'On Hold', 'Batched', 'Picking'];
+
+/**
+ * A shop's saved batch rule sets
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>}
+ */
+export async function getBatchRuleSets(shopId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM batch_rule_sets WHERE shop_id = $1 ORDER BY name',
+      [shopId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting batch rule sets:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} ruleSetId - batch_rule_sets.id
+ * @returns {Promise<Object|null>}
+ */
+export async function getBatchRuleSet(shopId, ruleSetId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM batch_rule_sets WHERE id = $1 AND shop_id = $2',
+      [ruleSetId, shopId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting batch rule set:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a rule set, or replace the rules of the one with the same name
+ * @param {number} shopId - shops.id
+ * @param {string} name
+ * @param {Object} rules - From normalizeRules
+ * @returns {Promise<Object>} - batch_rule_sets row
+ */
+export async function saveBatchRuleSet(shopId, name, rules) {
+  try {
+    const query = `
+      INSERT INTO batch_rule_sets (shop_id, name, rules)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (shop_id, name)
+      DO UPDATE SET rules = EXCLUDED.rules, updated_at = NOW()
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [shopId, name, rules]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving batch rule set:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} ruleSetId - batch_rule_sets.id
+ * @param {string} name
+ * @param {Object} rules - From normalizeRules
+ * @returns {Promise<Object|null>} - Updated row, null if not found
+ */
+export async function updateBatchRuleSet(shopId, ruleSetId, name, rules) {
+  try {
+    const query = `
+      UPDATE batch_rule_sets
+      SET name = $3, rules = $4, updated_at = NOW()
+      WHERE id = $2 AND shop_id = $1
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [shopId, ruleSetId, name, rules]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating batch rule set:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} ruleSetId - batch_rule_sets.id
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function deleteBatchRuleSet(shopId, ruleSetId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM batch_rule_sets WHERE id = $1 AND shop_id = $2',
+      [ruleSetId, shopId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting batch rule set:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pending orders that aren't in a batch yet, with their items
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>} - Orders with items [{ sku, quantity }]
+ */
+export async function getBatchableOrders(shopId) {
+  try {
+    const query = `
+      SELECT
+        o.id,
+        o.order_number,
+        o.order_date,
+        o.recipient_state,
+        o.shipping_method,
+        COALESCE(
+          json_agg(json_build_object('sku', oi.sku, 'quantity', oi.quantity))
+            FILTER (WHERE oi.id IS NOT NULL),
+          '[]'
+        ) AS items
+      FROM orders o
+      LEFT JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.shop_id = $1
+        AND o.status = 'Pending'
+        AND o.batch_id IS NULL
+      GROUP BY o.id
+      ORDER BY o.order_date, o.id;
+    `;
+    const result = await pool.query(query, [shopId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting batchable orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create the batches a plan proposes and move their orders to Batched, all
+ * in one transaction. Orders batched or changed by someone else since the
+ * plan was made are left out.
+ * @param {number} shopId - shops.id
+ * @param {Array} planned - batches from planBatches
+ * @param {Object} options - ruleSetId, namePrefix, actor
+ * @returns {Promise<Array>} - Created batches with their orders
+ */
+export async function createPlannedBatches(shopId, planned, { ruleSetId, namePrefix, actor }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderIds = planned.flatMap(batch => batch.orders.map(order => order.id));
+    const lockedResult = await client.query(
+      `
+      SELECT id FROM orders
+      WHERE id = ANY($1::int[])
+        AND shop_id = $2
+        AND status = 'Pending'
+        AND batch_id IS NULL
+      FOR UPDATE
+      `,
+      [orderIds, shopId]
+    );
+    const available = new Set(lockedResult.rows.map(row => row.id));
+
+    const created = [];
+    for (const batch of planned) {
+      const orders = batch.orders.filter(order => available.has(order.id));
+      if (orders.length === 0) {
+        continue;
+      }
+
+      const batchResult = await client.query(
+        `INSERT INTO batches (shop_id, name, rule_set_id) VALUES ($1, $2, $3) RETURNING *`,
+        [shopId, batchName(namePrefix, batch.group, created.length + 1), ruleSetId || null]
+      );
+      const saved = batchResult.rows[0];
+
+      await client.query(
+        'UPDATE orders SET batch_id = $1 WHERE id = ANY($2::int[])',
+        [saved.id, orders.map(order => order.id)]
+      );
+
+      for (const order of orders) {
+        await transitionOrderStatus(order.id, 'Batched', {
+          actor,
+          reason: `Auto-batched into ${saved.name}`,
+          client,
+        });
+      }
+
+      created.push({
+        ...saved,
+        group: batch.group,
+        orders,
+        units: orders.reduce((total, order) => total + order.units, 0),
+      });
+    }
+
+    await client.query('COMMIT');
+    console.log(`✅ Auto-batched ${available.size} order(s) into ${created.length} batch(es)`);
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating planned batches:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const BATCH_PROGRESS_QUERY = `
+  SELECT
+    b.*,
+    COUNT(o.id)::int AS order_count,
+    (COUNT(o.id) FILTER (WHERE o.status = 'Packed'))::int AS packed_count,
+    (COUNT(o.id) FILTER (WHERE o.status IN ('Shipped', 'Delivered', 'Partially Returned', 'Returned')))::int AS shipped_count,
+    (COUNT(o.id) FILTER (WHERE o.status = 'Cancelled'))::int AS cancelled_count
+  FROM batches b
+  LEFT JOIN orders o ON o.batch_id = b.id
+`;
+
+// Fold the counts from BATCH_PROGRESS_QUERY into a progress object
+function withProgress(row) {
+  const { packed_count: packed, shipped_count: shipped, cancelled_count: cancelled, ...batch } = row;
+  const total = row.order_count - cancelled;
+  const done = packed + shipped;
+
+  return {
+    ...batch,
+    progress: {
+      total,
+      packed,
+      shipped,
+      cancelled,
+      remaining: total - done,
+      percent: total > 0 ? Math.round((done / total) * 100) : 0,
+    },
+  };
+}
+
+/**
+ * A shop's batches with progress, newest first. Archived batches are left
+ * out unless asked for by status.
+ * @param {number} shopId - shops.id
+ * @param {string} [status] - Only batches in this status
+ * @returns {Promise<Array>}
+ */
+export async function getBatches(shopId, status = null) {
+  try {
+    const result = await pool.query(
+      `
+      ${BATCH_PROGRESS_QUERY}
+      WHERE b.shop_id = $1
+        AND (($2::text IS NULL AND b.status <> 'Archived') OR b.status = $2)
+      GROUP BY b.id
+      ORDER BY b.id DESC
+      `,
+      [shopId, status]
+    );
+    return result.rows.map(withProgress);
+  } catch (error) {
+    console.error('Error getting batches:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} batchId - batches.id
+ * @param {Object} [db] - pool, or a client inside the caller's transaction
+ * @returns {Promise<Object|null>} - Batch with progress
+ */
+export async function getBatch(shopId, batchId, db = pool) {
+  const result = await db.query(
+    `
+    ${BATCH_PROGRESS_QUERY}
+    WHERE b.shop_id = $1 AND b.id = $2
+    GROUP BY b.id
+    `,
+    [shopId, batchId]
+  );
+  return result.rows[0] ? withProgress(result.rows[0]) : null;
+}
+
+async function getBatchForUpdate(client, shopId, batchId) {
+  const result = await client.query(
+    'SELECT * FROM batches WHERE id = $1 AND shop_id = $2 FOR UPDATE',
+    [batchId, shopId]
+  );
+
+  if (!result.rows[0]) {
+    throw httpError(404, 'Batch not found');
+  }
+
+  return result.rows[0];
+}
+
+function assertBatchOpen(batch) {
+  if (batch.status !== 'Open') {
+    throw httpError(409, `Batch is ${batch.status}; reopen it to change its orders`);
+  }
+}
+
+/**
+ * Take orders out of a batch (inside the caller's transaction). Orders
+ * Shopify cancelled while they were batched are cancelled now; orders not
+ * yet picked go back to Pending.
+ * @param {Object} client - Client inside the caller's transaction
+ * @param {Array<Object>} orders - Locked rows with id, status, cancel_requested
+ * @param {Object} options - actor, reason
+ */
+async function releaseOrders(client, orders, { actor, reason }) {
+  await client.query(
+    'UPDATE orders SET batch_id = NULL WHERE id = ANY($1::int[])',
+    [orders.map(order => order.id)]
+  );
+
+  for (const order of orders) {
+    if (order.cancel_requested) {
+      await transitionOrderStatus(order.id, 'Cancelled', {
+        actor,
+        reason: 'Cancelled in Shopify while batched',
+        skipInvalid: true,
+        client,
+      });
+    } else if (['Batched', 'Picking'].includes(order.status)) {
+      await transitionOrderStatus(order.id, 'Pending', { actor, reason, skipInvalid: true, client });
+    }
+  }
+}
+
+/**
+ * Add orders to an Open batch. All or nothing: if any order can't be
+ * batched (cancelled, shipped, or sitting in a locked batch) nothing
+ * changes and the error lists why in .details.
+ * @param {number} shopId - shops.id
+ * @param {number} batchId - batches.id
+ * @param {Array<number>} orderIds - orders.id
+ * @param {string} actor - Who did it
+ * @returns {Promise<Object>} - { batch, assigned, moved }
+ */
+export async function assignOrdersToBatch(shopId, batchId, orderIds, actor) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const batch = await getBatchForUpdate(client, shopId, batchId);
+    assertBatchOpen(batch);
+
+    const ordersResult = await client.query(
+      `
+      SELECT
+        o.id,
+        o.order_number,
+        o.status,
+        o.batch_id,
+        o.cancel_requested,
+        b.status AS batch_status
+      FROM orders o
+      LEFT JOIN batches b ON b.id = o.batch_id
+      WHERE o.id = ANY($1::int[]) AND o.shop_id = $2
+      FOR UPDATE OF o
+      `,
+      [orderIds, shopId]
+    );
+    const orders = ordersResult.rows;
+
+    const found = new Set(orders.map(order => order.id));
+    const rejected = orderIds
+      .filter(id => !found.has(Number(id)))
+      .map(id => ({ order_id: Number(id), reason: 'Order not found' }));
+
+    for (const order of orders) {
+      let reason = null;
+      if (UNBATCHABLE_ORDER_STATUSES.includes(order.status)) {
+        reason = `Order is ${order.status}`;
+      } else if (order.cancel_requested) {
+        reason = 'Cancellation requested in Shopify';
+      } else if (order.batch_id && order.batch_id !== batch.id && order.batch_status !== 'Open') {
+        reason = `Order is in batch ${order.batch_id}, which is ${order.batch_status}`;
+      }
+
+      if (reason) {
+        rejected.push({ order_id: order.id, order_number: order.order_number, reason });
+      }
+    }
+
+    if (rejected.length > 0) {
+      throw httpError(409, 'Some orders cannot be added to this batch', rejected);
+    }
+
+    const incoming = orders.filter(order => order.batch_id !== batch.id);
+    await client.query(
+      'UPDATE orders SET batch_id = $1 WHERE id = ANY($2::int[])',
+      [batch.id, incoming.map(order => order.id)]
+    );
+
+    // Orders waiting to be worked on are now Batched; anything further
+    // along (or on hold) keeps its status
+    for (const order of incoming.filter(order => order.status === 'Pending')) {
+      await transitionOrderStatus(order.id, 'Batched', {
+        actor,
+        reason: `Added to batch ${batch.id}`,
+        client,
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      batch: await getBatch(shopId, batch.id),
+      assigned: incoming.map(order => order.id),
+      moved: incoming
+        .filter(order => order.batch_id)
+        .map(order => ({ order_id: order.id, from_batch_id: order.batch_id })),
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Take orders out of an Open batch
+ * @param {number} shopId - shops.id
+ * @param {number} batchId - batches.id
+ * @param {Array<number>} orderIds - orders.id
+ * @param {string} actor - Who did it
+ * @returns {Promise<Object>} - { batch, removed, not_in_batch }
+ */
+export async function removeOrdersFromBatch(shopId, batchId, orderIds, actor) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const batch = await getBatchForUpdate(client, shopId, batchId);
+    assertBatchOpen(batch);
+
+    const ordersResult = await client.query(
+      `
+      SELECT id, status, cancel_requested
+      FROM orders
+      WHERE id = ANY($1::int[]) AND batch_id = $2
+      FOR UPDATE
+      `,
+      [orderIds, batch.id]
+    );
+    const orders = ordersResult.rows;
+
+    await releaseOrders(client, orders, { actor, reason: `Removed from batch ${batch.id}` });
+
+    await client.query('COMMIT');
+
+    const removed = orders.map(order => order.id);
+    return {
+      batch: await getBatch(shopId, batch.id),
+      removed,
+      not_in_batch: orderIds.map(Number).filter(id => !removed.includes(id)),
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move a batch through its lifecycle. Starting picking moves its Batched
+ * orders to Picking (and reopening moves them back). Completing a batch
+ * with orders still unfinished is refused unless release is set, which
+ * takes those orders out of the batch.
+ * @param {number} shopId - shops.id
+ * @param {number} batchId - batches.id
+ * @param {string} toStatus - One of BATCH_STATUSES
+ * @param {Object} options - actor, release
+ * @returns {Promise<Object>} - { batch, from, released }
+ */
+export async function setBatchStatus(shopId, batchId, toStatus, { actor, release = false }) {
+  if (!BATCH_STATUSES.includes(toStatus)) {
+    throw httpError(400, `Unknown batch status: ${toStatus}`);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const batch = await getBatchForUpdate(client, shopId, batchId);
+
+    if (batch.status === toStatus) {
+      await client.query('COMMIT');
+      return { batch: await getBatch(shopId, batch.id), from: batch.status, released: [] };
+    }
+
+    if (!(BATCH_TRANSITIONS[batch.status] || []).includes(toStatus)) {
+      const error = httpError(409, `Cannot move batch from ${batch.status} to ${toStatus}`);
+      error.allowed = BATCH_TRANSITIONS[batch.status] || [];
+      throw error;
+    }
+
+    const ordersResult = await client.query(
+      `
+      SELECT id, order_number, status, cancel_requested
+      FROM orders
+      WHERE batch_id = $1
+      ORDER BY id
+      FOR UPDATE
+      `,
+      [batch.id]
+    );
+    const orders = ordersResult.rows;
+
+    let released = [];
+    if (toStatus === 'Completed') {
+      const unfinished = orders.filter(order => UNFINISHED_ORDER_STATUSES.includes(order.status));
+
+      if (unfinished.length > 0 && !release) {
+        const details = unfinished.map(order => ({
+          order_id: order.id,
+          order_number: order.order_number,
+          status: order.status,
+        }));
+        throw httpError(409, `${unfinished.length} order(s) are not packed or shipped yet`, details);
+      }
+
+      await releaseOrders(client, unfinished, {
+        actor,
+        reason: `Released when batch ${batch.id} was completed`,
+      });
+      released = unfinished.map(order => order.id);
+    }
+
+    const reason = `Batch ${batch.id} moved to ${toStatus}`;
+    if (toStatus === 'Picking') {
+      for (const order of orders.filter(order => order.status === 'Batched')) {
+        await transitionOrderStatus(order.id, 'Picking', { actor, reason, skipInvalid: true, client });
+      }
+    } else if (toStatus === 'Open') {
+      for (const order of orders.filter(order => order.status === 'Picking')) {
+        await transitionOrderStatus(order.id, 'Batched', { actor, reason, skipInvalid: true, client });
+      }
+    }
+
+    await client.query(
+      `
+      UPDATE batches
+      SET status = $2,
+          status_changed_at = NOW(),
+          closed_at = CASE WHEN $2 IN ('Completed', 'Archived') THEN COALESCE(closed_at, NOW()) END
+      WHERE id = $1
+      `,
+      [batch.id, toStatus]
+    );
+
+    await client.query('COMMIT');
+    console.log(`✅ Batch ${batch.id}: ${batch.status} → ${toStatus}`);
+
+    return { batch: await getBatch(shopId, batch.id), from: batch.status, released };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -1,4 +1,4 @@
-const crypto = require('crypto');
+import crypto from 'crypto';
 
 const ALGORITHM = 'aes-256-gcm';
 const SALT = 'shopify-app-salt'; // In production, use env variable
@@ -15,7 +15,7 @@ function getKey() {
  * @param {string} text - The text to encrypt
  * @returns {string} - Encrypted text in format: iv:authTag:encrypted
  */
-function encrypt(text) {
+export function encrypt(text) {
   try {
     const key = getKey();
     const iv = crypto.randomBytes(16);
@@ -37,7 +37,7 @@ function encrypt(text) {
  * @param {string} encryptedText - The encrypted text in format: iv:authTag:encrypted
  * @returns {string} - Decrypted text
  */
-function decrypt(encryptedText) {
+export function decrypt(encryptedText) {
   try {
     const key = getKey();
     const [ivHex, authTagHex, encrypted] = encryptedText.split(':');
@@ -60,5 +60,3 @@ function decrypt(encryptedText) {
     throw new Error('Failed to decrypt data');
   }
 }
-
-module.exports = { encrypt, decrypt };
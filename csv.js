@@ -0,0 +1,55 @@
+// ==============================
+// CSV IMPORTS
+// ==============================
+
+/**
+ * Parse an import CSV whose header row names the columns (matched case
+ * insensitively, spaces as underscores)
+ * @param {string} text - CSV body
+ * @returns {Array<Object>} - One object per row, keyed by header
+ */
+export function parseCsv(text) {
+  const rows = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    // Fields may be quoted to hold commas; "" is a literal quote
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        fields.push(field.trim());
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+    rows.push(fields);
+  }
+
+  const [header = [], ...data] = rows;
+  const keys = header.map(key => key.toLowerCase().replace(/\s+/g, "_"));
+
+  return data.map(fields =>
+    Object.fromEntries(keys.map((key, i) => [key, fields[i] ?? ""]))
+  );
+}
@@ -0,0 +1,230 @@
+import pool from './db.js';
+import { normalizeSkuCustoms } from './customs.js';
+
+const CUSTOMS_COLUMNS = 'hs_tariff_number, origin_country, description, value, weight_oz';
+
+/**
+ * A shop's SKU customs data, by SKU
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>} - sku_customs rows
+ */
+export async function getSkuCustoms(shopId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM sku_customs WHERE shop_id = $1 ORDER BY sku',
+      [shopId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting SKU customs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update a SKU's customs data. Fields left out keep their value.
+ * @param {Object} db - pool, or a client inside the caller's transaction
+ * @param {number} shopId - shops.id
+ * @param {string} sku - SKU as it appears on order_items
+ * @param {Object} customs - From normalizeSkuCustoms
+ * @returns {Promise<Object>} - sku_customs row, plus created flag
+ */
+export async function saveSkuCustoms(db, shopId, sku, customs) {
+  const fields = ['hs_tariff_number', 'origin_country', 'description', 'value', 'weight_oz'];
+  const params = [shopId, sku];
+  for (const field of fields) {
+    params.push(customs[field] !== undefined, customs[field] ?? null);
+  }
+
+  const result = await db.query(
+    `
+    INSERT INTO sku_customs (shop_id, sku, ${CUSTOMS_COLUMNS})
+    VALUES ($1, $2, $4, $6, $8, $10, $12)
+    ON CONFLICT (shop_id, sku)
+    DO UPDATE SET
+      hs_tariff_number = CASE WHEN $3 THEN EXCLUDED.hs_tariff_number ELSE sku_customs.hs_tariff_number END,
+      origin_country = CASE WHEN $5 THEN EXCLUDED.origin_country ELSE sku_customs.origin_country END,
+      description = CASE WHEN $7 THEN EXCLUDED.description ELSE sku_customs.description END,
+      value = CASE WHEN $9 THEN EXCLUDED.value ELSE sku_customs.value END,
+      weight_oz = CASE WHEN $11 THEN EXCLUDED.weight_oz ELSE sku_customs.weight_oz END,
+      updated_at = NOW()
+    RETURNING *, (xmax = 0) AS created
+    `,
+    params
+  );
+  return result.rows[0];
+}
+
+/**
+ * Forget a SKU's customs data
+ * @param {number} shopId - shops.id
+ * @param {string} sku
+ * @returns {Promise<boolean>} - False if it had none
+ */
+export async function deleteSkuCustoms(shopId, sku) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM sku_customs WHERE shop_id = $1 AND sku = $2',
+      [shopId, sku]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting SKU customs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Bulk create/update SKU customs data in one transaction. Rows are matched
+ * on SKU, so re-importing the same sheet is safe; empty cells leave a
+ * field as it is.
+ * @param {number} shopId - shops.id
+ * @param {Array<Object>} rows - sku plus customs fields
+ * @returns {Promise<Object>} - { created, updated, errors }
+ */
+export async function importSkuCustoms(shopId, rows) {
+  const errors = [];
+  const valid = [];
+
+  rows.forEach((row, index) => {
+    const sku = String(row.sku || '').trim();
+    if (!sku) {
+      errors.push({ row: index + 1, error: 'Missing sku' });
+      return;
+    }
+
+    // A spreadsheet has every column; blank ones mean "no change"
+    const input = Object.fromEntries(
+      Object.entries(row).filter(([key, value]) => key !== 'sku' && value !== '' && value != null)
+    );
+    const { customs, error } = normalizeSkuCustoms(input);
+    if (error) {
+      errors.push({ row: index + 1, sku, error });
+      return;
+    }
+
+    valid.push({ sku, customs });
+  });
+
+  // All or nothing, as for location imports
+  if (errors.length > 0) {
+    return { created: 0, updated: 0, errors };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let created = 0;
+    let updated = 0;
+
+    for (const { sku, customs } of valid) {
+      const saved = await saveSkuCustoms(client, shopId, sku, customs);
+      saved.created ? created++ : updated++;
+    }
+
+    await client.query('COMMIT');
+    console.log(`✅ Imported customs data for ${valid.length} SKU(s) for shop ${shopId}`);
+    return { created, updated, errors };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error importing SKU customs:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Order lines with their SKU's customs data: the given package's items, or
+ * every unit not shipped yet
+ * @param {number} orderId - orders.id
+ * @param {Object} [options]
+ * @param {number} [options.shipmentId] - Lines in this shipment
+ * @param {Array} [options.items] - { order_item_id, quantity } in a package about to ship
+ * @returns {Promise<Array>} - { order_item_id, sku, product_name, quantity, ...customs }
+ */
+export async function getCustomsLines(orderId, { shipmentId = null, items = null } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        oi.id AS order_item_id,
+        oi.sku,
+        oi.product_name,
+        oi.quantity AS ordered,
+        COALESCE((SELECT SUM(quantity) FROM shipment_items WHERE order_item_id = oi.id), 0)::int AS shipped,
+        (SELECT quantity FROM shipment_items WHERE order_item_id = oi.id AND shipment_id = $2) AS in_shipment,
+        sc.hs_tariff_number,
+        sc.origin_country,
+        sc.description,
+        sc.value,
+        sc.weight_oz
+      FROM order_items oi
+      JOIN orders o ON o.id = oi.order_id
+      LEFT JOIN sku_customs sc ON sc.shop_id = o.shop_id AND sc.sku = oi.sku
+      WHERE oi.order_id = $1
+      ORDER BY oi.id
+      `,
+      [orderId, shipmentId]
+    );
+
+    const packed = items
+      ? items.reduce((map, item) => map.set(item.order_item_id, (map.get(item.order_item_id) || 0) + item.quantity), new Map())
+      : null;
+
+    return result.rows
+      .map(({ ordered, shipped, in_shipment, ...line }) => {
+        let quantity = Math.max(ordered - shipped, 0);
+        if (shipmentId) {
+          quantity = in_shipment || 0;
+        } else if (packed) {
+          quantity = packed.get(line.order_item_id) || 0;
+        }
+        return { ...line, quantity };
+      })
+      .filter(line => line.quantity > 0);
+  } catch (error) {
+    console.error('Error getting customs lines:', error);
+    throw error;
+  }
+}
+
+/**
+ * SKUs on open orders to other countries that can't be declared yet
+ * @param {number} shopId - shops.id
+ * @param {string} origin - Country shipments leave from
+ * @returns {Promise<Array>} - { sku, product_name, open_orders, ...customs }
+ */
+export async function getMissingSkuCustoms(shopId, origin) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        oi.sku,
+        MIN(oi.product_name) AS product_name,
+        COUNT(DISTINCT o.id)::int AS open_orders,
+        MIN(sc.hs_tariff_number) AS hs_tariff_number,
+        MIN(sc.origin_country) AS origin_country,
+        MIN(sc.description) AS description,
+        MIN(sc.value) AS value
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN sku_customs sc ON sc.shop_id = o.shop_id AND sc.sku = oi.sku
+      WHERE o.shop_id = $1
+        AND o.status IN ('Pending', 'On Hold', 'Batched', 'Picking', 'Packed', 'Partially Shipped')
+        AND UPPER(COALESCE(o.recipient_country, 'US')) <> $2
+        AND (sc.id IS NULL OR sc.hs_tariff_number IS NULL OR sc.origin_country IS NULL
+             OR sc.description IS NULL OR sc.value IS NULL)
+      GROUP BY oi.sku
+      ORDER BY open_orders DESC, oi.sku
+      `,
+      [shopId, origin]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting missing SKU customs:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,368 @@
+import { addressLines, fillTemplateText } from "./packing-slip.js";
+import { buildToAddress } from "./shipping.js";
+
+// ==============================
+// CUSTOMS
+// ==============================
+//
+// Shipments leaving the origin country (SHIP_FROM_COUNTRY) need a customs
+// declaration: one customs item per order line, from the SKU's customs data
+// (sku_customs). The same lines go on the commercial invoice.
+
+// What every SKU needs before it can ship abroad
+export const CUSTOMS_FIELDS = ["hs_tariff_number", "origin_country", "description", "value"];
+
+// Declared values are entered and sent in US dollars
+export const CUSTOMS_CURRENCY = "USD";
+
+/**
+ * Check a SKU's customs data from the API or an import row. Only the fields
+ * sent are returned; null clears one.
+ * @param {Object} input - hs_tariff_number, origin_country, description, value, weight_oz
+ * @returns {{ customs: Object|null, error: string|null }}
+ */
+export function normalizeSkuCustoms(input = {}) {
+  const customs = {};
+  const blank = value => value === null || value === "";
+
+  if (input.hs_tariff_number !== undefined) {
+    // Written with or without dots (6109.10.0012); sent as digits
+    const digits = blank(input.hs_tariff_number) ? null : String(input.hs_tariff_number).replace(/[\s.]/g, "");
+    if (digits !== null && !/^\d{6,10}$/.test(digits)) {
+      return { customs: null, error: "hs_tariff_number must be a 6 to 10 digit HS code" };
+    }
+    customs.hs_tariff_number = digits;
+  }
+
+  if (input.origin_country !== undefined) {
+    const country = blank(input.origin_country) ? null : String(input.origin_country).trim().toUpperCase();
+    if (country !== null && !/^[A-Z]{2}$/.test(country)) {
+      return { customs: null, error: "origin_country must be a two-letter country code" };
+    }
+    customs.origin_country = country;
+  }
+
+  if (input.description !== undefined) {
+    const description = blank(input.description) ? null : String(input.description).trim();
+    if (description !== null && (!description || description.length > 255)) {
+      return { customs: null, error: "description must be text of at most 255 characters" };
+    }
+    customs.description = description;
+  }
+
+  for (const field of ["value", "weight_oz"]) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    const number = blank(input[field]) ? null : Number(input[field]);
+    if (number !== null && !(number > 0 && number < 100000000)) {
+      return { customs: null, error: `${field} must be a positive number` };
+    }
+    customs[field] = number === null ? null : Math.round(number * 100) / 100;
+  }
+
+  if (Object.keys(customs).length === 0) {
+    return { customs: null, error: `Send at least one of: ${[...CUSTOMS_FIELDS, "weight_oz"].join(", ")}` };
+  }
+
+  return { customs, error: null };
+}
+
+/**
+ * The country shipments leave from
+ * @returns {string}
+ */
+export function originCountry() {
+  return (process.env.SHIP_FROM_COUNTRY || "US").toUpperCase();
+}
+
+/**
+ * Whether an order's shipments cross a border
+ * @param {Object} order - orders row
+ * @returns {boolean}
+ */
+export function needsCustoms(order) {
+  return buildToAddress(order).country.toUpperCase() !== originCountry();
+}
+
+/**
+ * What's missing before these lines can be declared, one entry per SKU
+ * @param {Array<Object>} lines - Order lines with their sku_customs columns
+ * @returns {Array<Object>} - { sku, product_name, missing: [field, ...] }
+ */
+export function missingCustoms(lines) {
+  const missing = new Map();
+
+  for (const line of lines) {
+    // Customs data is kept per SKU, so a line without one can't have any
+    const fields = line.sku ? CUSTOMS_FIELDS.filter(field => line[field] == null) : ["sku"];
+    const key = line.sku || `item:${line.order_item_id}`;
+
+    if (fields.length > 0 && !missing.has(key)) {
+      missing.set(key, { sku: line.sku || null, product_name: line.product_name, missing: fields });
+    }
+  }
+
+  return [...missing.values()];
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Customs lines with their totals: value and weight (ounces) for the
+ * quantity shipped. Units without a weight share what's left of the parcel.
+ * @param {Array<Object>} lines - Complete lines (see missingCustoms)
+ * @param {number} [parcelWeight] - Parcel weight in ounces
+ * @returns {Array<Object>}
+ */
+export function customsLines(lines, parcelWeight) {
+  const knownWeight = lines.reduce((sum, line) => sum + Number(line.weight_oz || 0) * line.quantity, 0);
+  const unweighed = lines.reduce((sum, line) => sum + (line.weight_oz ? 0 : line.quantity), 0);
+  const sharedWeight = unweighed > 0 ? Math.max((Number(parcelWeight) || 0) - knownWeight, 0) / unweighed : 0;
+
+  return lines.map(line => {
+    const unitWeight = Number(line.weight_oz) || sharedWeight || 0.1;
+
+    return {
+      sku: line.sku,
+      product_name: line.product_name,
+      description: line.description,
+      hs_tariff_number: line.hs_tariff_number,
+      origin_country: line.origin_country,
+      quantity: line.quantity,
+      unit_value: Number(line.value),
+      value: round(Number(line.value) * line.quantity),
+      weight: round(unitWeight * line.quantity),
+    };
+  });
+}
+
+/**
+ * EasyPost customs_info for a package
+ * @param {Array<Object>} lines - Complete lines (see missingCustoms)
+ * @param {Object} parcel - From buildParcel
+ * @returns {Object} - EasyPost customs_info params
+ */
+export function buildCustomsInfo(lines, parcel) {
+  const items = customsLines(lines, parcel?.weight);
+
+  return {
+    contents_type: "merchandise",
+    customs_certify: true,
+    customs_signer: process.env.CUSTOMS_SIGNER || process.env.SHIP_FROM_NAME,
+    // No EEI filing under $2,500 per Schedule B number; set the ITN above that
+    eel_pfc: process.env.CUSTOMS_EEL_PFC || "NOEEI 30.37(a)",
+    non_delivery_option: "return",
+    restriction_type: "none",
+    customs_items: items.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      value: item.value,
+      weight: item.weight,
+      hs_tariff_number: item.hs_tariff_number,
+      origin_country: item.origin_country,
+      code: item.sku,
+      currency: CUSTOMS_CURRENCY,
+    })),
+  };
+}
+
+/**
+ * The data on a commercial invoice
+ * @param {Object} order - orders row
+ * @param {Array<Object>} lines - Complete lines (see missingCustoms)
+ * @param {Object} [shipment] - shipments row, when the invoice is for one package
+ * @returns {Object}
+ */
+export function buildCommercialInvoice(order, lines, shipment = null) {
+  const items = customsLines(lines);
+
+  return {
+    invoice_number: `CI-${order.order_number}${shipment ? `-${shipment.id}` : ""}`,
+    date: shipment?.shipped_at || new Date(),
+    order_number: order.order_number,
+    customer_name: order.customer_name,
+    consignee: buildToAddress(order),
+    carrier: shipment ? [shipment.carrier, shipment.service].filter(Boolean).join(" ") : null,
+    tracking_number: shipment?.tracking_number || null,
+    currency: CUSTOMS_CURRENCY,
+    items,
+    total_value: round(items.reduce((sum, item) => sum + item.value, 0)),
+    signer: process.env.CUSTOMS_SIGNER || process.env.SHIP_FROM_NAME || "",
+  };
+}
+
+// Made-up invoice for previews
+export const SAMPLE_COMMERCIAL_INVOICE = {
+  invoice_number: "CI-1001",
+  date: "2026-01-15T10:30:00Z",
+  order_number: "1001",
+  customer_name: "Jane Doe",
+  consignee: {
+    name: "Jane Doe",
+    street1: "10 Downing Street",
+    city: "London",
+    zip: "SW1A 2AA",
+    country: "GB",
+    phone: "+44 20 7925 0918",
+  },
+  carrier: "USPS FirstClassPackageInternationalService",
+  tracking_number: "LZ000000000US",
+  currency: CUSTOMS_CURRENCY,
+  items: [
+    {
+      sku: "TEE-BLK-M",
+      product_name: "Classic Tee - Black / M",
+      description: "Cotton t-shirt",
+      hs_tariff_number: "610910",
+      origin_country: "US",
+      quantity: 2,
+      unit_value: 20,
+      value: 40,
+      weight: 12,
+    },
+    {
+      sku: "CAP-NVY",
+      product_name: "Logo Cap - Navy",
+      description: "Cotton baseball cap",
+      hs_tariff_number: "650500",
+      origin_country: "CN",
+      quantity: 1,
+      unit_value: 24,
+      value: 24,
+      weight: 4,
+    },
+  ],
+  total_value: 64,
+  signer: "Warehouse Manager",
+};
+
+const money = value => Number(value).toFixed(2);
+
+/**
+ * Draw a commercial invoice on a letter-size PDFDocument
+ * @param {Object} doc - pdfkit PDFDocument (margin 40)
+ * @param {Object} invoice - From buildCommercialInvoice
+ * @param {Object} template - From resolveTemplate (commercial_invoice)
+ */
+export function renderCommercialInvoicePdf(doc, invoice, template) {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const top = doc.y;
+
+  if (template.logo) {
+    doc.image(template.logo, left, top, { fit: [160, 60] });
+  } else {
+    doc.fontSize(18).text(template.brand_name, left, top, { width: 260 });
+  }
+
+  doc.fontSize(9).text(
+    [
+      `Invoice #: ${invoice.invoice_number}`,
+      `Date: ${new Date(invoice.date).toLocaleDateString()}`,
+      `Order #: ${invoice.order_number}`,
+      invoice.carrier ? `Carrier: ${invoice.carrier}` : null,
+      invoice.tracking_number ? `Tracking #: ${invoice.tracking_number}` : null,
+      "Reason for export: Sale",
+      "Terms of sale: DAP",
+      `Currency: ${invoice.currency}`,
+    ].filter(Boolean).join("\n"),
+    right - 220,
+    top,
+    { width: 220, align: "right" }
+  );
+
+  doc.x = left;
+  doc.y = top + 100;
+  doc.fontSize(18).text(template.title, { underline: true });
+  doc.moveDown(0.5);
+
+  // Exporter and consignee side by side
+  const partiesTop = doc.y;
+  const half = (right - left) / 2;
+  doc.fontSize(11).text("Exporter:", left, partiesTop, { underline: true });
+  doc.fontSize(10).text(addressLines(template.return_address).join("\n"), left, doc.y, { width: half - 10 });
+  const exporterBottom = doc.y;
+
+  doc.fontSize(11).text("Consignee:", left + half, partiesTop, { underline: true });
+  doc.fontSize(10).text(addressLines(invoice.consignee).join("\n"), left + half, doc.y, { width: half - 10 });
+  const consignee = invoice.consignee || {};
+  if (consignee.phone || consignee.email) {
+    doc.text([consignee.phone, consignee.email].filter(Boolean).join("\n"), { width: half - 10 });
+  }
+
+  doc.x = left;
+  doc.y = Math.max(exporterBottom, doc.y) + 15;
+
+  const columns = [
+    { key: "description", label: "Description", width: template.show_sku ? 150 : 230 },
+    ...(template.show_sku ? [{ key: "sku", label: "SKU", width: 80 }] : []),
+    { key: "hs_tariff_number", label: "HS code", width: 70 },
+    { key: "origin_country", label: "Origin", width: 45 },
+    { key: "quantity", label: "Qty", width: 35, align: "right" },
+    { key: "unit_value", label: "Unit value", width: 70, align: "right", format: money },
+    { key: "value", label: "Total", width: 82, align: "right", format: money },
+  ];
+
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    for (const column of columns) {
+      doc.text(String(values[column.key] ?? ""), x, y, { width: column.width - 6, align: column.align || "left" });
+      height = Math.max(height, doc.y - y);
+      x += column.width;
+    }
+    doc.font("Helvetica");
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(Object.fromEntries(columns.map(column => [column.key, column.label])), true);
+  doc.moveTo(left, doc.y - 2).lineTo(right, doc.y - 2).stroke();
+
+  for (const item of invoice.items) {
+    drawRow(Object.fromEntries(columns.map(column => [
+      column.key,
+      column.format ? column.format(item[column.key]) : item[column.key],
+    ])));
+  }
+
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  const units = invoice.items.reduce((sum, item) => sum + item.quantity, 0);
+  doc.font("Helvetica-Bold").fontSize(10).text(
+    `Total: ${units} unit(s), ${invoice.currency} ${money(invoice.total_value)}`,
+    left,
+    doc.y,
+    { width: right - left, align: "right" }
+  );
+  doc.font("Helvetica");
+
+  const message = fillTemplateText(template.message, invoice, template);
+  if (message) {
+    doc.moveDown();
+    doc.fontSize(10).text(message, left, doc.y, { width: right - left });
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(9).text(
+    "I declare that all the information contained in this invoice is true and correct.",
+    left,
+    doc.y,
+    { width: right - left }
+  );
+  doc.moveDown(2);
+  doc.text(`Signature: ______________________________   Name: ${invoice.signer}`, left, doc.y);
+  doc.text(`Date: ${new Date(invoice.date).toLocaleDateString()}`);
+
+  const footer = fillTemplateText(template.footer, invoice, template);
+  if (footer) {
+    doc.moveDown(1.5);
+    doc.fontSize(8).fillColor("#555555").text(footer, left, doc.y, { width: right - left });
+    doc.fillColor("black");
+  }
+}
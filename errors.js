@@ -0,0 +1,15 @@
+/**
+ * An error the routes answer with its status instead of a 500
+ * @param {number} status - HTTP status
+ * @param {string} message - Sent back as { error }
+ * @param {*} [details] - Extra context for the response
+ * @returns {Error}
+ */
+export function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
@@ -0,0 +1,170 @@
+import pool from './db.js';
+
+// After this many failed attempts a push stops retrying and waits for someone
+const MAX_PUSH_ATTEMPTS = 8;
+
+// A push still marked pushing after this long is assumed to have crashed
+const STALE_PUSH_MINUTES = 10;
+
+/**
+ * Queue a shipment to be pushed to Shopify (new fulfillment or tracking
+ * update). Shipments for orders that didn't come from Shopify are skipped.
+ * @param {number} shipmentId - shipments.id
+ * @returns {Promise<string|null>} - 'pending' or 'skipped', null if not found
+ */
+export async function queueFulfillmentPush(shipmentId) {
+  try {
+    const query = `
+      UPDATE shipments s
+      SET
+        shopify_sync_status = CASE WHEN o.shopify_order_id IS NULL THEN 'skipped' ELSE 'pending' END,
+        shopify_sync_attempts = 0,
+        shopify_sync_error = NULL,
+        shopify_next_attempt_at = NOW()
+      FROM orders o
+      WHERE s.id = $1 AND o.id = s.order_id
+      RETURNING s.shopify_sync_status;
+    `;
+    const result = await pool.query(query, [shipmentId]);
+    return result.rows[0]?.shopify_sync_status || null;
+  } catch (error) {
+    console.error('Error queueing fulfillment push:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim pushes that are due, so the request that created a shipment and the
+ * retry loop never push the same one twice
+ * @param {Object} options
+ * @param {number} [options.shipmentId] - Claim just this shipment
+ * @param {number} [options.limit] - How many due pushes to claim
+ * @returns {Promise<Array>} - Shipments with shopify_order_id and shop domain
+ */
+export async function claimFulfillmentPushes({ shipmentId = null, limit = 20 } = {}) {
+  try {
+    const query = `
+      UPDATE shipments s
+      SET
+        shopify_sync_status = 'pushing',
+        shopify_sync_attempts = s.shopify_sync_attempts + 1,
+        shopify_next_attempt_at = NOW()
+      FROM orders o, shops sh
+      WHERE o.id = s.order_id
+        AND sh.id = s.shop_id
+        AND s.id IN (
+          SELECT id FROM shipments
+          WHERE ($1::int IS NULL OR id = $1)
+            AND (
+              (shopify_sync_status = 'pending' AND shopify_next_attempt_at <= NOW())
+              OR (shopify_sync_status = 'pushing'
+                  AND shopify_next_attempt_at < NOW() - make_interval(mins => $3))
+            )
+          ORDER BY shopify_next_attempt_at
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+      RETURNING s.*, o.shopify_order_id, sh.shop;
+    `;
+    const result = await pool.query(query, [shipmentId, limit, STALE_PUSH_MINUTES]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming fulfillment pushes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a successful push
+ * @param {number} shipmentId - shipments.id
+ * @param {string} fulfillmentId - Shopify fulfillment id
+ */
+export async function markFulfillmentPushed(shipmentId, fulfillmentId) {
+  try {
+    await pool.query(
+      `
+      UPDATE shipments
+      SET
+        shopify_sync_status = 'synced',
+        shopify_fulfillment_id = $2,
+        shopify_sync_error = NULL,
+        shopify_next_attempt_at = NULL,
+        shopify_synced_at = NOW()
+      WHERE id = $1
+      `,
+      [shipmentId, fulfillmentId]
+    );
+  } catch (error) {
+    console.error('Error marking fulfillment pushed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a failed push. Retryable failures back off exponentially
+ * (1, 2, 4 ... minutes, capped at 6 hours) until MAX_PUSH_ATTEMPTS.
+ * @param {number} shipmentId - shipments.id
+ * @param {string} message - Error to show on the shipment
+ * @param {boolean} retry - False when retrying can't help (e.g. Shopify 422)
+ * @returns {Promise<string>} - 'pending' if it will be retried, else 'failed'
+ */
+export async function markFulfillmentPushFailed(shipmentId, message, retry) {
+  try {
+    const query = `
+      UPDATE shipments
+      SET
+        shopify_sync_status = CASE
+          WHEN $3 AND shopify_sync_attempts < $4 THEN 'pending'
+          ELSE 'failed'
+        END,
+        shopify_sync_error = $2,
+        shopify_next_attempt_at = CASE
+          WHEN $3 AND shopify_sync_attempts < $4
+            THEN NOW() + make_interval(mins => LEAST(POWER(2, shopify_sync_attempts - 1)::int, 360))
+        END
+      WHERE id = $1
+      RETURNING shopify_sync_status;
+    `;
+    const result = await pool.query(query, [shipmentId, message, retry, MAX_PUSH_ATTEMPTS]);
+    return result.rows[0]?.shopify_sync_status || 'failed';
+  } catch (error) {
+    console.error('Error marking fulfillment push failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's shipments by Shopify push status, newest first
+ * @param {number} shopId - shops.id
+ * @param {string} status - pending, pushing, synced, failed or skipped
+ * @returns {Promise<Array>}
+ */
+export async function getFulfillmentPushes(shopId, status) {
+  try {
+    const query = `
+      SELECT
+        s.id,
+        s.order_id,
+        o.order_number,
+        s.carrier,
+        s.tracking_number,
+        s.shopify_fulfillment_id,
+        s.shopify_sync_status,
+        s.shopify_sync_attempts,
+        s.shopify_sync_error,
+        s.shopify_next_attempt_at,
+        s.shopify_synced_at,
+        s.shipped_at
+      FROM shipments s
+      JOIN orders o ON o.id = s.order_id
+      WHERE s.shop_id = $1 AND s.shopify_sync_status = $2
+      ORDER BY s.shipped_at DESC
+      LIMIT 200;
+    `;
+    const result = await pool.query(query, [shopId, status]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting fulfillment pushes:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,338 @@
+import pool from './db.js';
+
+/**
+ * Record an incoming GDPR request so auditors can see what we received
+ * @param {Object} request - Request details
+ * @returns {Promise<Object>} - Saved gdpr_requests row
+ */
+export async function logGdprRequest({ shop, topic, customerId, customerEmail, orderIds, payload }) {
+  try {
+    const query = `
+      INSERT INTO gdpr_requests (
+        shop,
+        topic,
+        shopify_customer_id,
+        customer_email,
+        shopify_order_ids,
+        payload,
+        status,
+        received_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, 'received', NOW())
+      RETURNING *;
+    `;
+
+    const values = [
+      shop,
+      topic,
+      customerId ? String(customerId) : null,
+      customerEmail || null,
+      (orderIds || []).map(String),
+      payload,
+    ];
+
+    const result = await pool.query(query, values);
+    console.log(`📝 GDPR ${topic} logged for ${shop} (#${result.rows[0].id})`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error logging GDPR request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a GDPR request completed or failed, with what was done
+ * @param {number} id - gdpr_requests id
+ * @param {string} status - "completed" or "failed"
+ * @param {Object} result - Summary of the action (counts, export, error)
+ * @returns {Promise<Object>} - Updated gdpr_requests row
+ */
+export async function completeGdprRequest(id, status, result) {
+  try {
+    const query = `
+      UPDATE gdpr_requests
+      SET status = $2, result = $3, completed_at = NOW()
+      WHERE id = $1
+      RETURNING *;
+    `;
+    const updated = await pool.query(query, [id, status, result]);
+    return updated.rows[0];
+  } catch (error) {
+    console.error('Error completing GDPR request:', error);
+    throw error;
+  }
+}
+
+// A shop's orders belonging to a customer: the ones Shopify listed, plus
+// any others we can tie to the same Shopify customer id
+const CUSTOMER_ORDERS_CONDITION = `
+  o.shop_id = $1
+  AND (o.shopify_order_id = ANY($2::text[])
+       OR ($3::text IS NOT NULL AND o.shopify_customer_id = $3))
+`;
+
+/**
+ * Build a JSON export of everything we hold about a customer
+ * @param {number} shopId - shops.id the request came from
+ * @param {Array<string>} orderIds - Shopify order ids from the request
+ * @param {string} customerId - Shopify customer id
+ * @returns {Promise<Object>} - Orders with addresses, items, shipments and emails
+ */
+export async function exportCustomerData(shopId, orderIds, customerId) {
+  try {
+    const ordersResult = await pool.query(
+      `
+      SELECT
+        o.id,
+        o.order_number,
+        o.order_date,
+        o.shopify_order_id,
+        o.shopify_customer_id,
+        o.customer_name,
+        o.customer_email,
+        o.recipient_name,
+        o.recipient_company,
+        o.recipient_address,
+        o.recipient_address2,
+        o.recipient_city,
+        o.recipient_state,
+        o.recipient_zip,
+        o.recipient_country,
+        o.recipient_phone,
+        o.order_total,
+        o.status
+      FROM orders o
+      WHERE ${CUSTOMER_ORDERS_CONDITION}
+      ORDER BY o.order_date
+      `,
+      [shopId, (orderIds || []).map(String), customerId ? String(customerId) : null]
+    );
+
+    const ids = ordersResult.rows.map(order => order.id);
+
+    const itemsResult = await pool.query(
+      `SELECT order_id, sku, product_name, quantity, price
+       FROM order_items WHERE order_id = ANY($1::int[]) ORDER BY id`,
+      [ids]
+    );
+
+    const shipmentsResult = await pool.query(
+      `SELECT order_id, carrier, service, tracking_number, shipped_at
+       FROM shipments WHERE order_id = ANY($1::int[]) ORDER BY shipped_at`,
+      [ids]
+    );
+
+    const notificationsResult = await pool.query(
+      `SELECT order_id, type, recipient, subject, status, created_at, sent_at
+       FROM notifications WHERE order_id = ANY($1::int[]) ORDER BY created_at`,
+      [ids]
+    );
+
+    return {
+      generated_at: new Date().toISOString(),
+      orders: ordersResult.rows.map(({ id, ...order }) => ({
+        ...order,
+        shipping_address: {
+          name: order.recipient_name,
+          company: order.recipient_company,
+          address: order.recipient_address,
+          address2: order.recipient_address2,
+          city: order.recipient_city,
+          state: order.recipient_state,
+          zip: order.recipient_zip,
+          country: order.recipient_country,
+          phone: order.recipient_phone,
+        },
+        items: itemsResult.rows
+          .filter(item => item.order_id === id)
+          .map(({ order_id, ...item }) => item),
+        shipments: shipmentsResult.rows
+          .filter(shipment => shipment.order_id === id)
+          .map(({ order_id, ...shipment }) => shipment),
+        emails: notificationsResult.rows
+          .filter(notification => notification.order_id === id)
+          .map(({ order_id, ...notification }) => notification),
+      })),
+    };
+  } catch (error) {
+    console.error('Error exporting customer data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Scrub a customer's personal data from their orders and shipment labels.
+ * Orders, items and tracking numbers stay for accounting.
+ * @param {number} shopId - shops.id the request came from
+ * @param {Array<string>} orderIds - Shopify order ids from the request
+ * @param {string} customerId - Shopify customer id
+ * @returns {Promise<Object>} - Number of orders redacted
+ */
+export async function redactCustomer(shopId, orderIds, customerId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const ordersResult = await client.query(
+      `
+      UPDATE orders o
+      SET
+        customer_name = 'Redacted',
+        recipient_name = 'Redacted',
+        recipient_company = NULL,
+        recipient_address = NULL,
+        recipient_address2 = NULL,
+        recipient_city = NULL,
+        recipient_zip = NULL,
+        recipient_phone = NULL,
+        suggested_address = NULL,
+        address_messages = NULL,
+        customer_email = NULL,
+        tracking_token = NULL,
+        shopify_customer_id = NULL
+      WHERE ${CUSTOMER_ORDERS_CONDITION}
+      RETURNING o.id;
+      `,
+      [shopId, (orderIds || []).map(String), customerId ? String(customerId) : null]
+    );
+
+    const ids = ordersResult.rows.map(row => row.id);
+
+    // Labels print the customer's address
+    await client.query(
+      `
+      UPDATE shipments
+      SET label_url = NULL, label_file = NULL, label_pdf_url = NULL, label_zpl_url = NULL
+      WHERE order_id = ANY($1::int[])
+      `,
+      [ids]
+    );
+    await client.query('UPDATE returns SET label_url = NULL WHERE order_id = ANY($1::int[])', [ids]);
+
+    // Queued and printed documents: their labels and slips, and the batch
+    // pick lists and packing slips they are on
+    await client.query(
+      `
+      UPDATE print_jobs
+      SET
+        content = NULL,
+        status = CASE WHEN status IN ('pending', 'printing') THEN 'cancelled' ELSE status END,
+        finished_at = COALESCE(finished_at, NOW())
+      WHERE order_id = ANY($1::int[])
+        OR shipment_id IN (SELECT id FROM shipments WHERE order_id = ANY($1::int[]))
+        OR batch_id IN (SELECT batch_id FROM orders WHERE id = ANY($1::int[]))
+      `,
+      [ids]
+    );
+
+    // Emails we sent (or were about to send) them
+    await client.query(
+      `
+      UPDATE notifications
+      SET
+        recipient = NULL,
+        subject = NULL,
+        html = NULL,
+        text = NULL,
+        status = CASE WHEN status IN ('pending', 'sending', 'failed') THEN 'skipped' ELSE status END,
+        skip_reason = CASE WHEN status IN ('pending', 'sending', 'failed') THEN 'redacted' ELSE skip_reason END
+      WHERE order_id = ANY($1::int[])
+      `,
+      [ids]
+    );
+
+    await client.query('COMMIT');
+    console.log(`✅ Customer redacted from ${ids.length} order(s)`);
+    return { orders_redacted: ids.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error redacting customer:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a shop's GDPR requests for auditors, newest first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} - gdpr_requests rows without payloads
+ */
+export async function getGdprRequests(shop) {
+  try {
+    const query = `
+      SELECT id, shop, topic, shopify_customer_id, customer_email,
+             shopify_order_ids, status, received_at, completed_at, redacted_at
+      FROM gdpr_requests
+      WHERE shop = $1
+      ORDER BY received_at DESC;
+    `;
+    const result = await pool.query(query, [shop]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting GDPR requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Scrub the audit log of a redacted customer, or of a whole shop: their
+ * requests keep only topic, status and timestamps. Data request exports go
+ * with them.
+ * @param {string} shop - Shop domain
+ * @param {Object} [customer] - Leave out to scrub every request of the shop
+ * @param {string} [customer.customerId] - Shopify customer id
+ * @param {string} [customer.customerEmail]
+ * @param {Array<string>} [customer.orderIds] - Shopify order ids
+ * @returns {Promise<number>} - Requests scrubbed
+ */
+export async function redactGdprRequests(shop, customer = null) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE gdpr_requests
+      SET
+        shopify_customer_id = NULL,
+        customer_email = NULL,
+        shopify_order_ids = '{}',
+        payload = NULL,
+        result = NULL,
+        redacted_at = NOW()
+      WHERE shop = $1
+        AND (
+          NOT $2
+          OR ($3::text IS NOT NULL AND shopify_customer_id = $3)
+          OR ($4::text IS NOT NULL AND LOWER(customer_email) = LOWER($4))
+          OR shopify_order_ids && $5::text[]
+        )
+      `,
+      [
+        shop,
+        Boolean(customer),
+        customer?.customerId ? String(customer.customerId) : null,
+        customer?.customerEmail || null,
+        (customer?.orderIds || []).map(String),
+      ]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error redacting GDPR requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one GDPR request, including its payload and result
+ * @param {number} id - gdpr_requests id
+ * @returns {Promise<Object|null>} - gdpr_requests row
+ */
+export async function getGdprRequest(id) {
+  try {
+    const result = await pool.query('SELECT * FROM gdpr_requests WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting GDPR request:', error);
+    throw error;
+  }
+}
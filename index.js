@@ -1,27 +1,291 @@
 import Fastify from "fastify";
 import pkg from "pg";
 import bwipjs from "bwip-js";
-import EasyPost from '@easypost/api';
 import crypto from "crypto";
-import fetch from "node-fetch";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import {
+  easypost,
+  buildToAddress,
+  buildParcel,
+  createOrderShipment,
+  purchaseOrderLabel,
+  createReturnShipment,
+  normalizeRate,
+  selectRate,
+  RATE_POLICIES,
+  createScanForm,
+  describeEasyPostError,
+  LABEL_FORMATS,
+  getLabelUrl,
+  downloadLabel,
+  verifyEasyPostWebhook,
+  normalizeTracker,
+  fetchTracker,
+} from "./shipping.js";
+import {
+  verifyWebhookHmac,
+  verifySessionToken,
+  isValidShopDomain,
+  verifyOAuthHmac,
+  exchangeAccessToken,
+  fetchShopDetails,
+  fetchOrdersPage,
+  buildOrdersSyncUrl,
+  mapShopifyOrder,
+  shopifyTrackingCompany,
+  createFulfillment,
+  updateFulfillmentTracking,
+  createRefund,
+  getRefunds,
+  registerWebhooks,
+  ORDER_WEBHOOK_TOPICS,
+  APP_WEBHOOK_TOPICS,
+} from "./shopify.js";
+import {
+  saveShop,
+  getShop,
+  deactivateShop,
+  deleteShop,
+  getShopId,
+  saveOAuthState,
+  consumeOAuthState,
+} from "./shop-db.js";
+import {
+  logGdprRequest,
+  completeGdprRequest,
+  exportCustomerData,
+  redactCustomer,
+  redactGdprRequests,
+  getGdprRequests,
+  getGdprRequest,
+} from "./gdpr-db.js";
+import {
+  getSyncState,
+  startSyncRun,
+  finishSyncRun,
+  getSyncRuns,
+} from "./sync-db.js";
+import {
+  queueFulfillmentPush,
+  claimFulfillmentPushes,
+  markFulfillmentPushed,
+  markFulfillmentPushFailed,
+  getFulfillmentPushes,
+} from "./fulfillment-db.js";
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  recordOrderStatus,
+  transitionOrderStatus,
+  getOrderStatusHistory,
+} from "./order-status.js";
+import {
+  getAddressVerifier,
+  suggestedCorrection,
+  normalizeAddressInput,
+} from "./address-verification.js";
+import {
+  getOrderAddress,
+  claimAddressVerifications,
+  recordAddressVerification,
+  updateOrderAddress,
+  acceptSuggestedAddress,
+  overrideAddressVerification,
+} from "./address-db.js";
+import {
+  getOrderItemProgress,
+  resolveShipmentItems,
+  createShipment,
+  getShipmentItems,
+} from "./shipment-db.js";
+import {
+  normalizeLocation,
+  getLocations,
+  saveLocation,
+  updateLocation,
+  deleteLocation,
+  assignSkuLocation,
+  removeSkuLocation,
+  importLocations,
+  getBatchPickRows,
+  summarizePickList,
+} from "./location-db.js";
+import { parseCsv } from "./csv.js";
+import {
+  openPackSession,
+  getPackSession,
+  recordPackScan,
+  removePackScan,
+  completePackSession,
+  abandonPackSession,
+  saveSkuBarcode,
+  deleteSkuBarcode,
+} from "./pack-db.js";
+import {
+  PRINT_DOCUMENT_TYPES,
+  getStations,
+  saveStation,
+  deleteStation,
+  normalizePrinter,
+  savePrinter,
+  updatePrinter,
+  deletePrinter,
+  findStationPrinter,
+  createPrintAgent,
+  getPrintAgents,
+  revokePrintAgent,
+  authenticatePrintAgent,
+  queuePrintJob,
+  getPrintJobs,
+  reprintJob,
+  cancelPrintJob,
+  claimPrintJobs,
+  getPrintJobContent,
+  purgePrintJobContent,
+  reportPrintJob,
+} from "./print-db.js";
+import {
+  TEMPLATE_DOCUMENT_TYPES,
+  DEFAULT_TEMPLATE,
+  SAMPLE_PACKING_SLIP,
+  normalizeTemplate,
+  parseLogo,
+  resolveTemplate,
+  templateDefaults,
+  renderPackingSlipPdf,
+  thermalPackingSlipPages,
+} from "./packing-slip.js";
+import {
+  SAMPLE_COMMERCIAL_INVOICE,
+  normalizeSkuCustoms,
+  originCountry,
+  needsCustoms,
+  missingCustoms,
+  buildCustomsInfo,
+  buildCommercialInvoice,
+  renderCommercialInvoicePdf,
+} from "./customs.js";
+import {
+  getSkuCustoms,
+  saveSkuCustoms,
+  deleteSkuCustoms,
+  importSkuCustoms,
+  getCustomsLines,
+  getMissingSkuCustoms,
+} from "./customs-db.js";
+import {
+  getDocumentTemplate,
+  getDocumentTemplates,
+  saveDocumentTemplate,
+  deleteDocumentTemplate,
+  getPackingSlips,
+} from "./packing-slip-db.js";
+import {
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+  RETURN_CONDITIONS,
+  RETURN_OUTCOMES,
+  DEFAULT_OUTCOMES,
+  getReturn,
+  getReturns,
+  findReturns,
+  createReturn,
+  saveReturnLabel,
+  cancelReturn,
+  receiveReturnItem,
+  claimReturnResolution,
+  markReturnRefunded,
+  markReturnResolutionFailed,
+  createExchangeOrder,
+} from "./returns-db.js";
+import {
+  findTrackedShipments,
+  recordTrackingUpdate,
+  claimTrackingPolls,
+  getShipmentEvents,
+  getTrackingExceptions,
+  getOrderTrackingToken,
+  getTrackingShop,
+  getTrackingPageData,
+  findOrderForTracking,
+} from "./tracking-db.js";
+import {
+  SAMPLE_TRACKING_PAGE,
+  renderTrackingPage,
+  renderLookupPage,
+  renderMessagePage,
+} from "./tracking-page.js";
+import { createRateLimiter } from "./rate-limit.js";
+import {
+  NOTIFICATION_TYPES,
+  SHOPIFY_NOTIFIED_TYPES,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  NOTIFICATION_PLACEHOLDERS,
+  SAMPLE_NOTIFICATION_VALUES,
+  isEmailAddress,
+  normalizeNotificationSettings,
+  normalizeNotificationTemplate,
+  resolveNotificationTemplate,
+  renderNotification,
+} from "./notifications.js";
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+  getNotificationTemplates,
+  getNotificationTemplate,
+  saveNotificationTemplate,
+  deleteNotificationTemplate,
+  getNotificationContext,
+  queueNotification,
+  claimNotifications,
+  markNotificationSent,
+  markNotificationFailed,
+  retryNotification,
+  getOrderNotifications,
+  getNotifications,
+  getNotification,
+} from "./notification-db.js";
+import { getMailTransport } from "./mailer.js";
+import { normalizeRules, planBatches } from "./batch-builder.js";
+import {
+  DOCUMENT_FORMATS,
+  renderThermalDocument,
+  pickListPages,
+  pickSummaryPages,
+  manifestPages,
+} from "./thermal.js";
+import {
+  getBatchRuleSets,
+  getBatchRuleSet,
+  saveBatchRuleSet,
+  updateBatchRuleSet,
+  deleteBatchRuleSet,
+  getBatchableOrders,
+  createPlannedBatches,
+  BATCH_STATUSES,
+  getBatches,
+  getBatch,
+  assignOrdersToBatch,
+  removeOrdersFromBatch,
+  setBatchStatus,
+} from "./batch-db.js";
+import { httpError } from "./errors.js";
 
 
 
 
 const { Pool } = pkg;
 
-const app = Fastify({ logger: true });
+// Behind Railway's proxy: request.ip is the client address it forwards
+const app = Fastify({ logger: { level: process.env.LOG_LEVEL || "info" }, trustProxy: 1 });
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false },
 });
+app.addHook("onClose", () => pool.end());
 
-// Initialize EasyPost for shipping labels
-// Initialize EasyPost (API key required)
-const easypost = process.env.EASYPOST_API_KEY 
-  ? new EasyPost(process.env.EASYPOST_API_KEY)
-  : null;
 // Health check
 app.get("/health", async () => {
   const result = await pool.query("SELECT 1");
@@ -41,60 +305,69 @@ app.get("/", async (request, reply) => {
     version: "1.0.0"
   };
 });
-  
-  <script>
-    const urlParams = new URLSearchParams(window.location.search);
-    const host = urlParams.get('host');
-    const shop = urlParams.get('shop');
-    
-    async function getToken() {
-      try {
-        if (!host) {
-          document.getElementById('error').textContent = 'Not loaded from Shopify. Open this from your Shopify admin.';
-          return;
-        }
-        
-        // Initialize App Bridge
-        const app = window['app-bridge'].createApp({
-          apiKey: '${process.env.SHOPIFY_CLIENT_ID}',
-          host: host
-        });
-        
-        // Get session token
-        const sessionToken = await window['app-bridge-utils'].getSessionToken(app);
-        
-        document.getElementById('token').style.display = 'block';
-        document.getElementById('tokenValue').textContent = sessionToken;
-        
-        // Also send to backend to exchange for permanent token
-        const response = await fetch('/shopify/exchange-token', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': 'Bearer ' + sessionToken
-          },
-          body: JSON.stringify({ shop: shop })
-        });
-        
-        const data = await response.json();
-        if (data.access_token) {
-          document.getElementById('tokenValue').textContent = data.access_token;
-        }
-        
-      } catch (error) {
-        document.getElementById('error').textContent = 'Error: ' + error.message;
-      }
+
+// ==============================
+// SHOP SESSION
+// ==============================
+
+// Routes that aren't called on behalf of an embedded-app session
+const PUBLIC_ROUTES = new Set([
+  "/",
+  "/health",
+  "/auth",
+  "/auth/callback",
+  "/shopify/exchange-token",
+]);
+
+// Every other route acts for exactly one shop, identified by the App Bridge
+// session token. Browser-opened documents (PDFs, print pages) can't set a
+// header, so they may pass the token as ?id_token= instead.
+app.addHook("preHandler", async (request, reply) => {
+  const route = request.routeOptions.url;
+
+  // Webhooks are signed by Shopify, print agents carry their own token and
+  // the tracking page is for customers
+  if (
+    !route ||
+    PUBLIC_ROUTES.has(route) ||
+    route.startsWith("/webhooks/") ||
+    route.startsWith("/print-agent/") ||
+    route === "/track" ||
+    route.startsWith("/track/")
+  ) {
+    return;
+  }
+
+  const authHeader = request.headers.authorization;
+  const token = authHeader?.startsWith("Bearer ")
+    ? authHeader.slice(7)
+    : request.query?.id_token;
+
+  const session = verifySessionToken(token);
+  if (!session) {
+    return reply.code(401).send({ error: "Invalid or missing session token" });
+  }
+
+  try {
+    const shopData = await getShop(session.shop);
+    if (!shopData) {
+      return reply.code(403).send({ error: "Shop is not installed" });
     }
-  </script>
-</body>
-</html>
-  `;
-  
-  reply.header("Content-Type", "text/html");
-  return reply.send(html);
+
+    request.shop = shopData;
+    request.sessionUserId = session.userId;
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load shop" });
+  }
 });
 
-// Exchange session token for permanent access token
+// Who to record in order_status_history for a request
+function requestActor(request) {
+  return request.sessionUserId ? `user:${request.sessionUserId}` : `shop:${request.shop.shop}`;
+}
+
+// Check a session token and report which shop it belongs to
 app.post("/shopify/exchange-token", async (request, reply) => {
   const authHeader = request.headers.authorization;
   const sessionToken = authHeader?.replace('Bearer ', '');
@@ -103,12 +376,24 @@ app.post("/shopify/exchange-token", async (request, reply) => {
     return reply.code(401).send({ error: 'No session token provided' });
   }
   
-  // For now, just return the session token
-  // In production, you'd verify this token and exchange it
-  return reply.send({ 
-    session_token: sessionToken,
-    message: "Use the Custom App method to get a permanent token - session tokens expire quickly"
-  });
+  const session = verifySessionToken(sessionToken);
+  if (!session) {
+    return reply.code(401).send({ error: 'Invalid session token' });
+  }
+
+  try {
+    const shopData = await getShop(session.shop);
+
+    // Not installed yet: the embedded app should send the merchant through /auth
+    return reply.send({
+      shop: session.shop,
+      installed: !!shopData,
+      install_url: shopData ? null : `/auth?shop=${session.shop}`,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to look up shop" });
+  }
 });
 
 app.get("/orders/stats", async (request, reply) => {
@@ -116,13 +401,15 @@ app.get("/orders/stats", async (request, reply) => {
     const result = await pool.query(`
       SELECT status, COUNT(*) as count
       FROM orders
+      WHERE shop_id = $1
       GROUP BY status
-    `);
+    `, [request.shop.id]);
 
-    const stats = result.rows.reduce((acc, row) => {
-      acc[row.status] = parseInt(row.count, 10);
-      return acc;
-    }, {});
+    // Every defined status is reported, including the ones with no orders
+    const stats = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+    for (const row of result.rows) {
+      stats[row.status] = parseInt(row.count, 10);
+    }
 
     return reply.send({ stats });
   } catch (err) {
@@ -132,7 +419,7 @@ app.get("/orders/stats", async (request, reply) => {
 });
 
 app.get("/orders", async (request, reply) => {
-  const { status, startDate, endDate } = request.query;
+  const { status, startDate, endDate, addressStatus } = request.query;
 
   let query = `
     SELECT
@@ -143,6 +430,7 @@ app.get("/orders", async (request, reply) => {
       o.recipient_name,
       o.order_total,
       o.status,
+      o.address_status,
       b.name AS batch_name,
       COUNT(oi.id) AS item_count,
       COALESCE(SUM(oi.quantity), 0) AS total_quantity
@@ -151,8 +439,8 @@ app.get("/orders", async (request, reply) => {
     LEFT JOIN order_items oi ON oi.order_id = o.id
   `;
 
-  const conditions = [];
-  const params = [];
+  const conditions = ["o.shop_id = $1"];
+  const params = [request.shop.id];
 
   if (status) {
     conditions.push(`o.status = $${conditions.length + 1}`);
@@ -169,10 +457,16 @@ app.get("/orders", async (request, reply) => {
     params.push(endDate);
   }
 
-  if (conditions.length > 0) {
-    query += ` WHERE ` + conditions.join(" AND ");
+  // "unverified" for addresses not checked yet
+  if (addressStatus === "unverified") {
+    conditions.push("o.address_status IS NULL");
+  } else if (addressStatus) {
+    conditions.push(`o.address_status = $${params.length + 1}`);
+    params.push(addressStatus);
   }
 
+  query += ` WHERE ` + conditions.join(" AND ");
+
   query += `
     GROUP BY o.id, b.name
     ORDER BY o.order_date DESC
@@ -188,1235 +482,5039 @@ app.get("/orders", async (request, reply) => {
 });
 
 // --------------------
-// Batches
+// Order status
 // --------------------
 
-// Create a new batch
-app.post("/batches", async (request, reply) => {
-  const { name } = request.body;
+// The statuses and which moves are allowed from each
+app.get("/orders/statuses", async () => {
+  return { statuses: ORDER_STATUSES, transitions: ORDER_TRANSITIONS };
+});
+
+// Move an order to another status; illegal moves are rejected with 409
+app.post("/orders/:orderId/transition", async (request, reply) => {
+  const { orderId } = request.params;
+  const { status, reason } = request.body || {};
+
+  if (!status) {
+    return reply.code(400).send({ error: "Missing status" });
+  }
 
   try {
-    const result = await pool.query(
-      `INSERT INTO batches (name)
-       VALUES ($1)
-       RETURNING *`,
-      [name]
-    );
+    const result = await transitionOrderStatus(orderId, status, {
+      actor: requestActor(request),
+      reason,
+      shopId: request.shop.id,
+    });
 
-    return reply.send({ batch: result.rows[0] });
+    return reply.send({ success: true, ...result });
   } catch (err) {
+    if (err.status) {
+      return reply.code(err.status).send({
+        error: err.message,
+        ...(err.allowed ? { allowed: err.allowed } : {}),
+      });
+    }
+
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to create batch" });
+    return reply.code(500).send({ error: "Failed to change order status" });
   }
 });
-// Assign orders to a batch
-app.post("/batches/:batchId/orders", async (request, reply) => {
-  const { batchId } = request.params;
-  const { orderIds } = request.body; // array of order IDs
+
+app.get("/orders/:orderId/status-history", async (request, reply) => {
+  const { orderId } = request.params;
 
   try {
-    await pool.query(
-      `
-      UPDATE orders
-      SET batch_id = $1
-      WHERE id = ANY($2::int[])
-      `,
-      [batchId, orderIds]
+    const orderResult = await pool.query(
+      `SELECT id, order_number, status FROM orders WHERE id = $1 AND shop_id = $2`,
+      [orderId, request.shop.id]
     );
 
-    return reply.send({ success: true });
+    if (orderResult.rows.length === 0) {
+      return reply.code(404).send({ error: "Order not found" });
+    }
+
+    const history = await getOrderStatusHistory(orderResult.rows[0].id);
+    return reply.send({ order: orderResult.rows[0], history });
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to assign orders to batch" });
+    return reply.code(500).send({ error: "Failed to fetch status history" });
   }
 });
 
-// Get all batches with order counts
-app.get("/batches", async (request, reply) => {
+// --------------------
+// Shipping address
+// --------------------
+
+// Unchecked addresses (new orders, edits, anything not packed yet) are verified this often
+const ADDRESS_VERIFY_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Check an order's address with the carrier and store the answer (which can
+ * put the order On Hold or release it). Throws when the verifier fails.
+ * @param {Object} order - Row with the recipient_* columns
+ * @returns {Promise<Object|null>} - recordAddressVerification result,
+ *   null when verification is off or the address changed meanwhile
+ */
+async function verifyOrderAddress(order) {
+  const verifier = getAddressVerifier();
+  if (!verifier) {
+    return null;
+  }
+
+  const address = buildToAddress(order);
+  const result = await verifier.verify(address);
+
+  return recordAddressVerification(order.id, address, {
+    deliverable: result.deliverable,
+    messages: result.messages,
+    suggested: suggestedCorrection(address, result.address),
+  });
+}
+
+// Background check of addresses nobody has verified yet
+async function verifyPendingAddresses() {
+  if (!getAddressVerifier()) {
+    return;
+  }
+
+  const orders = await claimAddressVerifications({ limit: 25 });
+
+  for (const order of orders) {
+    try {
+      await verifyOrderAddress(order);
+    } catch (err) {
+      app.log.warn({ orderId: order.id, err: err.message }, "Address verification failed");
+    }
+  }
+}
+
+function sendAddressError(request, reply, err, message) {
+  if (err.status) {
+    return reply.code(err.status).send({ error: err.message });
+  }
+
+  request.log.error(err);
+  return reply.code(500).send({ error: message });
+}
+
+// The order's shipping address, its verification and any suggested correction
+app.get("/orders/:orderId/address", async (request, reply) => {
   try {
-    const result = await pool.query(`
-      SELECT
-        b.id,
-        b.name,
-        COUNT(o.id) AS order_count
-      FROM batches b
-      LEFT JOIN orders o ON o.batch_id = b.id
-      GROUP BY b.id
-      ORDER BY b.id DESC
-    `);
+    const order = await getOrderAddress(request.shop.id, request.params.orderId);
+
+    if (!order) {
+      return reply.code(404).send({ error: "Order not found" });
+    }
 
-    return reply.send({ batches: result.rows });
+    return reply.send({ order, verification_enabled: Boolean(getAddressVerifier()) });
   } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to fetch batches" });
+    return sendAddressError(request, reply, err, "Failed to fetch address");
   }
 });
 
-// Get orders in a batch (pick list)
-app.get("/batches/:batchId/orders", async (request, reply) => {
-  const { batchId } = request.params;
+// Change the address by hand (only the fields sent); it's verified again
+app.put("/orders/:orderId/address", async (request, reply) => {
+  const { address, error } = normalizeAddressInput(request.body || {});
+  if (error) {
+    return reply.code(400).send({ error });
+  }
 
+  let order;
   try {
-    const result = await pool.query(`
-      SELECT
-        o.id,
-        o.order_number,
-        o.customer_name,
-        o.recipient_name,
-        o.status,
-        SUM(oi.quantity) AS total_items
-      FROM orders o
-      LEFT JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.batch_id = $1
-      GROUP BY o.id
-      ORDER BY o.id
-    `, [batchId]);
+    order = await updateOrderAddress(request.shop.id, request.params.orderId, address);
+  } catch (err) {
+    return sendAddressError(request, reply, err, "Failed to update address");
+  }
 
-    return reply.send({ orders: result.rows });
+  // A verifier outage leaves the address for the background check
+  let verification = null;
+  try {
+    verification = await verifyOrderAddress(order);
   } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to fetch batch orders" });
+    request.log.warn({ orderId: order.id, err: err.message }, "Address verification failed");
+    verification = { error: err.message };
+  }
+
+  try {
+    return reply.send({
+      success: true,
+      order: await getOrderAddress(request.shop.id, order.id),
+      verification,
+    });
+  } catch (err) {
+    return sendAddressError(request, reply, err, "Failed to fetch address");
+  }
+});
+
+// Check the address with the carrier now
+app.post("/orders/:orderId/address/verify", async (request, reply) => {
+  if (!getAddressVerifier()) {
+    return reply.code(503).send({ error: "Address verification isn't configured (ADDRESS_VERIFIER / EASYPOST_API_KEY)" });
+  }
+
+  let order;
+  try {
+    order = await getOrderAddress(request.shop.id, request.params.orderId);
+  } catch (err) {
+    return sendAddressError(request, reply, err, "Failed to fetch address");
+  }
+
+  if (!order) {
+    return reply.code(404).send({ error: "Order not found" });
+  }
+
+  let verification;
+  try {
+    verification = await verifyOrderAddress(order);
+  } catch (err) {
+    request.log.warn({ orderId: order.id, err: err.message }, "Address verification failed");
+    return reply.code(502).send({ error: "Address verification failed", details: err.message });
+  }
+
+  try {
+    return reply.send({
+      success: true,
+      order: await getOrderAddress(request.shop.id, order.id),
+      verification,
+    });
+  } catch (err) {
+    return sendAddressError(request, reply, err, "Failed to fetch address");
+  }
+});
+
+// Ship to the carrier's suggested address; releases an address hold
+app.post("/orders/:orderId/address/accept", async (request, reply) => {
+  try {
+    const result = await acceptSuggestedAddress(
+      request.shop.id,
+      request.params.orderId,
+      requestActor(request)
+    );
+    return reply.send({ success: true, ...result });
+  } catch (err) {
+    return sendAddressError(request, reply, err, "Failed to accept suggested address");
+  }
+});
+
+// Ship to the address as entered, whatever the carrier says; releases an address hold
+app.post("/orders/:orderId/address/override", async (request, reply) => {
+  try {
+    const result = await overrideAddressVerification(
+      request.shop.id,
+      request.params.orderId,
+      requestActor(request)
+    );
+    return reply.send({ success: true, ...result });
+  } catch (err) {
+    return sendAddressError(request, reply, err, "Failed to override address verification");
   }
 });
 
 // --------------------
-// Pick List (Aggregated by SKU)
+// Batches
 // --------------------
 
-app.get("/batches/:batchId/pick-list", async (request, reply) => {
-  const { batchId } = request.params;
+// Create a new batch
+app.post("/batches", async (request, reply) => {
+  const { name } = request.body;
 
   try {
     const result = await pool.query(
-      `
-      SELECT
-        oi.sku,
-        oi.product_name,
-        SUM(oi.quantity)::int AS total_quantity
-      FROM orders o
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.batch_id = $1
-      GROUP BY oi.sku, oi.product_name
-      ORDER BY oi.product_name;
-      `,
-      [batchId]
+      `INSERT INTO batches (shop_id, name)
+       VALUES ($1, $2)
+       RETURNING id`,
+      [request.shop.id, name]
     );
 
-    return reply.send({ pick_list: result.rows });
+    return reply.send({ batch: await getBatch(request.shop.id, result.rows[0].id) });
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to generate pick list" });
+    return reply.code(500).send({ error: "Failed to create batch" });
   }
 });
 
-// ==============================
-// CREATE SHIPMENT
-// ==============================
-app.post("/shipments", async (request, reply) => {
-  const { order_id, carrier, tracking_number } = request.body;
+function sendBatchError(request, reply, err, message) {
+  if (err.status) {
+    return reply.code(err.status).send({
+      error: err.message,
+      ...(err.details ? { orders: err.details } : {}),
+      ...(err.allowed ? { allowed: err.allowed } : {}),
+    });
+  }
 
-  if (!order_id || !carrier || !tracking_number) {
-    return reply.code(400).send({ error: "Missing required fields" });
+  request.log.error(err);
+  return reply.code(500).send({ error: message });
+}
+
+// Assign orders to an Open batch. Orders in another Open batch move over;
+// cancelled or shipped orders and orders in locked batches are refused.
+app.post("/batches/:batchId/orders", async (request, reply) => {
+  const { orderIds } = request.body || {}; // array of order IDs
+
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    return reply.code(400).send({ error: "orderIds must be a non-empty array" });
   }
 
   try {
-    // Create shipment
-    await pool.query(
-      `
-      INSERT INTO shipments (order_id, carrier, tracking_number, shipped_at)
-      VALUES ($1, $2, $3, NOW())
-      `,
-      [order_id, carrier, tracking_number]
-    );
-
-    // Update order status
-    await pool.query(
-      `
-      UPDATE orders
-      SET status = 'Shipped'
-      WHERE id = $1
-      `,
-      [order_id]
+    const result = await assignOrdersToBatch(
+      request.shop.id,
+      request.params.batchId,
+      orderIds,
+      requestActor(request)
     );
 
-    return reply.send({ success: true, message: "Shipment created" });
+    return reply.send({ success: true, ...result });
   } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to create shipment" });
+    return sendBatchError(request, reply, err, "Failed to assign orders to batch");
   }
 });
 
-// ==============================
-// GET SHIPMENTS FOR ORDER
-// ==============================
-app.get("/orders/:orderId/shipments", async (request, reply) => {
-  const { orderId } = request.params;
+// Take orders out of an Open batch
+app.delete("/batches/:batchId/orders", async (request, reply) => {
+  const { orderIds } = request.body || {};
+
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    return reply.code(400).send({ error: "orderIds must be a non-empty array" });
+  }
 
   try {
-    const result = await pool.query(
-      `
-      SELECT
-        s.id,
-        s.carrier,
-        s.tracking_number,
-        s.shipped_at,
-        o.order_number,
-        o.status
-      FROM shipments s
-      JOIN orders o ON s.order_id = o.id
-      WHERE o.id = $1
-      ORDER BY s.shipped_at DESC
-      `,
-      [orderId]
+    const result = await removeOrdersFromBatch(
+      request.shop.id,
+      request.params.batchId,
+      orderIds,
+      requestActor(request)
     );
 
-    return reply.send({
-      order_id: orderId,
-      shipments: result.rows,
-    });
+    return reply.send({ success: true, ...result });
   } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to fetch shipments" });
+    return sendBatchError(request, reply, err, "Failed to remove orders from batch");
   }
 });
 
-// ==============================
-// POST SHIPMENT (Add tracking)
-// ==============================
-// ==============================
-// POST SHIPMENT (AUTO-UPDATES ORDER STATUS)
-// ==============================
-app.post("/orders/:orderId/shipments", async (request, reply) => {
-  const { orderId } = request.params;
-  const { carrier, tracking_number, shipped_at } = request.body;
+// Move a batch to Picking, Packing or Archived (see BATCH_TRANSITIONS)
+app.post("/batches/:batchId/status", async (request, reply) => {
+  const { status } = request.body || {};
+
+  if (!status) {
+    return reply.code(400).send({ error: "Missing status" });
+  }
 
   try {
-    // 1️⃣ Create shipment
-    await pool.query(
-      `
-      INSERT INTO shipments (order_id, carrier, tracking_number, shipped_at)
-      VALUES ($1, $2, $3, $4)
-      `,
-      [orderId, carrier, tracking_number, shipped_at]
-    );
+    const result = await setBatchStatus(request.shop.id, request.params.batchId, status, {
+      actor: requestActor(request),
+    });
+    return reply.send(result);
+  } catch (err) {
+    return sendBatchError(request, reply, err, "Failed to update batch status");
+  }
+});
 
-    // 2️⃣ Auto-update order status
-    await pool.query(
-      `
-      UPDATE orders
-      SET status = 'Shipped'
-      WHERE id = $1
-      `,
-      [orderId]
-    );
+// Complete a batch; { release: true } takes unfinished orders out first
+app.post("/batches/:batchId/close", async (request, reply) => {
+  try {
+    const result = await setBatchStatus(request.shop.id, request.params.batchId, "Completed", {
+      actor: requestActor(request),
+      release: request.body?.release === true,
+    });
+    return reply.send(result);
+  } catch (err) {
+    return sendBatchError(request, reply, err, "Failed to close batch");
+  }
+});
 
-    return reply.send({
-      success: true,
-      message: "Shipment created and order marked as Shipped",
+// Unlock a batch so its orders can be changed again
+app.post("/batches/:batchId/reopen", async (request, reply) => {
+  try {
+    const result = await setBatchStatus(request.shop.id, request.params.batchId, "Open", {
+      actor: requestActor(request),
     });
+    return reply.send(result);
   } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to create shipment" });
+    return sendBatchError(request, reply, err, "Failed to reopen batch");
+  }
+});
+
+// Get all batches with status and progress; ?status= filters (Archived
+// batches only show when asked for)
+app.get("/batches", async (request, reply) => {
+  const { status } = request.query;
+
+  if (status && !BATCH_STATUSES.includes(status)) {
+    return reply.code(400).send({ error: `status must be one of ${BATCH_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const batches = await getBatches(request.shop.id, status || null);
+    return reply.send({ batches });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch batches" });
+  }
+});
+
+app.get("/batches/:batchId", async (request, reply) => {
+  try {
+    const batch = await getBatch(request.shop.id, request.params.batchId);
+    if (!batch) {
+      return reply.code(404).send({ error: "Batch not found" });
+    }
+
+    return reply.send({ batch });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch batch" });
+  }
+});
+
+// --------------------
+// Auto batching
+// --------------------
+
+app.get("/batch-rules", async (request, reply) => {
+  try {
+    const ruleSets = await getBatchRuleSets(request.shop.id);
+    return reply.send({ rule_sets: ruleSets });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch batch rules" });
+  }
+});
+
+// Save a rule set; saving under an existing name replaces its rules
+app.post("/batch-rules", async (request, reply) => {
+  const { name } = request.body || {};
+  if (!name) {
+    return reply.code(400).send({ error: "name is required" });
+  }
+
+  const { rules, error } = normalizeRules(request.body.rules);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const ruleSet = await saveBatchRuleSet(request.shop.id, name, rules);
+    return reply.send({ rule_set: ruleSet });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save batch rules" });
+  }
+});
+
+app.put("/batch-rules/:ruleSetId", async (request, reply) => {
+  const { name } = request.body || {};
+  if (!name) {
+    return reply.code(400).send({ error: "name is required" });
+  }
+
+  const { rules, error } = normalizeRules(request.body.rules);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const updated = await updateBatchRuleSet(request.shop.id, request.params.ruleSetId, name, rules);
+    if (!updated) {
+      return reply.code(404).send({ error: "Rule set not found" });
+    }
+
+    return reply.send({ rule_set: updated });
+  } catch (err) {
+    if (err.code === "23505") {
+      return reply.code(409).send({ error: `A rule set named ${name} already exists` });
+    }
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to update batch rules" });
+  }
+});
+
+app.delete("/batch-rules/:ruleSetId", async (request, reply) => {
+  try {
+    const deleted = await deleteBatchRuleSet(request.shop.id, request.params.ruleSetId);
+    if (!deleted) {
+      return reply.code(404).send({ error: "Rule set not found" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete batch rules" });
+  }
+});
+
+// Build batches from unbatched Pending orders using a saved rule set or
+// inline rules. dry_run returns the proposal without creating anything.
+app.post("/batches/auto", async (request, reply) => {
+  const { rule_set_id: ruleSetId, dry_run: dryRun, name } = request.body || {};
+
+  try {
+    let ruleSet = null;
+    if (ruleSetId) {
+      ruleSet = await getBatchRuleSet(request.shop.id, ruleSetId);
+      if (!ruleSet) {
+        return reply.code(404).send({ error: "Rule set not found" });
+      }
+    }
+
+    const { rules, error } = normalizeRules(ruleSet ? ruleSet.rules : request.body?.rules);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const orders = await getBatchableOrders(request.shop.id);
+    const plan = planBatches(orders, rules);
+    const namePrefix = name || ruleSet?.name || "Auto";
+
+    if (dryRun) {
+      return reply.send({
+        dry_run: true,
+        rules,
+        batches: plan.batches,
+        order_count: plan.batches.reduce((total, batch) => total + batch.orders.length, 0),
+        skipped: plan.skipped,
+      });
+    }
+
+    const created = await createPlannedBatches(request.shop.id, plan.batches, {
+      ruleSetId: ruleSet?.id,
+      namePrefix,
+      actor: requestActor(request),
+    });
+
+    return reply.send({
+      dry_run: false,
+      rules,
+      batches: created,
+      order_count: created.reduce((total, batch) => total + batch.orders.length, 0),
+      skipped: plan.skipped,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to build batches" });
+  }
+});
+
+// Get orders in a batch (pick list)
+app.get("/batches/:batchId/orders", async (request, reply) => {
+  const { batchId } = request.params;
+
+  try {
+    const result = await pool.query(`
+      SELECT
+        o.id,
+        o.order_number,
+        o.customer_name,
+        o.recipient_name,
+        o.status,
+        SUM(oi.quantity) AS total_items
+      FROM orders o
+      LEFT JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.batch_id = $1
+        AND o.shop_id = $2
+      GROUP BY o.id
+      ORDER BY o.id
+    `, [batchId, request.shop.id]);
+
+    return reply.send({ orders: result.rows });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch batch orders" });
+  }
+});
+
+// --------------------
+// Pick List (Aggregated by SKU)
+// --------------------
+
+app.get("/batches/:batchId/pick-list", async (request, reply) => {
+  const { batchId } = request.params;
+
+  try {
+    // Walk order through the warehouse; SKUs without a bin are listed
+    // separately so someone assigns them
+    const rows = await getBatchPickRows(request.shop.id, batchId);
+    const { located, unassigned } = summarizePickList(rows);
+
+    return reply.send({ pick_list: located, unassigned });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to generate pick list" });
   }
 });
 
 // ==============================
-// PACKING SLIP (Single Order)
+// BIN LOCATIONS
 // ==============================
-app.get("/orders/:orderId/packing-slip", async (request, reply) => {
+
+// Location imports can be uploaded straight from a spreadsheet export
+app.addContentTypeParser("text/csv", { parseAs: "string" }, (request, body, done) => {
+  done(null, body);
+});
+
+app.get("/locations", async (request, reply) => {
+  try {
+    const locations = await getLocations(request.shop.id);
+    return reply.send({ locations });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch locations" });
+  }
+});
+
+app.post("/locations", async (request, reply) => {
+  const { location, error } = normalizeLocation(request.body);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const saved = await saveLocation(pool, request.shop.id, location);
+    return reply.send({ location: saved });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save location" });
+  }
+});
+
+app.put("/locations/:locationId", async (request, reply) => {
+  const { location, error } = normalizeLocation(request.body);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const updated = await updateLocation(request.shop.id, request.params.locationId, location);
+    if (!updated) {
+      return reply.code(404).send({ error: "Location not found" });
+    }
+
+    return reply.send({ location: updated });
+  } catch (err) {
+    if (err.code === "23505") {
+      return reply.code(409).send({ error: `Location code ${location.code} is already used` });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to update location" });
+  }
+});
+
+app.delete("/locations/:locationId", async (request, reply) => {
+  try {
+    const deleted = await deleteLocation(request.shop.id, request.params.locationId);
+    if (!deleted) {
+      return reply.code(404).send({ error: "Location not found" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete location" });
+  }
+});
+
+// Bulk import: a CSV body (code, zone, aisle, shelf, bin, walk_sequence and
+// optionally sku, several separated by |) or JSON { locations: [...] }.
+// Nothing is saved if any row is invalid.
+app.post("/locations/import", async (request, reply) => {
+  const rows = typeof request.body === "string"
+    ? parseCsv(request.body)
+    : request.body?.locations;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return reply.code(400).send({ error: "No locations to import" });
+  }
+
+  try {
+    const result = await importLocations(request.shop.id, rows);
+    return reply.code(result.errors.length > 0 ? 422 : 200).send({
+      success: result.errors.length === 0,
+      ...result,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to import locations" });
+  }
+});
+
+// Assign a SKU to a bin (by location id or code)
+app.put("/skus/:sku/location", async (request, reply) => {
+  const { sku } = request.params;
+  const { location_id, code } = request.body || {};
+
+  try {
+    let locationId = location_id;
+    if (!locationId && code) {
+      const locationResult = await pool.query(
+        `SELECT id FROM bin_locations WHERE shop_id = $1 AND code = $2`,
+        [request.shop.id, code]
+      );
+      locationId = locationResult.rows[0]?.id;
+    }
+
+    const assigned = locationId
+      ? await assignSkuLocation(pool, request.shop.id, sku, locationId)
+      : null;
+
+    if (!assigned) {
+      return reply.code(404).send({ error: "Location not found" });
+    }
+
+    return reply.send({ sku_location: assigned });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to assign SKU location" });
+  }
+});
+
+app.delete("/skus/:sku/location", async (request, reply) => {
+  try {
+    const removed = await removeSkuLocation(request.shop.id, request.params.sku);
+    if (!removed) {
+      return reply.code(404).send({ error: "SKU has no location" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to remove SKU location" });
+  }
+});
+
+// SKUs on open orders that no bin has been assigned to
+app.get("/skus/unassigned", async (request, reply) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        oi.sku,
+        MIN(oi.product_name) AS product_name,
+        COUNT(DISTINCT o.id)::int AS open_orders
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN sku_locations sl ON sl.shop_id = o.shop_id AND sl.sku = oi.sku
+      WHERE o.shop_id = $1
+        AND o.status IN ('Pending', 'On Hold', 'Batched', 'Picking')
+        AND sl.id IS NULL
+      GROUP BY oi.sku
+      ORDER BY open_orders DESC, oi.sku
+      `,
+      [request.shop.id]
+    );
+
+    return reply.send({ skus: result.rows });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch unassigned SKUs" });
+  }
+});
+
+// ==============================
+// CREATE SHIPMENT
+// ==============================
+
+/**
+ * Validate the optional per-package item list on a shipment
+ * @param {*} items - Request body items
+ * @returns {Array|null|undefined} - Items, null for the whole order, undefined if invalid
+ */
+function parseShipmentItems(items) {
+  if (items == null) {
+    return null;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return undefined;
+  }
+
+  const parsed = items.map(item => ({
+    order_item_id: parseInt(item?.order_item_id, 10),
+    quantity: parseInt(item?.quantity, 10),
+  }));
+
+  const valid = parsed.every(item => item.order_item_id > 0 && item.quantity > 0);
+  return valid ? parsed : undefined;
+}
+
+app.post("/shipments", async (request, reply) => {
+  const { order_id, carrier, tracking_number, tracking_url, notify_customer, items } = request.body;
+
+  if (!order_id || !carrier || !tracking_number) {
+    return reply.code(400).send({ error: "Missing required fields" });
+  }
+
+  const shipmentItems = parseShipmentItems(items);
+  if (shipmentItems === undefined) {
+    return reply.code(400).send({ error: "items must be a list of { order_item_id, quantity }" });
+  }
+
+  try {
+    // Create shipment (only for this shop's orders) and update order status
+    const created = await createShipment({
+      orderId: order_id,
+      shopId: request.shop.id,
+      fields: {
+        carrier,
+        tracking_number,
+        tracking_url: tracking_url || null,
+        notify_customer: notifyCustomer(notify_customer),
+        shipped_at: new Date(),
+      },
+      items: shipmentItems,
+      actor: requestActor(request),
+      reason: `Shipped with ${carrier} ${tracking_number}`,
+    });
+
+    const shopify = await syncShipmentToShopify(created.shipment.id, request.log);
+    await queueShipmentEmail(request, order_id, created.shipment.id);
+
+    return reply.send({
+      success: true,
+      message: "Shipment created",
+      shipment_id: created.shipment.id,
+      items: created.items,
+      order_status: created.order_status,
+      shopify,
+    });
+  } catch (err) {
+    if (err.status) {
+      return reply.code(err.status).send({ error: err.message, details: err.details });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to create shipment" });
+  }
+});
+
+// ==============================
+// GET SHIPMENTS FOR ORDER
+// ==============================
+app.get("/orders/:orderId/shipments", async (request, reply) => {
   const { orderId } = request.params;
 
   try {
-    // Order + customer info
-    const orderResult = await pool.query(
+    const result = await pool.query(
+      `
+      SELECT
+        s.id,
+        s.carrier,
+        s.tracking_number,
+        s.tracking_url,
+        s.shipped_at,
+        s.shopify_fulfillment_id,
+        s.shopify_sync_status,
+        s.shopify_sync_error,
+        o.order_number,
+        o.status,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'order_item_id', si.order_item_id,
+            'sku', oi.sku,
+            'product_name', oi.product_name,
+            'quantity', si.quantity
+          ) ORDER BY si.id)
+          FROM shipment_items si
+          JOIN order_items oi ON oi.id = si.order_item_id
+          WHERE si.shipment_id = s.id
+        ), '[]') AS items
+      FROM shipments s
+      JOIN orders o ON s.order_id = o.id
+      WHERE o.id = $1
+        AND o.shop_id = $2
+      ORDER BY s.shipped_at DESC
+      `,
+      [orderId, request.shop.id]
+    );
+
+    // Ordered / shipped / remaining per line item
+    const progress = result.rows.length > 0 ? await getOrderItemProgress(pool, orderId) : [];
+
+    return reply.send({
+      order_id: orderId,
+      shipments: result.rows,
+      progress,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch shipments" });
+  }
+});
+
+// ==============================
+// POST SHIPMENT (Add tracking)
+// ==============================
+// ==============================
+// POST SHIPMENT (AUTO-UPDATES ORDER STATUS)
+// ==============================
+app.post("/orders/:orderId/shipments", async (request, reply) => {
+  const { orderId } = request.params;
+  const { shipped_at, tracking_url, notify_customer, items } = request.body || {};
+  const carrier = String(request.body?.carrier || "").trim();
+  const tracking_number = String(request.body?.tracking_number || "").trim();
+
+  if (!carrier || !tracking_number) {
+    return reply.code(400).send({ error: "carrier and tracking_number are required" });
+  }
+
+  const shipmentItems = parseShipmentItems(items);
+  if (shipmentItems === undefined) {
+    return reply.code(400).send({ error: "items must be a list of { order_item_id, quantity }" });
+  }
+
+  try {
+    // 1️⃣ Create shipment (only for this shop's orders)
+    // 2️⃣ Auto-update order status (Partially Shipped until everything has gone)
+    const created = await createShipment({
+      orderId,
+      shopId: request.shop.id,
+      fields: {
+        carrier,
+        tracking_number,
+        shipped_at: shipped_at || new Date(),
+        tracking_url: tracking_url || null,
+        notify_customer: notifyCustomer(notify_customer),
+      },
+      items: shipmentItems,
+      actor: requestActor(request),
+      reason: `Shipped with ${carrier} ${tracking_number}`,
+    });
+
+    // 3️⃣ Tell Shopify (retried in the background if it fails) and the customer
+    const shopify = await syncShipmentToShopify(created.shipment.id, request.log);
+    await queueShipmentEmail(request, orderId, created.shipment.id);
+
+    return reply.send({
+      success: true,
+      message: `Shipment created and order marked as ${created.order_status}`,
+      shipment_id: created.shipment.id,
+      items: created.items,
+      order_status: created.order_status,
+      shopify,
+    });
+  } catch (err) {
+    if (err.status) {
+      return reply.code(err.status).send({ error: err.message, details: err.details });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to create shipment" });
+  }
+});
+
+// ==============================
+// PACKING SLIP (Single Order)
+// ==============================
+app.get("/orders/:orderId/packing-slip", async (request, reply) => {
+  const { orderId } = request.params;
+  const { shipmentId } = request.query;
+
+  try {
+    // Order + customer info
+    const orderResult = await pool.query(
+      `
+      SELECT
+        o.id,
+        o.order_number,
+        o.order_date,
+        o.customer_name,
+        o.recipient_name,
+        o.status
+      FROM orders o
+      WHERE o.id = $1
+        AND o.shop_id = $2
+      `,
+      [orderId, request.shop.id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return reply.code(404).send({ error: "Order not found" });
+    }
+
+    // Order items (or just the ones in one package)
+    const itemsResult = await pool.query(
+      `
+      SELECT
+        oi.sku,
+        oi.product_name,
+        COALESCE(si.quantity, oi.quantity) AS quantity
+      FROM order_items oi
+      LEFT JOIN shipment_items si ON si.order_item_id = oi.id AND si.shipment_id = $2
+      WHERE oi.order_id = $1
+        AND ($2::int IS NULL OR si.id IS NOT NULL)
+      ORDER BY oi.product_name
+      `,
+      [orderId, shipmentId || null]
+    );
+
+    // Shipment (the requested package, else the latest if one exists)
+    const shipmentResult = await pool.query(
+      `
+      SELECT
+        id,
+        carrier,
+        tracking_number,
+        shipped_at
+      FROM shipments
+      WHERE order_id = $1
+        AND ($2::int IS NULL OR id = $2)
+      ORDER BY shipped_at DESC
+      LIMIT 1
+      `,
+      [orderId, shipmentId || null]
+    );
+
+    if (shipmentId && shipmentResult.rows.length === 0) {
+      return reply.code(404).send({ error: "Shipment not found on this order" });
+    }
+
+    return reply.send({
+      packing_slip: {
+        order: orderResult.rows[0],
+        items: itemsResult.rows,
+        shipment: shipmentResult.rows[0] || null,
+      },
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to generate packing slip" });
+  }
+});
+
+// ==============================
+// BATCH PACKING SLIPS
+// ==============================
+app.get("/batches/:batchId/packing-slips", async (request, reply) => {
+  const { batchId } = request.params;
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        b.id AS batch_id,
+        b.name AS batch_name,
+        o.id AS order_id,
+        o.order_number,
+        o.order_date,
+        o.customer_name,
+        o.recipient_name,
+        o.order_total,
+        o.status,
+        oi.sku,
+        oi.product_name,
+        oi.quantity
+      FROM batches b
+      JOIN orders o ON o.batch_id = b.id
+      JOIN order_items oi ON oi.order_id = o.id
+      WHERE b.id = $1
+        AND b.shop_id = $2
+      ORDER BY o.id, oi.product_name;
+      `,
+      [batchId, request.shop.id]
+    );
+
+    if (result.rows.length === 0) {
+      return reply.code(404).send({ error: "Batch not found or empty" });
+    }
+
+    // Group rows into packing slips
+    const packingSlips = {};
+
+    for (const row of result.rows) {
+      if (!packingSlips[row.order_id]) {
+        packingSlips[row.order_id] = {
+          order_id: row.order_id,
+          order_number: row.order_number,
+          order_date: row.order_date,
+          customer_name: row.customer_name,
+          recipient_name: row.recipient_name,
+          order_total: row.order_total,
+          status: row.status,
+          batch_name: row.batch_name,
+          items: [],
+        };
+      }
+
+      packingSlips[row.order_id].items.push({
+        sku: row.sku,
+        product_name: row.product_name,
+        quantity: row.quantity,
+      });
+    }
+
+    return reply.send({
+      batch_id: batchId,
+      batch_name: result.rows[0].batch_name,
+      packing_slips: Object.values(packingSlips),
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to generate batch packing slips" });
+  }
+});
+
+// ==============================
+// ORDER PACKING SLIP (PDF)
+// ==============================
+import PDFDocument from "pdfkit";
+
+// The shop's template for a document type, over the defaults
+async function loadDocumentTemplate(request, documentType) {
+  const row = await getDocumentTemplate(request.shop.id, documentType);
+  return resolveTemplate(row, request.shop, documentType);
+}
+
+app.get("/orders/:orderId/packing-slip/pdf", async (request, reply) => {
+  const { orderId } = request.params;
+  const { shipmentId } = request.query;
+
+  try {
+    const slips = await getPackingSlips(request.shop.id, { orderId, shipmentId: shipmentId || null });
+
+    if (slips.length === 0) {
+      reply.code(404);
+      return { error: "No items found for this order" };
+    }
+
+    const template = await loadDocumentTemplate(request, "packing_slip");
+
+    // IMPORTANT: tell Fastify we handle the response manually
+    reply.raw.setHeader("Content-Type", "application/pdf");
+    reply.raw.setHeader(
+      "Content-Disposition",
+      `attachment; filename=packing-slip-${orderId}${shipmentId ? `-${shipmentId}` : ""}.pdf`
+    );
+
+    const doc = new PDFDocument({ margin: 40 });
+    doc.pipe(reply.raw);
+
+    await renderPackingSlipPdf(doc, slips[0], template);
+
+    doc.end();
+
+    return reply; // 🔑 THIS LINE MATTERS
+  } catch (err) {
+    request.log.error(err);
+    reply.code(500);
+    return { error: "Failed to generate PDF packing slip" };
+  }
+});
+
+// ==============================
+// BATCH PACKING SLIPS (PDF)
+// ==============================
+
+app.get("/batches/:batchId/packing-slips/pdf", async (request, reply) => {
+  const { batchId } = request.params;
+
+  try {
+    // 1. Get all orders + items in this batch
+    const slips = await getPackingSlips(request.shop.id, { batchId });
+
+    if (slips.length === 0) {
+      reply.code(404);
+      return { error: "No orders found for this batch" };
+    }
+
+    const template = await loadDocumentTemplate(request, "packing_slip");
+
+    // 2. Prepare PDF response
+    reply.raw.setHeader("Content-Type", "application/pdf");
+    reply.raw.setHeader(
+      "Content-Disposition",
+      `attachment; filename=batch-${batchId}-packing-slips.pdf`
+    );
+
+    const doc = new PDFDocument({ margin: 40 });
+    doc.pipe(reply.raw);
+
+    // 3. Render each order as a page
+    for (const [index, slip] of slips.entries()) {
+      if (index > 0) doc.addPage();
+      await renderPackingSlipPdf(doc, slip, template);
+    }
+
+    doc.end();
+    return reply;
+  } catch (err) {
+    request.log.error(err);
+    reply.code(500);
+    return { error: "Failed to generate batch packing slips PDF" };
+  }
+});
+
+// ==============================
+// THERMAL DOCUMENT OUTPUT
+// ==============================
+
+const FORMAT_ERROR = `format must be one of ${DOCUMENT_FORMATS.join(", ")}`;
+
+// ?format= for a document route, or the route's default; undefined if unknown
+function documentFormat(request, fallback) {
+  const format = request.query.format || fallback;
+  return DOCUMENT_FORMATS.includes(format) ? format : undefined;
+}
+
+// Render a document with the station's printer for its type and queue it.
+// refs (orderId, shipmentId, batchId) say whose data is on it.
+async function queueDocument(request, stationId, { documentType, title, render, refs = {} }) {
+  const printer = await findStationPrinter(request.shop.id, stationId, documentType);
+  const { content, contentType } = await render(printer.format);
+
+  return queuePrintJob({
+    shopId: request.shop.id,
+    printerId: printer.id,
+    documentType,
+    format: printer.format,
+    title,
+    content,
+    contentType,
+    createdBy: requestActor(request),
+    ...refs,
+  });
+}
+
+// Send a thermal document as ZPL, a 4x6 PDF or plain text. With ?station=
+// it is queued on that station's printer (in the printer's format) instead.
+async function sendThermalDocument(request, reply, format, pages, { filename, documentType, title, refs }) {
+  const { station } = request.query;
+
+  if (station) {
+    try {
+      const job = await queueDocument(request, station, {
+        documentType,
+        title,
+        render: printerFormat => renderThermalDocument(printerFormat, pages),
+        refs,
+      });
+      return reply.code(202).send({ print_job: job });
+    } catch (err) {
+      if (err.status) {
+        return reply.code(err.status).send({ error: err.message });
+      }
+      throw err;
+    }
+  }
+
+  const { content, contentType } = await renderThermalDocument(format, pages);
+  const disposition = format === "pdf" ? "attachment" : "inline";
+
+  reply.header("Content-Type", contentType);
+  if (format !== "text") {
+    reply.header("Content-Disposition", `${disposition}; filename=${filename}.${format}`);
+  }
+  return reply.send(content);
+}
+
+// ==============================
+// THERMAL PICK LIST (4x6) + BARCODE
+// ==============================
+app.get("/batches/:batchId/pick-list/thermal", async (request, reply) => {
+  const { batchId } = request.params;
+
+  const format = documentFormat(request, "pdf");
+  if (!format) {
+    return reply.code(400).send({ error: FORMAT_ERROR });
+  }
+
+  try {
+    const rows = await getBatchPickRows(request.shop.id, batchId);
+
+    // One page per order; within an order, items in walk order with the
+    // ones that have no bin at the end
+    const orders = new Map();
+    for (const row of rows) {
+      if (!orders.has(row.order_id)) {
+        orders.set(row.order_id, { order_number: row.order_number, items: [] });
+      }
+      orders.get(row.order_id).items.push(row);
+    }
+
+    const orderIds = [...orders.keys()].sort((a, b) => a - b);
+
+    if (orderIds.length === 0) {
+      return reply.code(404).send({ error: "No orders found for this batch" });
+    }
+
+    const pages = pickListPages(orderIds.map(orderId => orders.get(orderId)));
+    return await sendThermalDocument(request, reply, format, pages, {
+      filename: `batch-${batchId}-pick-list`,
+      documentType: "pick_list",
+      title: `Batch ${batchId} pick list`,
+      refs: { batchId },
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to generate thermal pick list" });
+  }
+});
+
+
+// ==============================
+// THERMAL ORDER PACKING SLIP
+// ==============================
+app.get("/orders/:orderId/packing-slip/thermal", async (request, reply) => {
+  const { orderId } = request.params;
+  const { shipmentId } = request.query;
+
+  const format = documentFormat(request, "text");
+  if (!format) {
+    return reply.code(400).send({ error: FORMAT_ERROR });
+  }
+
+  try {
+    const slips = await getPackingSlips(request.shop.id, { orderId, shipmentId: shipmentId || null });
+
+    if (slips.length === 0) {
+      return reply.code(404).send("Order not found");
+    }
+
+    const template = await loadDocumentTemplate(request, "thermal_packing_slip");
+    const pages = thermalPackingSlipPages(slips, template);
+
+    return await sendThermalDocument(request, reply, format, pages, {
+      filename: `packing-slip-${orderId}${shipmentId ? `-${shipmentId}` : ""}`,
+      documentType: "packing_slip",
+      title: `Order ${slips[0].order_number} packing slip`,
+      refs: { orderId: slips[0].order_id, shipmentId },
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send("Failed to generate thermal packing slip");
+  }
+});
+
+// ==============================
+// THERMAL BATCH PACKING SLIPS
+// ==============================
+app.get("/batches/:batchId/packing-slips/thermal", async (request, reply) => {
+  const { batchId } = request.params;
+
+  const format = documentFormat(request, "text");
+  if (!format) {
+    return reply.code(400).send({ error: FORMAT_ERROR });
+  }
+
+  try {
+    const slips = await getPackingSlips(request.shop.id, { batchId });
+
+    if (slips.length === 0) {
+      return reply.code(404).send({ error: "No orders found for this batch" });
+    }
+
+    const template = await loadDocumentTemplate(request, "thermal_packing_slip");
+    const pages = thermalPackingSlipPages(slips, template);
+
+    return await sendThermalDocument(request, reply, format, pages, {
+      filename: `batch-${batchId}-packing-slips`,
+      documentType: "packing_slip",
+      title: `Batch ${batchId} packing slips`,
+      refs: { batchId },
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to generate thermal packing slips" });
+  }
+});
+
+// ==============================
+// PACKING SLIP TEMPLATES
+// ==============================
+const TEMPLATE_TYPE_ERROR = `documentType must be one of: ${TEMPLATE_DOCUMENT_TYPES.join(", ")}`;
+
+// The effective template as JSON: logo bytes are served separately. Rows
+// from getDocumentTemplates carry has_logo instead of the bytes.
+function templateResponse(documentType, row, shop) {
+  const { logo, ...template } = resolveTemplate(row, shop, documentType);
+  return {
+    document_type: documentType,
+    template,
+    defaults: templateDefaults(documentType),
+    has_logo: Boolean(row?.logo || row?.has_logo),
+    stored: row ? row.settings : null,
+    updated_at: row?.updated_at || null,
+  };
+}
+
+// Unsaved settings (and logo) over the stored template, for previews
+function previewRow(row, body = {}) {
+  const { template, error } = normalizeTemplate(body);
+  if (error) {
+    return { error };
+  }
+
+  let logo = row?.logo || null;
+  if (typeof body.logo === "string") {
+    const parsed = parseLogo(body.logo);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    logo = parsed.logo.data;
+  } else if (body.logo === null) {
+    logo = null;
+  }
+
+  return { row: { settings: { ...(row?.settings || {}), ...template }, logo } };
+}
+
+async function sendTemplatePreview(request, reply, documentType, row) {
+  const template = resolveTemplate(row, request.shop, documentType);
+
+  if (documentType === "tracking_page") {
+    return reply
+      .type("text/html; charset=utf-8")
+      .send(renderTrackingPage(SAMPLE_TRACKING_PAGE, template));
+  }
+
+  if (documentType === "thermal_packing_slip") {
+    const format = documentFormat(request, "pdf");
+    if (!format) {
+      return reply.code(400).send({ error: FORMAT_ERROR });
+    }
+    const { content, contentType } = await renderThermalDocument(
+      format,
+      thermalPackingSlipPages([SAMPLE_PACKING_SLIP], template)
+    );
+    return reply.type(contentType).send(content);
+  }
+
+  if (documentType === "commercial_invoice") {
+    reply.raw.setHeader("Content-Type", "application/pdf");
+    reply.raw.setHeader("Content-Disposition", "inline; filename=commercial-invoice-preview.pdf");
+
+    const doc = new PDFDocument({ margin: 40 });
+    doc.pipe(reply.raw);
+    renderCommercialInvoicePdf(doc, SAMPLE_COMMERCIAL_INVOICE, template);
+    doc.end();
+
+    return reply;
+  }
+
+  reply.raw.setHeader("Content-Type", "application/pdf");
+  reply.raw.setHeader("Content-Disposition", "inline; filename=packing-slip-preview.pdf");
+
+  const doc = new PDFDocument({ margin: 40 });
+  doc.pipe(reply.raw);
+  await renderPackingSlipPdf(doc, SAMPLE_PACKING_SLIP, template);
+  doc.end();
+
+  return reply;
+}
+
+// List the template for every document type, stored or default
+app.get("/templates", async (request, reply) => {
+  try {
+    const rows = await getDocumentTemplates(request.shop.id);
+    const stored = new Map(rows.map(row => [row.document_type, row]));
+
+    return {
+      defaults: DEFAULT_TEMPLATE,
+      templates: TEMPLATE_DOCUMENT_TYPES.map(type =>
+        templateResponse(type, stored.get(type) || null, request.shop)
+      ),
+    };
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load templates" });
+  }
+});
+
+app.get("/templates/:documentType", async (request, reply) => {
+  const { documentType } = request.params;
+  if (!TEMPLATE_DOCUMENT_TYPES.includes(documentType)) {
+    return reply.code(400).send({ error: TEMPLATE_TYPE_ERROR });
+  }
+
+  try {
+    const row = await getDocumentTemplate(request.shop.id, documentType);
+    return templateResponse(documentType, row, request.shop);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load template" });
+  }
+});
+
+// Save template settings. Only the fields sent change; logo is a data URL
+// or base64 PNG/JPEG, or null to remove it.
+app.put("/templates/:documentType", async (request, reply) => {
+  const { documentType } = request.params;
+  if (!TEMPLATE_DOCUMENT_TYPES.includes(documentType)) {
+    return reply.code(400).send({ error: TEMPLATE_TYPE_ERROR });
+  }
+
+  const body = request.body || {};
+  const { template, error } = normalizeTemplate(body);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  let logo;
+  if (typeof body.logo === "string") {
+    const parsed = parseLogo(body.logo);
+    if (parsed.error) {
+      return reply.code(400).send({ error: parsed.error });
+    }
+    logo = parsed.logo;
+  } else if (body.logo === null) {
+    logo = null;
+  }
+
+  try {
+    await saveDocumentTemplate(request.shop.id, documentType, template, logo);
+    const row = await getDocumentTemplate(request.shop.id, documentType);
+    return templateResponse(documentType, row, request.shop);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save template" });
+  }
+});
+
+// Back to the default template
+app.delete("/templates/:documentType", async (request, reply) => {
+  const { documentType } = request.params;
+  if (!TEMPLATE_DOCUMENT_TYPES.includes(documentType)) {
+    return reply.code(400).send({ error: TEMPLATE_TYPE_ERROR });
+  }
+
+  try {
+    const deleted = await deleteDocumentTemplate(request.shop.id, documentType);
+    if (!deleted) {
+      return reply.code(404).send({ error: "No saved template for this document type" });
+    }
+    return { success: true };
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete template" });
+  }
+});
+
+app.get("/templates/:documentType/logo", async (request, reply) => {
+  const { documentType } = request.params;
+  if (!TEMPLATE_DOCUMENT_TYPES.includes(documentType)) {
+    return reply.code(400).send({ error: TEMPLATE_TYPE_ERROR });
+  }
+
+  try {
+    const row = await getDocumentTemplate(request.shop.id, documentType);
+    if (!row?.logo) {
+      return reply.code(404).send({ error: "No logo for this template" });
+    }
+    return reply.type(row.logo_content_type).send(row.logo);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load logo" });
+  }
+});
+
+// Preview the saved template with sample order data
+app.get("/templates/:documentType/preview", async (request, reply) => {
+  const { documentType } = request.params;
+  if (!TEMPLATE_DOCUMENT_TYPES.includes(documentType)) {
+    return reply.code(400).send({ error: TEMPLATE_TYPE_ERROR });
+  }
+
+  try {
+    const row = await getDocumentTemplate(request.shop.id, documentType);
+    return await sendTemplatePreview(request, reply, documentType, row);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to render preview" });
+  }
+});
+
+// Preview unsaved changes (same body as PUT) without storing them
+app.post("/templates/:documentType/preview", async (request, reply) => {
+  const { documentType } = request.params;
+  if (!TEMPLATE_DOCUMENT_TYPES.includes(documentType)) {
+    return reply.code(400).send({ error: TEMPLATE_TYPE_ERROR });
+  }
+
+  try {
+    const stored = await getDocumentTemplate(request.shop.id, documentType);
+    const { row, error } = previewRow(stored, request.body || {});
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    return await sendTemplatePreview(request, reply, documentType, row);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to render preview" });
+  }
+});
+
+// ==============================
+// BATCH PICK SUMMARY (queue it with ?station=)
+// ==============================
+app.get("/print/batches/:batchId/pick-list", async (request, reply) => {
+  const { batchId } = request.params;
+
+  const format = documentFormat(request, "text");
+  if (!format) {
+    reply.code(400);
+    return FORMAT_ERROR;
+  }
+
+  try {
+    const rows = await getBatchPickRows(request.shop.id, batchId);
+
+    if (rows.length === 0) {
+      reply.code(404);
+      return "No items found for this batch";
+    }
+
+    const pages = pickSummaryPages(batchId, summarizePickList(rows));
+
+    return await sendThermalDocument(request, reply, format, pages, {
+      filename: `batch-${batchId}-pick-list`,
+      documentType: "pick_list",
+      title: `Batch ${batchId} pick list`,
+      refs: { batchId },
+    });
+  } catch (err) {
+    request.log.error(err);
+    reply.code(500);
+    return "Failed to generate pick list";
+  }
+});
+
+// ==============================
+// PACK STATION (scan to verify)
+// ==============================
+
+// Errors thrown by pack-db carry the HTTP status to send
+function sendPackError(request, reply, err, message) {
+  if (err.status) {
+    return reply.code(err.status).send({ error: err.message, ...(err.details ? { state: err.details } : {}) });
+  }
+
+  request.log.error(err);
+  return reply.code(500).send({ error: message });
+}
+
+// Scan an order number to start (or resume) packing it
+app.post("/pack-sessions", async (request, reply) => {
+  const { order_number, packed_by } = request.body || {};
+
+  if (!order_number) {
+    return reply.code(400).send({ error: "Missing order_number" });
+  }
+
+  try {
+    const result = await openPackSession(request.shop.id, order_number, packed_by || requestActor(request));
+    return reply.code(result.resumed ? 200 : 201).send(result);
+  } catch (err) {
+    return sendPackError(request, reply, err, "Failed to open pack session");
+  }
+});
+
+app.get("/pack-sessions/:sessionId", async (request, reply) => {
+  try {
+    const result = await getPackSession(request.shop.id, request.params.sessionId);
+    if (!result) {
+      return reply.code(404).send({ error: "Pack session not found" });
+    }
+
+    return reply.send(result);
+  } catch (err) {
+    return sendPackError(request, reply, err, "Failed to fetch pack session");
+  }
+});
+
+// Scan an item (SKU or product barcode)
+app.post("/pack-sessions/:sessionId/scans", async (request, reply) => {
+  const { code, quantity } = request.body || {};
+  const units = quantity == null ? 1 : parseInt(quantity, 10);
+
+  if (!code) {
+    return reply.code(400).send({ error: "Missing code" });
+  }
+
+  if (!Number.isInteger(units) || units < 1) {
+    return reply.code(400).send({ error: "quantity must be a positive whole number" });
+  }
+
+  try {
+    const result = await recordPackScan(request.shop.id, request.params.sessionId, code, units);
+    return reply.send(result);
+  } catch (err) {
+    return sendPackError(request, reply, err, "Failed to record scan");
+  }
+});
+
+// Undo a scan
+app.delete("/pack-sessions/:sessionId/scans/:scanId", async (request, reply) => {
+  const { sessionId, scanId } = request.params;
+
+  try {
+    const state = await removePackScan(request.shop.id, sessionId, scanId);
+    return reply.send({ success: true, state });
+  } catch (err) {
+    return sendPackError(request, reply, err, "Failed to remove scan");
+  }
+});
+
+// Finish packing; refused until the scans match unless override_reason is given
+app.post("/pack-sessions/:sessionId/complete", async (request, reply) => {
+  const { override_reason } = request.body || {};
+
+  try {
+    const result = await completePackSession(request.shop.id, request.params.sessionId, {
+      overrideReason: override_reason,
+      actor: requestActor(request),
+    });
+    return reply.send({ success: true, ...result });
+  } catch (err) {
+    return sendPackError(request, reply, err, "Failed to complete pack session");
+  }
+});
+
+app.post("/pack-sessions/:sessionId/abandon", async (request, reply) => {
+  try {
+    const session = await abandonPackSession(request.shop.id, request.params.sessionId);
+    if (!session) {
+      return reply.code(404).send({ error: "No open pack session with that id" });
+    }
+
+    return reply.send({ success: true, session });
+  } catch (err) {
+    return sendPackError(request, reply, err, "Failed to abandon pack session");
+  }
+});
+
+// Product barcodes (UPC/EAN) that packers can scan instead of the SKU
+app.post("/skus/:sku/barcodes", async (request, reply) => {
+  const { barcode } = request.body || {};
+
+  if (!barcode) {
+    return reply.code(400).send({ error: "Missing barcode" });
+  }
+
+  try {
+    const saved = await saveSkuBarcode(request.shop.id, request.params.sku, String(barcode).trim());
+    return reply.send({ sku_barcode: saved });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save barcode" });
+  }
+});
+
+app.delete("/skus/barcodes/:barcode", async (request, reply) => {
+  try {
+    const deleted = await deleteSkuBarcode(request.shop.id, request.params.barcode);
+    if (!deleted) {
+      return reply.code(404).send({ error: "Barcode not found" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete barcode" });
+  }
+});
+
+// ==============================
+// PRINT QUEUE (stations, printers, agents, jobs)
+// ==============================
+
+app.get("/stations", async (request, reply) => {
+  try {
+    const stations = await getStations(request.shop.id);
+    return reply.send({ stations, document_types: PRINT_DOCUMENT_TYPES });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch stations" });
+  }
+});
+
+app.post("/stations", async (request, reply) => {
+  const name = String(request.body?.name || "").trim();
+  if (!name) {
+    return reply.code(400).send({ error: "name is required" });
+  }
+
+  try {
+    const station = await saveStation(request.shop.id, name);
+    return reply.send({ station });
+  } catch (err) {
+    if (err.code === "23505") {
+      return reply.code(409).send({ error: `Station ${name} already exists` });
+    }
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save station" });
+  }
+});
+
+app.delete("/stations/:stationId", async (request, reply) => {
+  try {
+    const deleted = await deleteStation(request.shop.id, request.params.stationId);
+    if (!deleted) {
+      return reply.code(404).send({ error: "Station not found" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete station" });
+  }
+});
+
+app.post("/stations/:stationId/printers", async (request, reply) => {
+  const { printer, error } = normalizePrinter(request.body);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const saved = await savePrinter(request.shop.id, request.params.stationId, printer);
+    if (!saved) {
+      return reply.code(404).send({ error: "Station not found" });
+    }
+
+    return reply.send({ printer: saved });
+  } catch (err) {
+    if (err.code === "23505") {
+      return reply.code(409).send({ error: `Printer ${printer.name} already exists at this station` });
+    }
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save printer" });
+  }
+});
+
+app.put("/printers/:printerId", async (request, reply) => {
+  const { printer, error } = normalizePrinter(request.body);
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const updated = await updatePrinter(request.shop.id, request.params.printerId, printer);
+    if (!updated) {
+      return reply.code(404).send({ error: "Printer not found" });
+    }
+
+    return reply.send({ printer: updated });
+  } catch (err) {
+    if (err.code === "23505") {
+      return reply.code(409).send({ error: `Printer ${printer.name} already exists at this station` });
+    }
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to update printer" });
+  }
+});
+
+app.delete("/printers/:printerId", async (request, reply) => {
+  try {
+    const deleted = await deletePrinter(request.shop.id, request.params.printerId);
+    if (!deleted) {
+      return reply.code(404).send({ error: "Printer not found" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete printer" });
+  }
+});
+
+app.get("/print-agents", async (request, reply) => {
+  try {
+    const agents = await getPrintAgents(request.shop.id);
+    return reply.send({ agents });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch print agents" });
+  }
+});
+
+// Register an agent; the token is shown once and goes in the agent's config
+app.post("/stations/:stationId/agents", async (request, reply) => {
+  const name = String(request.body?.name || "").trim();
+  if (!name) {
+    return reply.code(400).send({ error: "name is required" });
+  }
+
+  try {
+    const created = await createPrintAgent(request.shop.id, request.params.stationId, name);
+    if (!created) {
+      return reply.code(404).send({ error: "Station not found" });
+    }
+
+    return reply.send(created);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to register print agent" });
+  }
+});
+
+app.delete("/print-agents/:agentId", async (request, reply) => {
+  try {
+    const revoked = await revokePrintAgent(request.shop.id, request.params.agentId);
+    if (!revoked) {
+      return reply.code(404).send({ error: "Print agent not found" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to revoke print agent" });
+  }
+});
+
+app.get("/print-jobs", async (request, reply) => {
+  const { status, printer_id: printerId } = request.query;
+
+  try {
+    const jobs = await getPrintJobs(request.shop.id, { status, printerId });
+    return reply.send({ jobs });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch print jobs" });
+  }
+});
+
+// Print the same document again, optionally on another printer
+app.post("/print-jobs/:jobId/reprint", async (request, reply) => {
+  try {
+    const job = await reprintJob(request.shop.id, request.params.jobId, {
+      printerId: request.body?.printer_id || null,
+      createdBy: requestActor(request),
+    });
+
+    if (!job) {
+      return reply.code(404).send({ error: "Print job or printer not found, or the document has been purged" });
+    }
+
+    return reply.code(202).send({ print_job: job });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to reprint job" });
+  }
+});
+
+app.post("/print-jobs/:jobId/cancel", async (request, reply) => {
+  try {
+    const cancelled = await cancelPrintJob(request.shop.id, request.params.jobId);
+    if (!cancelled) {
+      return reply.code(409).send({ error: "Print job not found or already finished" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to cancel print job" });
+  }
+});
+
+// --------------------
+// Print agent protocol
+// --------------------
+//
+// A local agent at each station authenticates with its bearer token, long
+// polls for jobs (claiming them), downloads each document and reports it
+// printed or failed. Unreported jobs are handed out again after a while.
+
+// Longest a poll waits for a job to arrive, and how often it checks
+const PRINT_POLL_MAX_SECONDS = 30;
+const PRINT_POLL_INTERVAL_MS = 2000;
+
+// How often finished jobs past their retention lose their documents
+const PRINT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+app.register(async (agents) => {
+  agents.addHook("preHandler", async (request, reply) => {
+    const authHeader = request.headers.authorization;
+    const token = authHeader?.startsWith("Bearer ") ? authHeader.slice(7) : null;
+
+    try {
+      request.printAgent = await authenticatePrintAgent(token);
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to authenticate print agent" });
+    }
+
+    if (!request.printAgent) {
+      return reply.code(401).send({ error: "Invalid or revoked agent token" });
+    }
+  });
+
+  // The station and printers the agent serves
+  agents.get("/print-agent/config", async (request, reply) => {
+    try {
+      const stations = await getStations(request.printAgent.shop_id);
+      const station = stations.find(row => row.id === request.printAgent.station_id);
+      return reply.send({ agent: request.printAgent, station });
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to load agent config" });
+    }
+  });
+
+  // Claim waiting jobs; ?wait=N holds the request up to N seconds for one
+  agents.get("/print-agent/jobs", async (request, reply) => {
+    const wait = Math.min(parseInt(request.query.wait, 10) || 0, PRINT_POLL_MAX_SECONDS);
+    const limit = Math.min(parseInt(request.query.limit, 10) || 10, 50);
+    const deadline = Date.now() + wait * 1000;
+
+    try {
+      let jobs = await claimPrintJobs(request.printAgent, limit);
+      while (jobs.length === 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, PRINT_POLL_INTERVAL_MS));
+        jobs = await claimPrintJobs(request.printAgent, limit);
+      }
+
+      return reply.send({ jobs });
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to fetch print jobs" });
+    }
+  });
+
+  agents.get("/print-agent/jobs/:jobId/content", async (request, reply) => {
+    try {
+      const job = await getPrintJobContent(request.printAgent, request.params.jobId);
+      if (!job) {
+        return reply.code(404).send({ error: "Job not found or not claimed by this agent" });
+      }
+
+      reply.header("Content-Type", job.content_type);
+      return reply.send(job.content);
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to fetch print job" });
+    }
+  });
+
+  agents.post("/print-agent/jobs/:jobId/printed", async (request, reply) => {
+    try {
+      const status = await reportPrintJob(request.printAgent, request.params.jobId, { printed: true });
+      if (!status) {
+        return reply.code(409).send({ error: "Job is not claimed by this agent" });
+      }
+
+      return reply.send({ status });
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to report print job" });
+    }
+  });
+
+  // { error, retry } — retry puts the job back in the queue
+  agents.post("/print-agent/jobs/:jobId/failed", async (request, reply) => {
+    const { error, retry } = request.body || {};
+
+    try {
+      const status = await reportPrintJob(request.printAgent, request.params.jobId, {
+        printed: false,
+        message: error || "Unknown printer error",
+        retry: retry === true,
+      });
+      if (!status) {
+        return reply.code(409).send({ error: "Job is not claimed by this agent" });
+      }
+
+      return reply.send({ status });
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to report print job" });
+    }
+  });
+});
+
+// ==============================
+// CUSTOMS
+// ==============================
+
+/**
+ * The customs declaration for a package, when the order ships abroad.
+ * Errors carry .status and .body: 422 lists the SKUs missing customs data.
+ * @param {Object} order - orders row
+ * @param {Object} parcel - From buildParcel
+ * @param {Array} [items] - { order_item_id, quantity } in the package (default: everything unshipped)
+ * @returns {Promise<Object|null>} - EasyPost customs_info, null for domestic orders
+ */
+async function orderCustomsInfo(order, parcel, items = null) {
+  if (!needsCustoms(order)) {
+    return null;
+  }
+
+  const lines = await getCustomsLines(order.id, { items });
+  const missing = missingCustoms(lines);
+
+  if (missing.length > 0) {
+    throw customsMissingError(missing);
+  }
+
+  return buildCustomsInfo(lines, parcel);
+}
+
+function customsMissingError(missing) {
+  const body = { error: "Customs data is missing for items on this order; add it before shipping abroad", missing };
+  return Object.assign(httpError(422, body.error), { body });
+}
+
+app.get("/skus/customs", async (request, reply) => {
+  try {
+    const customs = await getSkuCustoms(request.shop.id);
+    return reply.send({ customs });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch SKU customs data" });
+  }
+});
+
+// SKUs on open orders to other countries that can't be declared yet
+app.get("/skus/customs/missing", async (request, reply) => {
+  try {
+    const origin = originCountry();
+    const skus = await getMissingSkuCustoms(request.shop.id, origin);
+    return reply.send({ origin_country: origin, skus });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch missing SKU customs data" });
+  }
+});
+
+// Set a SKU's customs data (only the fields sent)
+app.put("/skus/:sku/customs", async (request, reply) => {
+  const { customs, error } = normalizeSkuCustoms(request.body || {});
+  if (error) {
+    return reply.code(400).send({ error });
+  }
+
+  try {
+    const saved = await saveSkuCustoms(pool, request.shop.id, request.params.sku, customs);
+    return reply.send({ customs: saved });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save SKU customs data" });
+  }
+});
+
+app.delete("/skus/:sku/customs", async (request, reply) => {
+  try {
+    const deleted = await deleteSkuCustoms(request.shop.id, request.params.sku);
+    if (!deleted) {
+      return reply.code(404).send({ error: "SKU has no customs data" });
+    }
+
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete SKU customs data" });
+  }
+});
+
+// Bulk import: a CSV body (sku, hs_tariff_number, origin_country, description,
+// value, weight_oz) or JSON { customs: [...] }. Nothing is saved if any row is invalid.
+app.post("/skus/customs/import", async (request, reply) => {
+  const rows = typeof request.body === "string"
+    ? parseCsv(request.body)
+    : request.body?.customs;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return reply.code(400).send({ error: "No customs data to import" });
+  }
+
+  try {
+    const result = await importSkuCustoms(request.shop.id, rows);
+    return reply.code(result.errors.length > 0 ? 422 : 200).send({
+      success: result.errors.length === 0,
+      ...result,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to import SKU customs data" });
+  }
+});
+
+// The order's orders row and, with ?shipmentId=, that shipment; errors carry .status
+async function loadCustomsOrder(request) {
+  const { orderId } = request.params;
+  const { shipmentId } = request.query;
+  const fail = (status, error) => httpError(status, error);
+
+  const orderResult = await pool.query(
+    `SELECT * FROM orders WHERE id = $1 AND shop_id = $2`,
+    [orderId, request.shop.id]
+  );
+  const order = orderResult.rows[0];
+  if (!order) {
+    throw fail(404, "Order not found");
+  }
+
+  let shipment = null;
+  if (shipmentId) {
+    const shipmentResult = await pool.query(
+      `SELECT * FROM shipments WHERE id = $1 AND order_id = $2`,
+      [shipmentId, order.id]
+    );
+    shipment = shipmentResult.rows[0];
+    if (!shipment) {
+      throw fail(404, "Shipment not found on this order");
+    }
+  }
+
+  const lines = await getCustomsLines(order.id, { shipmentId: shipment?.id || null });
+  return { order, shipment, lines };
+}
+
+// Whether an order (or ?shipmentId= package) can be declared, and what's missing
+app.get("/orders/:orderId/customs", async (request, reply) => {
+  try {
+    const { order, shipment, lines } = await loadCustomsOrder(request);
+    const missing = missingCustoms(lines);
+
+    return reply.send({
+      order_id: order.id,
+      shipment_id: shipment?.id || null,
+      origin_country: originCountry(),
+      destination_country: buildToAddress(order).country,
+      customs_required: needsCustoms(order),
+      ready: missing.length === 0,
+      missing,
+      items: lines,
+    });
+  } catch (err) {
+    if (err.status) {
+      return reply.code(err.status).send({ error: err.message });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch customs data" });
+  }
+});
+
+// Commercial invoice for the unshipped items, or one package with ?shipmentId=
+app.get("/orders/:orderId/commercial-invoice/pdf", async (request, reply) => {
+  try {
+    const { order, shipment, lines } = await loadCustomsOrder(request);
+
+    if (!needsCustoms(order)) {
+      return reply.code(409).send({ error: `Order ships within ${originCountry()}; no commercial invoice is needed` });
+    }
+
+    if (lines.length === 0) {
+      return reply.code(404).send({ error: "Nothing left to ship on this order; ask for a shipment with ?shipmentId=" });
+    }
+
+    const missing = missingCustoms(lines);
+    if (missing.length > 0) {
+      const { status, body } = customsMissingError(missing);
+      return reply.code(status).send(body);
+    }
+
+    const invoice = buildCommercialInvoice(order, lines, shipment);
+    const template = await loadDocumentTemplate(request, "commercial_invoice");
+
+    reply.raw.setHeader("Content-Type", "application/pdf");
+    reply.raw.setHeader(
+      "Content-Disposition",
+      `attachment; filename=commercial-invoice-${order.id}${shipment ? `-${shipment.id}` : ""}.pdf`
+    );
+
+    const doc = new PDFDocument({ margin: 40 });
+    doc.pipe(reply.raw);
+    renderCommercialInvoicePdf(doc, invoice, template);
+    doc.end();
+
+    return reply;
+  } catch (err) {
+    if (err.status) {
+      return reply.code(err.status).send({ error: err.message });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to generate commercial invoice" });
+  }
+});
+
+// ==============================
+// SHIPPING LABEL PURCHASE SYSTEM
+// ==============================
+
+// Rate shop an order across every configured carrier account
+app.get("/orders/:orderId/rates", async (request, reply) => {
+  const { orderId } = request.params;
+  const { policy, maxDays, preferredCarriers, ...parcel } = request.query;
+
+  if (!easypost) {
+    return reply.code(503).send({ error: "EasyPost is not configured" });
+  }
+
+  if (policy && !RATE_POLICIES.includes(policy)) {
+    return reply.code(400).send({ error: "Unknown rate policy", policies: RATE_POLICIES });
+  }
+
+  const parcelParams = buildParcel(parcel);
+  if (!parcelParams) {
+    return reply.code(400).send({ error: "Missing parcel weight" });
+  }
+
+  let order;
+  let customsInfo;
+  try {
+    const orderResult = await pool.query(
+      `SELECT * FROM orders WHERE id = $1 AND shop_id = $2`,
+      [orderId, request.shop.id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return reply.code(404).send({ error: "Order not found" });
+    }
+
+    order = orderResult.rows[0];
+    customsInfo = await orderCustomsInfo(order, parcelParams);
+  } catch (err) {
+    if (err.body) {
+      return reply.code(err.status).send(err.body);
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch rates" });
+  }
+
+  try {
+    const shipment = await createOrderShipment(order, parcelParams, customsInfo);
+    const rates = (shipment.rates || []).map(normalizeRate).sort((a, b) => a.price - b.price);
+
+    const recommended = policy
+      ? selectRate(rates, {
+          policy,
+          maxDays,
+          preferredCarriers,
+        })
+      : null;
+
+    return reply.send({
+      order_id: orderId,
+      // Pass back to /shipping/create-label to buy one of these rates
+      easypost_shipment_id: shipment.id,
+      rates,
+      recommended,
+    });
+  } catch (err) {
+    request.log.error(err);
+    const { status, body } = describeEasyPostError(err);
+    return reply.code(status).send(body);
+  }
+});
+
+app.post("/shipping/create-label", async (request, reply) => {
+  const {
+    orderId,
+    shipmentId,
+    rateId,
+    carrier,
+    service,
+    policy,
+    maxDays,
+    preferredCarriers,
+    parcel,
+    notifyCustomer: notify,
+    items,
+    stationId,
+  } = request.body;
+
+  if (!orderId) {
+    return reply.code(400).send({ error: "Missing orderId" });
+  }
+
+  if (!easypost) {
+    return reply.code(503).send({ error: "EasyPost is not configured" });
+  }
+
+  if (policy && !RATE_POLICIES.includes(policy)) {
+    return reply.code(400).send({ error: "Unknown rate policy", policies: RATE_POLICIES });
+  }
+
+  const parcelParams = buildParcel(parcel);
+  if (!shipmentId && !parcelParams) {
+    return reply.code(400).send({ error: "Missing parcel weight" });
+  }
+
+  const shipmentItems = parseShipmentItems(items);
+  if (shipmentItems === undefined) {
+    return reply.code(400).send({ error: "items must be a list of { order_item_id, quantity }" });
+  }
+
+  let order;
+  let customsInfo;
+  try {
+    const orderResult = await pool.query(
+      `SELECT * FROM orders WHERE id = $1 AND shop_id = $2`,
+      [orderId, request.shop.id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return reply.code(404).send({ error: "Order not found" });
+    }
+
+    order = orderResult.rows[0];
+
+    // Don't pay for a label for units that have already shipped
+    const packageItems = resolveShipmentItems(await getOrderItemProgress(pool, order.id), shipmentItems);
+    customsInfo = await orderCustomsInfo(order, parcelParams, packageItems);
+  } catch (err) {
+    if (err.body) {
+      return reply.code(err.status).send(err.body);
+    }
+
+    if (err.status) {
+      return reply.code(err.status).send({ error: err.message, details: err.details });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to create label" });
+  }
+
+  // 1️⃣ Create (or reuse the rated) EasyPost shipment and buy the chosen rate
+  let purchased;
+  let selection;
+  try {
+    ({ purchased, selection } = await purchaseOrderLabel(order, {
+      shipmentId,
+      parcel: parcelParams,
+      customsInfo,
+      rate: { rateId, carrier, service, policy, maxDays, preferredCarriers },
+    }));
+  } catch (err) {
+    if (err.body) {
+      return reply.code(err.status).send(err.body);
+    }
+
+    request.log.error(err);
+    const { status, body } = describeEasyPostError(err);
+    return reply.code(status).send(body);
+  }
+
+  // 2️⃣ Record the label and what's in the box, and update the order status
+  try {
+    const label = purchased.postage_label || {};
+    const rate = normalizeRate(purchased.selected_rate);
+
+    const created = await createShipment({
+      orderId: order.id,
+      shopId: request.shop.id,
+      fields: {
+        carrier: rate.carrier,
+        service: rate.service,
+        tracking_number: purchased.tracking_code,
+        label_url: label.label_url,
+        label_file: label.label_file || null,
+        postage_cost: rate.price,
+        easypost_shipment_id: purchased.id,
+        easypost_rate_id: rate.id,
+        delivery_days: rate.delivery_days,
+        rate_policy: selection.policy,
+        rate_reason: selection.reason,
+        tracking_url: purchased.tracker?.public_url || null,
+        easypost_tracker_id: purchased.tracker?.id || null,
+        notify_customer: notifyCustomer(notify),
+        shipped_at: new Date(),
+      },
+      items: shipmentItems,
+      actor: requestActor(request),
+      reason: `Label purchased: ${rate.carrier} ${rate.service}`,
+    });
+
+    const shopify = await syncShipmentToShopify(created.shipment.id, request.log);
+    await queueShipmentEmail(request, order.id, created.shipment.id);
+
+    // Straight to the station's label printer; the label is bought either way
+    let printJob = null;
+    let printError = null;
+    if (stationId) {
+      try {
+        printJob = await queueShipmentLabel(request, stationId, created.shipment);
+      } catch (err) {
+        request.log.warn({ err, stationId }, "Label purchased but not queued for printing");
+        printError = err.body?.error || err.message;
+      }
+    }
+
+    return reply.send({
+      success: true,
+      shipment: created.shipment,
+      items: created.items,
+      order_status: created.order_status,
+      shopify,
+      rate,
+      reason: selection.reason,
+      label_url: label.label_url,
+      ...(stationId ? { print_job: printJob, print_error: printError } : {}),
+    });
+  } catch (err) {
+    // The label is already paid for at this point, so surface the EasyPost id
+    request.log.error(err);
+    return reply.code(500).send({
+      error: "Label purchased but failed to save shipment",
+      easypost_shipment_id: purchased.id,
+      tracking_number: purchased.tracking_code,
+    });
+  }
+});
+
+// ==============================
+// CARRIER LABEL (PNG, PDF or ZPL)
+// ==============================
+
+/**
+ * A shipment's label file in a format, converting through EasyPost the
+ * first time that format is asked for. Errors carry .status and .body.
+ * @param {Object} shipment - shipments row
+ * @param {string} format - Key of LABEL_FORMATS
+ * @returns {Promise<{ content: Buffer, contentType: string }>}
+ */
+async function loadShipmentLabel(shipment, format) {
+  const fail = (status, body) => Object.assign(httpError(status, body.error), { body });
+  const { column, contentType } = LABEL_FORMATS[format];
+
+  if (!shipment[column] && !shipment.easypost_shipment_id) {
+    throw fail(404, { error: "No EasyPost label for this shipment" });
+  }
+
+  if (!shipment[column] && !easypost) {
+    throw fail(503, { error: "EasyPost is not configured" });
+  }
+
+  let url;
+  try {
+    const label = await getLabelUrl(shipment, format);
+    url = label.url;
+
+    if (label.converted && url) {
+      await pool.query(`UPDATE shipments SET ${column} = $2 WHERE id = $1`, [shipment.id, url]);
+    }
+  } catch (err) {
+    const { status, body } = describeEasyPostError(err);
+    throw fail(status, body);
+  }
+
+  if (!url) {
+    throw fail(404, { error: `No ${format.toUpperCase()} label available` });
+  }
+
+  try {
+    return { content: await downloadLabel(url), contentType };
+  } catch (err) {
+    throw fail(502, { error: "Failed to download label", label_url: url });
+  }
+}
+
+// Queue a shipment's label on a station's label printer
+function queueShipmentLabel(request, stationId, shipment) {
+  return queueDocument(request, stationId, {
+    documentType: "label",
+    title: `Label ${shipment.carrier || ""} ${shipment.tracking_number || shipment.id}`.replace(/\s+/g, " "),
+    render: printerFormat => {
+      if (!LABEL_FORMATS[printerFormat]) {
+        throw httpError(409, `A ${printerFormat} printer can't print carrier labels`);
+      }
+      return loadShipmentLabel(shipment, printerFormat);
+    },
+    refs: { orderId: shipment.order_id, shipmentId: shipment.id },
+  });
+}
+
+// ?station= queues the label on that station's label printer instead
+app.get("/shipments/:shipmentId/label", async (request, reply) => {
+  const { shipmentId } = request.params;
+  const { station } = request.query;
+  const format = request.query.format || "png";
+
+  if (!LABEL_FORMATS[format]) {
+    return reply.code(400).send({ error: `format must be one of ${Object.keys(LABEL_FORMATS).join(", ")}` });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM shipments WHERE id = $1 AND shop_id = $2`,
+      [shipmentId, request.shop.id]
+    );
+
+    if (result.rows.length === 0) {
+      return reply.code(404).send({ error: "Shipment not found" });
+    }
+
+    const shipment = result.rows[0];
+
+    if (station) {
+      const job = await queueShipmentLabel(request, station, shipment);
+      return reply.code(202).send({ print_job: job });
+    }
+
+    const { content, contentType } = await loadShipmentLabel(shipment, format);
+
+    reply.header("Content-Type", contentType);
+    reply.header("Content-Disposition", `inline; filename=label-${shipment.id}.${format}`);
+    return reply.send(content);
+  } catch (err) {
+    if (err.status) {
+      return reply.code(err.status).send(err.body || { error: err.message });
+    }
+
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch label" });
+  }
+});
+
+// ==============================
+// RETURNS (RMA)
+// ==============================
+
+// Errors thrown by returns-db carry the HTTP status to send
+function sendReturnError(request, reply, err, message) {
+  if (err.status) {
+    return reply.code(err.status).send({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+  }
+
+  request.log.error(err);
+  return reply.code(500).send({ error: message });
+}
+
+// { order_item_id, quantity, reason, note }; undefined if anything is off
+function parseReturnItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return undefined;
+  }
+
+  const parsed = items.map(item => ({
+    order_item_id: parseInt(item?.order_item_id, 10),
+    quantity: parseInt(item?.quantity, 10),
+    reason: item?.reason,
+    note: item?.note || null,
+  }));
+
+  const valid = parsed.every(item =>
+    item.order_item_id > 0 && item.quantity > 0 && RETURN_REASONS.includes(item.reason)
+  );
+  return valid ? parsed : undefined;
+}
+
+// { sku, product_name, quantity, price }; null sends the returned items again
+function parseExchangeItems(items) {
+  if (items == null) {
+    return null;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return undefined;
+  }
+
+  const parsed = items.map(item => ({
+    sku: item?.sku ? String(item.sku) : null,
+    product_name: item?.product_name ? String(item.product_name) : null,
+    quantity: parseInt(item?.quantity, 10),
+    price: item?.price == null ? null : Number(item.price),
+  }));
+
+  const valid = parsed.every(item => item.sku && item.quantity > 0 && !Number.isNaN(item.price));
+  return valid ? parsed : undefined;
+}
+
+// Refund the received units in Shopify
+async function refundReturn(shopData, ret, notify) {
+  if (!ret.shopify_order_id) {
+    throw httpError(422, "Order didn't come from Shopify; refund it where it was paid");
+  }
+
+  // Restocked and disposed units of a line are refunded as separate lines
+  // so Shopify only puts the restocked ones back in stock
+  const lineItems = ret.items
+    .filter(item => item.received_quantity > 0)
+    .flatMap(item => {
+      const restocked = ret.receipts
+        .filter(receipt => receipt.return_item_id === item.id && receipt.outcome === "restock")
+        .reduce((total, receipt) => total + receipt.quantity, 0);
+
+      return [
+        { shopify_line_item_id: item.shopify_line_item_id, quantity: restocked, restock: true },
+        { shopify_line_item_id: item.shopify_line_item_id, quantity: item.received_quantity - restocked, restock: false },
+      ].filter(line => line.quantity > 0);
+    });
+
+  if (lineItems.some(item => !item.shopify_line_item_id)) {
+    throw httpError(422, "Return includes items that aren't Shopify line items on this order");
+  }
+
+  // A retry after Shopify refunded but we didn't hear back (or didn't
+  // record it) picks up that refund instead of paying out twice
+  const note = `Return ${ret.rma_number}`;
+  const existing = (await getRefunds(shopData, ret.shopify_order_id)).find(refund => refund.note === note);
+
+  const refund = existing || await createRefund(shopData, ret.shopify_order_id, {
+    lineItems,
+    note,
+    notifyCustomer: notify,
+  });
+
+  const amount = (refund.transactions || []).reduce((total, transaction) => total + Number(transaction.amount), 0);
+  return { shopifyRefundId: String(refund.id), amount };
+}
+
+// Reasons, resolutions and receiving conditions the API accepts
+app.get("/returns/options", async () => {
+  return {
+    reasons: RETURN_REASONS,
+    resolutions: RETURN_RESOLUTIONS,
+    conditions: RETURN_CONDITIONS,
+    outcomes: RETURN_OUTCOMES,
+    default_outcomes: DEFAULT_OUTCOMES,
+  };
+});
+
+app.get("/returns", async (request, reply) => {
+  const { status, orderId } = request.query;
+
+  try {
+    const returns = await getReturns(request.shop.id, { status: status || null, orderId: orderId || null });
+    return reply.send(returns);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to fetch returns");
+  }
+});
+
+// Open returns for a scanned RMA number, return tracking number or order number
+app.get("/returns/lookup", async (request, reply) => {
+  const { code } = request.query;
+
+  if (!code) {
+    return reply.code(400).send({ error: "Missing code" });
+  }
+
+  try {
+    const returns = await findReturns(request.shop.id, code);
+    if (returns.length === 0) {
+      return reply.code(404).send({ error: `No open return for ${code}` });
+    }
+
+    return reply.send(returns);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to look up return");
+  }
+});
+
+app.get("/returns/:returnId", async (request, reply) => {
+  try {
+    const ret = await getReturn(request.shop.id, request.params.returnId);
+    if (!ret) {
+      return reply.code(404).send({ error: "Return not found" });
+    }
+
+    return reply.send(ret);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to fetch return");
+  }
+});
+
+app.get("/orders/:orderId/returns", async (request, reply) => {
+  try {
+    const returns = await getReturns(request.shop.id, { orderId: request.params.orderId });
+    return reply.send(returns);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to fetch returns");
+  }
+});
+
+// Authorize a return: which shipped units are coming back, why, and whether
+// the customer wants a refund or an exchange
+app.post("/orders/:orderId/returns", async (request, reply) => {
+  const { items, resolution, exchange_items, note } = request.body || {};
+
+  const returnItems = parseReturnItems(items);
+  if (!returnItems) {
+    return reply.code(400).send({
+      error: "items must be a list of { order_item_id, quantity, reason }",
+      reasons: RETURN_REASONS,
+    });
+  }
+
+  if (!RETURN_RESOLUTIONS.includes(resolution)) {
+    return reply.code(400).send({ error: `resolution must be one of: ${RETURN_RESOLUTIONS.join(", ")}` });
+  }
+
+  const exchangeItems = parseExchangeItems(exchange_items);
+  if (exchangeItems === undefined) {
+    return reply.code(400).send({ error: "exchange_items must be a list of { sku, product_name, quantity, price }" });
+  }
+
+  try {
+    const ret = await createReturn(request.shop.id, request.params.orderId, {
+      items: returnItems,
+      resolution,
+      exchangeItems: resolution === "exchange" ? exchangeItems : null,
+      note: note || null,
+      createdBy: requestActor(request),
+    });
+    return reply.code(201).send(ret);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to create return");
+  }
+});
+
+// Buy a prepaid return label through EasyPost (cheapest rate unless a
+// rateId, carrier/service or policy says otherwise)
+app.post("/returns/:returnId/label", async (request, reply) => {
+  const { parcel, rateId, carrier, service, policy } = request.body || {};
+
+  if (!easypost) {
+    return reply.code(503).send({ error: "EasyPost is not configured" });
+  }
+
+  if (policy && !RATE_POLICIES.includes(policy)) {
+    return reply.code(400).send({ error: "Unknown rate policy", policies: RATE_POLICIES });
+  }
+
+  const parcelParams = buildParcel(parcel);
+  if (!parcelParams) {
+    return reply.code(400).send({ error: "Missing parcel weight" });
+  }
+
+  let ret;
+  let order;
+  try {
+    ret = await getReturn(request.shop.id, request.params.returnId);
+    if (!ret) {
+      return reply.code(404).send({ error: "Return not found" });
+    }
+
+    if (ret.status !== "authorized") {
+      return reply.code(409).send({ error: `Return is ${ret.status}` });
+    }
+
+    if (ret.tracking_number) {
+      return reply.code(409).send({ error: "Return already has a label", label_url: ret.label_url });
+    }
+
+    const orderResult = await pool.query(`SELECT * FROM orders WHERE id = $1`, [ret.order_id]);
+    order = orderResult.rows[0];
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to create return label");
+  }
+
+  let purchased;
+  let selection;
+  try {
+    const shipment = await createReturnShipment(order, parcelParams);
+    const rates = (shipment.rates || []).map(normalizeRate);
+    selection = selectRate(rates, { rateId, carrier, service, policy: policy || "cheapest" });
+
+    if (!selection.rate) {
+      return reply.code(422).send({
+        error: "No rate could be selected for this return",
+        reason: selection.reason,
+        rates,
+      });
+    }
+
+    purchased = await easypost.Shipment.buy(shipment.id, selection.rate.id);
+  } catch (err) {
+    request.log.error(err);
+    const { status, body } = describeEasyPostError(err);
+    return reply.code(status).send(body);
+  }
+
+  try {
+    const rate = normalizeRate(purchased.selected_rate);
+    const saved = await saveReturnLabel(request.shop.id, ret.id, {
+      carrier: rate.carrier,
+      service: rate.service,
+      tracking_number: purchased.tracking_code,
+      label_url: purchased.postage_label?.label_url || null,
+      postage_cost: rate.price,
+      easypost_shipment_id: purchased.id,
+    });
+
+    return reply.send({ success: true, return: saved, rate, label_url: saved.label_url });
+  } catch (err) {
+    // The label is already paid for at this point, so surface the EasyPost id
+    request.log.error(err);
+    return reply.code(500).send({
+      error: "Return label purchased but failed to save it",
+      easypost_shipment_id: purchased.id,
+      tracking_number: purchased.tracking_code,
+    });
+  }
+});
+
+// Receive returned units at the returns bench: scan a SKU or product
+// barcode (or send return_item_id) and record the condition. Damaged and
+// defective units are disposed of unless outcome says otherwise.
+app.post("/returns/:returnId/receive", async (request, reply) => {
+  const { code, return_item_id, quantity, condition, outcome, note, received_by } = request.body || {};
+  const units = quantity == null ? 1 : parseInt(quantity, 10);
+
+  if (!code && !return_item_id) {
+    return reply.code(400).send({ error: "Missing code or return_item_id" });
+  }
+
+  if (!Number.isInteger(units) || units < 1) {
+    return reply.code(400).send({ error: "quantity must be a positive whole number" });
+  }
+
+  if (!RETURN_CONDITIONS.includes(condition)) {
+    return reply.code(400).send({ error: `condition must be one of: ${RETURN_CONDITIONS.join(", ")}` });
+  }
+
+  if (outcome && !RETURN_OUTCOMES.includes(outcome)) {
+    return reply.code(400).send({ error: `outcome must be one of: ${RETURN_OUTCOMES.join(", ")}` });
+  }
+
+  try {
+    const result = await receiveReturnItem(request.shop.id, request.params.returnId, {
+      code,
+      returnItemId: return_item_id ? parseInt(return_item_id, 10) : null,
+      quantity: units,
+      condition,
+      outcome,
+      note,
+      receivedBy: received_by || requestActor(request),
+    });
+
+    // Once, on the first units back
+    if (result.return.status !== "authorized") {
+      await queueCustomerEmail(
+        "return_received",
+        {
+          shopId: request.shop.id,
+          orderId: result.return.order_id,
+          returnId: result.return.id,
+          dedupeKey: `return_received:${result.return.id}`,
+        },
+        request.log
+      );
+    }
+
+    return reply.send(result);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to receive return");
+  }
+});
+
+// Cancel a return nothing has been received for
+app.post("/returns/:returnId/cancel", async (request, reply) => {
+  try {
+    const ret = await cancelReturn(request.shop.id, request.params.returnId);
+    return reply.send({ success: true, return: ret });
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to cancel return");
+  }
+});
+
+// Refund the received units in Shopify, or create the exchange order.
+// Only once per return; a failed attempt can be retried.
+app.post("/returns/:returnId/resolve", async (request, reply) => {
+  const { notify_customer } = request.body || {};
+
+  let ret;
+  let refund;
+  try {
+    ret = await claimReturnResolution(request.shop.id, request.params.returnId);
+  } catch (err) {
+    return sendReturnError(request, reply, err, "Failed to resolve return");
+  }
+
+  try {
+    if (ret.resolution === "exchange") {
+      const exchange = await createExchangeOrder(request.shop.id, ret, requestActor(request));
+      return reply.send({ success: true, resolution: "exchange", exchange_order: exchange.order, items: exchange.items });
+    }
+
+    refund = await refundReturn(request.shop, ret, notifyCustomer(notify_customer));
+    await markReturnRefunded(ret.id, refund);
+    return reply.send({
+      success: true,
+      resolution: "refund",
+      shopify_refund_id: refund.shopifyRefundId,
+      refund_amount: refund.amount,
+    });
+  } catch (err) {
+    request.log.error(err);
+
+    // Shopify has paid out: never mark it failed (a retry would refund
+    // again); it stays processing with the refund id in the log
+    if (refund) {
+      request.log.error({ returnId: ret.id, shopifyRefundId: refund.shopifyRefundId }, "Return refunded but not recorded");
+      return reply.code(500).send({
+        error: "Refunded in Shopify but failed to record the refund",
+        shopify_refund_id: refund.shopifyRefundId,
+      });
+    }
+
+    try {
+      await markReturnResolutionFailed(ret.id, err.message);
+    } catch (markErr) {
+      request.log.error(markErr);
+    }
+
+    // Our own checks and Shopify rejections are 4xx; outages are 502
+    const status = !err.status ? 500 : err.status < 500 ? 422 : 502;
+    return reply.code(status).send({ error: err.message });
+  }
+});
+
+// ==============================
+// SHIPPING MANIFEST / SCAN FORM SYSTEM
+// ==============================
+
+// Manifest columns returned by the API (everything but the SCAN form PDF)
+const MANIFEST_COLUMNS = `
+  m.id, m.batch_id, m.carrier, m.manifest_type, m.tracking_codes,
+  m.shipment_count, m.scan_form_id, m.scan_form_url,
+  m.manifest_date, m.created_at
+`;
+
+app.post("/manifests/create", async (request, reply) => {
+  const { batchId } = request.body;
+
+  let shipments;
+  try {
+    // Get all shipments in the batch
+    const shipmentsResult = await pool.query(
+      `
+      SELECT
+        s.id,
+        s.tracking_number,
+        s.carrier,
+        s.easypost_shipment_id
+      FROM shipments s
+      JOIN orders o ON s.order_id = o.id
+      WHERE o.batch_id = $1
+        AND o.shop_id = $2
+        AND s.tracking_number IS NOT NULL
+        AND s.manifest_id IS NULL
+      ORDER BY s.id
+      `,
+      [batchId, request.shop.id]
+    );
+
+    shipments = shipmentsResult.rows;
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to create manifest" });
+  }
+
+  // Shipments already on a manifest (and a SCAN form) stay on it
+  if (shipments.length === 0) {
+    return reply.code(404).send({ error: "No shipments left to manifest in batch" });
+  }
+
+  // A manifest is per carrier, so shipments recorded without one can't go on it
+  const withoutCarrier = shipments.filter(s => !s.carrier?.trim()).map(s => s.id);
+  shipments = shipments.filter(s => s.carrier?.trim());
+  if (shipments.length === 0) {
+    return reply.code(422).send({
+      error: "Shipments in this batch have no carrier",
+      shipment_ids: withoutCarrier,
+    });
+  }
+
+  // 1️⃣ One manifest per carrier. USPS labels bought through EasyPost go on
+  // a SCAN form; any other USPS packages get a pickup manifest of their own
+  const groups = {};
+  for (const shipment of shipments) {
+    const carrier = shipment.carrier.trim();
+    const scanForm = carrier.toUpperCase() === "USPS" && Boolean(easypost && shipment.easypost_shipment_id);
+    const key = `${carrier.toUpperCase()}:${scanForm ? "scan_form" : "pickup"}`;
+    if (!groups[key]) {
+      groups[key] = { carrier, manifestType: scanForm ? "scan_form" : "pickup", shipments: [] };
+    }
+    groups[key].shipments.push(shipment);
+  }
+
+  // SCAN forms already bought from EasyPost that never made it onto a manifest
+  const logUnsavedScanForms = () => {
+    const scanFormIds = Object.values(groups).map(g => g.scanForm?.id).filter(Boolean);
+    if (scanFormIds.length > 0) {
+      request.log.error({ scan_form_ids: scanFormIds, batchId }, "SCAN forms were created but not saved");
+    }
+  };
+
+  // 2️⃣ Create the SCAN forms
+  for (const group of Object.values(groups)) {
+    if (group.manifestType !== "scan_form") {
+      continue;
+    }
+
+    try {
+      group.scanForm = await createScanForm(group.shipments.map(s => s.easypost_shipment_id));
+    } catch (err) {
+      request.log.error(err);
+      logUnsavedScanForms();
+      if (err.statusCode) {
+        const { status, body } = describeEasyPostError(err);
+        return reply.code(status).send(body);
+      }
+      return reply.code(502).send({ error: "Failed to generate USPS SCAN form" });
+    }
+  }
+
+  // 3️⃣ Save every manifest together
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const manifests = [];
+    for (const group of Object.values(groups)) {
+      const trackingNumbers = group.shipments.map(s => s.tracking_number);
+      const scanForm = group.scanForm;
+
+      const manifestResult = await client.query(
+        `
+        INSERT INTO shipping_manifests (
+          batch_id, carrier, manifest_type, tracking_codes, shipment_count,
+          scan_form_id, scan_form_url, scan_form_pdf, shop_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+        `,
+        [
+          batchId,
+          group.carrier,
+          group.manifestType,
+          trackingNumbers,
+          trackingNumbers.length,
+          scanForm?.id || null,
+          scanForm?.form_url || null,
+          scanForm?.pdf || null,
+          request.shop.id,
+        ]
+      );
+
+      const manifestId = manifestResult.rows[0].id;
+
+      // Claim the shipments; a concurrent request may have got there first
+      const claimed = await client.query(
+        `UPDATE shipments SET manifest_id = $1 WHERE id = ANY($2::int[]) AND manifest_id IS NULL`,
+        [manifestId, group.shipments.map(s => s.id)]
+      );
+      if (claimed.rowCount !== group.shipments.length) {
+        await client.query("ROLLBACK");
+        logUnsavedScanForms();
+        return reply.code(409).send({ error: "Some of these shipments were manifested by another request" });
+      }
+
+      manifests.push(manifestId);
+    }
+
+    const savedResult = await client.query(
+      `SELECT ${MANIFEST_COLUMNS} FROM shipping_manifests m WHERE m.id = ANY($1::int[]) ORDER BY m.id`,
+      [manifests]
+    );
+
+    await client.query("COMMIT");
+
+    return reply.send({
+      success: true,
+      manifests: savedResult.rows.map(manifest => ({
+        ...manifest,
+        print_url: `/manifests/${manifest.id}/print`,
+      })),
+      shipment_count: shipments.length,
+      skipped_shipment_ids: withoutCarrier,
+    });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    request.log.error(err);
+    logUnsavedScanForms();
+    return reply.code(500).send({ error: "Failed to create manifest" });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// PRINT MANIFEST
+// ==============================
+app.get("/manifests/:manifestId/print", async (request, reply) => {
+  const { manifestId } = request.params;
+  const { format } = request.query;
+
+  if (format && !DOCUMENT_FORMATS.includes(format)) {
+    return reply.code(400).send({ error: FORMAT_ERROR });
+  }
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        m.*,
+        b.name AS batch_name
+      FROM shipping_manifests m
+      LEFT JOIN batches b ON m.batch_id = b.id
+      WHERE m.id = $1
+        AND m.shop_id = $2
+      `,
+      [manifestId, request.shop.id]
+    );
+
+    if (result.rows.length === 0) {
+      return reply.code(404).send({ error: "Manifest not found" });
+    }
+
+    const manifest = result.rows[0];
+
+    // Thermal printers get our own 4x6 manifest (naming the SCAN form it
+    // goes with); a PDF is the SCAN form itself when there is one
+    if (
+      request.query.station ||
+      format === "zpl" ||
+      format === "text" ||
+      (format === "pdf" && !manifest.scan_form_pdf)
+    ) {
+      return await sendThermalDocument(request, reply, format, manifestPages(manifest), {
+        filename: `manifest-${manifest.id}`,
+        documentType: "manifest",
+        title: `Manifest ${manifest.id}`,
+      });
+    }
+
+    // USPS SCAN form: hand back the form EasyPost generated
+    if (manifest.scan_form_pdf) {
+      reply.header("Content-Type", "application/pdf");
+      reply.header(
+        "Content-Disposition",
+        `inline; filename=scan-form-${manifest.id}.pdf`
+      );
+      return reply.send(manifest.scan_form_pdf);
+    }
+
+    // Carrier pickup manifest: one scannable barcode per package
+    const barcodes = await Promise.all(
+      manifest.tracking_codes.map(async code => {
+        const png = await bwipjs.toBuffer({
+          bcid: "code128",
+          text: String(code),
+          scale: 2,
+          height: 10,
+          includetext: true,
+          textxalign: "center"
+        });
+        return { code, src: `data:image/png;base64,${png.toString("base64")}` };
+      })
+    );
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Shipping Manifest - ${manifest.id}</title>
+  <style>
+    @page {
+      size: 4in 6in;
+      margin: 0.2in;
+    }
+    @media print {
+      body { margin: 0; }
+      .no-print { display: none; }
+    }
+    body {
+      font-family: Arial, sans-serif;
+      width: 4in;
+      margin: 0 auto;
+      padding: 0.3in;
+    }
+    h1 {
+      font-size: 18pt;
+      text-align: center;
+      margin: 0 0 10px 0;
+      border-bottom: 2px solid #000;
+      padding-bottom: 5px;
+    }
+    .info {
+      font-size: 11pt;
+      margin: 8px 0;
+    }
+    .label {
+      font-weight: bold;
+      display: inline-block;
+      width: 100px;
+    }
+    .shipments {
+      margin-top: 15px;
+      font-size: 9pt;
+      border-top: 1px solid #000;
+      padding-top: 8px;
+    }
+    .shipments h2 {
+      font-size: 10pt;
+      margin: 5px 0;
+    }
+    .package {
+      text-align: center;
+      margin: 8px 0;
+      page-break-inside: avoid;
+    }
+    .package img {
+      max-width: 100%;
+      height: 0.6in;
+    }
+    .signature {
+      margin-top: 20px;
+      font-size: 10pt;
+    }
+    button {
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      padding: 10px 20px;
+      background: #28a745;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+      font-size: 14pt;
+    }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()">🖨️ Print</button>
+  
+  <h1>${manifest.carrier.toUpperCase()} PICKUP MANIFEST</h1>
+  
+  <div class="info">
+    <span class="label">Manifest ID:</span> ${manifest.id}
+  </div>
+  <div class="info">
+    <span class="label">Date:</span> ${new Date(manifest.manifest_date).toLocaleDateString()}
+  </div>
+  <div class="info">
+    <span class="label">Carrier:</span> ${manifest.carrier}
+  </div>
+  ${manifest.batch_name ? `
+    <div class="info">
+      <span class="label">Batch:</span> ${manifest.batch_name}
+    </div>
+  ` : ''}
+  <div class="info">
+    <span class="label">Packages:</span> ${manifest.shipment_count}
+  </div>
+  
+  <div class="shipments">
+    <h2>Packages (${barcodes.length})</h2>
+    ${barcodes.map(barcode => `
+      <div class="package">
+        <img src="${barcode.src}" alt="${barcode.code}">
+      </div>
+    `).join('')}
+  </div>
+
+  <div class="signature">
+    Driver signature: ______________________<br><br>
+    Pickup time: ___________________________
+  </div>
+</body>
+</html>
+    `;
+
+    reply.header("Content-Type", "text/html");
+    return reply.send(html);
+
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to print manifest" });
+  }
+});
+
+// ==============================
+// GET ALL MANIFESTS
+// ==============================
+app.get("/manifests", async (request, reply) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        ${MANIFEST_COLUMNS},
+        b.name AS batch_name
+      FROM shipping_manifests m
+      LEFT JOIN batches b ON m.batch_id = b.id
+      WHERE m.shop_id = $1
+      ORDER BY m.created_at DESC
+      `,
+      [request.shop.id]
+    );
+    return reply.send({ manifests: result.rows });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch manifests" });
+  }
+});
+
+// ==============================
+// SHOPIFY INTEGRATION (Per-shop access tokens)
+// ==============================
+
+/**
+ * Insert or update an order and its line items from a Shopify payload.
+ * Line items are matched on their Shopify id so order_items ids stay stable.
+ * Payloads older than what we already stored are ignored.
+ * @param {number} shopId - shops.id the order belongs to
+ * @param {Object} shopifyOrder - Order from the Admin API or a webhook
+ * @returns {Promise<Object>} - { id, batch_id, status, created, stale }
+ */
+async function upsertShopifyOrder(shopId, shopifyOrder) {
+  const { order, items } = mapShopifyOrder(shopifyOrder);
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const existingResult = await client.query(
+      `
+      SELECT id, batch_id, status, shopify_updated_at, shopify_address_hash
+      FROM orders
+      WHERE shop_id = $3
+        AND (shopify_order_id = $1
+             OR (shopify_order_id IS NULL AND order_number = $2))
+      LIMIT 1
+      FOR UPDATE
+      `,
+      [order.shopify_order_id, order.order_number, shopId]
+    );
+    const existing = existingResult.rows[0];
+
+    if (
+      existing?.shopify_updated_at &&
+      order.shopify_updated_at &&
+      new Date(existing.shopify_updated_at) > new Date(order.shopify_updated_at)
+    ) {
+      await client.query("ROLLBACK");
+      return { ...existing, created: false, stale: true };
+    }
+
+    let saved;
+    if (existing) {
+      const updateResult = await client.query(
+        `
+        UPDATE orders SET
+          order_number = $2, order_date = $3, customer_name = $4,
+          order_total = $5, shopify_order_id = $6, shopify_updated_at = $7,
+          shopify_customer_id = $8, shipping_method = $9, customer_email = $10
+        WHERE id = $1
+        RETURNING id, batch_id, status
+        `,
+        [
+          existing.id,
+          order.order_number,
+          order.order_date,
+          order.customer_name,
+          order.order_total,
+          order.shopify_order_id,
+          order.shopify_updated_at,
+          order.shopify_customer_id,
+          order.shipping_method,
+          order.customer_email,
+        ]
+      );
+      saved = updateResult.rows[0];
+
+      // Only when the address changed in Shopify, so a correction accepted
+      // here isn't undone by the next sync. A new address is verified again.
+      if (existing.shopify_address_hash !== order.shopify_address_hash) {
+        await client.query(
+          `
+          UPDATE orders SET
+            recipient_name = $2, recipient_company = $3, recipient_address = $4,
+            recipient_address2 = $5, recipient_city = $6, recipient_state = $7,
+            recipient_zip = $8, recipient_country = $9, recipient_phone = $10,
+            shopify_address_hash = $11,
+            address_status = NULL, address_messages = NULL, suggested_address = NULL,
+            address_checked_at = NULL
+          WHERE id = $1
+          `,
+          [
+            existing.id,
+            order.recipient_name,
+            order.recipient_company,
+            order.recipient_address,
+            order.recipient_address2,
+            order.recipient_city,
+            order.recipient_state,
+            order.recipient_zip,
+            order.recipient_country,
+            order.recipient_phone,
+            order.shopify_address_hash,
+          ]
+        );
+      }
+    } else {
+      const insertResult = await client.query(
+        `
+        INSERT INTO orders (
+          order_number, order_date, customer_name, recipient_name,
+          recipient_address, recipient_city, recipient_state, recipient_zip,
+          recipient_phone, order_total, status, shopify_order_id, shopify_updated_at,
+          shopify_customer_id, shop_id, shipping_method, customer_email,
+          recipient_company, recipient_address2, recipient_country, shopify_address_hash
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'Pending', $11, $12, $13, $14, $15, $16,
+          $17, $18, $19, $20
+        )
+        RETURNING id, batch_id, status
+        `,
+        [
+          order.order_number,
+          order.order_date,
+          order.customer_name,
+          order.recipient_name,
+          order.recipient_address,
+          order.recipient_city,
+          order.recipient_state,
+          order.recipient_zip,
+          order.recipient_phone,
+          order.order_total,
+          order.shopify_order_id,
+          order.shopify_updated_at,
+          order.shopify_customer_id,
+          shopId,
+          order.shipping_method,
+          order.customer_email,
+          order.recipient_company,
+          order.recipient_address2,
+          order.recipient_country,
+          order.shopify_address_hash,
+        ]
+      );
+      saved = insertResult.rows[0];
+
+      await recordOrderStatus(client, {
+        orderId: saved.id,
+        shopId,
+        to: saved.status,
+        actor: "shopify",
+        reason: "Imported from Shopify",
+      });
+    }
+
+    // Line items: update matches, add new ones, drop the ones Shopify removed
+    // unless they were already shipped or returned
+    for (const item of items) {
+      // Items imported before line ids were stored have none; adopt the
+      // first one with the same SKU rather than replacing it, so its
+      // shipment, pack and return history stays attached
+      await client.query(
+        `
+        UPDATE order_items
+        SET shopify_line_item_id = $2
+        WHERE id = (
+            SELECT id FROM order_items
+            WHERE order_id = $1 AND shopify_line_item_id IS NULL AND sku IS NOT DISTINCT FROM $3
+            ORDER BY id
+            LIMIT 1
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM order_items WHERE order_id = $1 AND shopify_line_item_id = $2
+          )
+        `,
+        [saved.id, item.shopify_line_item_id, item.sku]
+      );
+
+      const updated = await client.query(
+        `
+        UPDATE order_items
+        SET sku = $3, product_name = $4, quantity = $5, price = $6
+        WHERE order_id = $1 AND shopify_line_item_id = $2
+        `,
+        [saved.id, item.shopify_line_item_id, item.sku, item.product_name, item.quantity, item.price]
+      );
+
+      if (updated.rowCount === 0) {
+        await client.query(
+          `INSERT INTO order_items (order_id, shopify_line_item_id, sku, product_name, quantity, price)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [saved.id, item.shopify_line_item_id, item.sku, item.product_name, item.quantity, item.price]
+        );
+      }
+    }
+
+    await client.query(
+      `
+      DELETE FROM order_items
+      WHERE order_id = $1
+        AND shopify_line_item_id IS NOT NULL
+        AND NOT (shopify_line_item_id = ANY($2::text[]))
+        AND NOT EXISTS (SELECT 1 FROM shipment_items si WHERE si.order_item_id = order_items.id)
+        AND NOT EXISTS (SELECT 1 FROM return_items ri WHERE ri.order_item_id = order_items.id)
+      `,
+      [saved.id, items.map(item => item.shopify_line_item_id)]
+    );
+
+    await client.query("COMMIT");
+    return { ...saved, created: !existing, stale: false };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Cancel an order we haven't started on; flag it if it's already in a batch
+async function cancelShopifyOrder(orderId, cancelledAt) {
+  const result = await pool.query(
+    `
+    UPDATE orders
+    SET
+      cancel_requested = batch_id IS NOT NULL,
+      cancelled_at = COALESCE(cancelled_at, $2, NOW())
+    WHERE id = $1
+    RETURNING batch_id
+    `,
+    [orderId, cancelledAt || null]
+  );
+
+  if (result.rows[0]?.batch_id === null) {
+    await transitionOrderStatus(orderId, "Cancelled", {
+      actor: "shopify",
+      reason: "Cancelled in Shopify",
+      skipInvalid: true,
+    });
+  }
+}
+
+/**
+ * Bring an order up to date from a Shopify payload (sync or webhook):
+ * upsert it, then apply a cancellation or fulfillment made in Shopify
+ * @param {number} shopId - shops.id the order belongs to
+ * @param {Object} shopifyOrder - Order from the Admin API or a webhook
+ * @param {Object} [options] - Force cancelled / fulfilled (webhook topic)
+ * @returns {Promise<Object>} - Result of upsertShopifyOrder
+ */
+async function applyShopifyOrder(shopId, shopifyOrder, { cancelled, fulfilled } = {}) {
+  const order = await upsertShopifyOrder(shopId, shopifyOrder);
+
+  if (order.stale) {
+    return order;
+  }
+
+  if (cancelled || shopifyOrder.cancelled_at) {
+    await cancelShopifyOrder(order.id, shopifyOrder.cancelled_at);
+  } else if (fulfilled || shopifyOrder.fulfillment_status === "fulfilled") {
+    await transitionOrderStatus(order.id, "Shipped", {
+      actor: "shopify",
+      reason: "Fulfilled in Shopify",
+      skipInvalid: true,
+    });
+  }
+
+  return order;
+}
+
+// Sync orders from Shopify: every page, and only what changed since the
+// last successful run (?full=true ignores the cursor)
+app.post("/shopify/sync-orders", async (request, reply) => {
+  const full = request.query.full === "true";
+
+  let run;
+  try {
+    const state = await getSyncState(request.shop.id);
+    const updatedAtMin = full ? null : state?.last_synced_at || null;
+
+    run = await startSyncRun(request.shop.id, updatedAtMin);
+    if (!run) {
+      return reply.code(409).send({ error: "A sync is already running for this shop" });
+    }
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to sync orders", details: err.message });
+  }
+
+  const counts = { pages: 0, fetched: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const errors = [];
+  let status = "completed";
+
+  try {
+    let url = buildOrdersSyncUrl(request.shop.shop, run.updated_at_min);
+
+    while (url) {
+      const page = await fetchOrdersPage(request.shop, url);
+      counts.pages++;
+      counts.fetched += page.orders.length;
+
+      for (const shopifyOrder of page.orders) {
+        try {
+          const order = await applyShopifyOrder(request.shop.id, shopifyOrder);
+
+          if (order.stale) {
+            counts.skipped++;
+          } else if (order.created) {
+            counts.created++;
+          } else {
+            counts.updated++;
+          }
+        } catch (err) {
+          counts.failed++;
+          errors.push({ order: shopifyOrder.order_number, error: err.message });
+        }
+      }
+
+      url = page.nextUrl;
+    }
+
+    if (counts.failed > 0) {
+      status = "partial";
+    }
+  } catch (err) {
+    // Shopify itself failed (auth, network, 5xx) partway through
+    request.log.error(err);
+    status = "failed";
+    errors.push({ error: err.message });
+  }
+
+  // New and changed addresses are checked without waiting for the next round
+  if (counts.created + counts.updated > 0) {
+    verifyPendingAddresses().catch(err => request.log.error(err));
+  }
+
+  try {
+    const finished = await finishSyncRun(run, { status, ...counts, errors });
+
+    return reply.code(status === "failed" ? 502 : 200).send({
+      success: status !== "failed",
+      status,
+      imported: counts.created,
+      updated: counts.updated,
+      failed: counts.failed,
+      errors,
+      run: finished,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to record sync run", details: err.message });
+  }
+});
+
+// When the shop last synced, and how the recent runs went
+app.get("/shopify/sync-runs", async (request, reply) => {
+  try {
+    const [state, runs] = await Promise.all([
+      getSyncState(request.shop.id),
+      getSyncRuns(request.shop.id, Math.min(parseInt(request.query.limit, 10) || 20, 100)),
+    ]);
+
+    return reply.send({ state, runs });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch sync runs" });
+  }
+});
+
+// ==============================
+// SHOPIFY FULFILLMENTS (push shipments + tracking)
+// ==============================
+
+// Whether Shopify should email its shipping confirmation; SHOPIFY_NOTIFY_CUSTOMER
+// sets the default when the request doesn't say
+function notifyCustomer(value) {
+  if (value == null) {
+    return process.env.SHOPIFY_NOTIFY_CUSTOMER !== "false";
+  }
+
+  return value === true || value === "true";
+}
+
+/**
+ * Push one claimed shipment to Shopify: create the fulfillment the first
+ * time, update its tracking after that
+ * @param {Object} push - Row from claimFulfillmentPushes
+ * @returns {Promise<Object>} - { status, fulfillment_id } or { status, error }
+ */
+async function pushShipmentToShopify(push) {
+  try {
+    const shopData = await getShop(push.shop);
+    if (!shopData) {
+      throw httpError(403, "Shop is not installed");
+    }
+
+    const tracking = {
+      number: push.tracking_number,
+      company: shopifyTrackingCompany(push.carrier),
+      url: push.tracking_url,
+    };
+
+    let fulfillmentId = push.shopify_fulfillment_id;
+
+    if (fulfillmentId) {
+      await updateFulfillmentTracking(shopData, fulfillmentId, tracking, push.notify_customer);
+    } else {
+      // Exactly what's in this package; a shipment without items (an order
+      // with no line items) fulfills whatever Shopify has left
+      const packageItems = await getShipmentItems(push.id);
+      const lineItems = packageItems.length > 0 ? packageItems : null;
+
+      if (lineItems?.some(item => !item.shopify_line_item_id)) {
+        throw httpError(422, "Shipment includes items that aren't Shopify line items on this order");
+      }
+
+      const fulfillment = await createFulfillment(shopData, push.shopify_order_id, {
+        lineItems,
+        tracking,
+        notifyCustomer: push.notify_customer,
+      });
+      fulfillmentId = String(fulfillment.id);
+    }
+
+    await markFulfillmentPushed(push.id, fulfillmentId);
+    return { status: "synced", fulfillment_id: fulfillmentId };
+  } catch (err) {
+    // Rate limits, outages and network errors are worth retrying; a
+    // rejected fulfillment (4xx) will be rejected again
+    const retry = !err.status || err.status === 429 || err.status >= 500;
+    const status = await markFulfillmentPushFailed(push.id, err.message, retry);
+
+    app.log.warn({ shipmentId: push.id, status, err: err.message }, "Shopify fulfillment push failed");
+    return { status, error: err.message };
+  }
+}
+
+/**
+ * Queue a shipment for Shopify and try to push it straight away. Never
+ * throws: whatever fails is left queued for retryFulfillmentPushes.
+ * @param {number} shipmentId - shipments.id
+ * @param {Object} log - Logger for failures
+ * @returns {Promise<Object>} - { status, ... } for the API response
+ */
+async function syncShipmentToShopify(shipmentId, log) {
+  try {
+    const status = await queueFulfillmentPush(shipmentId);
+    if (status !== "pending") {
+      return { status };
+    }
+
+    const [push] = await claimFulfillmentPushes({ shipmentId });
+    return push ? await pushShipmentToShopify(push) : { status: "pending" };
+  } catch (err) {
+    log.error(err);
+    return { status: "pending", error: err.message };
+  }
+}
+
+// Background retry for pushes that failed or were queued during an outage
+const FULFILLMENT_RETRY_INTERVAL_MS = 60 * 1000;
+
+async function retryFulfillmentPushes() {
+  const pushes = await claimFulfillmentPushes({ limit: 20 });
+
+  for (const push of pushes) {
+    await pushShipmentToShopify(push);
+  }
+}
+
+// Correct the tracking on a shipment; Shopify's fulfillment is updated too
+app.patch("/shipments/:shipmentId/tracking", async (request, reply) => {
+  const { shipmentId } = request.params;
+  const { carrier, tracking_number, tracking_url, notify_customer } = request.body || {};
+
+  if (!carrier && !tracking_number && tracking_url === undefined) {
+    return reply.code(400).send({ error: "Nothing to update" });
+  }
+
+  try {
+    const result = await pool.query(
       `
-      SELECT
-        o.id,
-        o.order_number,
-        o.order_date,
-        o.customer_name,
-        o.recipient_name,
-        o.status
-      FROM orders o
-      WHERE o.id = $1
+      UPDATE shipments
+      SET
+        carrier = COALESCE($2, carrier),
+        tracking_number = COALESCE($3, tracking_number),
+        tracking_url = CASE WHEN $4::boolean THEN $5 ELSE tracking_url END,
+        notify_customer = COALESCE($6, notify_customer)
+      WHERE id = $1 AND shop_id = $7
+      RETURNING id
       `,
-      [orderId]
+      [
+        shipmentId,
+        carrier || null,
+        tracking_number || null,
+        tracking_url !== undefined,
+        tracking_url || null,
+        notify_customer == null ? null : notifyCustomer(notify_customer),
+        request.shop.id,
+      ]
     );
 
-    if (orderResult.rows.length === 0) {
-      return reply.code(404).send({ error: "Order not found" });
+    if (result.rowCount === 0) {
+      return reply.code(404).send({ error: "Shipment not found" });
     }
 
-    // Order items
-    const itemsResult = await pool.query(
-      `
-      SELECT
-        oi.sku,
-        oi.product_name,
-        oi.quantity
-      FROM order_items oi
-      WHERE oi.order_id = $1
-      ORDER BY oi.product_name
-      `,
-      [orderId]
-    );
+    const shopify = await syncShipmentToShopify(result.rows[0].id, request.log);
+    return reply.send({ success: true, shopify });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to update tracking" });
+  }
+});
 
-    // Shipment (if exists)
-    const shipmentResult = await pool.query(
-      `
-      SELECT
-        carrier,
-        tracking_number,
-        shipped_at
-      FROM shipments
-      WHERE order_id = $1
-      ORDER BY shipped_at DESC
-      LIMIT 1
-      `,
-      [orderId]
+// Push a shipment again now (e.g. after it gave up retrying)
+app.post("/shipments/:shipmentId/shopify-sync", async (request, reply) => {
+  const { shipmentId } = request.params;
+
+  try {
+    const result = await pool.query(
+      `SELECT id FROM shipments WHERE id = $1 AND shop_id = $2`,
+      [shipmentId, request.shop.id]
     );
 
-    return reply.send({
-      packing_slip: {
-        order: orderResult.rows[0],
-        items: itemsResult.rows,
-        shipment: shipmentResult.rows[0] || null,
-      },
-    });
+    if (result.rows.length === 0) {
+      return reply.code(404).send({ error: "Shipment not found" });
+    }
+
+    const shopify = await syncShipmentToShopify(result.rows[0].id, request.log);
+    return reply.send({ success: shopify.status === "synced", shopify });
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to generate packing slip" });
+    return reply.code(500).send({ error: "Failed to sync shipment" });
+  }
+});
+
+// Shipments by push status (default: failed ones that need attention)
+app.get("/shipments/shopify-sync", async (request, reply) => {
+  const status = request.query.status || "failed";
+
+  try {
+    const shipments = await getFulfillmentPushes(request.shop.id, status);
+    return reply.send({ status, shipments });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch shipments" });
   }
 });
 
 // ==============================
-// BATCH PACKING SLIPS
+// CARRIER TRACKING
 // ==============================
-app.get("/batches/:batchId/packing-slips", async (request, reply) => {
-  const { batchId } = request.params;
 
+// Packages with no tracking update (webhook or poll) for this long are polled
+const TRACKING_POLL_INTERVAL_MS = 15 * 60 * 1000;
+const TRACKING_STALE_HOURS = parseInt(process.env.TRACKING_POLL_HOURS, 10) || 6;
+
+/**
+ * Store an EasyPost tracker's events and status on the shipments it
+ * belongs to (found by tracker, EasyPost shipment or tracking number)
+ * @param {Object} tracker - EasyPost tracker
+ * @param {string} source - "webhook" or "poll"
+ * @param {Array<Object>} [shipments] - Shipments already known to match
+ * @returns {Promise<Array>} - recordTrackingUpdate results
+ */
+async function applyTracker(tracker, source, shipments) {
+  const normalized = normalizeTracker(tracker);
+  const matched = shipments || (await findTrackedShipments(normalized));
+
+  const results = [];
+  for (const shipment of matched) {
+    const result = await recordTrackingUpdate(shipment.id, normalized, source);
+    if (result) {
+      results.push(result);
+      await queueTrackingEmails(result, app.log);
+    }
+  }
+  return results;
+}
+
+// Polling fallback for carriers that don't send tracking webhooks
+async function pollTracking() {
+  if (!easypost) {
+    return;
+  }
+
+  const shipments = await claimTrackingPolls({ limit: 20, staleHours: TRACKING_STALE_HOURS });
+
+  for (const shipment of shipments) {
+    try {
+      await applyTracker(await fetchTracker(shipment), "poll", [shipment]);
+    } catch (err) {
+      app.log.warn({ shipmentId: shipment.id, err: err.message }, "Tracking poll failed");
+    }
+  }
+}
+
+// Deliveries support should act on: carrier exceptions, returns to sender,
+// late packages and packages with no movement for ?stuckDays= (default 5)
+app.get("/shipments/exceptions", async (request, reply) => {
+  const stuckDays = request.query.stuckDays == null ? 5 : parseInt(request.query.stuckDays, 10);
+
+  if (!Number.isInteger(stuckDays) || stuckDays < 1) {
+    return reply.code(400).send({ error: "stuckDays must be a positive whole number" });
+  }
+
+  try {
+    const shipments = await getTrackingExceptions(request.shop.id, { stuckDays });
+    return reply.send({ stuck_days: stuckDays, shipments });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch delivery exceptions" });
+  }
+});
+
+// Tracking timeline for a package
+app.get("/shipments/:shipmentId/events", async (request, reply) => {
+  try {
+    const result = await getShipmentEvents(request.shop.id, request.params.shipmentId);
+    if (!result) {
+      return reply.code(404).send({ error: "Shipment not found" });
+    }
+
+    return reply.send(result);
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to fetch tracking events" });
+  }
+});
+
+// Ask the carrier now instead of waiting for a webhook or the next poll
+app.post("/shipments/:shipmentId/tracking/refresh", async (request, reply) => {
+  if (!easypost) {
+    return reply.code(503).send({ error: "EasyPost is not configured" });
+  }
+
+  let shipment;
   try {
     const result = await pool.query(
-      `
-      SELECT
-        b.id AS batch_id,
-        b.name AS batch_name,
-        o.id AS order_id,
-        o.order_number,
-        o.order_date,
-        o.customer_name,
-        o.recipient_name,
-        o.order_total,
-        o.status,
-        oi.sku,
-        oi.product_name,
-        oi.quantity
-      FROM batches b
-      JOIN orders o ON o.batch_id = b.id
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE b.id = $1
-      ORDER BY o.id, oi.product_name;
-      `,
-      [batchId]
+      `SELECT * FROM shipments WHERE id = $1 AND shop_id = $2`,
+      [request.params.shipmentId, request.shop.id]
     );
 
     if (result.rows.length === 0) {
-      return reply.code(404).send({ error: "Batch not found or empty" });
+      return reply.code(404).send({ error: "Shipment not found" });
     }
 
-    // Group rows into packing slips
-    const packingSlips = {};
-
-    for (const row of result.rows) {
-      if (!packingSlips[row.order_id]) {
-        packingSlips[row.order_id] = {
-          order_id: row.order_id,
-          order_number: row.order_number,
-          order_date: row.order_date,
-          customer_name: row.customer_name,
-          recipient_name: row.recipient_name,
-          order_total: row.order_total,
-          status: row.status,
-          batch_name: row.batch_name,
-          items: [],
-        };
-      }
-
-      packingSlips[row.order_id].items.push({
-        sku: row.sku,
-        product_name: row.product_name,
-        quantity: row.quantity,
-      });
+    shipment = result.rows[0];
+    if (!shipment.tracking_number) {
+      return reply.code(409).send({ error: "Shipment has no tracking number" });
     }
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to refresh tracking" });
+  }
 
-    return reply.send({
-      batch_id: batchId,
-      batch_name: result.rows[0].batch_name,
-      packing_slips: Object.values(packingSlips),
-    });
+  try {
+    const [result] = await applyTracker(await fetchTracker(shipment), "poll", [shipment]);
+    return reply.send(result);
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to generate batch packing slips" });
+    const { status, body } = describeEasyPostError(err);
+    return reply.code(status).send(body);
+  }
+});
+
+// Webhooks are signed over the exact bytes sent, so keep the raw body around
+function parseRawJson(request, body, done) {
+  request.rawBody = body;
+  try {
+    done(null, body.length > 0 ? JSON.parse(body) : {});
+  } catch (err) {
+    err.statusCode = 400;
+    done(err);
   }
+}
+
+// EasyPost tracker webhooks (tracker.created / tracker.updated). Point an
+// EasyPost webhook with EASYPOST_WEBHOOK_SECRET at /webhooks/easypost.
+app.register(async (easypostWebhooks) => {
+  easypostWebhooks.removeContentTypeParser("application/json");
+  easypostWebhooks.addContentTypeParser("application/json", { parseAs: "buffer" }, parseRawJson);
+
+  easypostWebhooks.addHook("preHandler", async (request, reply) => {
+    if (!verifyEasyPostWebhook(request.rawBody, request.headers["x-hmac-signature"])) {
+      request.log.warn({ url: request.url }, "Rejected EasyPost webhook with invalid signature");
+      return reply.code(401).send({ error: "Invalid webhook signature" });
+    }
+  });
+
+  easypostWebhooks.post("/webhooks/easypost", async (request, reply) => {
+    const event = request.body;
+
+    if (!["tracker.created", "tracker.updated"].includes(event.description) || !event.result) {
+      return reply.send({ success: true, skipped: event.description || "unknown event" });
+    }
+
+    try {
+      const results = await applyTracker(event.result, "webhook");
+      return reply.send({ success: true, shipments: results.length });
+    } catch (err) {
+      request.log.error(err);
+      // EasyPost retries non-2xx deliveries
+      return reply.code(500).send({ error: "Failed to process webhook" });
+    }
+  });
 });
 
 // ==============================
-// ORDER PACKING SLIP (PDF)
+// CUSTOMER TRACKING PAGE
 // ==============================
-import PDFDocument from "pdfkit";
+//
+// Each order gets an unguessable token; /track/:token is a branded page
+// customers can follow without logging in. Customers without the link can
+// look their order up by order number plus email or ZIP code.
 
-app.get("/orders/:orderId/packing-slip/pdf", async (request, reply) => {
+// Page views per IP (slows down token guessing), lookups per IP, and
+// lookups per order number (so one order can't be tried from many IPs)
+const trackingPageLimiter = createRateLimiter({ limit: 60, windowMs: 10 * 60 * 1000 });
+const trackingLookupLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+const trackingOrderLimiter = createRateLimiter({ limit: 5, windowMs: 15 * 60 * 1000 });
+
+const TRACKING_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+function trackingUrl(path) {
+  return `${process.env.APP_URL || ""}${path}`;
+}
+
+// Template for pages that aren't about a known shop
+function genericTrackingTemplate(shop) {
+  return resolveTemplate(null, { shop_name: shop?.shop_name || "Order tracking" }, "tracking_page");
+}
+
+// Customer pages: never cached, indexed or leaking the token to carrier
+// sites through the Referer header
+function sendTrackingHtml(reply, status, html) {
+  return reply
+    .code(status)
+    .header("Cache-Control", "no-store")
+    .header("Referrer-Policy", "no-referrer")
+    .header("X-Robots-Tag", "noindex")
+    .header(
+      "Content-Security-Policy",
+      "default-src 'none'; img-src data:; style-src 'unsafe-inline'; form-action 'self'"
+    )
+    .type("text/html; charset=utf-8")
+    .send(html);
+}
+
+function sendTrackingRateLimited(reply, template, retryAfter) {
+  reply.header("Retry-After", String(retryAfter));
+  return sendTrackingHtml(
+    reply,
+    429,
+    renderMessagePage(template, "Too many requests", "Please wait a few minutes and try again.")
+  );
+}
+
+// The customer link for an order (the token is created on first use)
+app.get("/orders/:orderId/tracking-link", async (request, reply) => {
   const { orderId } = request.params;
 
   try {
-    const result = await pool.query(
-      `
-      SELECT
-        o.order_number,
-        o.customer_name,
-        o.recipient_name,
-        oi.product_name,
-        oi.quantity
-      FROM orders o
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.id = $1
-      `,
-      [orderId]
-    );
+    const token = await getOrderTrackingToken(request.shop.id, orderId);
+    if (!token) {
+      return reply.code(404).send({ error: "Order not found" });
+    }
 
-    if (result.rows.length === 0) {
-      reply.code(404);
-      return { error: "No items found for this order" };
+    return reply.send({
+      token,
+      url: trackingUrl(`/track/${token}`),
+      lookup_url: trackingUrl(`/track?shop=${encodeURIComponent(request.shop.shop)}`),
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to get tracking link" });
+  }
+});
+
+app.register(async (tracking) => {
+  // The lookup form posts as a regular HTML form
+  tracking.addContentTypeParser(
+    "application/x-www-form-urlencoded",
+    { parseAs: "string" },
+    (request, body, done) => {
+      done(null, Object.fromEntries(new URLSearchParams(body)));
     }
+  );
 
-    // IMPORTANT: tell Fastify we handle the response manually
-    reply.raw.setHeader("Content-Type", "application/pdf");
-    reply.raw.setHeader(
-      "Content-Disposition",
-      `attachment; filename=packing-slip-${orderId}.pdf`
-    );
+  tracking.get("/track/:token", async (request, reply) => {
+    const { token } = request.params;
 
-    const doc = new PDFDocument({ margin: 40 });
-    doc.pipe(reply.raw);
+    const limit = trackingPageLimiter.hit(request.ip);
+    if (!limit.allowed) {
+      return sendTrackingRateLimited(reply, genericTrackingTemplate(), limit.retryAfter);
+    }
+
+    try {
+      const data = TRACKING_TOKEN_PATTERN.test(token) ? await getTrackingPageData(token) : null;
+      if (!data) {
+        return sendTrackingHtml(
+          reply,
+          404,
+          renderMessagePage(
+            genericTrackingTemplate(),
+            "Order not found",
+            "This tracking link isn't valid. Check the link in your email, or look your order up with the store."
+          )
+        );
+      }
+
+      const template = resolveTemplate(data.template_row, data.shop, "tracking_page");
+      return sendTrackingHtml(reply, 200, renderTrackingPage(data.page, template));
+    } catch (err) {
+      request.log.error(err);
+      return sendTrackingHtml(
+        reply,
+        500,
+        renderMessagePage(genericTrackingTemplate(), "Something went wrong", "Please try again in a moment.")
+      );
+    }
+  });
+
+  // Lookup form for a shop (?shop=<myshopify or custom domain>)
+  tracking.get("/track", async (request, reply) => {
+    try {
+      const found = await getTrackingShop(request.query.shop);
+      if (!found) {
+        return sendTrackingHtml(
+          reply,
+          404,
+          renderMessagePage(genericTrackingTemplate(), "Store not found", "Use the tracking link from the store you ordered from.")
+        );
+      }
+
+      const template = resolveTemplate(found.template_row, found.shop, "tracking_page");
+      return sendTrackingHtml(reply, 200, renderLookupPage({ shop: found.shop.shop, template }));
+    } catch (err) {
+      request.log.error(err);
+      return sendTrackingHtml(
+        reply,
+        500,
+        renderMessagePage(genericTrackingTemplate(), "Something went wrong", "Please try again in a moment.")
+      );
+    }
+  });
 
-    // ===== PDF CONTENT =====
-    doc.fontSize(18).text("Packing Slip", { underline: true });
-    doc.moveDown();
+  // Find an order by number plus email or ZIP and send the customer to its
+  // page. Misses all get the same answer, whichever detail was wrong.
+  tracking.post("/track/lookup", async (request, reply) => {
+    const { shop, order_number: orderNumber, contact } = request.body || {};
+    const values = { order_number: orderNumber, contact };
+
+    const ipLimit = trackingLookupLimiter.hit(request.ip);
+    if (!ipLimit.allowed) {
+      return sendTrackingRateLimited(reply, genericTrackingTemplate(), ipLimit.retryAfter);
+    }
+
+    try {
+      const found = await getTrackingShop(shop);
+      if (!found) {
+        return sendTrackingHtml(
+          reply,
+          404,
+          renderMessagePage(genericTrackingTemplate(), "Store not found", "Use the tracking link from the store you ordered from.")
+        );
+      }
+
+      const template = resolveTemplate(found.template_row, found.shop, "tracking_page");
+      const number = String(orderNumber || "").trim().replace(/^#/, "");
+
+      const orderLimit = trackingOrderLimiter.hit(`${found.shop.id}:${number}`);
+      if (!orderLimit.allowed) {
+        return sendTrackingRateLimited(reply, template, orderLimit.retryAfter);
+      }
+
+      const order = await findOrderForTracking(found.shop.id, number, contact);
+      if (!order) {
+        return sendTrackingHtml(
+          reply,
+          404,
+          renderLookupPage({
+            shop: found.shop.shop,
+            template,
+            values,
+            error: "We couldn't find an order with those details.",
+          })
+        );
+      }
+
+      const token = await getOrderTrackingToken(found.shop.id, order.id);
+      return reply.redirect(`/track/${token}`, 303);
+    } catch (err) {
+      request.log.error(err);
+      return sendTrackingHtml(
+        reply,
+        500,
+        renderMessagePage(genericTrackingTemplate(), "Something went wrong", "Please try again in a moment.")
+      );
+    }
+  });
+});
+
+// ==============================
+// CUSTOMER NOTIFICATIONS
+// ==============================
+//
+// Shipment, delivery, delay/exception and return emails. Each is rendered
+// into the notifications outbox when it happens (which doubles as the
+// order's notification log) and sent by sendQueuedEmails, with retries.
+
+const NOTIFICATION_SEND_INTERVAL_MS = 60 * 1000;
+
+const NOTIFICATION_TYPE_ERROR = `type must be one of: ${NOTIFICATION_TYPES.join(", ")}`;
+
+// A shop's settings over the defaults
+async function loadNotificationSettings(shopId) {
+  const row = await getNotificationSettings(shopId);
+  const settings = { ...DEFAULT_NOTIFICATION_SETTINGS };
+  for (const key of Object.keys(DEFAULT_NOTIFICATION_SETTINGS)) {
+    if (row && row[key] !== undefined) {
+      settings[key] = row[key];
+    }
+  }
+  return settings;
+}
+
+// Placeholder values for an email about an order (see getNotificationContext)
+async function notificationValues(shopId, context) {
+  const { order, shipment } = context;
+
+  // Our branded tracking page when we know where it lives, else the carrier's
+  let trackingLink = shipment?.tracking_url || "";
+  if (process.env.APP_URL) {
+    const token = await getOrderTrackingToken(shopId, order.id);
+    trackingLink = trackingUrl(`/track/${token}`);
+  }
+
+  return {
+    shop_name: order.shop_name || order.shop,
+    customer_name: order.customer_name || order.recipient_name || "there",
+    order_number: order.order_number,
+    carrier: shipment?.carrier || "",
+    tracking_number: shipment?.tracking_number || "",
+    tracking_url: trackingLink,
+    est_delivery_date: shipment?.est_delivery_date
+      ? new Date(shipment.est_delivery_date).toLocaleDateString("en-US", {
+        weekday: "long", month: "long", day: "numeric", timeZone: "UTC",
+      })
+      : "",
+    status_message: shipment?.last_event || shipment?.tracking_status_detail || "delivery exception",
+    rma_number: context.return?.rma_number || "",
+    items: context.items.map(item => `${item.product_name} × ${item.quantity}`).join(", "),
+  };
+}
+
+/**
+ * Render and queue a customer email if the shop sends this type. Emails
+ * that won't go out (no address, Shopify already emailed) are logged as
+ * skipped. Never throws: a failed email must not fail what triggered it.
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} about - shopId, orderId, and shipmentId or returnId
+ * @param {string} [about.dedupeKey] - Queue this email only once
+ * @param {Object} log - Logger for failures
+ * @returns {Promise<Object|null>} - notifications row, null if not queued
+ */
+async function queueCustomerEmail(type, { shopId, orderId, shipmentId = null, returnId = null, dedupeKey = null }, log) {
+  try {
+    const settings = await loadNotificationSettings(shopId);
+    if (!settings.enabled || (settings.types && !settings.types.includes(type))) {
+      return null;
+    }
 
-    const order = result.rows[0];
+    const context = await getNotificationContext(shopId, { orderId, shipmentId, returnId });
+    if (!context) {
+      return null;
+    }
 
-    doc.fontSize(12);
-    doc.text(`Order #: ${order.order_number}`);
-    doc.text(`Customer: ${order.customer_name}`);
-    doc.text(`Ship To: ${order.recipient_name}`);
-    doc.moveDown();
+    let skipReason = null;
+    if (!isEmailAddress(context.order.customer_email)) {
+      skipReason = "no_email";
+    } else if (
+      settings.skip_shopify_notified &&
+      SHOPIFY_NOTIFIED_TYPES.includes(type) &&
+      context.order.shopify_order_id &&
+      context.shipment?.notify_customer
+    ) {
+      skipReason = "shopify_notified";
+    }
 
-    doc.text("Items:");
-    doc.moveDown();
+    const row = await getNotificationTemplate(shopId, type);
+    const rendered = renderNotification(
+      resolveNotificationTemplate(type, row),
+      await notificationValues(shopId, context)
+    );
 
-    result.rows.forEach(item => {
-      doc.text(`${item.product_name} — Qty: ${item.quantity}`);
+    const notification = await queueNotification(shopId, {
+      order_id: orderId,
+      shipment_id: shipmentId,
+      return_id: returnId,
+      type,
+      dedupe_key: dedupeKey,
+      recipient: context.order.customer_email,
+      sender_name: settings.sender_name || context.order.shop_name || context.order.shop,
+      reply_to: settings.reply_to,
+      ...rendered,
+      skip_reason: skipReason,
     });
 
-    doc.end();
-
-    return reply; // 🔑 THIS LINE MATTERS
+    if (notification?.status === "pending") {
+      sendQueuedEmails().catch(err => log.error(err));
+    }
+    return notification;
   } catch (err) {
-    request.log.error(err);
-    reply.code(500);
-    return { error: "Failed to generate PDF packing slip" };
+    log.error(err);
+    return null;
   }
-});
+}
 
-// ==============================
-// BATCH PACKING SLIPS (PDF)
-// ==============================
+// Shipment confirmation for a package that just went out
+function queueShipmentEmail(request, orderId, shipmentId) {
+  return queueCustomerEmail(
+    "shipment_confirmation",
+    { shopId: request.shop.id, orderId, shipmentId, dedupeKey: `shipment_confirmation:${shipmentId}` },
+    request.log
+  );
+}
 
-app.get("/batches/:batchId/packing-slips/pdf", async (request, reply) => {
-  const { batchId } = request.params;
+// Emails for a tracking update: delivered, a new exception, or an
+// estimated delivery date that moved later
+async function queueTrackingEmails(result, log) {
+  const { shipment, previous_status: previousStatus } = result;
+  const about = { shopId: shipment.shop_id, orderId: shipment.order_id, shipmentId: shipment.id };
 
-  try {
-    // 1. Get all orders + items in this batch
-    const result = await pool.query(
-      `
-      SELECT
-        o.id AS order_id,
-        o.order_number,
-        o.customer_name,
-        o.recipient_name,
-        oi.product_name,
-        oi.quantity
-      FROM orders o
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.batch_id = $1
-      ORDER BY o.id, oi.product_name
-      `,
-      [batchId]
-    );
+  if (shipment.tracking_status !== previousStatus) {
+    if (shipment.tracking_status === "delivered") {
+      await queueCustomerEmail("delivered", { ...about, dedupeKey: `delivered:${shipment.id}` }, log);
+      return;
+    }
 
-    if (result.rows.length === 0) {
-      reply.code(404);
-      return { error: "No orders found for this batch" };
+    if (["exception", "returned_to_sender"].includes(shipment.tracking_status)) {
+      await queueCustomerEmail("delivery_exception", about, log);
+      return;
     }
+  }
 
-    // 2. Prepare PDF response
-    reply.raw.setHeader("Content-Type", "application/pdf");
-    reply.raw.setHeader(
-      "Content-Disposition",
-      `attachment; filename=batch-${batchId}-packing-slips.pdf`
-    );
+  const day = value => (value ? new Date(value).toISOString().slice(0, 10) : null);
+  const estimate = day(shipment.est_delivery_date);
+  const previousEstimate = day(result.previous_est_delivery_date);
 
-    const doc = new PDFDocument({ margin: 40 });
-    doc.pipe(reply.raw);
+  if (shipment.tracking_status !== "delivered" && previousEstimate && estimate > previousEstimate) {
+    await queueCustomerEmail(
+      "delivery_delayed",
+      { ...about, dedupeKey: `delivery_delayed:${shipment.id}:${estimate}` },
+      log
+    );
+  }
+}
 
-    // 3. Group rows by order
-    const ordersMap = {};
-    result.rows.forEach(row => {
-      if (!ordersMap[row.order_id]) {
-        ordersMap[row.order_id] = {
-          order_number: row.order_number,
-          customer_name: row.customer_name,
-          recipient_name: row.recipient_name,
-          items: []
-        };
-      }
+// Send what's due in the outbox; failures are retried with backoff
+async function sendQueuedEmails() {
+  const transport = getMailTransport();
+  if (!transport || !process.env.MAIL_FROM) {
+    return;
+  }
 
-      ordersMap[row.order_id].items.push({
-        product_name: row.product_name,
-        quantity: row.quantity
+  const notifications = await claimNotifications({ limit: 20 });
+
+  for (const notification of notifications) {
+    try {
+      const { messageId } = await transport.send({
+        from: { name: notification.sender_name || "", address: process.env.MAIL_FROM },
+        to: notification.recipient,
+        replyTo: notification.reply_to || undefined,
+        subject: notification.subject,
+        html: notification.html,
+        text: notification.text,
       });
-    });
+      await markNotificationSent(notification.id, messageId);
+    } catch (err) {
+      const status = await markNotificationFailed(notification.id, err.message, !err.permanent);
+      app.log.warn({ notificationId: notification.id, status, err: err.message }, "Customer email failed");
+    }
+  }
+}
 
-    const orders = Object.values(ordersMap);
+// Which emails go out, and who they come from
+app.get("/notifications/settings", async (request, reply) => {
+  try {
+    const settings = await loadNotificationSettings(request.shop.id);
+    return reply.send({
+      settings,
+      types: NOTIFICATION_TYPES,
+      transport: getMailTransport()?.name || null,
+      mail_from: process.env.MAIL_FROM || null,
+    });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load notification settings" });
+  }
+});
 
-    // 4. Render each order as a page
-    orders.forEach((order, index) => {
-      if (index > 0) doc.addPage();
+// Only the fields sent change
+app.put("/notifications/settings", async (request, reply) => {
+  const { settings: changes, error } = normalizeNotificationSettings(request.body || {});
+  if (error) {
+    return reply.code(400).send({ error });
+  }
 
-      doc.fontSize(18).text("Packing Slip", { underline: true });
-      doc.moveDown();
+  try {
+    const current = await loadNotificationSettings(request.shop.id);
+    await saveNotificationSettings(request.shop.id, { ...current, ...changes });
+    return reply.send({ settings: await loadNotificationSettings(request.shop.id) });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save notification settings" });
+  }
+});
 
-      doc.fontSize(12);
-      doc.text(`Order #: ${order.order_number}`);
-      doc.text(`Customer: ${order.customer_name}`);
-      doc.text(`Ship To: ${order.recipient_name}`);
-      doc.moveDown();
+function notificationTemplateResponse(type, row) {
+  return {
+    type,
+    template: resolveNotificationTemplate(type, row),
+    stored: row ? { subject: row.subject, html: row.html, text: row.text } : null,
+    updated_at: row?.updated_at || null,
+  };
+}
 
-      doc.text("Items:");
-      doc.moveDown();
+app.get("/notifications/templates", async (request, reply) => {
+  try {
+    const rows = await getNotificationTemplates(request.shop.id);
+    const stored = new Map(rows.map(row => [row.type, row]));
 
-      order.items.forEach(item => {
-        doc.text(`${item.product_name} — Qty: ${item.quantity}`);
-      });
+    return reply.send({
+      placeholders: NOTIFICATION_PLACEHOLDERS,
+      templates: NOTIFICATION_TYPES.map(type => notificationTemplateResponse(type, stored.get(type) || null)),
     });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load notification templates" });
+  }
+});
 
-    doc.end();
-    return reply;
+app.get("/notifications/templates/:type", async (request, reply) => {
+  const { type } = request.params;
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return reply.code(400).send({ error: NOTIFICATION_TYPE_ERROR });
+  }
+
+  try {
+    const row = await getNotificationTemplate(request.shop.id, type);
+    return reply.send(notificationTemplateResponse(type, row));
   } catch (err) {
     request.log.error(err);
-    reply.code(500);
-    return { error: "Failed to generate batch packing slips PDF" };
+    return reply.code(500).send({ error: "Failed to load notification template" });
   }
 });
 
-// ==============================
-// THERMAL PICK LIST (4x6) + BARCODE
-// ==============================
-app.get("/batches/:batchId/pick-list/thermal", async (request, reply) => {
-  const { batchId } = request.params;
+// Override subject, html and/or text; null goes back to the built-in part
+app.put("/notifications/templates/:type", async (request, reply) => {
+  const { type } = request.params;
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return reply.code(400).send({ error: NOTIFICATION_TYPE_ERROR });
+  }
+
+  const { template, error } = normalizeNotificationTemplate(request.body || {});
+  if (error) {
+    return reply.code(400).send({ error });
+  }
 
   try {
-    const result = await pool.query(
-      `
-      SELECT
-        o.id AS order_id,
-        o.order_number,
-        oi.product_name,
-        oi.quantity
-      FROM orders o
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.batch_id = $1
-      ORDER BY o.id
-      `,
-      [batchId]
-    );
+    const row = await saveNotificationTemplate(request.shop.id, type, template);
+    return reply.send(notificationTemplateResponse(type, row));
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to save notification template" });
+  }
+});
 
-    if (result.rows.length === 0) {
-      reply.code(404);
-      return { error: "No orders found for this batch" };
-    }
+app.delete("/notifications/templates/:type", async (request, reply) => {
+  const { type } = request.params;
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return reply.code(400).send({ error: NOTIFICATION_TYPE_ERROR });
+  }
 
-    reply.raw.setHeader("Content-Type", "application/pdf");
-    reply.raw.setHeader(
-      "Content-Disposition",
-      `attachment; filename=batch-${batchId}-pick-list.pdf`
-    );
+  try {
+    const deleted = await deleteNotificationTemplate(request.shop.id, type);
+    if (!deleted) {
+      return reply.code(404).send({ error: "No saved template for this type" });
+    }
+    return reply.send({ success: true });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to delete notification template" });
+  }
+});
 
-    const doc = new PDFDocument({
-      size: [288, 432], // 4x6
-      margin: 12
-    });
+// Render the saved template, with unsaved changes (same body as PUT) on
+// top, using sample order data
+app.post("/notifications/templates/:type/preview", async (request, reply) => {
+  const { type } = request.params;
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return reply.code(400).send({ error: NOTIFICATION_TYPE_ERROR });
+  }
 
-    doc.pipe(reply.raw);
+  const { template: changes, error } = normalizeNotificationTemplate(request.body || {});
+  if (error) {
+    return reply.code(400).send({ error });
+  }
 
-    let currentOrder = null;
+  try {
+    const row = await getNotificationTemplate(request.shop.id, type);
+    const template = resolveNotificationTemplate(type, { ...row, ...changes });
+    return reply.send(renderNotification(template, {
+      ...SAMPLE_NOTIFICATION_VALUES,
+      shop_name: request.shop.shop_name || request.shop.shop,
+    }));
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to render preview" });
+  }
+});
 
-    for (const row of result.rows) {
-      if (currentOrder !== row.order_id) {
-        if (currentOrder !== null) {
-          doc.addPage();
-        }
+// Send a sample email straight away (not through the outbox), to check the
+// mail setup and how a template looks in a real inbox
+app.post("/notifications/test", async (request, reply) => {
+  const { to, type = "shipment_confirmation" } = request.body || {};
 
-        currentOrder = row.order_id;
+  if (!isEmailAddress(to)) {
+    return reply.code(400).send({ error: "to must be an email address" });
+  }
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    return reply.code(400).send({ error: NOTIFICATION_TYPE_ERROR });
+  }
 
-        // ===== ORDER HEADER =====
-        doc.fontSize(14).text("PICK LIST", { align: "center" });
-        doc.moveDown(0.3);
+  const transport = getMailTransport();
+  if (!transport || !process.env.MAIL_FROM) {
+    return reply.code(503).send({ error: "Email isn't configured (MAIL_TRANSPORT / SMTP_HOST and MAIL_FROM)" });
+  }
 
-        doc.fontSize(10).text(`Order #: ${row.order_number}`);
-        doc.moveDown(0.3);
+  try {
+    const settings = await loadNotificationSettings(request.shop.id);
+    const row = await getNotificationTemplate(request.shop.id, type);
+    const shopName = request.shop.shop_name || request.shop.shop;
+    const rendered = renderNotification(resolveNotificationTemplate(type, row), {
+      ...SAMPLE_NOTIFICATION_VALUES,
+      shop_name: shopName,
+    });
 
-        // ===== BARCODE =====
-        const barcodeBuffer = await bwipjs.toBuffer({
-          bcid: "code128",
-          text: String(row.order_number),
-          scale: 2,
-          height: 10,
-          includetext: false
-        });
+    const { messageId } = await transport.send({
+      from: { name: settings.sender_name || shopName, address: process.env.MAIL_FROM },
+      to,
+      replyTo: settings.reply_to || undefined,
+      ...rendered,
+    });
+    return reply.send({ success: true, message_id: messageId });
+  } catch (err) {
+    request.log.warn({ err: err.message }, "Test email failed");
+    return reply.code(502).send({ error: `Failed to send test email: ${err.message}` });
+  }
+});
 
-        doc.image(barcodeBuffer, {
-          fit: [200, 50],
-          align: "center"
-        });
+// The shop's emails, newest first (?status=failed for the ones to look at)
+app.get("/notifications", async (request, reply) => {
+  const { status, limit } = request.query;
 
-        doc.moveDown(0.5);
-        doc.moveTo(12, doc.y).lineTo(276, doc.y).stroke();
-        doc.moveDown(0.3);
+  if (status && !["pending", "sending", "sent", "failed", "skipped"].includes(status)) {
+    return reply.code(400).send({ error: "status must be pending, sending, sent, failed or skipped" });
+  }
 
-        doc.fontSize(10).text("ITEMS:");
-        doc.moveDown(0.2);
-      }
+  try {
+    const notifications = await getNotifications(request.shop.id, {
+      status: status || null,
+      limit: Math.min(parseInt(limit, 10) || 100, 500),
+    });
+    return reply.send({ notifications });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load notifications" });
+  }
+});
 
-      // ===== ITEM LINE =====
-      doc.fontSize(9).text(
-        `• ${row.product_name}  (Qty: ${row.quantity})`
-      );
+// One email, with what was sent
+app.get("/notifications/:notificationId", async (request, reply) => {
+  try {
+    const notification = await getNotification(request.shop.id, request.params.notificationId);
+    if (!notification) {
+      return reply.code(404).send({ error: "Notification not found" });
     }
+    return reply.send({ notification });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load notification" });
+  }
+});
 
-    doc.end();
-    return reply;
+// Try a failed email again
+app.post("/notifications/:notificationId/retry", async (request, reply) => {
+  try {
+    const notification = await retryNotification(request.shop.id, request.params.notificationId);
+    if (!notification) {
+      return reply.code(409).send({ error: "Only failed notifications can be retried" });
+    }
 
+    sendQueuedEmails().catch(err => request.log.error(err));
+    return reply.send({ success: true, notification });
   } catch (err) {
     request.log.error(err);
-    reply.code(500);
-    return { error: "Failed to generate thermal pick list" };
+    return reply.code(500).send({ error: "Failed to retry notification" });
   }
 });
 
+// Notification log for an order
+app.get("/orders/:orderId/notifications", async (request, reply) => {
+  try {
+    const notifications = await getOrderNotifications(request.shop.id, request.params.orderId);
+    return reply.send({ notifications });
+  } catch (err) {
+    request.log.error(err);
+    return reply.code(500).send({ error: "Failed to load notifications" });
+  }
+});
 
 // ==============================
-// THERMAL ORDER PACKING SLIP
+// SHOPIFY WEBHOOKS
 // ==============================
-app.get("/orders/:orderId/packing-slip/thermal", async (request, reply) => {
-  const { orderId } = request.params;
 
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        o.order_number,
-        o.customer_name,
-        o.recipient_name,
-        oi.product_name,
-        oi.quantity
-      FROM orders o
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.id = $1
-      ORDER BY oi.product_name
-      `,
-      [orderId]
-    );
+app.register(async (webhooks) => {
+  webhooks.removeContentTypeParser("application/json");
+  webhooks.addContentTypeParser("application/json", { parseAs: "buffer" }, parseRawJson);
 
-    if (result.rows.length === 0) {
-      return reply.code(404).send("Order not found");
+  // Nothing runs until the signature checks out
+  webhooks.addHook("preHandler", async (request, reply) => {
+    if (!verifyWebhookHmac(request.rawBody, request.headers["x-shopify-hmac-sha256"])) {
+      request.log.warn(
+        { shop: request.headers["x-shopify-shop-domain"], url: request.url },
+        "Rejected webhook with invalid HMAC"
+      );
+      return reply.code(401).send({ error: "Invalid webhook signature" });
     }
+  });
 
-    // Build thermal text
-    let output = "";
-    output += "1921 MOVEMENT\n";
-    output += "--------------------------\n";
-    output += `ORDER #: ${result.rows[0].order_number}\n`;
-    output += `CUSTOMER: ${result.rows[0].customer_name}\n`;
-    output += `SHIP TO: ${result.rows[0].recipient_name}\n`;
-    output += "--------------------------\n";
-    output += "ITEMS:\n";
+  for (const topic of ORDER_WEBHOOK_TOPICS) {
+    webhooks.post(`/webhooks/${topic}`, async (request, reply) => {
+      const shopifyOrder = request.body;
 
-    result.rows.forEach(item => {
-      output += `${item.quantity} x ${item.product_name}\n`;
-    });
+      try {
+        // Deliveries for shops that uninstalled (or never finished installing)
+        const shopData = await getShop(request.headers["x-shopify-shop-domain"]);
+        if (!shopData) {
+          return reply.send({ success: true, skipped: "shop not installed" });
+        }
 
-    output += "--------------------------\n";
-    output += "PACKED BY: ________\n";
-    output += "DATE: ____________\n\n\n";
+        const order = await applyShopifyOrder(shopData.id, shopifyOrder, {
+          cancelled: topic === "orders/cancelled",
+          fulfilled: topic === "orders/fulfilled",
+        });
 
-    reply.header("Content-Type", "text/plain");
-    return reply.send(output);
+        if (order.stale) {
+          return reply.send({ success: true, skipped: "stale" });
+        }
 
-  } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send("Failed to generate thermal packing slip");
+        return reply.send({ success: true });
+      } catch (err) {
+        request.log.error(err);
+        // Shopify retries non-2xx deliveries
+        return reply.code(500).send({ error: "Failed to process webhook" });
+      }
+    });
   }
-});
 
-// ==============================
-// AUTO-PRINT BATCH PICK LIST
-// ==============================
-app.get("/print/batches/:batchId/pick-list", async (request, reply) => {
-  const { batchId } = request.params;
+  // App uninstalled: keep the data, but stop syncing the shop
+  webhooks.post("/webhooks/app/uninstalled", async (request, reply) => {
+    const shop = request.headers["x-shopify-shop-domain"] || request.body.myshopify_domain;
 
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        oi.product_name,
-        SUM(oi.quantity) AS total_quantity
-      FROM orders o
-      JOIN order_items oi ON oi.order_id = o.id
-      WHERE o.batch_id = $1
-      GROUP BY oi.product_name
-      ORDER BY oi.product_name
-      `,
-      [batchId]
-    );
+    try {
+      await deactivateShop(shop);
+      return reply.send({ success: true });
+    } catch (err) {
+      request.log.error(err);
+      return reply.code(500).send({ error: "Failed to process webhook" });
+    }
+  });
 
-    if (result.rows.length === 0) {
-      reply.code(404);
-      return "No items found for this batch";
+  // GDPR: export everything we hold about a customer
+  webhooks.post("/webhooks/customers/data_request", async (request, reply) => {
+    const { shop_domain, customer = {}, orders_requested } = request.body;
+
+    let gdprRequest;
+    try {
+      gdprRequest = await logGdprRequest({
+        shop: shop_domain,
+        topic: "customers/data_request",
+        customerId: customer.id,
+        customerEmail: customer.email,
+        orderIds: orders_requested,
+        payload: request.body,
+      });
+
+      const shopId = await getShopId(shop_domain);
+      const data = await exportCustomerData(shopId, orders_requested, customer.id);
+      await completeGdprRequest(gdprRequest.id, "completed", {
+        orders_found: data.orders.length,
+        export: data,
+      });
+
+      return reply.send({ success: true });
+    } catch (err) {
+      request.log.error(err);
+      if (gdprRequest) {
+        await completeGdprRequest(gdprRequest.id, "failed", { error: err.message }).catch(() => {});
+      }
+      return reply.code(500).send({ error: "Failed to process webhook" });
+    }
+  });
+
+  // GDPR: scrub a customer's personal data
+  webhooks.post("/webhooks/customers/redact", async (request, reply) => {
+    const { shop_domain, customer = {}, orders_to_redact } = request.body;
+
+    let gdprRequest;
+    try {
+      gdprRequest = await logGdprRequest({
+        shop: shop_domain,
+        topic: "customers/redact",
+        customerId: customer.id,
+        customerEmail: customer.email,
+        orderIds: orders_to_redact,
+        payload: request.body,
+      });
+
+      const shopId = await getShopId(shop_domain);
+      const result = await redactCustomer(shopId, orders_to_redact, customer.id);
+
+      // Earlier requests about them (and this one) hold their details too
+      const requestsRedacted = await redactGdprRequests(shop_domain, {
+        customerId: customer.id,
+        customerEmail: customer.email,
+        orderIds: orders_to_redact,
+      });
+      await completeGdprRequest(gdprRequest.id, "completed", { ...result, gdpr_requests_redacted: requestsRedacted });
+
+      return reply.send({ success: true });
+    } catch (err) {
+      request.log.error(err);
+      if (gdprRequest) {
+        await completeGdprRequest(gdprRequest.id, "failed", { error: err.message }).catch(() => {});
+      }
+      return reply.code(500).send({ error: "Failed to process webhook" });
     }
+  });
 
-    reply.header("Content-Type", "text/plain");
-    reply.header("X-Auto-Print", "true");
+  // GDPR: 48 hours after uninstall, delete the shop's data
+  webhooks.post("/webhooks/shop/redact", async (request, reply) => {
+    const { shop_domain } = request.body;
+
+    let gdprRequest;
+    try {
+      gdprRequest = await logGdprRequest({
+        shop: shop_domain,
+        topic: "shop/redact",
+        payload: request.body,
+      });
 
-    let output = "";
-    output += "BATCH PICK LIST\n";
-    output += `Batch ID: ${batchId}\n`;
-    output += "--------------------\n\n";
+      // Cascades to the shop's orders, batches, shipments and manifests
+      await deleteShop(shop_domain);
 
-    result.rows.forEach(item => {
-      output += `${item.product_name}\n`;
-      output += `QTY: ${item.total_quantity}\n\n`;
-    });
+      // The audit log isn't tied to the shop row; scrub it by domain
+      const requestsRedacted = await redactGdprRequests(shop_domain);
+      await completeGdprRequest(gdprRequest.id, "completed", {
+        shop_deleted: true,
+        gdpr_requests_redacted: requestsRedacted,
+      });
 
-    return output;
-  } catch (err) {
-    request.log.error(err);
-    reply.code(500);
-    return "Failed to auto-print pick list";
-  }
+      return reply.send({ success: true });
+    } catch (err) {
+      request.log.error(err);
+      if (gdprRequest) {
+        await completeGdprRequest(gdprRequest.id, "failed", { error: err.message }).catch(() => {});
+      }
+      return reply.code(500).send({ error: "Failed to process webhook" });
+    }
+  });
 });
 
 // ==============================
-// SHIPPING LABEL PURCHASE SYSTEM
+// GDPR AUDIT LOG
 // ==============================
-
-app.post("/shipping/create-label", async (request, reply) => {
-  const { orderId } = request.body;
-
+app.get("/gdpr/requests", async (request, reply) => {
   try {
-    const orderResult = await pool.query(
-      `SELECT * FROM orders WHERE id = $1`,
-      [orderId]
-    );
-
-    if (orderResult.rows.length === 0) {
-      return reply.code(404).send({ error: "Order not found" });
-    }
-
-    return reply.send({ 
-      success: true, 
-      message: "Shipping endpoint is working! EasyPost ready.",
-      order: orderResult.rows[0]
-    });
-
+    const requests = await getGdprRequests(request.shop.shop);
+    return reply.send({ requests });
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to create label" });
+    return reply.code(500).send({ error: "Failed to fetch GDPR requests" });
   }
 });
 
-// ==============================
-// SHIPPING MANIFEST / SCAN FORM SYSTEM
-// ==============================
-
-app.post("/manifests/create", async (request, reply) => {
-  const { batchId } = request.body;
+// Download the JSON export produced for a customers/data_request
+app.get("/gdpr/requests/:requestId/export", async (request, reply) => {
+  const { requestId } = request.params;
 
   try {
-    // Get all shipments in the batch
-    const shipmentsResult = await pool.query(
-      `
-      SELECT
-        s.id,
-        s.tracking_number,
-        s.carrier
-      FROM shipments s
-      JOIN orders o ON s.order_id = o.id
-      WHERE o.batch_id = $1
-        AND s.tracking_number IS NOT NULL
-      ORDER BY s.id
-      `,
-      [batchId]
-    );
+    const gdprRequest = await getGdprRequest(requestId);
+
+    if (
+      !gdprRequest ||
+      gdprRequest.shop !== request.shop.shop ||
+      gdprRequest.topic !== "customers/data_request"
+    ) {
+      return reply.code(404).send({ error: "Data request not found" });
+    }
 
-    if (shipmentsResult.rows.length === 0) {
-      return reply.code(404).send({ error: "No shipments found in batch" });
+    if (gdprRequest.redacted_at) {
+      return reply.code(410).send({ error: "Export was redacted", redacted_at: gdprRequest.redacted_at });
     }
 
-    const shipments = shipmentsResult.rows;
-    const trackingNumbers = shipments.map(s => s.tracking_number);
-    const carrier = shipments[0].carrier;
+    if (!gdprRequest.result?.export) {
+      return reply.code(409).send({ error: "Export not ready", status: gdprRequest.status });
+    }
 
-    // For now, create a simple manifest without EasyPost
-    // When you get EasyPost key, we'll add SCAN form generation
-    const manifestResult = await pool.query(
-      `
-      INSERT INTO shipping_manifests 
-        (batch_id, carrier, tracking_codes, shipment_count)
-      VALUES ($1, $2, $3, $4)
-      RETURNING *
-      `,
-      [batchId, carrier, trackingNumbers, trackingNumbers.length]
+    reply.header(
+      "Content-Disposition",
+      `attachment; filename=customer-data-request-${gdprRequest.id}.json`
     );
-
-    const manifest = manifestResult.rows[0];
-
-    return reply.send({
-      success: true,
-      manifest,
-      print_url: `/manifests/${manifest.id}/print`,
-      shipment_count: trackingNumbers.length
-    });
-
+    return reply.send(gdprRequest.result.export);
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to create manifest" });
+    return reply.code(500).send({ error: "Failed to fetch export" });
   }
 });
 
-// ==============================
-// PRINT MANIFEST
-// ==============================
-app.get("/manifests/:manifestId/print", async (request, reply) => {
-  const { manifestId } = request.params;
-
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        m.*,
-        b.name AS batch_name
-      FROM shipping_manifests m
-      LEFT JOIN batches b ON m.batch_id = b.id
-      WHERE m.id = $1
-      `,
-      [manifestId]
-    );
-
-    if (result.rows.length === 0) {
-      return reply.code(404).send({ error: "Manifest not found" });
-    }
-
-    const manifest = result.rows[0];
+/* -------------------------
+   SHOPIFY OAUTH ROUTES
+-------------------------- */
 
-    const html = `
+// Error page for the install flow; merchants land here from Shopify
+function sendOAuthError(reply, statusCode, message) {
+  const html = `
 <!DOCTYPE html>
 <html>
 <head>
-  <title>Shipping Manifest - ${manifest.id}</title>
+  <title>Installation failed</title>
   <style>
-    @page {
-      size: 4in 6in;
-      margin: 0.2in;
-    }
-    @media print {
-      body { margin: 0; }
-      .no-print { display: none; }
-    }
     body {
       font-family: Arial, sans-serif;
-      width: 4in;
-      margin: 0 auto;
-      padding: 0.3in;
+      max-width: 480px;
+      margin: 80px auto;
+      padding: 0 20px;
+      color: #202223;
     }
     h1 {
-      font-size: 18pt;
-      text-align: center;
-      margin: 0 0 10px 0;
-      border-bottom: 2px solid #000;
-      padding-bottom: 5px;
-    }
-    .info {
-      font-size: 11pt;
-      margin: 8px 0;
-    }
-    .label {
-      font-weight: bold;
-      display: inline-block;
-      width: 100px;
-    }
-    .shipments {
-      margin-top: 15px;
-      font-size: 9pt;
-      border-top: 1px solid #000;
-      padding-top: 8px;
-    }
-    .shipments h2 {
-      font-size: 10pt;
-      margin: 5px 0;
+      font-size: 20pt;
+      border-bottom: 2px solid #d72c0d;
+      padding-bottom: 8px;
     }
-    button {
-      position: fixed;
-      top: 10px;
-      right: 10px;
-      padding: 10px 20px;
-      background: #28a745;
-      color: white;
-      border: none;
-      border-radius: 5px;
-      cursor: pointer;
-      font-size: 14pt;
+    p {
+      font-size: 12pt;
+      line-height: 1.5;
     }
   </style>
-  <script>
-    window.onload = function() {
-      setTimeout(function() {
-        window.print();
-      }, 500);
-    };
-  </script>
 </head>
 <body>
-  <button class="no-print" onclick="window.print()">🖨️ Print</button>
-  
-  <h1>SHIPPING MANIFEST</h1>
-  
-  <div class="info">
-    <span class="label">Manifest ID:</span> ${manifest.id}
-  </div>
-  <div class="info">
-    <span class="label">Date:</span> ${new Date(manifest.manifest_date).toLocaleDateString()}
-  </div>
-  <div class="info">
-    <span class="label">Carrier:</span> ${manifest.carrier}
-  </div>
-  ${manifest.batch_name ? `
-    <div class="info">
-      <span class="label">Batch:</span> ${manifest.batch_name}
-    </div>
-  ` : ''}
-  <div class="info">
-    <span class="label">Packages:</span> ${manifest.shipment_count}
-  </div>
-  
-  <div class="shipments">
-    <h2>Tracking Numbers (${manifest.tracking_codes.length})</h2>
-    ${manifest.tracking_codes.map(code => `
-      <div>${code}</div>
-    `).join('')}
-  </div>
+  <h1>We couldn't install the app</h1>
+  <p>${message}</p>
+  <p>Please start the installation again from your Shopify admin. If this keeps happening, contact support.</p>
 </body>
 </html>
-    `;
+  `;
 
-    reply.header("Content-Type", "text/html");
-    return reply.send(html);
+  return reply.code(statusCode).header("Content-Type", "text/html").send(html);
+}
 
-  } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to print manifest" });
-  }
-});
+app.get("/auth", async (request, reply) => {
+  const { shop } = request.query;
 
-// ==============================
-// GET ALL MANIFESTS
-// ==============================
-app.get("/manifests", async (request, reply) => {
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        m.*,
-        b.name AS batch_name
-      FROM shipping_manifests m
-      LEFT JOIN batches b ON m.batch_id = b.id
-      ORDER BY m.created_at DESC
-      `
-    );
-    return reply.send({ manifests: result.rows });
-  } catch (err) {
-    request.log.error(err);
-    return reply.code(500).send({ error: "Failed to fetch manifests" });
+  if (!isValidShopDomain(shop)) {
+    return sendOAuthError(reply, 400, "The shop address is missing or isn't a myshopify.com domain.");
   }
-});
-
-// ==============================
-// SHOPIFY INTEGRATION (Using API Key & Secret)
-// ==============================
 
-async function makeShopifyRequest(endpoint, method = 'GET', body = null) {
-  const shop = process.env.SHOPIFY_SHOP_DOMAIN;
-  const apiKey = process.env.SHOPIFY_CLIENT_ID;
-  const apiSecret = process.env.SHOPIFY_API_SECRET;
-  
-  const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
-  
-  const options = {
-    method,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json'
-    }
-  };
-  
-  if (body) {
-    options.body = JSON.stringify(body);
+  // Installs launched from the Shopify admin are signed
+  if (request.query.hmac && !verifyOAuthHmac(request.query)) {
+    return sendOAuthError(reply, 400, "The install link could not be verified.");
   }
-  
-  const response = await fetch(`https://${shop}/admin/api/2024-01/${endpoint}`, options);
-  return response.json();
-}
 
-// Sync orders from Shopify
-app.post("/shopify/sync-orders", async (request, reply) => {
   try {
-    const data = await makeShopifyRequest('orders.json?status=open&fulfillment_status=unfulfilled&limit=250');
-    
-    if (!data.orders) {
-      return reply.code(500).send({ error: "Failed to fetch orders", details: data });
-    }
-    
-    const imported = [];
-    const errors = [];
-    
-    for (const shopifyOrder of data.orders) {
-      try {
-        const existing = await pool.query(
-          `SELECT id FROM orders WHERE order_number = $1`,
-          [String(shopifyOrder.order_number)]
-        );
-        
-        if (existing.rows.length > 0) continue;
-        
-        const shipping = shopifyOrder.shipping_address || {};
-        const customer = shopifyOrder.customer || {};
-        
-        const orderResult = await pool.query(
-          `
-          INSERT INTO orders (
-            order_number, order_date, customer_name, recipient_name,
-            recipient_address, recipient_city, recipient_state, recipient_zip,
-            recipient_phone, order_total, status, shopify_order_id
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-          RETURNING id
-          `,
-          [
-            String(shopifyOrder.order_number),
-            shopifyOrder.created_at,
-            `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-            shipping.name || `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-            shipping.address1 || '',
-            shipping.city || '',
-            shipping.province_code || '',
-            shipping.zip || '',
-            shipping.phone || customer.phone || '',
-            shopifyOrder.total_price,
-            'Pending',
-            String(shopifyOrder.id)
-          ]
-        );
-        
-        const orderId = orderResult.rows[0].id;
-        
-        for (const item of shopifyOrder.line_items) {
-          await pool.query(
-            `INSERT INTO order_items (order_id, sku, product_name, quantity, price)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [orderId, item.sku || String(item.variant_id), item.name, item.quantity, item.price]
-          );
-        }
-        
-        imported.push(shopifyOrder.order_number);
-        
-      } catch (err) {
-        errors.push({ order: shopifyOrder.order_number, error: err.message });
-      }
-    }
-    
-    return reply.send({
-      success: true,
-      imported: imported.length,
-      failed: errors.length,
-      orders: imported,
-      errors
-    });
-    
+    const state = crypto.randomBytes(16).toString("hex");
+    await saveOAuthState(state, shop);
+
+    const redirectUri = `${process.env.APP_URL}/auth/callback`;
+
+    const installUrl =
+      `https://${shop}/admin/oauth/authorize` +
+      `?client_id=${encodeURIComponent(process.env.SHOPIFY_API_KEY)}` +
+      `&scope=${encodeURIComponent(process.env.SHOPIFY_SCOPES)}` +
+      `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+      `&state=${state}`;
+
+    return reply.redirect(installUrl);
   } catch (err) {
     request.log.error(err);
-    return reply.code(500).send({ error: "Failed to sync orders", details: err.message });
+    return sendOAuthError(reply, 500, "Something went wrong starting the installation.");
   }
 });
 
-/* -------------------------
-   SHOPIFY OAUTH ROUTES
--------------------------- */
-
-app.get("/auth", (req, res) => {
-  const shop = req.query.shop;
+app.get("/auth/callback", async (request, reply) => {
+  const { shop, code, state } = request.query;
 
-  if (!shop) {
-    return res.status(400).send("Missing shop parameter");
+  if (!isValidShopDomain(shop) || !code || !state) {
+    return sendOAuthError(reply, 400, "The response from Shopify was incomplete.");
   }
 
-  const state = crypto.randomBytes(16).toString("hex");
-  const redirectUri = `${process.env.APP_URL}/auth/callback`;
-
-  const installUrl =
-    `https://${shop}/admin/oauth/authorize` +
-    `?client_id=${process.env.SHOPIFY_API_KEY}` +
-    `&scope=${process.env.SHOPIFY_SCOPES}` +
-    `&redirect_uri=${redirectUri}` +
-    `&state=${state}`;
-
-  res.redirect(installUrl);
-});
-
-app.get("/auth/callback", async (req, res) => {
-  const { shop, code } = req.query;
-
-  if (!shop || !code) {
-    return res.status(400).send("Missing shop or code");
+  if (!verifyOAuthHmac(request.query)) {
+    request.log.warn({ shop }, "OAuth callback failed HMAC validation");
+    return sendOAuthError(reply, 400, "The response from Shopify could not be verified.");
   }
 
   try {
-    const tokenResponse = await fetch(
-      `https://${shop}/admin/oauth/access_token`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          client_id: process.env.SHOPIFY_API_KEY,
-          client_secret: process.env.SHOPIFY_API_SECRET,
-          code,
-        }),
-      }
-    );
+    if (!(await consumeOAuthState(state, shop))) {
+      request.log.warn({ shop }, "OAuth callback with unknown or expired state");
+      return sendOAuthError(reply, 403, "This installation link has expired or was already used.");
+    }
 
-    const tokenData = await tokenResponse.json();
-    const accessToken = tokenData.access_token;
+    const tokenData = await exchangeAccessToken(shop, code);
+    const shopDetails = await fetchShopDetails(shop, tokenData.access_token);
+
+    // saveShop encrypts the token before it's stored
+    await saveShop({
+      shop,
+      accessToken: tokenData.access_token,
+      scope: tokenData.scope,
+      shopName: shopDetails.name,
+      email: shopDetails.email,
+      domain: shopDetails.domain,
+      currency: shopDetails.currency,
+      timezone: shopDetails.iana_timezone,
+    });
 
-    console.log("SHOP:", shop);
-    console.log("ACCESS TOKEN:", accessToken);
+    try {
+      const webhooks = await registerWebhooks(shop, tokenData.access_token, [
+        ...ORDER_WEBHOOK_TOPICS,
+        ...APP_WEBHOOK_TOPICS,
+      ]);
+      request.log.info({ shop, webhooks }, "Registered webhooks");
+    } catch (err) {
+      request.log.error(err, "Failed to register webhooks");
+    }
 
-    res.send("App installed successfully. You can close this window.");
+    return reply
+      .header("Content-Type", "text/html")
+      .send("<p>App installed successfully. You can close this window.</p>");
   } catch (err) {
-    console.error(err);
-    res.status(500).send("OAuth failed");
+    request.log.error(err);
+    return sendOAuthError(reply, 502, "We couldn't finish connecting to your store.");
   }
 });
 
 
-// Start server
-app.listen({
-  port: process.env.PORT || 3000,
-  host: "0.0.0.0",
-});
-
-/* ==============================
-   SHOP DATABASE OPERATIONS
-============================== */
-
-async function saveShop(shopData) {
-  const {
-    shop,
-    accessToken,
-    scope,
-    shopName,
-    email,
-    domain,
-    currency,
-    timezone,
-  } = shopData;
-
-  try {
-    const encryptedToken = encrypt(accessToken);
-
-    const query = `
-      INSERT INTO shops (
-        shop, 
-        access_token, 
-        scope, 
-        shop_name, 
-        email, 
-        domain, 
-        currency, 
-        timezone,
-        is_active,
-        installed_at,
-        last_updated
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, NOW(), NOW())
-      ON CONFLICT (shop) 
-      DO UPDATE SET
-        access_token = EXCLUDED.access_token,
-        scope = EXCLUDED.scope,
-        shop_name = EXCLUDED.shop_name,
-        email = EXCLUDED.email,
-        domain = EXCLUDED.domain,
-        currency = EXCLUDED.currency,
-        timezone = EXCLUDED.timezone,
-        is_active = true,
-        last_updated = NOW()
-      RETURNING *;
-    `;
+// Start the server and the background jobs when run as `node index.js`;
+// tests import the app and drive it with app.inject instead
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen({
+    port: process.env.PORT || 3000,
+    host: "0.0.0.0",
+  });
 
-    const values = [
-      shop,
-      encryptedToken,
-      scope,
-      shopName || null,
-      email || null,
-      domain || null,
-      currency || null,
-      timezone || null,
-    ];
-
-    const result = await pool.query(query, values);
-    console.log(`✅ Shop saved: ${shop}`);
-    return result.rows[0];
-  } catch (error) {
-    console.error('Error saving shop:', error);
-    throw error;
-  }
-}
+  setInterval(() => {
+    retryFulfillmentPushes().catch(err => app.log.error(err));
+  }, FULFILLMENT_RETRY_INTERVAL_MS).unref();
 
-async function getShop(shop) {
-  try {
-    const query = 'SELECT * FROM shops WHERE shop = $1 AND is_active = true';
-    const result = await pool.query(query, [shop]);
+  setInterval(() => {
+    pollTracking().catch(err => app.log.error(err));
+  }, TRACKING_POLL_INTERVAL_MS).unref();
 
-    if (result.rows.length === 0) {
-      return null;
-    }
+  setInterval(() => {
+    sendQueuedEmails().catch(err => app.log.error(err));
+  }, NOTIFICATION_SEND_INTERVAL_MS).unref();
 
-    const shopData = result.rows[0];
-    shopData.access_token = decrypt(shopData.access_token);
+  setInterval(() => {
+    verifyPendingAddresses().catch(err => app.log.error(err));
+  }, ADDRESS_VERIFY_INTERVAL_MS).unref();
 
-    return shopData;
-  } catch (error) {
-    console.error('Error getting shop:', error);
-    throw error;
-  }
+  setInterval(() => {
+    purgePrintJobContent().catch(err => app.log.error(err));
+  }, PRINT_PURGE_INTERVAL_MS).unref();
 }
 
 /* ==============================
@@ -1425,6 +5523,10 @@ async function getShop(shop) {
 app.get("/test/shop/:shop", async (request, reply) => {
   const { shop } = request.params;
   
+  if (shop !== request.shop.shop) {
+    return reply.code(403).send({ error: "Not your shop" });
+  }
+
   try {
     const shopData = await getShop(shop);
     
@@ -1445,3 +5547,5 @@ app.get("/test/shop/:shop", async (request, reply) => {
     return reply.code(500).send({ error: "Failed to retrieve shop" });
   }
 });
+
+export default app;
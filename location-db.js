@@ -0,0 +1,315 @@
+import pool from './db.js';
+
+/**
+ * Check a location from the API or an import row and fill in its code
+ * (zone-aisle-shelf-bin) when none is given
+ * @param {Object} location - code, zone, aisle, shelf, bin, walk_sequence
+ * @returns {{ location: Object|null, error: string|null }}
+ */
+export function normalizeLocation(location = {}) {
+  const parts = ['zone', 'aisle', 'shelf', 'bin'].map(key =>
+    location[key] == null || location[key] === '' ? null : String(location[key]).trim()
+  );
+  const code = String(location.code || parts.filter(Boolean).join('-')).trim();
+  const walkSequence = parseInt(location.walk_sequence, 10);
+
+  if (!code) {
+    return { location: null, error: 'Location needs a code or zone/aisle/shelf/bin' };
+  }
+
+  if (!Number.isInteger(walkSequence)) {
+    return { location: null, error: `Location ${code} needs a numeric walk_sequence` };
+  }
+
+  const [zone, aisle, shelf, bin] = parts;
+  return {
+    location: { code, zone, aisle, shelf, bin, walk_sequence: walkSequence },
+    error: null,
+  };
+}
+
+/**
+ * A shop's bin locations in walk order, with the SKUs assigned to each
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>}
+ */
+export async function getLocations(shopId) {
+  try {
+    const query = `
+      SELECT
+        l.*,
+        COALESCE(
+          array_agg(sl.sku ORDER BY sl.sku) FILTER (WHERE sl.sku IS NOT NULL),
+          '{}'
+        ) AS skus
+      FROM bin_locations l
+      LEFT JOIN sku_locations sl ON sl.location_id = l.id
+      WHERE l.shop_id = $1
+      GROUP BY l.id
+      ORDER BY l.walk_sequence, l.code;
+    `;
+    const result = await pool.query(query, [shopId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting locations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a location, or update the one with the same code
+ * @param {Object} db - pool, or a client inside the caller's transaction
+ * @param {number} shopId - shops.id
+ * @param {Object} location - From normalizeLocation
+ * @returns {Promise<Object>} - bin_locations row, plus created flag
+ */
+export async function saveLocation(db, shopId, location) {
+  const query = `
+    INSERT INTO bin_locations (shop_id, code, zone, aisle, shelf, bin, walk_sequence)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (shop_id, code)
+    DO UPDATE SET
+      zone = EXCLUDED.zone,
+      aisle = EXCLUDED.aisle,
+      shelf = EXCLUDED.shelf,
+      bin = EXCLUDED.bin,
+      walk_sequence = EXCLUDED.walk_sequence,
+      updated_at = NOW()
+    RETURNING *, (xmax = 0) AS created;
+  `;
+  const result = await db.query(query, [
+    shopId,
+    location.code,
+    location.zone,
+    location.aisle,
+    location.shelf,
+    location.bin,
+    location.walk_sequence,
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Edit a location by id
+ * @param {number} shopId - shops.id
+ * @param {number} locationId - bin_locations.id
+ * @param {Object} location - From normalizeLocation
+ * @returns {Promise<Object|null>} - Updated row, null if not found
+ */
+export async function updateLocation(shopId, locationId, location) {
+  try {
+    const query = `
+      UPDATE bin_locations
+      SET code = $3, zone = $4, aisle = $5, shelf = $6, bin = $7,
+          walk_sequence = $8, updated_at = NOW()
+      WHERE id = $2 AND shop_id = $1
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      shopId,
+      locationId,
+      location.code,
+      location.zone,
+      location.aisle,
+      location.shelf,
+      location.bin,
+      location.walk_sequence,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating location:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a location; its SKUs become unassigned
+ * @param {number} shopId - shops.id
+ * @param {number} locationId - bin_locations.id
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function deleteLocation(shopId, locationId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM bin_locations WHERE id = $1 AND shop_id = $2',
+      [locationId, shopId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put a SKU in a bin (a SKU is picked from one bin; reassigning moves it)
+ * @param {Object} db - pool, or a client inside the caller's transaction
+ * @param {number} shopId - shops.id
+ * @param {string} sku - SKU as it appears on order_items
+ * @param {number} locationId - bin_locations.id, which must belong to the shop
+ * @returns {Promise<Object|null>} - sku_locations row, null if the location isn't the shop's
+ */
+export async function assignSkuLocation(db, shopId, sku, locationId) {
+  const query = `
+    INSERT INTO sku_locations (shop_id, sku, location_id)
+    SELECT $1, $2, id FROM bin_locations WHERE id = $3 AND shop_id = $1
+    ON CONFLICT (shop_id, sku)
+    DO UPDATE SET location_id = EXCLUDED.location_id, updated_at = NOW()
+    RETURNING *;
+  `;
+  const result = await db.query(query, [shopId, sku, locationId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Take a SKU out of its bin
+ * @param {number} shopId - shops.id
+ * @param {string} sku
+ * @returns {Promise<boolean>} - False if it had no location
+ */
+export async function removeSkuLocation(shopId, sku) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM sku_locations WHERE shop_id = $1 AND sku = $2',
+      [shopId, sku]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error removing SKU location:', error);
+    throw error;
+  }
+}
+
+/**
+ * Bulk create/update locations and their SKUs in one transaction. Rows are
+ * matched on code, so re-importing the same sheet is safe.
+ * @param {number} shopId - shops.id
+ * @param {Array<Object>} rows - Location fields plus sku / skus
+ * @returns {Promise<Object>} - { created, updated, skus_assigned, errors }
+ */
+export async function importLocations(shopId, rows) {
+  const errors = [];
+  const valid = [];
+
+  rows.forEach((row, index) => {
+    const { location, error } = normalizeLocation(row);
+    if (error) {
+      errors.push({ row: index + 1, error });
+      return;
+    }
+
+    const skus = [].concat(row.skus || row.sku || [])
+      .flatMap(value => String(value).split('|'))
+      .map(sku => sku.trim())
+      .filter(Boolean);
+
+    valid.push({ location, skus });
+  });
+
+  // All or nothing: a half-imported sheet is harder to fix than a rejected one
+  if (errors.length > 0) {
+    return { created: 0, updated: 0, skus_assigned: 0, errors };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let created = 0;
+    let updated = 0;
+    let skusAssigned = 0;
+
+    for (const { location, skus } of valid) {
+      const saved = await saveLocation(client, shopId, location);
+      saved.created ? created++ : updated++;
+
+      for (const sku of skus) {
+        await assignSkuLocation(client, shopId, sku, saved.id);
+        skusAssigned++;
+      }
+    }
+
+    await client.query('COMMIT');
+    console.log(`✅ Imported ${valid.length} location(s) for shop ${shopId}`);
+    return { created, updated, skus_assigned: skusAssigned, errors };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error importing locations:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Every item line in a batch with the bin its SKU is picked from,
+ * in walk order (items with no bin last)
+ * @param {number} shopId - shops.id
+ * @param {number} batchId - batches.id
+ * @returns {Promise<Array>} - order, item and location columns
+ */
+export async function getBatchPickRows(shopId, batchId) {
+  try {
+    const query = `
+      SELECT
+        o.id AS order_id,
+        o.order_number,
+        oi.sku,
+        oi.product_name,
+        oi.quantity,
+        l.code AS location_code,
+        l.zone,
+        l.aisle,
+        l.shelf,
+        l.bin,
+        l.walk_sequence
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN sku_locations sl ON sl.shop_id = o.shop_id AND sl.sku = oi.sku
+      LEFT JOIN bin_locations l ON l.id = sl.location_id
+      WHERE o.batch_id = $1
+        AND o.shop_id = $2
+      ORDER BY l.walk_sequence NULLS LAST, l.code, oi.product_name, o.id;
+    `;
+    const result = await pool.query(query, [batchId, shopId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting batch pick rows:', error);
+    throw error;
+  }
+}
+
+/**
+ * Total the pick rows per SKU, keeping walk order, and split off SKUs that
+ * have no bin so someone can assign them
+ * @param {Array} rows - From getBatchPickRows
+ * @returns {{ located: Array, unassigned: Array }}
+ */
+export function summarizePickList(rows) {
+  const bySku = new Map();
+
+  for (const row of rows) {
+    const key = `${row.sku}\u0000${row.product_name}`;
+    const line = bySku.get(key) || {
+      sku: row.sku,
+      product_name: row.product_name,
+      location_code: row.location_code,
+      zone: row.zone,
+      aisle: row.aisle,
+      shelf: row.shelf,
+      bin: row.bin,
+      walk_sequence: row.walk_sequence,
+      total_quantity: 0,
+    };
+
+    line.total_quantity += row.quantity;
+    bySku.set(key, line);
+  }
+
+  const lines = [...bySku.values()];
+  return {
+    located: lines.filter(line => line.location_code),
+    unassigned: lines.filter(line => !line.location_code),
+  };
+}
@@ -0,0 +1,100 @@
+import nodemailer from "nodemailer";
+
+// ==============================
+// MAIL TRANSPORT
+// ==============================
+//
+// A transport is anything with send({ from, to, replyTo, subject, html, text })
+// resolving to { messageId }. MAIL_TRANSPORT picks one: "smtp" (the SMTP_*
+// settings), "log" (write to the console instead of sending) or "none".
+// Unset, SMTP is used when SMTP_HOST is set.
+
+/**
+ * Send through an SMTP server. Works against a local sink (e.g. MailHog on
+ * port 1025) with no auth and secure false.
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - Defaults to 587, or 465 when secure
+ * @param {boolean} [options.secure] - TLS from the start (port 465)
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @returns {Object} - Transport
+ */
+export function smtpTransport({ host, port, secure = false, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      } catch (err) {
+        // 5xx replies (unknown mailbox, rejected sender) won't change on retry
+        err.permanent = err.responseCode >= 500 && err.responseCode < 600;
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Log messages instead of sending them, for development
+ * @param {Object} [logger] - Anything with info()
+ * @returns {Object} - Transport
+ */
+export function logTransport(logger = console) {
+  let count = 0;
+
+  return {
+    name: "log",
+    async send(message) {
+      const messageId = `<log-${Date.now()}-${++count}@localhost>`;
+      logger.info(`📧 ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * The transport the environment asks for
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object|null} - Null when email is turned off
+ */
+export function createMailTransport(env = process.env) {
+  const kind = env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "none");
+
+  if (kind === "smtp") {
+    return smtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || undefined,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    });
+  }
+
+  if (kind === "log") {
+    return logTransport();
+  }
+
+  return null;
+}
+
+let transport;
+
+/**
+ * The process-wide transport, created from the environment on first use
+ * @returns {Object|null}
+ */
+export function getMailTransport() {
+  if (transport === undefined) {
+    transport = createMailTransport();
+  }
+  return transport;
+}
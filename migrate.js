@@ -1,4 +1,8 @@
 import pkg from "pg";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 const { Pool } = pkg;
 
 const pool = new Pool({
@@ -6,36 +10,199 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false },
 });
 
-async function createShopsTable() {
-  const createTableQuery = `
-    CREATE TABLE IF NOT EXISTS shops (
-      id SERIAL PRIMARY KEY,
-      shop VARCHAR(255) UNIQUE NOT NULL,
-      access_token TEXT NOT NULL,
-      scope TEXT NOT NULL,
-      shop_name VARCHAR(255),
-      email VARCHAR(255),
-      domain VARCHAR(255),
-      currency VARCHAR(10),
-      timezone VARCHAR(100),
-      is_active BOOLEAN DEFAULT TRUE,
-      installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Arbitrary constant shared by every deploy, so only one can hold the lock
+const MIGRATION_LOCK_ID = 192101;
+
+/**
+ * Load migration files in version order. Files are named
+ * NNN_description.sql and split into "-- migrate:up" / "-- migrate:down".
+ * @returns {Array<Object>} - { version, name, checksum, up, down }
+ */
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const contents = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const upIndex = contents.indexOf('-- migrate:up');
+      const downIndex = contents.indexOf('-- migrate:down');
+
+      if (upIndex === -1 || downIndex === -1 || downIndex < upIndex) {
+        throw new Error(`${file} must contain "-- migrate:up" followed by "-- migrate:down"`);
+      }
+
+      return {
+        version: file.split('_')[0],
+        name: file.replace(/\.sql$/, ''),
+        checksum: crypto.createHash('sha256').update(contents).digest('hex'),
+        up: contents.slice(upIndex, downIndex),
+        down: contents.slice(downIndex),
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Refuse to run when an applied migration file was edited afterwards
+ */
+function verifyChecksums(migrations, applied) {
+  const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+
+  if (changed.length > 0) {
+    throw new Error(
+      `Applied migrations were modified: ${changed.map(m => m.name).join(', ')}. ` +
+      'Add a new migration instead of editing one that already ran.'
     );
+  }
+}
+
+async function withLock(client, fn) {
+  const lockResult = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_ID]);
+
+  if (!lockResult.rows[0].locked) {
+    console.log('⏳ Another migration is running, waiting for it to finish...');
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
+
+async function up(client, migrations) {
+  const applied = await getApplied(client);
+  verifyChecksums(migrations, applied);
+
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
 
-    CREATE INDEX IF NOT EXISTS idx_shops_shop ON shops(shop);
-    CREATE INDEX IF NOT EXISTS idx_shops_is_active ON shops(is_active);
-  `;
+  for (const migration of pending) {
+    console.log(`🔄 Applying ${migration.name}...`);
+    try {
+      await client.query('BEGIN');
+      await client.query(migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`${migration.name} failed: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s)`);
+}
+
+async function down(client, migrations, steps) {
+  const applied = await getApplied(client);
+  verifyChecksums(migrations, applied);
+
+  const toRevert = migrations
+    .filter(m => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('✅ Nothing to roll back');
+    return;
+  }
+
+  for (const migration of toRevert) {
+    console.log(`🔄 Reverting ${migration.name}...`);
+    try {
+      await client.query('BEGIN');
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`${migration.name} rollback failed: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Reverted ${toRevert.length} migration(s)`);
+}
+
+async function status(client, migrations) {
+  const applied = await getApplied(client);
 
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    if (!row) {
+      console.log(`  pending   ${migration.name}`);
+    } else if (row.checksum !== migration.checksum) {
+      console.log(`  MODIFIED  ${migration.name} (applied ${row.applied_at.toISOString()})`);
+    } else {
+      console.log(`  applied   ${migration.name} (${row.applied_at.toISOString()})`);
+    }
+  }
+
+  // Rows whose files were deleted
+  const known = new Set(migrations.map(m => m.version));
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) {
+      console.log(`  MISSING   ${row.name} (applied, file not found)`);
+    }
+  }
+}
+
+// Usage: node migrate.js [up | down [steps] | status]
+async function migrate() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(`❌ Unknown command "${command}". Use up, down [steps] or status.`);
+    process.exit(1);
+  }
+
+  const client = await pool.connect();
   try {
-    console.log('🔄 Creating shops table...');
-    await pool.query(createTableQuery);
-    console.log('✅ Shops table created successfully!');
+    const migrations = loadMigrations();
+
+    await withLock(client, async () => {
+      await ensureMigrationsTable(client);
+
+      if (command === 'up') {
+        await up(client, migrations);
+      } else if (command === 'down') {
+        await down(client, migrations, parseInt(stepsArg, 10) || 1);
+      } else {
+        await status(client, migrations);
+      }
+    });
+
     process.exit(0);
   } catch (error) {
-    console.error('❌ Error creating shops table:', error);
+    console.error('❌ Migration failed:', error.message);
     process.exit(1);
+  } finally {
+    client.release();
   }
 }
 
-createShopsTable();
+migrate();
@@ -0,0 +1,21 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS shops (
+  id SERIAL PRIMARY KEY,
+  shop VARCHAR(255) UNIQUE NOT NULL,
+  access_token TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  shop_name VARCHAR(255),
+  email VARCHAR(255),
+  domain VARCHAR(255),
+  currency VARCHAR(10),
+  timezone VARCHAR(100),
+  is_active BOOLEAN DEFAULT TRUE,
+  installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shops_shop ON shops(shop);
+CREATE INDEX IF NOT EXISTS idx_shops_is_active ON shops(is_active);
+
+-- migrate:down
+DROP TABLE IF EXISTS shops;
@@ -0,0 +1,27 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  order_number VARCHAR(64) NOT NULL,
+  order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  customer_name VARCHAR(255),
+  recipient_name VARCHAR(255),
+  recipient_address VARCHAR(255),
+  recipient_city VARCHAR(255),
+  recipient_state VARCHAR(100),
+  recipient_zip VARCHAR(20),
+  recipient_phone VARCHAR(50),
+  order_total NUMERIC(10, 2),
+  status VARCHAR(50) DEFAULT 'Pending',
+  batch_id INTEGER REFERENCES batches(id) ON DELETE SET NULL,
+  shopify_order_id VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_order_number ON orders(order_number);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders(order_date);
+CREATE INDEX IF NOT EXISTS idx_orders_batch_id ON orders(batch_id);
+CREATE INDEX IF NOT EXISTS idx_orders_shopify_order_id ON orders(shopify_order_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS orders;
@@ -0,0 +1,15 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  sku VARCHAR(255),
+  product_name VARCHAR(500),
+  quantity INTEGER NOT NULL DEFAULT 1,
+  price NUMERIC(10, 2)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_sku ON order_items(sku);
+
+-- migrate:down
+DROP TABLE IF EXISTS order_items;
@@ -0,0 +1,15 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS shipping_manifests (
+  id SERIAL PRIMARY KEY,
+  batch_id INTEGER REFERENCES batches(id) ON DELETE SET NULL,
+  carrier VARCHAR(100) NOT NULL,
+  tracking_codes TEXT[] NOT NULL DEFAULT '{}',
+  shipment_count INTEGER NOT NULL DEFAULT 0,
+  manifest_date DATE DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_manifests_batch_id ON shipping_manifests(batch_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS shipping_manifests;
@@ -0,0 +1,29 @@
+-- Labels bought through EasyPost, and which rate was chosen and why
+-- migrate:up
+ALTER TABLE shipments
+  ADD COLUMN IF NOT EXISTS service VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS label_url TEXT,
+  ADD COLUMN IF NOT EXISTS label_file TEXT,
+  ADD COLUMN IF NOT EXISTS postage_cost NUMERIC(10, 2),
+  ADD COLUMN IF NOT EXISTS easypost_shipment_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS easypost_rate_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS delivery_days INTEGER,
+  ADD COLUMN IF NOT EXISTS rate_policy VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS rate_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_shipments_easypost_shipment_id
+  ON shipments(easypost_shipment_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_shipments_easypost_shipment_id;
+
+ALTER TABLE shipments
+  DROP COLUMN IF EXISTS service,
+  DROP COLUMN IF EXISTS label_url,
+  DROP COLUMN IF EXISTS label_file,
+  DROP COLUMN IF EXISTS postage_cost,
+  DROP COLUMN IF EXISTS easypost_shipment_id,
+  DROP COLUMN IF EXISTS easypost_rate_id,
+  DROP COLUMN IF EXISTS delivery_days,
+  DROP COLUMN IF EXISTS rate_policy,
+  DROP COLUMN IF EXISTS rate_reason;
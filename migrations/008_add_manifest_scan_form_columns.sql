@@ -0,0 +1,16 @@
+-- Per-carrier manifests and stored USPS SCAN forms
+-- migrate:up
+ALTER TABLE shipping_manifests
+  ADD COLUMN IF NOT EXISTS manifest_type VARCHAR(20) DEFAULT 'pickup',
+  ADD COLUMN IF NOT EXISTS scan_form_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS scan_form_url TEXT,
+  ADD COLUMN IF NOT EXISTS scan_form_pdf BYTEA,
+  ADD COLUMN IF NOT EXISTS scan_form_barcode VARCHAR(64);
+
+-- migrate:down
+ALTER TABLE shipping_manifests
+  DROP COLUMN IF EXISTS manifest_type,
+  DROP COLUMN IF EXISTS scan_form_id,
+  DROP COLUMN IF EXISTS scan_form_url,
+  DROP COLUMN IF EXISTS scan_form_pdf,
+  DROP COLUMN IF EXISTS scan_form_barcode;
@@ -0,0 +1,26 @@
+-- Order webhooks: out-of-order protection, cancellations and stable line items
+-- migrate:up
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shopify_updated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS shopify_line_item_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_orders_cancel_requested
+  ON orders(cancel_requested) WHERE cancel_requested;
+CREATE INDEX IF NOT EXISTS idx_order_items_shopify_line_item_id
+  ON order_items(shopify_line_item_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_order_items_shopify_line_item_id;
+DROP INDEX IF EXISTS idx_orders_cancel_requested;
+
+ALTER TABLE order_items
+  DROP COLUMN IF EXISTS shopify_line_item_id;
+
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS shopify_updated_at,
+  DROP COLUMN IF EXISTS cancelled_at,
+  DROP COLUMN IF EXISTS cancel_requested;
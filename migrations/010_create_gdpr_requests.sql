@@ -0,0 +1,31 @@
+-- GDPR webhooks: audit log of every request and what we did about it
+-- migrate:up
+CREATE TABLE IF NOT EXISTS gdpr_requests (
+  id SERIAL PRIMARY KEY,
+  shop VARCHAR(255) NOT NULL,
+  topic VARCHAR(50) NOT NULL,
+  shopify_customer_id VARCHAR(64),
+  customer_email VARCHAR(255),
+  shopify_order_ids TEXT[] NOT NULL DEFAULT '{}',
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received',
+  result JSONB,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_gdpr_requests_shop ON gdpr_requests(shop);
+CREATE INDEX IF NOT EXISTS idx_gdpr_requests_received_at ON gdpr_requests(received_at);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shopify_customer_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_orders_shopify_customer_id ON orders(shopify_customer_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_orders_shopify_customer_id;
+
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS shopify_customer_id;
+
+DROP TABLE IF EXISTS gdpr_requests;
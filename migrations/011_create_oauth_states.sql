@@ -0,0 +1,13 @@
+-- OAuth install nonces, so any instance can finish an install another started
+-- migrate:up
+CREATE TABLE IF NOT EXISTS oauth_states (
+  state VARCHAR(64) PRIMARY KEY,
+  shop VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at ON oauth_states(expires_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS oauth_states;
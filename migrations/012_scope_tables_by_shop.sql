@@ -0,0 +1,56 @@
+-- Multi-tenant: every order, batch, shipment and manifest belongs to a shop.
+-- Rows from the single-store days are assigned to the first installed shop.
+-- migrate:up
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shop_id INTEGER REFERENCES shops(id) ON DELETE CASCADE;
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS shop_id INTEGER REFERENCES shops(id) ON DELETE CASCADE;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS shop_id INTEGER REFERENCES shops(id) ON DELETE CASCADE;
+ALTER TABLE shipping_manifests ADD COLUMN IF NOT EXISTS shop_id INTEGER REFERENCES shops(id) ON DELETE CASCADE;
+
+UPDATE batches SET shop_id = (SELECT id FROM shops ORDER BY installed_at, id LIMIT 1) WHERE shop_id IS NULL;
+UPDATE orders SET shop_id = (SELECT id FROM shops ORDER BY installed_at, id LIMIT 1) WHERE shop_id IS NULL;
+UPDATE shipments s SET shop_id = o.shop_id FROM orders o WHERE s.order_id = o.id AND s.shop_id IS NULL;
+UPDATE shipping_manifests m SET shop_id = b.shop_id FROM batches b WHERE m.batch_id = b.id AND m.shop_id IS NULL;
+UPDATE shipping_manifests SET shop_id = (SELECT id FROM shops ORDER BY installed_at, id LIMIT 1) WHERE shop_id IS NULL;
+
+-- With no shops installed yet there is nothing to assign old rows to; they
+-- stay NULL (and invisible to every shop) until someone assigns them.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM orders WHERE shop_id IS NULL) THEN
+    ALTER TABLE orders ALTER COLUMN shop_id SET NOT NULL;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM batches WHERE shop_id IS NULL) THEN
+    ALTER TABLE batches ALTER COLUMN shop_id SET NOT NULL;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM shipments WHERE shop_id IS NULL) THEN
+    ALTER TABLE shipments ALTER COLUMN shop_id SET NOT NULL;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM shipping_manifests WHERE shop_id IS NULL) THEN
+    ALTER TABLE shipping_manifests ALTER COLUMN shop_id SET NOT NULL;
+  END IF;
+END $$;
+
+-- Order numbers only need to be unique within a shop
+DROP INDEX IF EXISTS idx_orders_order_number;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_shop_order_number ON orders(shop_id, order_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_shop_shopify_order_id
+  ON orders(shop_id, shopify_order_id) WHERE shopify_order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_shop_id_status ON orders(shop_id, status);
+CREATE INDEX IF NOT EXISTS idx_batches_shop_id ON batches(shop_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_shop_id ON shipments(shop_id);
+CREATE INDEX IF NOT EXISTS idx_shipping_manifests_shop_id ON shipping_manifests(shop_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_shipping_manifests_shop_id;
+DROP INDEX IF EXISTS idx_shipments_shop_id;
+DROP INDEX IF EXISTS idx_batches_shop_id;
+DROP INDEX IF EXISTS idx_orders_shop_id_status;
+DROP INDEX IF EXISTS idx_orders_shop_shopify_order_id;
+DROP INDEX IF EXISTS idx_orders_shop_order_number;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_order_number ON orders(order_number);
+
+ALTER TABLE shipping_manifests DROP COLUMN IF EXISTS shop_id;
+ALTER TABLE shipments DROP COLUMN IF EXISTS shop_id;
+ALTER TABLE batches DROP COLUMN IF EXISTS shop_id;
+ALTER TABLE orders DROP COLUMN IF EXISTS shop_id;
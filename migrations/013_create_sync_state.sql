@@ -0,0 +1,31 @@
+-- Incremental Shopify order sync: per-shop cursor and a log of every run
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  updated_at_min TIMESTAMPTZ,
+  pages INTEGER NOT NULL DEFAULT 0,
+  orders_fetched INTEGER NOT NULL DEFAULT 0,
+  orders_created INTEGER NOT NULL DEFAULT 0,
+  orders_updated INTEGER NOT NULL DEFAULT 0,
+  orders_skipped INTEGER NOT NULL DEFAULT 0,
+  orders_failed INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_shop_started ON sync_runs(shop_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS sync_state (
+  shop_id INTEGER PRIMARY KEY REFERENCES shops(id) ON DELETE CASCADE,
+  last_synced_at TIMESTAMPTZ,
+  last_run_id INTEGER REFERENCES sync_runs(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS sync_state;
+DROP TABLE IF EXISTS sync_runs;
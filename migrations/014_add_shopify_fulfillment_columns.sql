@@ -0,0 +1,29 @@
+-- Push shipments to Shopify as fulfillments, with a retry queue on shipments
+-- migrate:up
+ALTER TABLE shipments
+  ADD COLUMN IF NOT EXISTS tracking_url TEXT,
+  ADD COLUMN IF NOT EXISTS fulfillment_items JSONB,
+  ADD COLUMN IF NOT EXISTS notify_customer BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS shopify_fulfillment_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS shopify_sync_status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS shopify_sync_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS shopify_sync_error TEXT,
+  ADD COLUMN IF NOT EXISTS shopify_next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS shopify_synced_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_shipments_shopify_sync
+  ON shipments(shopify_sync_status, shopify_next_attempt_at);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_shipments_shopify_sync;
+
+ALTER TABLE shipments
+  DROP COLUMN IF EXISTS tracking_url,
+  DROP COLUMN IF EXISTS fulfillment_items,
+  DROP COLUMN IF EXISTS notify_customer,
+  DROP COLUMN IF EXISTS shopify_fulfillment_id,
+  DROP COLUMN IF EXISTS shopify_sync_status,
+  DROP COLUMN IF EXISTS shopify_sync_attempts,
+  DROP COLUMN IF EXISTS shopify_sync_error,
+  DROP COLUMN IF EXISTS shopify_next_attempt_at,
+  DROP COLUMN IF EXISTS shopify_synced_at;
@@ -0,0 +1,44 @@
+-- Defined order statuses, and a history row for every status change
+-- migrate:up
+UPDATE orders SET status = 'Pending' WHERE status IS NULL;
+
+-- Anything outside the defined set goes On Hold so someone looks at it
+UPDATE orders
+SET status = 'On Hold'
+WHERE status NOT IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Cancelled', 'Returned'
+);
+
+ALTER TABLE orders ALTER COLUMN status SET NOT NULL;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Cancelled', 'Returned'
+));
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  shop_id INTEGER REFERENCES shops(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  actor VARCHAR(255) NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+  ON order_status_history(order_id, created_at);
+
+-- Start every existing order's history at the status it has today
+INSERT INTO order_status_history (order_id, shop_id, from_status, to_status, actor, reason, created_at)
+SELECT id, shop_id, NULL, status, 'migration', 'Status before history was recorded', COALESCE(created_at, NOW())
+FROM orders;
+
+-- migrate:down
+DROP TABLE IF EXISTS order_status_history;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ALTER COLUMN status DROP NOT NULL;
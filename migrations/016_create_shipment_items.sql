@@ -0,0 +1,52 @@
+-- Which order items (and how many of each) went in each package
+-- migrate:up
+CREATE TABLE IF NOT EXISTS shipment_items (
+  id SERIAL PRIMARY KEY,
+  shipment_id INTEGER NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_items_shipment_id ON shipment_items(shipment_id);
+CREATE INDEX IF NOT EXISTS idx_shipment_items_order_item_id ON shipment_items(order_item_id);
+
+-- Packages that listed their items
+INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+SELECT s.id, (item->>'order_item_id')::int, (item->>'quantity')::int
+FROM shipments s
+CROSS JOIN LATERAL jsonb_array_elements(s.fulfillment_items) AS item
+JOIN order_items oi ON oi.id = (item->>'order_item_id')::int AND oi.order_id = s.order_id
+WHERE s.fulfillment_items IS NOT NULL;
+
+-- Older shipments covered the whole order: give everything to the first one
+INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+SELECT first.id, oi.id, oi.quantity
+FROM (
+  SELECT DISTINCT ON (order_id) id, order_id
+  FROM shipments
+  WHERE fulfillment_items IS NULL
+  ORDER BY order_id, shipped_at, id
+) first
+JOIN order_items oi ON oi.order_id = first.order_id
+WHERE oi.quantity > 0
+  AND NOT EXISTS (
+    SELECT 1 FROM shipments s
+    JOIN shipment_items si ON si.shipment_id = s.id
+    WHERE s.order_id = first.order_id
+  );
+
+ALTER TABLE shipments DROP COLUMN IF EXISTS fulfillment_items;
+
+-- migrate:down
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS fulfillment_items JSONB;
+
+UPDATE shipments s
+SET fulfillment_items = items.list
+FROM (
+  SELECT shipment_id, jsonb_agg(jsonb_build_object('order_item_id', order_item_id, 'quantity', quantity)) AS list
+  FROM shipment_items
+  GROUP BY shipment_id
+) items
+WHERE items.shipment_id = s.id;
+
+DROP TABLE IF EXISTS shipment_items;
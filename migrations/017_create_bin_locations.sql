@@ -0,0 +1,32 @@
+-- Warehouse bin locations in walk order, and which bin each SKU is picked from
+-- migrate:up
+CREATE TABLE IF NOT EXISTS bin_locations (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  code VARCHAR(64) NOT NULL,
+  zone VARCHAR(50),
+  aisle VARCHAR(50),
+  shelf VARCHAR(50),
+  bin VARCHAR(50),
+  walk_sequence INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bin_locations_shop_code ON bin_locations(shop_id, code);
+CREATE INDEX IF NOT EXISTS idx_bin_locations_shop_walk ON bin_locations(shop_id, walk_sequence);
+
+CREATE TABLE IF NOT EXISTS sku_locations (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  sku VARCHAR(255) NOT NULL,
+  location_id INTEGER NOT NULL REFERENCES bin_locations(id) ON DELETE CASCADE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sku_locations_shop_sku ON sku_locations(shop_id, sku);
+CREATE INDEX IF NOT EXISTS idx_sku_locations_location_id ON sku_locations(location_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS sku_locations;
+DROP TABLE IF EXISTS bin_locations;
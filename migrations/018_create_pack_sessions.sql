@@ -0,0 +1,61 @@
+-- Scan-to-verify packing: a session per order, what it expects, every scan,
+-- and product barcodes (UPC/EAN) that stand in for SKUs
+-- migrate:up
+CREATE TABLE IF NOT EXISTS pack_sessions (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  packed_by VARCHAR(255),
+  override_reason TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  duration_seconds INTEGER
+);
+
+-- One open session per order; scanning the order again resumes it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pack_sessions_open_order
+  ON pack_sessions(order_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_pack_sessions_shop_started ON pack_sessions(shop_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS pack_session_items (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES pack_sessions(id) ON DELETE CASCADE,
+  order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+  sku VARCHAR(255),
+  product_name VARCHAR(255),
+  expected_quantity INTEGER NOT NULL,
+  scanned_quantity INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_pack_session_items_session_id ON pack_session_items(session_id);
+
+CREATE TABLE IF NOT EXISTS pack_scans (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES pack_sessions(id) ON DELETE CASCADE,
+  code VARCHAR(255) NOT NULL,
+  sku VARCHAR(255),
+  session_item_id INTEGER REFERENCES pack_session_items(id) ON DELETE SET NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  result VARCHAR(20) NOT NULL,
+  scanned_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pack_scans_session_id ON pack_scans(session_id);
+
+CREATE TABLE IF NOT EXISTS sku_barcodes (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  sku VARCHAR(255) NOT NULL,
+  barcode VARCHAR(64) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sku_barcodes_shop_barcode ON sku_barcodes(shop_id, barcode);
+CREATE INDEX IF NOT EXISTS idx_sku_barcodes_shop_sku ON sku_barcodes(shop_id, sku);
+
+-- migrate:down
+DROP TABLE IF EXISTS sku_barcodes;
+DROP TABLE IF EXISTS pack_scans;
+DROP TABLE IF EXISTS pack_session_items;
+DROP TABLE IF EXISTS pack_sessions;
@@ -0,0 +1,22 @@
+-- Saved rule sets for the automatic batch builder, and the shipping method
+-- orders are batched by
+-- migrate:up
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_method VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS batch_rule_sets (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  rules JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_batch_rule_sets_shop_name ON batch_rule_sets(shop_id, name);
+
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS rule_set_id INTEGER REFERENCES batch_rule_sets(id) ON DELETE SET NULL;
+
+-- migrate:down
+ALTER TABLE batches DROP COLUMN IF EXISTS rule_set_id;
+DROP TABLE IF EXISTS batch_rule_sets;
+ALTER TABLE orders DROP COLUMN IF EXISTS shipping_method;
@@ -0,0 +1,31 @@
+-- Batch lifecycle: Open batches take orders; once picking starts the batch
+-- is locked until it is reopened
+-- migrate:up
+ALTER TABLE batches
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'Open',
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+ALTER TABLE batches DROP CONSTRAINT IF EXISTS batches_status_check;
+ALTER TABLE batches ADD CONSTRAINT batches_status_check
+  CHECK (status IN ('Open', 'Picking', 'Packing', 'Completed', 'Archived'));
+
+-- Batches whose orders have all left the building are already done
+UPDATE batches b
+SET status = 'Completed', closed_at = NOW()
+WHERE EXISTS (SELECT 1 FROM orders o WHERE o.batch_id = b.id)
+  AND NOT EXISTS (
+    SELECT 1 FROM orders o
+    WHERE o.batch_id = b.id
+      AND o.status NOT IN ('Shipped', 'Cancelled', 'Returned')
+  );
+
+CREATE INDEX IF NOT EXISTS idx_batches_shop_status ON batches(shop_id, status);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_batches_shop_status;
+ALTER TABLE batches DROP CONSTRAINT IF EXISTS batches_status_check;
+ALTER TABLE batches
+  DROP COLUMN IF EXISTS closed_at,
+  DROP COLUMN IF EXISTS status_changed_at,
+  DROP COLUMN IF EXISTS status;
@@ -0,0 +1,11 @@
+-- Carrier labels converted to other formats (EasyPost buys PNG labels),
+-- kept so reprints don't convert again
+-- migrate:up
+ALTER TABLE shipments
+  ADD COLUMN IF NOT EXISTS label_zpl_url TEXT,
+  ADD COLUMN IF NOT EXISTS label_pdf_url TEXT;
+
+-- migrate:down
+ALTER TABLE shipments
+  DROP COLUMN IF EXISTS label_zpl_url,
+  DROP COLUMN IF EXISTS label_pdf_url;
@@ -0,0 +1,69 @@
+-- Print queue: stations with named printers, the local agents that drive
+-- them, and the documents waiting to be printed
+-- migrate:up
+CREATE TABLE IF NOT EXISTS stations (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stations_shop_name ON stations(shop_id, name);
+
+-- format is the printer's language; document_types are what it takes
+-- (label, packing_slip, pick_list, manifest)
+CREATE TABLE IF NOT EXISTS printers (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  station_id INTEGER NOT NULL REFERENCES stations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  format VARCHAR(10) NOT NULL DEFAULT 'pdf' CHECK (format IN ('zpl', 'pdf', 'text')),
+  document_types TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_printers_station_name ON printers(station_id, name);
+
+-- Agents authenticate with a bearer token; only its hash is stored
+CREATE TABLE IF NOT EXISTS print_agents (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  station_id INTEGER NOT NULL REFERENCES stations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  last_seen_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS print_jobs (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  printer_id INTEGER NOT NULL REFERENCES printers(id) ON DELETE CASCADE,
+  document_type VARCHAR(30) NOT NULL,
+  format VARCHAR(10) NOT NULL,
+  title VARCHAR(255),
+  content BYTEA NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'printing', 'printed', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  agent_id INTEGER REFERENCES print_agents(id) ON DELETE SET NULL,
+  reprint_of INTEGER REFERENCES print_jobs(id) ON DELETE SET NULL,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  claimed_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_print_jobs_queue ON print_jobs(printer_id, created_at)
+  WHERE status IN ('pending', 'printing');
+CREATE INDEX IF NOT EXISTS idx_print_jobs_shop_created ON print_jobs(shop_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS print_jobs;
+DROP TABLE IF EXISTS print_agents;
+DROP TABLE IF EXISTS printers;
+DROP TABLE IF EXISTS stations;
@@ -0,0 +1,18 @@
+-- Per-shop document templates (packing slips), one per document type
+-- migrate:up
+CREATE TABLE IF NOT EXISTS document_templates (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  document_type VARCHAR(50) NOT NULL,
+  settings JSONB NOT NULL DEFAULT '{}',
+  logo BYTEA,
+  logo_content_type VARCHAR(50),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_templates_shop_type
+  ON document_templates(shop_id, document_type);
+
+-- migrate:down
+DROP TABLE IF EXISTS document_templates;
@@ -0,0 +1,86 @@
+-- Returns (RMAs): what the customer is sending back and why, the return
+-- label, what came back in what condition, and how it was resolved
+-- migrate:up
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Cancelled', 'Partially Returned', 'Returned'
+));
+
+CREATE TABLE IF NOT EXISTS returns (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'authorized'
+    CHECK (status IN ('authorized', 'partially_received', 'received', 'cancelled')),
+  resolution VARCHAR(20) NOT NULL CHECK (resolution IN ('refund', 'exchange')),
+  resolution_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (resolution_status IN ('pending', 'processing', 'completed', 'failed')),
+  resolution_error TEXT,
+  -- { sku, product_name, quantity, price } to send out for an exchange
+  exchange_items JSONB,
+  note TEXT,
+  created_by VARCHAR(255),
+  -- Return label bought through EasyPost
+  carrier VARCHAR(100),
+  service VARCHAR(100),
+  tracking_number VARCHAR(100),
+  label_url TEXT,
+  postage_cost NUMERIC(10, 2),
+  easypost_shipment_id VARCHAR(64),
+  -- Outcome
+  shopify_refund_id VARCHAR(64),
+  refund_amount NUMERIC(10, 2),
+  exchange_order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  received_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_returns_shop_status ON returns(shop_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_returns_order_id ON returns(order_id);
+CREATE INDEX IF NOT EXISTS idx_returns_tracking_number ON returns(tracking_number);
+
+CREATE TABLE IF NOT EXISTS return_items (
+  id SERIAL PRIMARY KEY,
+  return_id INTEGER NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+  order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  reason VARCHAR(30) NOT NULL,
+  reason_note TEXT,
+  received_quantity INTEGER NOT NULL DEFAULT 0,
+  restocked_quantity INTEGER NOT NULL DEFAULT 0,
+  disposed_quantity INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_items_return_id ON return_items(return_id);
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item_id ON return_items(order_item_id);
+
+-- One row per scan at the returns bench
+CREATE TABLE IF NOT EXISTS return_receipts (
+  id SERIAL PRIMARY KEY,
+  return_id INTEGER NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+  return_item_id INTEGER NOT NULL REFERENCES return_items(id) ON DELETE CASCADE,
+  code VARCHAR(255),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  condition VARCHAR(20) NOT NULL CHECK (condition IN ('new', 'opened', 'damaged', 'defective')),
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('restock', 'dispose')),
+  note TEXT,
+  received_by VARCHAR(255),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_receipts_return_id ON return_receipts(return_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS return_receipts;
+DROP TABLE IF EXISTS return_items;
+DROP TABLE IF EXISTS returns;
+
+UPDATE orders SET status = 'Returned' WHERE status = 'Partially Returned';
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Cancelled', 'Returned'
+));
@@ -0,0 +1,63 @@
+-- Carrier tracking: every event EasyPost reports for a package, its current
+-- status on shipments, and Delivered orders
+-- migrate:up
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled', 'Partially Returned', 'Returned'
+));
+
+ALTER TABLE shipments
+  ADD COLUMN IF NOT EXISTS easypost_tracker_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS tracking_status VARCHAR(30),
+  ADD COLUMN IF NOT EXISTS tracking_status_detail VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS tracking_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS tracking_polled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS est_delivery_date TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_shipments_easypost_tracker_id ON shipments(easypost_tracker_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_shop_tracking_status ON shipments(shop_id, tracking_status);
+
+CREATE TABLE IF NOT EXISTS shipment_events (
+  id SERIAL PRIMARY KEY,
+  shipment_id INTEGER NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  status VARCHAR(30) NOT NULL,
+  carrier_status VARCHAR(50),
+  status_detail VARCHAR(100),
+  message TEXT,
+  city VARCHAR(255),
+  state VARCHAR(100),
+  zip VARCHAR(20),
+  country VARCHAR(100),
+  occurred_at TIMESTAMPTZ NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('webhook', 'poll')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Webhooks and polls report the whole history every time; keep each event once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipment_events_unique
+  ON shipment_events(shipment_id, occurred_at, status, md5(COALESCE(message, '')));
+
+-- migrate:down
+DROP TABLE IF EXISTS shipment_events;
+
+DROP INDEX IF EXISTS idx_shipments_shop_tracking_status;
+DROP INDEX IF EXISTS idx_shipments_easypost_tracker_id;
+
+ALTER TABLE shipments
+  DROP COLUMN IF EXISTS delivered_at,
+  DROP COLUMN IF EXISTS est_delivery_date,
+  DROP COLUMN IF EXISTS tracking_polled_at,
+  DROP COLUMN IF EXISTS tracking_updated_at,
+  DROP COLUMN IF EXISTS tracking_status_detail,
+  DROP COLUMN IF EXISTS tracking_status,
+  DROP COLUMN IF EXISTS easypost_tracker_id;
+
+UPDATE orders SET status = 'Shipped' WHERE status = 'Delivered';
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Cancelled', 'Partially Returned', 'Returned'
+));
@@ -0,0 +1,16 @@
+-- Public tracking page: an unguessable token per order, and the customer's
+-- email so they can look their order up
+-- migrate:up
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS tracking_token VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS customer_email VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_tracking_token
+  ON orders(tracking_token) WHERE tracking_token IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_orders_tracking_token;
+
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS customer_email,
+  DROP COLUMN IF EXISTS tracking_token;
@@ -0,0 +1,68 @@
+-- Customer emails: per-shop settings and templates, and an outbox that is
+-- also each order's notification log
+-- migrate:up
+CREATE TABLE IF NOT EXISTS notification_settings (
+  shop_id INTEGER PRIMARY KEY REFERENCES shops(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Which emails to send; NULL: all of them
+  types TEXT[],
+  -- Don't repeat shipping emails Shopify already sent for the fulfillment
+  skip_shopify_notified BOOLEAN NOT NULL DEFAULT TRUE,
+  sender_name VARCHAR(255),
+  reply_to VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Overrides of the built-in templates; NULL parts keep the default
+CREATE TABLE IF NOT EXISTS notification_templates (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL,
+  subject TEXT,
+  html TEXT,
+  text TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_templates_shop_type
+  ON notification_templates(shop_id, type);
+
+-- Rendered when queued, so the log shows exactly what was sent
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  shipment_id INTEGER REFERENCES shipments(id) ON DELETE SET NULL,
+  return_id INTEGER REFERENCES returns(id) ON DELETE SET NULL,
+  type VARCHAR(30) NOT NULL,
+  -- Emails that go out once (e.g. one confirmation per shipment)
+  dedupe_key VARCHAR(100),
+  recipient VARCHAR(255),
+  sender_name VARCHAR(255),
+  reply_to VARCHAR(255),
+  subject TEXT,
+  html TEXT,
+  text TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+  skip_reason VARCHAR(50),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  last_error TEXT,
+  message_id VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe_key
+  ON notifications(dedupe_key) WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_order_id ON notifications(order_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_shop_created ON notifications(shop_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS notification_templates;
+DROP TABLE IF EXISTS notification_settings;
@@ -0,0 +1,37 @@
+-- The whole Shopify shipping address (company, second line, country), and
+-- carrier address verification with a suggested correction
+-- migrate:up
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS recipient_company VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS recipient_address2 VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS recipient_country VARCHAR(2),
+  -- What Shopify last sent, so a local correction survives re-syncs until
+  -- the address changes in Shopify
+  ADD COLUMN IF NOT EXISTS shopify_address_hash VARCHAR(32),
+  ADD COLUMN IF NOT EXISTS address_status VARCHAR(20)
+    CHECK (address_status IN ('verified', 'undeliverable', 'overridden')),
+  ADD COLUMN IF NOT EXISTS address_messages JSONB,
+  ADD COLUMN IF NOT EXISTS suggested_address JSONB,
+  ADD COLUMN IF NOT EXISTS address_checked_at TIMESTAMPTZ,
+  -- Put On Hold by verification (and released by it)
+  ADD COLUMN IF NOT EXISTS address_hold BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Every order so far was shipped as a US address
+UPDATE orders SET recipient_country = 'US' WHERE recipient_country IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_address_unverified
+  ON orders(status, address_checked_at) WHERE address_status IS NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_orders_address_unverified;
+
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS address_hold,
+  DROP COLUMN IF EXISTS address_checked_at,
+  DROP COLUMN IF EXISTS suggested_address,
+  DROP COLUMN IF EXISTS address_messages,
+  DROP COLUMN IF EXISTS address_status,
+  DROP COLUMN IF EXISTS shopify_address_hash,
+  DROP COLUMN IF EXISTS recipient_country,
+  DROP COLUMN IF EXISTS recipient_address2,
+  DROP COLUMN IF EXISTS recipient_company;
@@ -0,0 +1,23 @@
+-- Customs data per SKU for international shipments: EasyPost customs items
+-- and commercial invoices are built from it
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sku_customs (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  sku VARCHAR(255) NOT NULL,
+  -- NULL until filled in; orders with the SKU can't ship abroad until then
+  hs_tariff_number VARCHAR(20),
+  origin_country VARCHAR(2),
+  description VARCHAR(255),
+  -- Declared value of one unit, in USD
+  value NUMERIC(10, 2),
+  -- One unit's weight in ounces; NULL shares the parcel weight out
+  weight_oz NUMERIC(10, 2),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sku_customs_shop_sku ON sku_customs(shop_id, sku);
+
+-- migrate:down
+DROP TABLE IF EXISTS sku_customs;
@@ -0,0 +1,17 @@
+-- The manifest each shipment went out on, so a batch is only manifested once
+-- migrate:up
+ALTER TABLE shipments
+  ADD COLUMN IF NOT EXISTS manifest_id INTEGER REFERENCES shipping_manifests(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shipments_manifest_id ON shipments(manifest_id);
+
+-- Shipments already on a manifest
+UPDATE shipments s
+SET manifest_id = m.id
+FROM shipping_manifests m
+WHERE m.shop_id = s.shop_id
+  AND s.tracking_number = ANY(m.tracking_codes)
+  AND s.manifest_id IS NULL;
+
+-- migrate:down
+ALTER TABLE shipments DROP COLUMN IF EXISTS manifest_id;
@@ -0,0 +1,8 @@
+-- scan_form_barcode only ever repeated scan_form_id; the barcode to scan is
+-- on the SCAN form PDF itself
+-- migrate:up
+ALTER TABLE shipping_manifests DROP COLUMN IF EXISTS scan_form_barcode;
+
+-- migrate:down
+ALTER TABLE shipping_manifests ADD COLUMN IF NOT EXISTS scan_form_barcode VARCHAR(64);
+UPDATE shipping_manifests SET scan_form_barcode = scan_form_id WHERE scan_form_id IS NOT NULL;
@@ -0,0 +1,20 @@
+-- At most one running sync per shop, enforced by the database
+-- migrate:up
+-- Older duplicates can't be told apart from crashed runs; close them out
+UPDATE sync_runs r
+SET status = 'failed',
+    errors = errors || '[{"error": "Sync run abandoned"}]'::jsonb,
+    finished_at = NOW()
+WHERE r.status = 'running'
+  AND EXISTS (
+    SELECT 1 FROM sync_runs newer
+    WHERE newer.shop_id = r.shop_id
+      AND newer.status = 'running'
+      AND newer.id > r.id
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_runs_one_running
+  ON sync_runs(shop_id) WHERE status = 'running';
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_sync_runs_one_running;
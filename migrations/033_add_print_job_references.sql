@@ -0,0 +1,24 @@
+-- What each print job printed, so a customer's documents can be redacted,
+-- and documents are only kept for a while after printing
+-- migrate:up
+ALTER TABLE print_jobs
+  ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS shipment_id INTEGER REFERENCES shipments(id) ON DELETE SET NULL,
+  -- Batch documents (pick lists, packing slips) name every customer in the batch
+  ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES batches(id) ON DELETE SET NULL,
+  -- NULL once purged or redacted
+  ALTER COLUMN content DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_print_jobs_order_id ON print_jobs(order_id);
+CREATE INDEX IF NOT EXISTS idx_print_jobs_batch_id ON print_jobs(batch_id);
+CREATE INDEX IF NOT EXISTS idx_print_jobs_purge ON print_jobs(finished_at)
+  WHERE content IS NOT NULL;
+
+-- migrate:down
+DELETE FROM print_jobs WHERE content IS NULL;
+DROP INDEX IF EXISTS idx_print_jobs_purge;
+ALTER TABLE print_jobs
+  DROP COLUMN IF EXISTS order_id,
+  DROP COLUMN IF EXISTS shipment_id,
+  DROP COLUMN IF EXISTS batch_id,
+  ALTER COLUMN content SET NOT NULL;
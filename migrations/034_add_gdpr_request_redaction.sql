@@ -0,0 +1,13 @@
+-- Redaction reaches the GDPR audit log too: a redacted request keeps its
+-- topic, status and timestamps, and loses the payload and any export
+-- migrate:up
+ALTER TABLE gdpr_requests
+  ALTER COLUMN payload DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS redacted_at TIMESTAMP;
+
+-- migrate:down
+UPDATE gdpr_requests SET payload = '{}'::jsonb WHERE payload IS NULL;
+
+ALTER TABLE gdpr_requests
+  DROP COLUMN IF EXISTS redacted_at,
+  ALTER COLUMN payload SET NOT NULL;
@@ -0,0 +1,24 @@
+-- Going back past returns (024), Partially Returned orders become Returned.
+-- 024 can't be edited once applied, so the move happens here, where it can
+-- also be written to the status history. Nothing changes going up.
+-- migrate:up
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled', 'Partially Returned', 'Returned'
+));
+
+-- migrate:down
+WITH remapped AS (
+  UPDATE orders SET status = 'Returned' WHERE status = 'Partially Returned'
+  RETURNING id, shop_id
+)
+INSERT INTO order_status_history (order_id, shop_id, from_status, to_status, actor, reason)
+SELECT id, shop_id, 'Partially Returned', 'Returned', 'migration', 'Partially Returned status rolled back'
+FROM remapped;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled', 'Returned'
+));
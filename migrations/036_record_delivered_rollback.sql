@@ -0,0 +1,24 @@
+-- Going back past tracking (025), Delivered orders become Shipped again.
+-- The move lives here rather than in 025, whose checksum is already
+-- recorded, so each order's history says why it moved. No change going up.
+-- migrate:up
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Delivered', 'Cancelled', 'Partially Returned', 'Returned'
+));
+
+-- migrate:down
+WITH remapped AS (
+  UPDATE orders SET status = 'Shipped' WHERE status = 'Delivered'
+  RETURNING id, shop_id
+)
+INSERT INTO order_status_history (order_id, shop_id, from_status, to_status, actor, reason)
+SELECT id, shop_id, 'Delivered', 'Shipped', 'migration', 'Delivered status rolled back'
+FROM remapped;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+  'Pending', 'On Hold', 'Batched', 'Picking', 'Packed',
+  'Partially Shipped', 'Shipped', 'Cancelled', 'Partially Returned', 'Returned'
+));
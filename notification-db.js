@@ -0,0 +1,500 @@
+import pool from './db.js';
+
+// After this many failed attempts an email stops retrying and waits for someone
+const MAX_SEND_ATTEMPTS = 6;
+
+// An email still marked sending after this long is assumed to have crashed
+const STALE_SEND_MINUTES = 10;
+
+// Everything but the bodies, for logs and lists
+const NOTIFICATION_COLUMNS = `
+  n.id, n.order_id, n.shipment_id, n.return_id, n.type, n.recipient, n.subject,
+  n.status, n.skip_reason, n.attempts, n.next_attempt_at, n.last_error,
+  n.message_id, n.created_at, n.sent_at
+`;
+
+// ==============================
+// SETTINGS AND TEMPLATES
+// ==============================
+
+/**
+ * A shop's notification settings
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Object|null>} - notification_settings row, null if never saved
+ */
+export async function getNotificationSettings(shopId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM notification_settings WHERE shop_id = $1',
+      [shopId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting notification settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a shop's notification settings (all of them)
+ * @param {number} shopId - shops.id
+ * @param {Object} settings - enabled, types, skip_shopify_notified, sender_name, reply_to
+ * @returns {Promise<Object>} - notification_settings row
+ */
+export async function saveNotificationSettings(shopId, settings) {
+  try {
+    const result = await pool.query(
+      `
+      INSERT INTO notification_settings (shop_id, enabled, types, skip_shopify_notified, sender_name, reply_to)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (shop_id)
+      DO UPDATE SET
+        enabled = EXCLUDED.enabled,
+        types = EXCLUDED.types,
+        skip_shopify_notified = EXCLUDED.skip_shopify_notified,
+        sender_name = EXCLUDED.sender_name,
+        reply_to = EXCLUDED.reply_to,
+        updated_at = NOW()
+      RETURNING *
+      `,
+      [
+        shopId,
+        settings.enabled,
+        settings.types,
+        settings.skip_shopify_notified,
+        settings.sender_name,
+        settings.reply_to,
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's template overrides
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>} - notification_templates rows
+ */
+export async function getNotificationTemplates(shopId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM notification_templates WHERE shop_id = $1 ORDER BY type',
+      [shopId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting notification templates:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's override for one notification type
+ * @param {number} shopId - shops.id
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @returns {Promise<Object|null>} - notification_templates row
+ */
+export async function getNotificationTemplate(shopId, type) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM notification_templates WHERE shop_id = $1 AND type = $2',
+      [shopId, type]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting notification template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a template override. Parts that are undefined keep what's stored;
+ * null parts go back to the built-in template.
+ * @param {number} shopId - shops.id
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} template - subject, html, text
+ * @returns {Promise<Object>} - notification_templates row
+ */
+export async function saveNotificationTemplate(shopId, type, { subject, html, text }) {
+  try {
+    const result = await pool.query(
+      `
+      INSERT INTO notification_templates (shop_id, type, subject, html, text)
+      VALUES ($1, $2, $4, $6, $8)
+      ON CONFLICT (shop_id, type)
+      DO UPDATE SET
+        subject = CASE WHEN $3 THEN EXCLUDED.subject ELSE notification_templates.subject END,
+        html = CASE WHEN $5 THEN EXCLUDED.html ELSE notification_templates.html END,
+        text = CASE WHEN $7 THEN EXCLUDED.text ELSE notification_templates.text END,
+        updated_at = NOW()
+      RETURNING *
+      `,
+      [
+        shopId,
+        type,
+        subject !== undefined,
+        subject ?? null,
+        html !== undefined,
+        html ?? null,
+        text !== undefined,
+        text ?? null,
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving notification template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Drop a template override (back to the built-in template)
+ * @param {number} shopId - shops.id
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @returns {Promise<boolean>} - False if there was nothing to delete
+ */
+export async function deleteNotificationTemplate(shopId, type) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM notification_templates WHERE shop_id = $1 AND type = $2',
+      [shopId, type]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting notification template:', error);
+    throw error;
+  }
+}
+
+// ==============================
+// OUTBOX
+// ==============================
+
+/**
+ * What an email about an order needs: the order and customer, the package
+ * or return it's about, and the items in it
+ * @param {number} shopId - shops.id
+ * @param {Object} subject
+ * @param {number} subject.orderId - orders.id
+ * @param {number} [subject.shipmentId] - shipments.id
+ * @param {number} [subject.returnId] - returns.id
+ * @returns {Promise<Object|null>} - { order, shipment, return, items }
+ */
+export async function getNotificationContext(shopId, { orderId, shipmentId = null, returnId = null }) {
+  try {
+    const orderResult = await pool.query(
+      `
+      SELECT
+        o.id, o.order_number, o.customer_name, o.customer_email, o.recipient_name,
+        o.shopify_order_id, sh.shop_name, sh.shop
+      FROM orders o
+      JOIN shops sh ON sh.id = o.shop_id
+      WHERE o.id = $1 AND o.shop_id = $2
+      `,
+      [orderId, shopId]
+    );
+
+    const order = orderResult.rows[0];
+    if (!order) {
+      return null;
+    }
+
+    let shipment = null;
+    let ret = null;
+    let itemsResult;
+
+    if (shipmentId) {
+      const shipmentResult = await pool.query(
+        `
+        SELECT
+          s.id, s.carrier, s.service, s.tracking_number, s.tracking_url, s.notify_customer,
+          s.tracking_status, s.tracking_status_detail, s.est_delivery_date, s.delivered_at,
+          (
+            SELECT message FROM shipment_events e
+            WHERE e.shipment_id = s.id
+            ORDER BY e.occurred_at DESC, e.id DESC
+            LIMIT 1
+          ) AS last_event
+        FROM shipments s
+        WHERE s.id = $1 AND s.order_id = $2
+        `,
+        [shipmentId, orderId]
+      );
+      shipment = shipmentResult.rows[0] || null;
+
+      itemsResult = await pool.query(
+        `
+        SELECT oi.product_name, si.quantity
+        FROM shipment_items si
+        JOIN order_items oi ON oi.id = si.order_item_id
+        WHERE si.shipment_id = $1
+        ORDER BY si.id
+        `,
+        [shipmentId]
+      );
+    } else if (returnId) {
+      const returnResult = await pool.query(
+        `SELECT id, 'RMA-' || id AS rma_number, status FROM returns WHERE id = $1 AND order_id = $2`,
+        [returnId, orderId]
+      );
+      ret = returnResult.rows[0] || null;
+
+      itemsResult = await pool.query(
+        `
+        SELECT oi.product_name, ri.received_quantity AS quantity
+        FROM return_items ri
+        JOIN order_items oi ON oi.id = ri.order_item_id
+        WHERE ri.return_id = $1 AND ri.received_quantity > 0
+        ORDER BY ri.id
+        `,
+        [returnId]
+      );
+    } else {
+      itemsResult = await pool.query(
+        'SELECT product_name, quantity FROM order_items WHERE order_id = $1 ORDER BY id',
+        [orderId]
+      );
+    }
+
+    return { order, shipment, return: ret, items: itemsResult.rows };
+  } catch (error) {
+    console.error('Error getting notification context:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a rendered email to the outbox (or record why it was skipped). An
+ * email whose dedupe_key was already queued is not queued again.
+ * @param {number} shopId - shops.id
+ * @param {Object} notification - order_id, shipment_id, return_id, type,
+ *   dedupe_key, recipient, sender_name, reply_to, subject, html, text, and
+ *   skip_reason when it won't be sent
+ * @returns {Promise<Object|null>} - notifications row, null for a duplicate
+ */
+export async function queueNotification(shopId, notification) {
+  try {
+    const result = await pool.query(
+      `
+      INSERT INTO notifications AS n (
+        shop_id, order_id, shipment_id, return_id, type, dedupe_key,
+        recipient, sender_name, reply_to, subject, html, text,
+        status, skip_reason, next_attempt_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+        CASE WHEN $13::text IS NULL THEN 'pending' ELSE 'skipped' END,
+        $13,
+        CASE WHEN $13::text IS NULL THEN NOW() END
+      )
+      ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+      RETURNING ${NOTIFICATION_COLUMNS}
+      `,
+      [
+        shopId,
+        notification.order_id,
+        notification.shipment_id || null,
+        notification.return_id || null,
+        notification.type,
+        notification.dedupe_key || null,
+        notification.recipient || null,
+        notification.sender_name || null,
+        notification.reply_to || null,
+        notification.subject,
+        notification.html,
+        notification.text,
+        notification.skip_reason || null,
+      ]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error queueing notification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim emails that are due, so two senders never send the same one
+ * @param {Object} options
+ * @param {number} [options.limit] - How many to claim
+ * @returns {Promise<Array>} - notifications rows
+ */
+export async function claimNotifications({ limit = 20 } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE notifications n
+      SET status = 'sending', attempts = n.attempts + 1, next_attempt_at = NOW()
+      WHERE n.id IN (
+        SELECT id FROM notifications
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND next_attempt_at < NOW() - make_interval(mins => $2))
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING n.*
+      `,
+      [limit, STALE_SEND_MINUTES]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming notifications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a sent email
+ * @param {number} id - notifications.id
+ * @param {string} messageId - From the transport
+ */
+export async function markNotificationSent(id, messageId) {
+  try {
+    await pool.query(
+      `
+      UPDATE notifications
+      SET status = 'sent', message_id = $2, last_error = NULL, next_attempt_at = NULL, sent_at = NOW()
+      WHERE id = $1
+      `,
+      [id, messageId || null]
+    );
+  } catch (error) {
+    console.error('Error marking notification sent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a failed send. Retryable failures back off exponentially
+ * (1, 4, 16 ... minutes, capped at 6 hours) until MAX_SEND_ATTEMPTS.
+ * @param {number} id - notifications.id
+ * @param {string} message - Error to show in the log
+ * @param {boolean} retry - False when retrying can't help (e.g. unknown mailbox)
+ * @returns {Promise<string>} - 'pending' if it will be retried, else 'failed'
+ */
+export async function markNotificationFailed(id, message, retry) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE notifications
+      SET
+        status = CASE WHEN $3 AND attempts < $4 THEN 'pending' ELSE 'failed' END,
+        last_error = $2,
+        next_attempt_at = CASE
+          WHEN $3 AND attempts < $4
+            THEN NOW() + make_interval(mins => LEAST(POWER(4, attempts - 1)::int, 360))
+        END
+      WHERE id = $1
+      RETURNING status
+      `,
+      [id, message, retry, MAX_SEND_ATTEMPTS]
+    );
+    return result.rows[0]?.status || 'failed';
+  } catch (error) {
+    console.error('Error marking notification failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send a failed email again
+ * @param {number} shopId - shops.id
+ * @param {number} id - notifications.id
+ * @returns {Promise<Object|null>} - The row, null unless it had failed
+ */
+export async function retryNotification(shopId, id) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE notifications n
+      SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW()
+      WHERE n.id = $1 AND n.shop_id = $2 AND n.status = 'failed'
+      RETURNING ${NOTIFICATION_COLUMNS}
+      `,
+      [id, shopId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error retrying notification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Every email queued for an order, newest first
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @returns {Promise<Array>}
+ */
+export async function getOrderNotifications(shopId, orderId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT ${NOTIFICATION_COLUMNS}
+      FROM notifications n
+      WHERE n.shop_id = $1 AND n.order_id = $2
+      ORDER BY n.created_at DESC, n.id DESC
+      `,
+      [shopId, orderId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting order notifications:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's emails, newest first
+ * @param {number} shopId - shops.id
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, sending, sent, failed or skipped
+ * @param {number} [filters.limit]
+ * @returns {Promise<Array>} - With order_number
+ */
+export async function getNotifications(shopId, { status = null, limit = 100 } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT ${NOTIFICATION_COLUMNS}, o.order_number
+      FROM notifications n
+      JOIN orders o ON o.id = n.order_id
+      WHERE n.shop_id = $1 AND ($2::text IS NULL OR n.status = $2)
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $3
+      `,
+      [shopId, status, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    throw error;
+  }
+}
+
+/**
+ * One email with its bodies
+ * @param {number} shopId - shops.id
+ * @param {number} id - notifications.id
+ * @returns {Promise<Object|null>}
+ */
+export async function getNotification(shopId, id) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT ${NOTIFICATION_COLUMNS}, n.sender_name, n.reply_to, n.html, n.text, o.order_number
+      FROM notifications n
+      JOIN orders o ON o.id = n.order_id
+      WHERE n.id = $1 AND n.shop_id = $2
+      `,
+      [id, shopId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting notification:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,283 @@
+import { escapeHtml } from "./tracking-page.js";
+
+// ==============================
+// CUSTOMER NOTIFICATIONS
+// ==============================
+//
+// Emails to customers about their orders. Each type has a built-in subject,
+// HTML and text template; a shop can override any of the three.
+
+export const NOTIFICATION_TYPES = [
+  "shipment_confirmation",
+  "delivered",
+  "delivery_delayed",
+  "delivery_exception",
+  "return_received",
+];
+
+// Shopify sends its own shipping confirmation and delivery emails for
+// fulfillments pushed with notify_customer
+export const SHOPIFY_NOTIFIED_TYPES = ["shipment_confirmation", "delivered"];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  types: null, // null: every type
+  skip_shopify_notified: true,
+  sender_name: null, // null: the shop's name
+  reply_to: null,
+};
+
+const signature = "<p>{shop_name}</p>";
+
+export const DEFAULT_NOTIFICATION_TEMPLATES = {
+  shipment_confirmation: {
+    subject: "Your order {order_number} has shipped",
+    text: [
+      "Hi {customer_name},",
+      "",
+      "Good news: your order {order_number} is on its way.",
+      "",
+      "{carrier} tracking number: {tracking_number}",
+      "Track it here: {tracking_url}",
+      "",
+      "In this package: {items}",
+      "",
+      "{shop_name}",
+    ].join("\n"),
+    html: [
+      "<p>Hi {customer_name},</p>",
+      "<p>Good news: your order {order_number} is on its way.</p>",
+      "<p>{carrier} tracking number: <strong>{tracking_number}</strong></p>",
+      '<p><a href="{tracking_url}">Track your package</a></p>',
+      "<p>In this package: {items}</p>",
+      signature,
+    ].join("\n"),
+  },
+  delivered: {
+    subject: "Your order {order_number} was delivered",
+    text: [
+      "Hi {customer_name},",
+      "",
+      "Your {carrier} package for order {order_number} was delivered.",
+      "",
+      "If anything isn't right, just reply to this email.",
+      "",
+      "{shop_name}",
+    ].join("\n"),
+    html: [
+      "<p>Hi {customer_name},</p>",
+      "<p>Your {carrier} package for order {order_number} was delivered.</p>",
+      "<p>If anything isn't right, just reply to this email.</p>",
+      signature,
+    ].join("\n"),
+  },
+  delivery_delayed: {
+    subject: "Your order {order_number} is running late",
+    text: [
+      "Hi {customer_name},",
+      "",
+      "{carrier} now expects to deliver your order {order_number} on {est_delivery_date}.",
+      "Sorry for the wait.",
+      "",
+      "Track it here: {tracking_url}",
+      "",
+      "{shop_name}",
+    ].join("\n"),
+    html: [
+      "<p>Hi {customer_name},</p>",
+      "<p>{carrier} now expects to deliver your order {order_number} on <strong>{est_delivery_date}</strong>. Sorry for the wait.</p>",
+      '<p><a href="{tracking_url}">Track your package</a></p>',
+      signature,
+    ].join("\n"),
+  },
+  delivery_exception: {
+    subject: "A problem with the delivery of order {order_number}",
+    text: [
+      "Hi {customer_name},",
+      "",
+      "{carrier} reported a problem delivering your order {order_number}: {status_message}",
+      "",
+      "We're keeping an eye on it. Track it here: {tracking_url}",
+      "",
+      "{shop_name}",
+    ].join("\n"),
+    html: [
+      "<p>Hi {customer_name},</p>",
+      "<p>{carrier} reported a problem delivering your order {order_number}: {status_message}</p>",
+      '<p>We\'re keeping an eye on it. <a href="{tracking_url}">Track your package</a></p>',
+      signature,
+    ].join("\n"),
+  },
+  return_received: {
+    subject: "We received your return {rma_number}",
+    text: [
+      "Hi {customer_name},",
+      "",
+      "Your return {rma_number} for order {order_number} has arrived: {items}",
+      "",
+      "We'll let you know once it's been processed.",
+      "",
+      "{shop_name}",
+    ].join("\n"),
+    html: [
+      "<p>Hi {customer_name},</p>",
+      "<p>Your return {rma_number} for order {order_number} has arrived: {items}</p>",
+      "<p>We'll let you know once it's been processed.</p>",
+      signature,
+    ].join("\n"),
+  },
+};
+
+export const NOTIFICATION_PLACEHOLDERS = [
+  "shop_name",
+  "customer_name",
+  "order_number",
+  "carrier",
+  "tracking_number",
+  "tracking_url",
+  "est_delivery_date",
+  "status_message",
+  "rma_number",
+  "items",
+];
+
+const TEMPLATE_PARTS = { subject: 255, html: 50000, text: 20000 };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Whether a string looks like an email address
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isEmailAddress(value) {
+  return typeof value === "string" && value.length <= 255 && EMAIL_PATTERN.test(value);
+}
+
+/**
+ * Check notification settings from the API. Only the keys sent are returned.
+ * @param {Object} input
+ * @returns {{ settings: Object|null, error: string|null }}
+ */
+export function normalizeNotificationSettings(input = {}) {
+  const settings = {};
+
+  for (const key of ["enabled", "skip_shopify_notified"]) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (typeof input[key] !== "boolean") {
+      return { settings: null, error: `${key} must be true or false` };
+    }
+    settings[key] = input[key];
+  }
+
+  if (input.types !== undefined) {
+    if (
+      input.types !== null &&
+      (!Array.isArray(input.types) || input.types.some(type => !NOTIFICATION_TYPES.includes(type)))
+    ) {
+      return { settings: null, error: `types must be null or a list of: ${NOTIFICATION_TYPES.join(", ")}` };
+    }
+    settings.types = input.types ? [...new Set(input.types)] : null;
+  }
+
+  if (input.sender_name !== undefined) {
+    if (input.sender_name !== null && (typeof input.sender_name !== "string" || input.sender_name.length > 255)) {
+      return { settings: null, error: "sender_name must be text of at most 255 characters" };
+    }
+    settings.sender_name = input.sender_name || null;
+  }
+
+  if (input.reply_to !== undefined) {
+    if (input.reply_to !== null && !isEmailAddress(input.reply_to)) {
+      return { settings: null, error: "reply_to must be an email address" };
+    }
+    settings.reply_to = input.reply_to || null;
+  }
+
+  return { settings, error: null };
+}
+
+/**
+ * Check a template override from the API. Parts left out are returned as
+ * undefined; null goes back to the built-in part.
+ * @param {Object} input - subject, html, text
+ * @returns {{ template: Object|null, error: string|null }}
+ */
+export function normalizeNotificationTemplate(input = {}) {
+  const template = {};
+
+  for (const [part, limit] of Object.entries(TEMPLATE_PARTS)) {
+    if (input[part] === undefined) {
+      continue;
+    }
+    if (input[part] !== null && typeof input[part] !== "string") {
+      return { template: null, error: `${part} must be text` };
+    }
+    if (input[part] && input[part].length > limit) {
+      return { template: null, error: `${part} must be at most ${limit} characters` };
+    }
+    template[part] = input[part] || null;
+  }
+
+  if (template.subject && /[\r\n]/.test(template.subject)) {
+    return { template: null, error: "subject must be a single line" };
+  }
+
+  return { template, error: null };
+}
+
+/**
+ * A type's template: the shop's overrides over the built-in one
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object|null} row - notification_templates row
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function resolveNotificationTemplate(type, row) {
+  const defaults = DEFAULT_NOTIFICATION_TEMPLATES[type];
+
+  return {
+    subject: row?.subject || defaults.subject,
+    html: row?.html || defaults.html,
+    text: row?.text || defaults.text,
+  };
+}
+
+function fill(text, values, escape) {
+  return String(text || "").replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (!NOTIFICATION_PLACEHOLDERS.includes(key)) {
+      return placeholder;
+    }
+    const value = values[key] ?? "";
+    return escape ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Fill a template's placeholders. Values are escaped in the HTML part.
+ * @param {Object} template - From resolveNotificationTemplate
+ * @param {Object} values - NOTIFICATION_PLACEHOLDERS values
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderNotification(template, values) {
+  return {
+    subject: fill(template.subject, values, false).replace(/[\r\n]+/g, " "),
+    html: fill(template.html, values, true),
+    text: fill(template.text, values, false),
+  };
+}
+
+// Made-up values for previews and test emails
+export const SAMPLE_NOTIFICATION_VALUES = {
+  shop_name: "Sample Store",
+  customer_name: "Jane Doe",
+  order_number: "1001",
+  carrier: "USPS",
+  tracking_number: "9400100000000000000000",
+  tracking_url: "https://example.com/track/sample",
+  est_delivery_date: "Monday, January 19",
+  status_message: "Delivery attempted - no access to delivery location",
+  rma_number: "RMA-42",
+  items: "Classic Tee - Black / M × 2, Logo Cap - Navy × 1",
+};
@@ -0,0 +1,157 @@
+import pool from './db.js';
+import { httpError } from './errors.js';
+
+export const ORDER_STATUSES = [
+  'Pending',
+  'On Hold',
+  'Batched',
+  'Picking',
+  'Packed',
+  'Partially Shipped',
+  'Shipped',
+  'Delivered',
+  'Cancelled',
+  'Partially Returned',
+  'Returned',
+];
+
+// Allowed moves from each status; anything not listed is rejected.
+// Orders can be shipped without going through a batch (manual shipments).
+export const ORDER_TRANSITIONS = {
+  'Pending': ['On Hold', 'Batched', 'Picking', 'Packed', 'Partially Shipped', 'Shipped', 'Cancelled'],
+  'On Hold': ['Pending', 'Batched', 'Cancelled'],
+  'Batched': ['Pending', 'On Hold', 'Picking', 'Packed', 'Partially Shipped', 'Shipped', 'Cancelled'],
+  'Picking': ['Pending', 'Batched', 'On Hold', 'Packed', 'Partially Shipped', 'Shipped', 'Cancelled'],
+  'Packed': ['Picking', 'On Hold', 'Partially Shipped', 'Shipped', 'Cancelled'],
+  'Partially Shipped': ['Shipped', 'Partially Returned', 'Returned'],
+  'Shipped': ['Delivered', 'Partially Returned', 'Returned'],
+  'Delivered': ['Partially Returned', 'Returned'],
+  'Cancelled': [],
+  'Partially Returned': ['Returned'],
+  'Returned': [],
+};
+
+/**
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Write one order_status_history row
+ * @param {Object} db - pool, or a client inside the caller's transaction
+ * @param {Object} change - orderId, shopId, from, to, actor, reason
+ */
+export async function recordOrderStatus(db, { orderId, shopId, from, to, actor, reason }) {
+  await db.query(
+    `
+    INSERT INTO order_status_history (order_id, shop_id, from_status, to_status, actor, reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+    [orderId, shopId, from || null, to, actor, reason || null]
+  );
+}
+
+/**
+ * Move an order to a new status if the state machine allows it, and record
+ * who did it and why. Moving to the status it already has is a no-op.
+ * @param {number} orderId - orders.id
+ * @param {string} toStatus - One of ORDER_STATUSES
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Who made the change (user, "shopify", "system")
+ * @param {string} [options.reason] - Why
+ * @param {number} [options.shopId] - Only touch the order if it belongs to this shop
+ * @param {boolean} [options.skipInvalid] - Leave the order alone instead of throwing
+ *   on an illegal move (for automatic updates, e.g. a fulfilled webhook on a cancelled order)
+ * @param {Object} [options.client] - Client inside the caller's transaction
+ * @returns {Promise<Object>} - { order_id, from, to, changed }
+ */
+export async function transitionOrderStatus(orderId, toStatus, options = {}) {
+  const { actor = 'system', reason = null, shopId = null, skipInvalid = false } = options;
+
+  if (!options.client) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await transitionOrderStatus(orderId, toStatus, { ...options, client });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw httpError(400, `Unknown order status: ${toStatus}`);
+  }
+
+  const { client } = options;
+  const orderResult = await client.query(
+    `
+    SELECT id, shop_id, status FROM orders
+    WHERE id = $1 AND ($2::int IS NULL OR shop_id = $2)
+    FOR UPDATE
+    `,
+    [orderId, shopId]
+  );
+  const order = orderResult.rows[0];
+
+  if (!order) {
+    throw httpError(404, 'Order not found');
+  }
+
+  if (order.status === toStatus) {
+    return { order_id: order.id, from: order.status, to: toStatus, changed: false };
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    if (skipInvalid) {
+      return { order_id: order.id, from: order.status, to: order.status, changed: false };
+    }
+
+    const error = httpError(409, `Cannot move order from ${order.status} to ${toStatus}`);
+    error.allowed = ORDER_TRANSITIONS[order.status] || [];
+    throw error;
+  }
+
+  await client.query('UPDATE orders SET status = $2 WHERE id = $1', [order.id, toStatus]);
+  await recordOrderStatus(client, {
+    orderId: order.id,
+    shopId: order.shop_id,
+    from: order.status,
+    to: toStatus,
+    actor,
+    reason,
+  });
+
+  return { order_id: order.id, from: order.status, to: toStatus, changed: true };
+}
+
+/**
+ * An order's status changes, oldest first
+ * @param {number} orderId - orders.id
+ * @returns {Promise<Array>} - order_status_history rows
+ */
+export async function getOrderStatusHistory(orderId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT id, from_status, to_status, actor, reason, created_at
+      FROM order_status_history
+      WHERE order_id = $1
+      ORDER BY created_at, id
+      `,
+      [orderId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting order status history:', error);
+    throw error;
+  }
+}
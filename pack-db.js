@@ -0,0 +1,426 @@
+import pool from './db.js';
+import { canTransition, transitionOrderStatus } from './order-status.js';
+import { getOrderItemProgress } from './shipment-db.js';
+import { httpError } from './errors.js';
+
+/**
+ * Where a pack session stands: each expected item with what's been scanned,
+ * plus any over-scans and wrong items
+ * @param {Object} db - pool, or a client inside the caller's transaction
+ * @param {number} sessionId - pack_sessions.id
+ * @returns {Promise<Object>} - { items, over_scans, wrong_items, remaining, matches }
+ */
+export async function getPackState(db, sessionId) {
+  const itemsResult = await db.query(
+    `
+    SELECT
+      id,
+      order_item_id,
+      sku,
+      product_name,
+      expected_quantity,
+      scanned_quantity,
+      expected_quantity - scanned_quantity AS remaining_quantity
+    FROM pack_session_items
+    WHERE session_id = $1
+    ORDER BY id
+    `,
+    [sessionId]
+  );
+
+  const problemsResult = await db.query(
+    `
+    SELECT id, code, sku, quantity, result, scanned_at
+    FROM pack_scans
+    WHERE session_id = $1 AND result <> 'ok'
+    ORDER BY scanned_at, id
+    `,
+    [sessionId]
+  );
+
+  const items = itemsResult.rows;
+  const overScans = problemsResult.rows.filter(scan => scan.result === 'over_scan');
+  const wrongItems = problemsResult.rows.filter(scan => scan.result === 'wrong_item');
+  const remaining = items.reduce((total, item) => total + Math.max(item.remaining_quantity, 0), 0);
+
+  return {
+    items,
+    over_scans: overScans,
+    wrong_items: wrongItems,
+    remaining,
+    matches: remaining === 0 && overScans.length === 0 && wrongItems.length === 0,
+  };
+}
+
+async function getSessionForUpdate(client, shopId, sessionId) {
+  const result = await client.query(
+    `
+    SELECT ps.*, o.order_number, o.status AS order_status
+    FROM pack_sessions ps
+    JOIN orders o ON o.id = ps.order_id
+    WHERE ps.id = $1 AND ps.shop_id = $2
+    FOR UPDATE OF ps
+    `,
+    [sessionId, shopId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Pack session not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Open a pack session from a scanned order number, expecting every unit not
+ * yet shipped. Scanning an order that already has an open session resumes it.
+ * @param {number} shopId - shops.id
+ * @param {string} orderNumber - Scanned from the pick list barcode
+ * @param {string} packedBy - Who is packing
+ * @returns {Promise<Object>} - { session, state, resumed }
+ */
+export async function openPackSession(shopId, orderNumber, packedBy) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `SELECT id, status FROM orders WHERE shop_id = $1 AND order_number = $2 FOR UPDATE`,
+      [shopId, String(orderNumber).trim().replace(/^#/, '')]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      throw httpError(404, `Order ${orderNumber} not found`);
+    }
+
+    const existing = await client.query(
+      `SELECT * FROM pack_sessions WHERE order_id = $1 AND status = 'open'`,
+      [order.id]
+    );
+
+    if (existing.rows.length > 0) {
+      const state = await getPackState(client, existing.rows[0].id);
+      await client.query('COMMIT');
+      return { session: { ...existing.rows[0], order_number: orderNumber }, state, resumed: true };
+    }
+
+    // The rest of a Partially Shipped order is packed box by box as well
+    const packable = ['Packed', 'Partially Shipped'].includes(order.status) || canTransition(order.status, 'Packed');
+    if (!packable) {
+      throw httpError(409, `Order is ${order.status} and can't be packed`);
+    }
+
+    const progress = (await getOrderItemProgress(client, order.id)).filter(item => item.remaining > 0);
+    if (progress.length === 0) {
+      throw httpError(409, 'Order has nothing left to pack');
+    }
+
+    const sessionResult = await client.query(
+      `
+      INSERT INTO pack_sessions (shop_id, order_id, packed_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+      `,
+      [shopId, order.id, packedBy]
+    );
+    const session = sessionResult.rows[0];
+
+    for (const item of progress) {
+      await client.query(
+        `
+        INSERT INTO pack_session_items (session_id, order_item_id, sku, product_name, expected_quantity)
+        VALUES ($1, $2, $3, $4, $5)
+        `,
+        [session.id, item.order_item_id, item.sku, item.product_name, item.remaining]
+      );
+    }
+
+    const state = await getPackState(client, session.id);
+    await client.query('COMMIT');
+    return { session: { ...session, order_number: orderNumber }, state, resumed: false };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A pack session and where it stands
+ * @param {number} shopId - shops.id
+ * @param {number} sessionId - pack_sessions.id
+ * @returns {Promise<Object|null>} - { session, state }
+ */
+export async function getPackSession(shopId, sessionId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT ps.*, o.order_number
+      FROM pack_sessions ps
+      JOIN orders o ON o.id = ps.order_id
+      WHERE ps.id = $1 AND ps.shop_id = $2
+      `,
+      [sessionId, shopId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { session: result.rows[0], state: await getPackState(pool, sessionId) };
+  } catch (error) {
+    console.error('Error getting pack session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check one scan (SKU or product barcode) against the order. Matching units
+ * count toward the item; anything else is recorded as an over-scan or a
+ * wrong item and doesn't count.
+ * @param {number} shopId - shops.id
+ * @param {number} sessionId - pack_sessions.id
+ * @param {string} code - Scanned value
+ * @param {number} quantity - Units in the scan (e.g. an inner pack)
+ * @returns {Promise<Object>} - { scan, item, state }
+ */
+export async function recordPackScan(shopId, sessionId, code, quantity = 1) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const session = await getSessionForUpdate(client, shopId, sessionId);
+    if (session.status !== 'open') {
+      throw httpError(409, `Pack session is ${session.status}`);
+    }
+
+    const scanned = String(code).trim();
+
+    // A SKU printed on the pick list, else a product barcode mapped to a SKU
+    let sku = null;
+    const itemsResult = await client.query(
+      `SELECT * FROM pack_session_items WHERE session_id = $1 ORDER BY id`,
+      [sessionId]
+    );
+    const bySku = itemsResult.rows.filter(item => item.sku?.toLowerCase() === scanned.toLowerCase());
+
+    if (bySku.length > 0) {
+      sku = bySku[0].sku;
+    } else {
+      const barcodeResult = await client.query(
+        `SELECT sku FROM sku_barcodes WHERE shop_id = $1 AND barcode = $2`,
+        [shopId, scanned]
+      );
+      sku = barcodeResult.rows[0]?.sku || null;
+    }
+
+    const candidates = itemsResult.rows.filter(item => sku && item.sku === sku);
+    const item = candidates.find(candidate => candidate.scanned_quantity + quantity <= candidate.expected_quantity);
+
+    let result;
+    if (candidates.length === 0) {
+      result = 'wrong_item';
+    } else if (!item) {
+      result = 'over_scan';
+    } else {
+      result = 'ok';
+      await client.query(
+        `UPDATE pack_session_items SET scanned_quantity = scanned_quantity + $2 WHERE id = $1`,
+        [item.id, quantity]
+      );
+    }
+
+    const scanResult = await client.query(
+      `
+      INSERT INTO pack_scans (session_id, code, sku, session_item_id, quantity, result)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+      `,
+      [sessionId, scanned, sku, item?.id || candidates[0]?.id || null, quantity, result]
+    );
+
+    const state = await getPackState(client, sessionId);
+    await client.query('COMMIT');
+    return { scan: scanResult.rows[0], state };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Undo a scan (e.g. the packer took the extra unit back out)
+ * @param {number} shopId - shops.id
+ * @param {number} sessionId - pack_sessions.id
+ * @param {number} scanId - pack_scans.id
+ * @returns {Promise<Object>} - Updated state
+ */
+export async function removePackScan(shopId, sessionId, scanId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const session = await getSessionForUpdate(client, shopId, sessionId);
+    if (session.status !== 'open') {
+      throw httpError(409, `Pack session is ${session.status}`);
+    }
+
+    const scanResult = await client.query(
+      `DELETE FROM pack_scans WHERE id = $1 AND session_id = $2 RETURNING *`,
+      [scanId, sessionId]
+    );
+    const scan = scanResult.rows[0];
+
+    if (!scan) {
+      throw httpError(404, 'Scan not found');
+    }
+
+    if (scan.result === 'ok' && scan.session_item_id) {
+      await client.query(
+        `UPDATE pack_session_items SET scanned_quantity = scanned_quantity - $2 WHERE id = $1`,
+        [scan.session_item_id, scan.quantity]
+      );
+    }
+
+    const state = await getPackState(client, sessionId);
+    await client.query('COMMIT');
+    return state;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Finish a pack. Refused until every unit is scanned with no over-scans or
+ * wrong items, unless a supervisor gives an override reason. Moves the
+ * order to Packed, unless part of it has shipped already.
+ * @param {number} shopId - shops.id
+ * @param {number} sessionId - pack_sessions.id
+ * @param {Object} options - overrideReason, actor
+ * @returns {Promise<Object>} - { session, state }
+ */
+export async function completePackSession(shopId, sessionId, { overrideReason, actor }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const session = await getSessionForUpdate(client, shopId, sessionId);
+    if (session.status !== 'open') {
+      throw httpError(409, `Pack session is ${session.status}`);
+    }
+
+    const state = await getPackState(client, sessionId);
+    if (!state.matches && !overrideReason) {
+      throw httpError(409, 'Pack does not match the order', state);
+    }
+
+    const updated = await client.query(
+      `
+      UPDATE pack_sessions
+      SET
+        status = 'completed',
+        override_reason = $2,
+        completed_at = NOW(),
+        duration_seconds = EXTRACT(EPOCH FROM (NOW() - started_at))::int
+      WHERE id = $1
+      RETURNING *
+      `,
+      [sessionId, state.matches ? null : overrideReason]
+    );
+
+    if (session.order_status !== 'Partially Shipped') {
+      await transitionOrderStatus(session.order_id, 'Packed', {
+        actor,
+        reason: state.matches
+          ? `Pack session ${sessionId} verified`
+          : `Pack session ${sessionId} overridden: ${overrideReason}`,
+        client,
+      });
+    }
+
+    await client.query('COMMIT');
+    return { session: { ...updated.rows[0], order_number: session.order_number }, state };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Give up on a pack session (order stays as it was)
+ * @param {number} shopId - shops.id
+ * @param {number} sessionId - pack_sessions.id
+ * @returns {Promise<Object|null>} - Updated session, null if not open
+ */
+export async function abandonPackSession(shopId, sessionId) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE pack_sessions
+      SET status = 'abandoned', completed_at = NOW()
+      WHERE id = $1 AND shop_id = $2 AND status = 'open'
+      RETURNING *
+      `,
+      [sessionId, shopId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error abandoning pack session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Map a product barcode (UPC/EAN) to a SKU so packers can scan the product
+ * @param {number} shopId - shops.id
+ * @param {string} sku
+ * @param {string} barcode
+ * @returns {Promise<Object>} - sku_barcodes row
+ */
+export async function saveSkuBarcode(shopId, sku, barcode) {
+  try {
+    const query = `
+      INSERT INTO sku_barcodes (shop_id, sku, barcode)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (shop_id, barcode)
+      DO UPDATE SET sku = EXCLUDED.sku
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [shopId, sku, barcode]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving SKU barcode:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {string} barcode
+ * @returns {Promise<boolean>} - False if the barcode wasn't mapped
+ */
+export async function deleteSkuBarcode(shopId, barcode) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM sku_barcodes WHERE shop_id = $1 AND barcode = $2',
+      [shopId, barcode]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting SKU barcode:', error);
+    throw error;
+  }
+}
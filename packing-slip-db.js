@@ -0,0 +1,184 @@
+import pool from './db.js';
+
+/**
+ * A shop's stored template for a document type
+ * @param {number} shopId - shops.id
+ * @param {string} documentType - One of TEMPLATE_DOCUMENT_TYPES
+ * @returns {Promise<Object|null>} - document_templates row (with logo bytes)
+ */
+export async function getDocumentTemplate(shopId, documentType) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM document_templates WHERE shop_id = $1 AND document_type = $2',
+      [shopId, documentType]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting document template:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's stored templates, without logo bytes
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>}
+ */
+export async function getDocumentTemplates(shopId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT id, document_type, settings, logo IS NOT NULL AS has_logo, created_at, updated_at
+      FROM document_templates
+      WHERE shop_id = $1
+      ORDER BY document_type
+      `,
+      [shopId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting document templates:', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge settings into a shop's template, creating it if needed
+ * @param {number} shopId - shops.id
+ * @param {string} documentType - One of TEMPLATE_DOCUMENT_TYPES
+ * @param {Object} settings - From normalizeTemplate
+ * @param {Object|null} [logo] - { data, contentType }; null removes it, undefined keeps it
+ * @returns {Promise<Object>} - Saved row (without logo bytes)
+ */
+export async function saveDocumentTemplate(shopId, documentType, settings, logo) {
+  try {
+    const query = `
+      INSERT INTO document_templates (shop_id, document_type, settings, logo, logo_content_type)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (shop_id, document_type)
+      DO UPDATE SET
+        settings = document_templates.settings || EXCLUDED.settings,
+        logo = CASE WHEN $6 THEN EXCLUDED.logo ELSE document_templates.logo END,
+        logo_content_type = CASE WHEN $6 THEN EXCLUDED.logo_content_type
+                                 ELSE document_templates.logo_content_type END,
+        updated_at = NOW()
+      RETURNING id, document_type, settings, logo IS NOT NULL AS has_logo, created_at, updated_at;
+    `;
+    const result = await pool.query(query, [
+      shopId,
+      documentType,
+      settings,
+      logo?.data || null,
+      logo?.contentType || null,
+      logo !== undefined,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving document template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Go back to the default template
+ * @param {number} shopId - shops.id
+ * @param {string} documentType - One of TEMPLATE_DOCUMENT_TYPES
+ * @returns {Promise<boolean>} - False if there was no stored template
+ */
+export async function deleteDocumentTemplate(shopId, documentType) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM document_templates WHERE shop_id = $1 AND document_type = $2',
+      [shopId, documentType]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting document template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Packing slip data for one order or a whole batch. With a shipment, only
+ * the items (and quantities) in that package.
+ * @param {number} shopId - shops.id
+ * @param {Object} scope - orderId, batchId, shipmentId
+ * @returns {Promise<Array>} - Slips: order fields, ship_to, package, items
+ */
+export async function getPackingSlips(shopId, { orderId = null, batchId = null, shipmentId = null }) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        o.id AS order_id,
+        o.order_number,
+        o.order_date,
+        o.customer_name,
+        o.order_total,
+        o.recipient_name,
+        o.recipient_company,
+        o.recipient_address,
+        o.recipient_address2,
+        o.recipient_city,
+        o.recipient_state,
+        o.recipient_zip,
+        o.recipient_country,
+        o.recipient_phone,
+        oi.sku,
+        oi.product_name,
+        oi.price,
+        COALESCE(si.quantity, oi.quantity) AS quantity,
+        s.carrier,
+        s.tracking_number
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN shipment_items si ON si.order_item_id = oi.id AND si.shipment_id = $4
+      LEFT JOIN shipments s ON s.id = si.shipment_id
+      WHERE o.shop_id = $1
+        AND ($2::int IS NULL OR o.id = $2)
+        AND ($3::int IS NULL OR o.batch_id = $3)
+        AND ($4::int IS NULL OR si.id IS NOT NULL)
+      ORDER BY o.id, oi.product_name
+      `,
+      [shopId, orderId, batchId, shipmentId]
+    );
+
+    const slips = new Map();
+    for (const row of result.rows) {
+      if (!slips.has(row.order_id)) {
+        slips.set(row.order_id, {
+          order_id: row.order_id,
+          order_number: row.order_number,
+          order_date: row.order_date,
+          customer_name: row.customer_name,
+          order_total: row.order_total,
+          ship_to: {
+            name: row.recipient_name,
+            company: row.recipient_company,
+            address1: row.recipient_address,
+            address2: row.recipient_address2,
+            city: row.recipient_city,
+            state: row.recipient_state,
+            zip: row.recipient_zip,
+            country: row.recipient_country,
+            phone: row.recipient_phone,
+          },
+          package: shipmentId ? `${row.carrier || ""} ${row.tracking_number || ""}`.trim() : null,
+          items: [],
+        });
+      }
+
+      slips.get(row.order_id).items.push({
+        sku: row.sku,
+        product_name: row.product_name,
+        quantity: row.quantity,
+        price: row.price,
+      });
+    }
+
+    return [...slips.values()];
+  } catch (error) {
+    console.error('Error getting packing slips:', error);
+    throw error;
+  }
+}
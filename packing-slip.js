@@ -0,0 +1,396 @@
+import bwipjs from "bwip-js";
+import { buildFromAddress } from "./shipping.js";
+
+// ==============================
+// PACKING SLIP TEMPLATES
+// ==============================
+//
+// Each shop can store one template per document type. Stored settings are
+// merged over DEFAULT_TEMPLATE, so a template only needs what it changes.
+
+// packing_slip is the letter-size PDF, thermal_packing_slip the 4x6 one,
+// tracking_page the customer-facing order tracking page and
+// commercial_invoice the customs invoice for shipments abroad
+export const TEMPLATE_DOCUMENT_TYPES = ["packing_slip", "thermal_packing_slip", "tracking_page", "commercial_invoice"];
+
+export const DEFAULT_TEMPLATE = {
+  brand_name: null, // null: the shop's name
+  title: "Packing Slip",
+  show_logo: true,
+  show_return_address: true,
+  return_address: null, // null: the SHIP_FROM_* warehouse address
+  show_ship_to: true,
+  show_sku: true,
+  show_price: false,
+  show_barcode: true,
+  message: "Thank you for your order, {customer_name}!",
+  footer: "",
+};
+
+// Defaults that differ by document type
+const TYPE_DEFAULTS = {
+  tracking_page: {
+    title: "Track your order",
+    message: "",
+    accent_color: "#2c6ecb",
+  },
+  commercial_invoice: {
+    title: "Commercial Invoice",
+    message: "",
+    show_barcode: false,
+  },
+};
+
+/**
+ * DEFAULT_TEMPLATE with a document type's own defaults
+ * @param {string} documentType - One of TEMPLATE_DOCUMENT_TYPES
+ * @returns {Object}
+ */
+export function templateDefaults(documentType) {
+  return { ...DEFAULT_TEMPLATE, ...(TYPE_DEFAULTS[documentType] || {}) };
+}
+
+const TEXT_LIMITS = { brand_name: 100, title: 100, message: 1000, footer: 2000 };
+const FLAGS = ["show_logo", "show_return_address", "show_ship_to", "show_sku", "show_price", "show_barcode"];
+const ADDRESS_FIELDS = ["name", "company", "street1", "street2", "city", "state", "zip", "country", "phone"];
+
+const MAX_LOGO_BYTES = 512 * 1024;
+
+/**
+ * Check template settings from the API. Unknown keys are ignored; missing
+ * ones keep their defaults.
+ * @param {Object} input - Template fields
+ * @returns {{ template: Object|null, error: string|null }}
+ */
+export function normalizeTemplate(input = {}) {
+  const template = {};
+
+  for (const [key, limit] of Object.entries(TEXT_LIMITS)) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (input[key] !== null && typeof input[key] !== "string") {
+      return { template: null, error: `${key} must be text` };
+    }
+    if (input[key] && input[key].length > limit) {
+      return { template: null, error: `${key} must be at most ${limit} characters` };
+    }
+    template[key] = input[key];
+  }
+
+  for (const key of FLAGS) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (typeof input[key] !== "boolean") {
+      return { template: null, error: `${key} must be true or false` };
+    }
+    template[key] = input[key];
+  }
+
+  if (input.accent_color !== undefined) {
+    if (!/^#[0-9a-fA-F]{6}$/.test(input.accent_color || "")) {
+      return { template: null, error: "accent_color must be a hex color like #2c6ecb" };
+    }
+    template.accent_color = input.accent_color;
+  }
+
+  if (input.return_address !== undefined) {
+    if (input.return_address === null) {
+      template.return_address = null;
+    } else if (typeof input.return_address !== "object") {
+      return { template: null, error: "return_address must be an object" };
+    } else {
+      template.return_address = Object.fromEntries(
+        ADDRESS_FIELDS
+          .filter(field => input.return_address[field])
+          .map(field => [field, String(input.return_address[field])])
+      );
+    }
+  }
+
+  return { template, error: null };
+}
+
+/**
+ * Decode an uploaded logo (a data: URL or plain base64)
+ * @param {string} value
+ * @returns {{ logo: { data: Buffer, contentType: string }|null, error: string|null }}
+ */
+export function parseLogo(value) {
+  const match = /^data:([^;]+);base64,(.*)$/s.exec(value || "");
+  const data = Buffer.from(match ? match[2] : value || "", "base64");
+
+  // Sniff the type rather than trust the data URL; pdfkit draws PNG and JPEG only
+  const contentType = data.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))
+    ? "image/png"
+    : data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))
+      ? "image/jpeg"
+      : null;
+
+  if (!contentType) {
+    return { logo: null, error: "logo must be a PNG or JPEG image" };
+  }
+
+  if (data.length > MAX_LOGO_BYTES) {
+    return { logo: null, error: `logo must be at most ${MAX_LOGO_BYTES / 1024} KB` };
+  }
+
+  return { logo: { data, contentType }, error: null };
+}
+
+/**
+ * The template to render with: stored settings over the defaults, with the
+ * shop's name and the warehouse address filled in
+ * @param {Object|null} row - document_templates row (settings, logo)
+ * @param {Object} shop - shops row
+ * @param {string} [documentType] - Whose defaults to start from
+ * @returns {Object}
+ */
+export function resolveTemplate(row, shop, documentType) {
+  const template = { ...templateDefaults(documentType), ...(row?.settings || {}) };
+
+  return {
+    ...template,
+    brand_name: template.brand_name || shop.shop_name || shop.shop,
+    return_address: template.return_address || buildFromAddress(),
+    logo: template.show_logo ? row?.logo || null : null,
+  };
+}
+
+/**
+ * Fill {order_number}, {customer_name} and {shop_name} in template text
+ * @param {string} text
+ * @param {Object} slip
+ * @param {Object} template - From resolveTemplate
+ * @returns {string}
+ */
+export function fillTemplateText(text, slip, template) {
+  const values = {
+    order_number: slip.order_number,
+    customer_name: slip.customer_name || slip.ship_to?.name || "",
+    shop_name: template.brand_name,
+  };
+
+  return String(text || "").replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in values ? values[key] ?? "" : placeholder
+  );
+}
+
+/**
+ * Address as printable lines
+ * @param {Object} address - name, company, street1/address1, street2, city, state, zip, country
+ * @returns {Array<string>}
+ */
+export function addressLines(address) {
+  if (!address) {
+    return [];
+  }
+
+  const cityLine = [address.city, [address.state, address.zip].filter(Boolean).join(" ")]
+    .filter(Boolean)
+    .join(", ");
+
+  return [
+    address.name,
+    address.company,
+    address.street1 || address.address1,
+    address.street2 || address.address2,
+    cityLine,
+    address.country && address.country !== "US" ? address.country : null,
+  ].filter(Boolean);
+}
+
+const money = value => (value == null ? "" : `$${Number(value).toFixed(2)}`);
+
+// Made-up order for previews
+export const SAMPLE_PACKING_SLIP = {
+  order_number: "1001",
+  order_date: "2026-01-15T10:30:00Z",
+  customer_name: "Jane Doe",
+  order_total: "64.00",
+  ship_to: {
+    name: "Jane Doe",
+    address1: "123 Main St",
+    address2: "Apt 4B",
+    city: "Austin",
+    state: "TX",
+    zip: "78701",
+  },
+  package: null,
+  items: [
+    { sku: "TEE-BLK-M", product_name: "Classic Tee - Black / M", quantity: 2, price: "20.00" },
+    { sku: "CAP-NVY", product_name: "Logo Cap - Navy", quantity: 1, price: "24.00" },
+  ],
+};
+
+// ==============================
+// LETTER PDF
+// ==============================
+
+/**
+ * Draw one packing slip on the current page of a letter-size PDFDocument
+ * @param {Object} doc - pdfkit PDFDocument (margin 40)
+ * @param {Object} slip - order_number, order_date, customer_name, order_total, ship_to, package, items
+ * @param {Object} template - From resolveTemplate
+ */
+export async function renderPackingSlipPdf(doc, slip, template) {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const top = doc.y;
+
+  // Header: logo (or brand name) on the left, return address on the right
+  if (template.logo) {
+    doc.image(template.logo, left, top, { fit: [160, 60] });
+  } else {
+    doc.fontSize(18).text(template.brand_name, left, top, { width: 260 });
+  }
+
+  if (template.show_return_address) {
+    doc.fontSize(9).text(addressLines(template.return_address).join("\n"), right - 200, top, {
+      width: 200,
+      align: "right",
+    });
+  }
+
+  doc.x = left;
+  doc.y = top + 75;
+
+  doc.fontSize(18).text(template.title, { underline: true });
+  doc.moveDown(0.5);
+
+  const detailsTop = doc.y;
+  doc.fontSize(11);
+  doc.text(`Order #: ${slip.order_number}`);
+  if (slip.order_date) {
+    doc.text(`Date: ${new Date(slip.order_date).toLocaleDateString()}`);
+  }
+  doc.text(`Customer: ${slip.customer_name || ""}`);
+  if (slip.package) {
+    doc.text(`Package: ${slip.package}`);
+  }
+
+  if (template.show_barcode) {
+    const barcode = await bwipjs.toBuffer({
+      bcid: "code128",
+      text: String(slip.order_number),
+      scale: 2,
+      height: 10,
+      includetext: false,
+    });
+    doc.image(barcode, right - 180, detailsTop, { fit: [180, 40] });
+  }
+
+  doc.moveDown();
+  doc.fontSize(11).text("Ship To:", left, doc.y, { underline: true });
+  const shipTo = template.show_ship_to ? addressLines(slip.ship_to) : [slip.ship_to?.name];
+  doc.fontSize(10).text(shipTo.filter(Boolean).join("\n"));
+  doc.moveDown();
+
+  // Items table
+  const columns = [
+    ...(template.show_sku ? [{ key: "sku", label: "SKU", width: 110 }] : []),
+    { key: "product_name", label: "Item", width: template.show_price ? 250 : 360 },
+    { key: "quantity", label: "Qty", width: 50, align: "right" },
+    ...(template.show_price ? [{ key: "price", label: "Price", width: 70, align: "right", format: money }] : []),
+  ];
+
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    for (const column of columns) {
+      const text = String(values[column.key] ?? "");
+      doc.text(text, x, y, { width: column.width - 8, align: column.align || "left" });
+      height = Math.max(height, doc.y - y);
+      x += column.width;
+    }
+    doc.font("Helvetica");
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(Object.fromEntries(columns.map(column => [column.key, column.label])), true);
+  doc.moveTo(left, doc.y - 2).lineTo(right, doc.y - 2).stroke();
+
+  for (const item of slip.items) {
+    drawRow(Object.fromEntries(columns.map(column => [
+      column.key,
+      column.format ? column.format(item[column.key]) : item[column.key],
+    ])));
+  }
+
+  if (template.show_price && slip.order_total != null) {
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(10).text(`Order total: ${money(slip.order_total)}`, left, doc.y, {
+      width: right - left,
+      align: "right",
+    });
+    doc.font("Helvetica");
+  }
+
+  const message = fillTemplateText(template.message, slip, template);
+  if (message) {
+    doc.moveDown(1.5);
+    doc.fontSize(12).text(message, left, doc.y, { width: right - left, align: "center" });
+  }
+
+  const footer = fillTemplateText(template.footer, slip, template);
+  if (footer) {
+    doc.moveDown(1.5);
+    doc.fontSize(8).fillColor("#555555").text(footer, left, doc.y, { width: right - left });
+    doc.fillColor("black");
+  }
+}
+
+// ==============================
+// THERMAL (4x6)
+// ==============================
+
+/**
+ * Packing slips as thermal document pages (see thermal.js), one per order
+ * or package. The logo only shows on PDF output.
+ * @param {Array<Object>} slips - As for renderPackingSlipPdf
+ * @param {Object} template - From resolveTemplate
+ * @returns {Array<Array<Object>>}
+ */
+export function thermalPackingSlipPages(slips, template) {
+  const lines = (values, small = true) => values.map(text => ({ type: "text", small, text }));
+
+  return slips.map(slip => {
+    const message = fillTemplateText(template.message, slip, template);
+    const footer = fillTemplateText(template.footer, slip, template);
+    const shipTo = template.show_ship_to ? addressLines(slip.ship_to) : [slip.ship_to?.name || ""];
+
+    return [
+      ...(template.logo ? [{ type: "image", data: template.logo }] : []),
+      { type: "text", text: template.brand_name },
+      ...(template.show_return_address ? lines(addressLines(template.return_address)) : []),
+      { type: "rule" },
+      { type: "text", text: `ORDER #: ${slip.order_number}` },
+      { type: "text", text: `CUSTOMER: ${slip.customer_name || ""}` },
+      { type: "text", text: "SHIP TO:" },
+      ...lines(shipTo),
+      ...(slip.package ? [{ type: "text", text: `PACKAGE: ${slip.package}` }] : []),
+      ...(template.show_barcode ? [{ type: "barcode", value: slip.order_number }] : []),
+      { type: "rule" },
+      { type: "text", text: "ITEMS:" },
+      ...lines(slip.items.map(item => [
+        `${item.quantity} x`,
+        template.show_sku && item.sku ? `[${item.sku}]` : null,
+        item.product_name,
+        template.show_price && item.price != null ? `@ ${money(item.price)}` : null,
+      ].filter(Boolean).join(" "))),
+      ...(template.show_price && slip.order_total != null
+        ? [{ type: "text", text: `TOTAL: ${money(slip.order_total)}` }]
+        : []),
+      { type: "rule" },
+      ...(message ? [{ type: "text", text: message }, { type: "space" }] : []),
+      { type: "text", text: "PACKED BY: ________" },
+      { type: "text", text: "DATE: ____________" },
+      ...(footer ? [{ type: "space" }, ...lines(footer.split("\n"))] : []),
+    ];
+  });
+}
@@ -0,0 +1,608 @@
+import crypto from 'crypto';
+import pool from './db.js';
+import { httpError } from './errors.js';
+
+export const PRINT_DOCUMENT_TYPES = ['label', 'packing_slip', 'pick_list', 'manifest'];
+
+export const PRINTER_FORMATS = ['zpl', 'pdf', 'text'];
+
+// An agent gets this many tries at a job before it stays failed
+const MAX_PRINT_ATTEMPTS = 3;
+
+// A job still marked printing after this long is assumed lost (agent
+// crashed or went offline) and is handed out again
+const STALE_PRINT_MINUTES = 5;
+
+// Documents carry customer addresses; finished jobs keep them this long
+// so they can be reprinted, then only the job record stays
+const PRINT_RETENTION_DAYS = parseInt(process.env.PRINT_JOB_RETENTION_DAYS, 10) || 7;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Print job columns returned by the API (everything but the document)
+const PRINT_JOB_COLUMNS = `
+  j.id, j.printer_id, j.document_type, j.format, j.title, j.content_type,
+  j.status, j.attempts, j.error, j.agent_id, j.reprint_of, j.created_by,
+  j.order_id, j.shipment_id, j.batch_id, (j.content IS NULL) AS content_purged,
+  j.created_at, j.claimed_at, j.finished_at
+`;
+
+// ==============================
+// STATIONS & PRINTERS
+// ==============================
+
+/**
+ * A shop's stations with their printers
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>}
+ */
+export async function getStations(shopId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        st.*,
+        COALESCE(
+          json_agg(p ORDER BY p.name) FILTER (WHERE p.id IS NOT NULL),
+          '[]'
+        ) AS printers
+      FROM stations st
+      LEFT JOIN printers p ON p.station_id = st.id
+      WHERE st.shop_id = $1
+      GROUP BY st.id
+      ORDER BY st.name
+      `,
+      [shopId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting stations:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {string} name
+ * @returns {Promise<Object>} - stations row
+ */
+export async function saveStation(shopId, name) {
+  try {
+    const result = await pool.query(
+      'INSERT INTO stations (shop_id, name) VALUES ($1, $2) RETURNING *',
+      [shopId, name]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving station:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a station with its printers, agents and queued jobs
+ * @param {number} shopId - shops.id
+ * @param {number} stationId - stations.id
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function deleteStation(shopId, stationId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM stations WHERE id = $1 AND shop_id = $2',
+      [stationId, shopId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting station:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check printer fields from the API
+ * @param {Object} input - name, format, document_types, is_active
+ * @returns {{ printer: Object|null, error: string|null }}
+ */
+export function normalizePrinter(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    return { printer: null, error: 'name is required' };
+  }
+
+  const format = input.format || 'pdf';
+  if (!PRINTER_FORMATS.includes(format)) {
+    return { printer: null, error: `format must be one of ${PRINTER_FORMATS.join(', ')}` };
+  }
+
+  const documentTypes = [].concat(input.document_types || []);
+  const unknown = documentTypes.filter(type => !PRINT_DOCUMENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return { printer: null, error: `Unknown document_types: ${unknown.join(', ')}` };
+  }
+
+  return {
+    printer: {
+      name,
+      format,
+      document_types: [...new Set(documentTypes)],
+      is_active: input.is_active !== false,
+    },
+    error: null,
+  };
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} stationId - stations.id
+ * @param {Object} printer - From normalizePrinter
+ * @returns {Promise<Object|null>} - printers row, null if the station isn't the shop's
+ */
+export async function savePrinter(shopId, stationId, printer) {
+  try {
+    const query = `
+      INSERT INTO printers (shop_id, station_id, name, format, document_types, is_active)
+      SELECT $1, st.id, $3, $4, $5, $6
+      FROM stations st
+      WHERE st.id = $2 AND st.shop_id = $1
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      shopId,
+      stationId,
+      printer.name,
+      printer.format,
+      printer.document_types,
+      printer.is_active,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error saving printer:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} printerId - printers.id
+ * @param {Object} printer - From normalizePrinter
+ * @returns {Promise<Object|null>} - Updated row, null if not found
+ */
+export async function updatePrinter(shopId, printerId, printer) {
+  try {
+    const query = `
+      UPDATE printers
+      SET name = $3, format = $4, document_types = $5, is_active = $6
+      WHERE id = $2 AND shop_id = $1
+      RETURNING *;
+    `;
+    const result = await pool.query(query, [
+      shopId,
+      printerId,
+      printer.name,
+      printer.format,
+      printer.document_types,
+      printer.is_active,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating printer:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} printerId - printers.id
+ * @returns {Promise<boolean>} - False if not found
+ */
+export async function deletePrinter(shopId, printerId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM printers WHERE id = $1 AND shop_id = $2',
+      [printerId, shopId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting printer:', error);
+    throw error;
+  }
+}
+
+/**
+ * The active printer at a station that takes a document type
+ * @param {number} shopId - shops.id
+ * @param {number} stationId - stations.id
+ * @param {string} documentType - One of PRINT_DOCUMENT_TYPES
+ * @returns {Promise<Object>} - printers row
+ * @throws 404 when the station has no printer for the document type
+ */
+export async function findStationPrinter(shopId, stationId, documentType) {
+  const result = await pool.query(
+    `
+    SELECT p.*
+    FROM printers p
+    WHERE p.shop_id = $1
+      AND p.station_id = $2
+      AND p.is_active
+      AND $3 = ANY(p.document_types)
+    ORDER BY p.id
+    LIMIT 1
+    `,
+    [shopId, stationId, documentType]
+  );
+
+  if (!result.rows[0]) {
+    throw httpError(404, `Station ${stationId} has no active printer for ${documentType}`);
+  }
+
+  return result.rows[0];
+}
+
+// ==============================
+// PRINT AGENTS
+// ==============================
+
+/**
+ * Register an agent for a station. The token is only ever returned here.
+ * @param {number} shopId - shops.id
+ * @param {number} stationId - stations.id
+ * @param {string} name - e.g. the machine it runs on
+ * @returns {Promise<Object|null>} - { agent, token }, null if the station isn't the shop's
+ */
+export async function createPrintAgent(shopId, stationId, name) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  try {
+    const query = `
+      INSERT INTO print_agents (shop_id, station_id, name, token_hash)
+      SELECT $1, st.id, $3, $4
+      FROM stations st
+      WHERE st.id = $2 AND st.shop_id = $1
+      RETURNING id, shop_id, station_id, name, created_at;
+    `;
+    const result = await pool.query(query, [shopId, stationId, name, hashToken(token)]);
+    return result.rows[0] ? { agent: result.rows[0], token } : null;
+  } catch (error) {
+    console.error('Error creating print agent:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's agents (without token hashes)
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Array>}
+ */
+export async function getPrintAgents(shopId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT id, station_id, name, last_seen_at, revoked_at, created_at
+      FROM print_agents
+      WHERE shop_id = $1
+      ORDER BY station_id, name
+      `,
+      [shopId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting print agents:', error);
+    throw error;
+  }
+}
+
+/**
+ * @param {number} shopId - shops.id
+ * @param {number} agentId - print_agents.id
+ * @returns {Promise<boolean>} - False if not found or already revoked
+ */
+export async function revokePrintAgent(shopId, agentId) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE print_agents SET revoked_at = NOW()
+      WHERE id = $1 AND shop_id = $2 AND revoked_at IS NULL
+      `,
+      [agentId, shopId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error revoking print agent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Look up the agent a bearer token belongs to, and note that it checked in
+ * @param {string} token
+ * @returns {Promise<Object|null>} - print_agents row, null if unknown or revoked
+ */
+export async function authenticatePrintAgent(token) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `
+    UPDATE print_agents a SET last_seen_at = NOW()
+    FROM shops sh
+    WHERE a.token_hash = $1
+      AND a.revoked_at IS NULL
+      AND sh.id = a.shop_id
+      AND sh.is_active
+    RETURNING a.id, a.shop_id, a.station_id, a.name
+    `,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// ==============================
+// PRINT JOBS
+// ==============================
+
+/**
+ * Queue a rendered document on a printer
+ * @param {Object} job - shopId, printerId, documentType, format, title, content, contentType, createdBy, reprintOf,
+ *   and the orderId, shipmentId or batchId it was printed for
+ * @returns {Promise<Object>} - print_jobs row (without content)
+ */
+export async function queuePrintJob(job) {
+  try {
+    const query = `
+      INSERT INTO print_jobs AS j (
+        shop_id, printer_id, document_type, format, title,
+        content, content_type, created_by, reprint_of,
+        order_id, shipment_id, batch_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING ${PRINT_JOB_COLUMNS};
+    `;
+    const result = await pool.query(query, [
+      job.shopId,
+      job.printerId,
+      job.documentType,
+      job.format,
+      job.title || null,
+      job.content,
+      job.contentType,
+      job.createdBy || null,
+      job.reprintOf || null,
+      job.orderId || null,
+      job.shipmentId || null,
+      job.batchId || null,
+    ]);
+    console.log(`🖨️ Queued ${job.documentType} job ${result.rows[0].id} on printer ${job.printerId}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error queueing print job:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's print jobs, newest first
+ * @param {number} shopId - shops.id
+ * @param {Object} [filters] - status, printerId, limit
+ * @returns {Promise<Array>}
+ */
+export async function getPrintJobs(shopId, { status = null, printerId = null, limit = 100 } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT ${PRINT_JOB_COLUMNS}, p.name AS printer_name, p.station_id
+      FROM print_jobs j
+      JOIN printers p ON p.id = j.printer_id
+      WHERE j.shop_id = $1
+        AND ($2::text IS NULL OR j.status = $2)
+        AND ($3::int IS NULL OR j.printer_id = $3)
+      ORDER BY j.created_at DESC
+      LIMIT $4
+      `,
+      [shopId, status, printerId, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting print jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue a finished (or failed) job again, on the same printer or another
+ * @param {number} shopId - shops.id
+ * @param {number} jobId - print_jobs.id
+ * @param {Object} options - printerId, createdBy
+ * @returns {Promise<Object|null>} - The new job, null if the job (or printer) wasn't found
+ *   or its document has been purged
+ */
+export async function reprintJob(shopId, jobId, { printerId = null, createdBy = null } = {}) {
+  try {
+    const query = `
+      INSERT INTO print_jobs AS j (
+        shop_id, printer_id, document_type, format, title,
+        content, content_type, created_by, reprint_of,
+        order_id, shipment_id, batch_id
+      )
+      SELECT src.shop_id, p.id, src.document_type, src.format, src.title,
+             src.content, src.content_type, $4, src.id,
+             src.order_id, src.shipment_id, src.batch_id
+      FROM print_jobs src
+      JOIN printers p ON p.id = COALESCE($3::int, src.printer_id) AND p.shop_id = src.shop_id
+      WHERE src.id = $2 AND src.shop_id = $1 AND src.content IS NOT NULL
+      RETURNING ${PRINT_JOB_COLUMNS};
+    `;
+    const result = await pool.query(query, [shopId, jobId, printerId, createdBy]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error reprinting job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a job that no agent has printed yet
+ * @param {number} shopId - shops.id
+ * @param {number} jobId - print_jobs.id
+ * @returns {Promise<boolean>} - False if not found or already finished
+ */
+export async function cancelPrintJob(shopId, jobId) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE print_jobs SET status = 'cancelled', finished_at = NOW()
+      WHERE id = $1 AND shop_id = $2 AND status IN ('pending', 'printing')
+      `,
+      [jobId, shopId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error cancelling print job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Hand an agent the next jobs for its station's printers, oldest first.
+ * Jobs another agent claimed but never reported are handed out again
+ * after STALE_PRINT_MINUTES, until they have had MAX_PRINT_ATTEMPTS.
+ * @param {Object} agent - From authenticatePrintAgent
+ * @param {number} [limit]
+ * @returns {Promise<Array>} - Claimed jobs (without content) with printer_name
+ */
+export async function claimPrintJobs(agent, limit = 10) {
+  try {
+    // Lost on every try: give up rather than print it yet again
+    await pool.query(
+      `
+      UPDATE print_jobs j
+      SET status = 'failed', error = 'Never reported by the print agent', finished_at = NOW()
+      FROM printers p
+      WHERE p.id = j.printer_id
+        AND p.station_id = $1
+        AND j.status = 'printing'
+        AND j.claimed_at < NOW() - make_interval(mins => $2)
+        AND j.attempts >= $3
+      `,
+      [agent.station_id, STALE_PRINT_MINUTES, MAX_PRINT_ATTEMPTS]
+    );
+
+    const query = `
+      UPDATE print_jobs j
+      SET status = 'printing', attempts = j.attempts + 1, agent_id = $2, claimed_at = NOW()
+      FROM printers p
+      WHERE p.id = j.printer_id
+        AND j.id IN (
+          SELECT pj.id
+          FROM print_jobs pj
+          JOIN printers pr ON pr.id = pj.printer_id
+          WHERE pr.station_id = $1
+            AND pr.is_active
+            AND (
+              pj.status = 'pending'
+              OR (
+                pj.status = 'printing'
+                AND pj.claimed_at < NOW() - make_interval(mins => $4)
+                AND pj.attempts < $5
+              )
+            )
+          ORDER BY pj.created_at
+          LIMIT $3
+          FOR UPDATE OF pj SKIP LOCKED
+        )
+      RETURNING ${PRINT_JOB_COLUMNS}, p.name AS printer_name;
+    `;
+    const result = await pool.query(query, [
+      agent.station_id,
+      agent.id,
+      limit,
+      STALE_PRINT_MINUTES,
+      MAX_PRINT_ATTEMPTS,
+    ]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming print jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * The document of a job the agent has claimed
+ * @param {Object} agent - From authenticatePrintAgent
+ * @param {number} jobId - print_jobs.id
+ * @returns {Promise<Object|null>} - { content, content_type, format, title }
+ */
+export async function getPrintJobContent(agent, jobId) {
+  const result = await pool.query(
+    `
+    SELECT content, content_type, format, title
+    FROM print_jobs
+    WHERE id = $1 AND agent_id = $2 AND status = 'printing' AND content IS NOT NULL
+    `,
+    [jobId, agent.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record what happened to a job the agent claimed. A failure the agent
+ * marks retryable goes back in the queue until MAX_PRINT_ATTEMPTS.
+ * @param {Object} agent - From authenticatePrintAgent
+ * @param {number} jobId - print_jobs.id
+ * @param {Object} report - printed, message (why it failed), retry
+ * @returns {Promise<string|null>} - New status, null if the agent doesn't hold the job
+ */
+export async function reportPrintJob(agent, jobId, { printed, message = null, retry = false }) {
+  try {
+    const query = `
+      UPDATE print_jobs
+      SET
+        status = CASE
+          WHEN $3 THEN 'printed'
+          WHEN $5 AND attempts < $6 THEN 'pending'
+          ELSE 'failed'
+        END,
+        error = CASE WHEN $3 THEN NULL ELSE $4 END,
+        finished_at = CASE WHEN $3 OR NOT ($5 AND attempts < $6) THEN NOW() END
+      WHERE id = $1 AND agent_id = $2 AND status = 'printing'
+      RETURNING status;
+    `;
+    const result = await pool.query(query, [
+      jobId,
+      agent.id,
+      printed,
+      message,
+      retry,
+      MAX_PRINT_ATTEMPTS,
+    ]);
+    return result.rows[0]?.status || null;
+  } catch (error) {
+    console.error('Error reporting print job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Drop the documents of jobs finished more than PRINT_RETENTION_DAYS ago
+ * @returns {Promise<number>} - How many documents were purged
+ */
+export async function purgePrintJobContent() {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE print_jobs
+      SET content = NULL
+      WHERE content IS NOT NULL
+        AND status IN ('printed', 'failed', 'cancelled')
+        AND finished_at < NOW() - make_interval(days => $1)
+      `,
+      [PRINT_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`🧹 Purged ${result.rowCount} printed document(s)`);
+    }
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error purging print jobs:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,48 @@
+// ==============================
+// RATE LIMITING
+// ==============================
+//
+// Fixed-window counters kept in memory. Each process counts on its own, so
+// with several instances the effective limit is per instance.
+
+/**
+ * Create a limiter allowing `limit` hits per key every `windowMs`
+ * @param {Object} options
+ * @param {number} options.limit - Hits allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{ hit: Function }} - hit(key) counts one attempt and returns
+ *   { allowed, retryAfter } with retryAfter in seconds
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+
+      // Drop expired windows now and then so the map can't grow unbounded
+      if (now - lastSweep > windowMs) {
+        for (const [windowKey, window] of windows) {
+          if (window.resetAt <= now) {
+            windows.delete(windowKey);
+          }
+        }
+        lastSweep = now;
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+
+      return {
+        allowed: window.count <= limit,
+        retryAfter: Math.ceil((window.resetAt - now) / 1000),
+      };
+    },
+  };
+}
@@ -0,0 +1,649 @@
+import pool from './db.js';
+import { transitionOrderStatus, recordOrderStatus } from './order-status.js';
+import { getOrderItemProgress } from './shipment-db.js';
+import { httpError } from './errors.js';
+
+export const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'size_or_fit',
+  'no_longer_needed',
+  'other',
+];
+
+export const RETURN_RESOLUTIONS = ['refund', 'exchange'];
+
+export const RETURN_CONDITIONS = ['new', 'opened', 'damaged', 'defective'];
+
+export const RETURN_OUTCOMES = ['restock', 'dispose'];
+
+// What happens to a unit when the receiver doesn't say
+export const DEFAULT_OUTCOMES = {
+  new: 'restock',
+  opened: 'restock',
+  damaged: 'dispose',
+  defective: 'dispose',
+};
+
+// Only units that actually left the building can come back
+const RETURNABLE_ORDER_STATUSES = ['Partially Shipped', 'Shipped', 'Delivered', 'Partially Returned'];
+
+const RETURN_COLUMNS = `
+  r.*,
+  'RMA-' || r.id AS rma_number,
+  o.order_number,
+  o.shopify_order_id,
+  o.customer_name
+`;
+
+/**
+ * A return with its items and every receiving scan
+ * @param {number} shopId - shops.id
+ * @param {number} returnId - returns.id
+ * @param {Object} [db] - pool, or a client inside the caller's transaction
+ * @returns {Promise<Object|null>}
+ */
+export async function getReturn(shopId, returnId, db = pool) {
+  try {
+    const result = await db.query(
+      `
+      SELECT ${RETURN_COLUMNS}
+      FROM returns r
+      JOIN orders o ON o.id = r.order_id
+      WHERE r.id = $1 AND r.shop_id = $2
+      `,
+      [returnId, shopId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const itemsResult = await db.query(
+      `
+      SELECT
+        ri.*,
+        oi.sku,
+        oi.product_name,
+        oi.price,
+        oi.shopify_line_item_id,
+        ri.quantity - ri.received_quantity AS remaining_quantity
+      FROM return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+      WHERE ri.return_id = $1
+      ORDER BY ri.id
+      `,
+      [returnId]
+    );
+
+    const receiptsResult = await db.query(
+      `SELECT * FROM return_receipts WHERE return_id = $1 ORDER BY received_at, id`,
+      [returnId]
+    );
+
+    return { ...result.rows[0], items: itemsResult.rows, receipts: receiptsResult.rows };
+  } catch (error) {
+    console.error('Error getting return:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shop's returns, newest first
+ * @param {number} shopId - shops.id
+ * @param {Object} [filters] - status, orderId
+ * @returns {Promise<Array>} - Returns with unit counts
+ */
+export async function getReturns(shopId, { status = null, orderId = null } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        ${RETURN_COLUMNS},
+        COALESCE(SUM(ri.quantity), 0)::int AS unit_count,
+        COALESCE(SUM(ri.received_quantity), 0)::int AS received_count
+      FROM returns r
+      JOIN orders o ON o.id = r.order_id
+      LEFT JOIN return_items ri ON ri.return_id = r.id
+      WHERE r.shop_id = $1
+        AND ($2::text IS NULL OR r.status = $2)
+        AND ($3::int IS NULL OR r.order_id = $3)
+      GROUP BY r.id, o.id
+      ORDER BY r.created_at DESC, r.id DESC
+      `,
+      [shopId, status, orderId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting returns:', error);
+    throw error;
+  }
+}
+
+/**
+ * Open returns matching a scan at the returns bench: an RMA number, the
+ * return label's tracking number or the order number
+ * @param {number} shopId - shops.id
+ * @param {string} code - Scanned value
+ * @returns {Promise<Array>}
+ */
+export async function findReturns(shopId, code) {
+  const scanned = String(code).trim();
+  const rmaId = /^RMA-(\d+)$/i.exec(scanned)?.[1] || null;
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT ${RETURN_COLUMNS}
+      FROM returns r
+      JOIN orders o ON o.id = r.order_id
+      WHERE r.shop_id = $1
+        AND r.status IN ('authorized', 'partially_received')
+        AND (r.id = $2::int OR r.tracking_number = $3 OR o.order_number = $4)
+      ORDER BY r.created_at DESC
+      `,
+      [shopId, rmaId, scanned, scanned.replace(/^#/, '')]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding returns:', error);
+    throw error;
+  }
+}
+
+/**
+ * Authorize a return for shipped units of an order. Units already on
+ * another (not cancelled) return can't be returned twice.
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @param {Object} params
+ * @param {Array<Object>} params.items - { order_item_id, quantity, reason, note }
+ * @param {string} params.resolution - One of RETURN_RESOLUTIONS
+ * @param {Array<Object>|null} [params.exchangeItems] - { sku, product_name, quantity, price };
+ *   null sends the returned items again
+ * @param {string} [params.note]
+ * @param {string} [params.createdBy]
+ * @returns {Promise<Object>} - The return, as getReturn
+ */
+export async function createReturn(shopId, orderId, { items, resolution, exchangeItems = null, note = null, createdBy = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `SELECT id, status FROM orders WHERE id = $1 AND shop_id = $2 FOR UPDATE`,
+      [orderId, shopId]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      throw httpError(409, `Order is ${order.status}; only shipped orders can be returned`);
+    }
+
+    const progress = await getOrderItemProgress(client, order.id);
+    const onReturns = await client.query(
+      `
+      SELECT ri.order_item_id, SUM(ri.quantity)::int AS quantity
+      FROM return_items ri
+      JOIN returns r ON r.id = ri.return_id
+      WHERE r.order_id = $1 AND r.status <> 'cancelled'
+      GROUP BY ri.order_item_id
+      `,
+      [order.id]
+    );
+    const alreadyReturned = new Map(onReturns.rows.map(row => [row.order_item_id, row.quantity]));
+
+    const requested = new Map();
+    for (const item of items) {
+      requested.set(item.order_item_id, (requested.get(item.order_item_id) || 0) + item.quantity);
+    }
+
+    const problems = [];
+    for (const [orderItemId, quantity] of requested) {
+      const line = progress.find(row => row.order_item_id === orderItemId);
+      const returnable = line ? line.shipped - (alreadyReturned.get(orderItemId) || 0) : 0;
+
+      if (!line || quantity > returnable) {
+        problems.push({ order_item_id: orderItemId, requested: quantity, returnable: Math.max(returnable, 0) });
+      }
+    }
+
+    if (problems.length > 0) {
+      throw httpError(409, 'More units than were shipped and not already returned', problems);
+    }
+
+    const returnResult = await client.query(
+      `
+      INSERT INTO returns (shop_id, order_id, resolution, exchange_items, note, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+      `,
+      [shopId, order.id, resolution, exchangeItems ? JSON.stringify(exchangeItems) : null, note, createdBy]
+    );
+    const returnId = returnResult.rows[0].id;
+
+    for (const item of items) {
+      await client.query(
+        `
+        INSERT INTO return_items (return_id, order_item_id, quantity, reason, reason_note)
+        VALUES ($1, $2, $3, $4, $5)
+        `,
+        [returnId, item.order_item_id, item.quantity, item.reason, item.note || null]
+      );
+    }
+
+    const created = await getReturn(shopId, returnId, client);
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the return label bought for a return
+ * @param {number} shopId - shops.id
+ * @param {number} returnId - returns.id
+ * @param {Object} fields - carrier, service, tracking_number, label_url, postage_cost, easypost_shipment_id
+ * @returns {Promise<Object|null>} - Updated returns row
+ */
+export async function saveReturnLabel(shopId, returnId, fields) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE returns
+      SET
+        carrier = $3,
+        service = $4,
+        tracking_number = $5,
+        label_url = $6,
+        postage_cost = $7,
+        easypost_shipment_id = $8
+      WHERE id = $1 AND shop_id = $2
+      RETURNING *, 'RMA-' || id AS rma_number
+      `,
+      [
+        returnId,
+        shopId,
+        fields.carrier,
+        fields.service,
+        fields.tracking_number,
+        fields.label_url,
+        fields.postage_cost,
+        fields.easypost_shipment_id,
+      ]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error saving return label:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a return nothing has been received for
+ * @param {number} shopId - shops.id
+ * @param {number} returnId - returns.id
+ * @returns {Promise<Object>} - Updated returns row
+ */
+export async function cancelReturn(shopId, returnId) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE returns
+      SET status = 'cancelled'
+      WHERE id = $1 AND shop_id = $2 AND status = 'authorized'
+      RETURNING *, 'RMA-' || id AS rma_number
+      `,
+      [returnId, shopId]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await getReturn(shopId, returnId);
+      if (!existing) {
+        throw httpError(404, 'Return not found');
+      }
+      throw httpError(409, `Return is ${existing.status} and can't be cancelled`);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error cancelling return:', error);
+    }
+    throw error;
+  }
+}
+
+// Returned once every ordered unit is back, Partially Returned before that
+async function updateOrderReturnStatus(client, orderId, { actor, returnId }) {
+  const result = await client.query(
+    `
+    SELECT
+      (SELECT COALESCE(SUM(quantity), 0) FROM order_items WHERE order_id = $1)::int AS ordered,
+      (
+        SELECT COALESCE(SUM(ri.received_quantity), 0)
+        FROM return_items ri
+        JOIN returns r ON r.id = ri.return_id
+        WHERE r.order_id = $1 AND r.status <> 'cancelled'
+      )::int AS received
+    `,
+    [orderId]
+  );
+  const { ordered, received } = result.rows[0];
+
+  return transitionOrderStatus(orderId, received >= ordered ? 'Returned' : 'Partially Returned', {
+    actor,
+    reason: `Return RMA-${returnId} received`,
+    skipInvalid: true,
+    client,
+  });
+}
+
+/**
+ * Receive returned units from a scan (SKU or product barcode) or a
+ * return_items id, recording their condition and whether they go back on
+ * the shelf. The return and the order move on as units arrive.
+ * @param {number} shopId - shops.id
+ * @param {number} returnId - returns.id
+ * @param {Object} receipt
+ * @param {string} [receipt.code] - Scanned SKU or barcode
+ * @param {number} [receipt.returnItemId] - return_items.id instead of a scan
+ * @param {number} receipt.quantity
+ * @param {string} receipt.condition - One of RETURN_CONDITIONS
+ * @param {string} [receipt.outcome] - One of RETURN_OUTCOMES (default by condition)
+ * @param {string} [receipt.note]
+ * @param {string} receipt.receivedBy
+ * @returns {Promise<Object>} - { receipt, return, order_status }
+ */
+export async function receiveReturnItem(shopId, returnId, { code, returnItemId, quantity, condition, outcome, note, receivedBy }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const returnResult = await client.query(
+      `SELECT * FROM returns WHERE id = $1 AND shop_id = $2 FOR UPDATE`,
+      [returnId, shopId]
+    );
+    const ret = returnResult.rows[0];
+
+    if (!ret) {
+      throw httpError(404, 'Return not found');
+    }
+
+    if (!['authorized', 'partially_received'].includes(ret.status)) {
+      throw httpError(409, `Return is ${ret.status}`);
+    }
+
+    const itemsResult = await client.query(
+      `
+      SELECT ri.*, oi.sku
+      FROM return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+      WHERE ri.return_id = $1
+      ORDER BY ri.id
+      `,
+      [returnId]
+    );
+
+    let candidates;
+    if (returnItemId) {
+      candidates = itemsResult.rows.filter(item => item.id === returnItemId);
+    } else {
+      // A SKU as printed, else a product barcode mapped to a SKU
+      const scanned = String(code).trim();
+      let sku = itemsResult.rows.find(item => item.sku?.toLowerCase() === scanned.toLowerCase())?.sku;
+
+      if (!sku) {
+        const barcodeResult = await client.query(
+          `SELECT sku FROM sku_barcodes WHERE shop_id = $1 AND barcode = $2`,
+          [shopId, scanned]
+        );
+        sku = barcodeResult.rows[0]?.sku;
+      }
+
+      candidates = itemsResult.rows.filter(item => sku && item.sku === sku);
+    }
+
+    if (candidates.length === 0) {
+      throw httpError(409, 'Item is not on this return');
+    }
+
+    const item = candidates.find(candidate => candidate.received_quantity + quantity <= candidate.quantity);
+    if (!item) {
+      throw httpError(409, 'More units than this return expects', candidates.map(candidate => ({
+        return_item_id: candidate.id,
+        sku: candidate.sku,
+        expected: candidate.quantity,
+        received: candidate.received_quantity,
+      })));
+    }
+
+    const finalOutcome = outcome || DEFAULT_OUTCOMES[condition];
+
+    await client.query(
+      `
+      UPDATE return_items
+      SET
+        received_quantity = received_quantity + $2,
+        restocked_quantity = restocked_quantity + CASE WHEN $3::text = 'restock' THEN $2 ELSE 0 END,
+        disposed_quantity = disposed_quantity + CASE WHEN $3::text = 'dispose' THEN $2 ELSE 0 END
+      WHERE id = $1
+      `,
+      [item.id, quantity, finalOutcome]
+    );
+
+    const receiptResult = await client.query(
+      `
+      INSERT INTO return_receipts (return_id, return_item_id, code, quantity, condition, outcome, note, received_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+      `,
+      [returnId, item.id, code ? String(code).trim() : null, quantity, condition, finalOutcome, note || null, receivedBy]
+    );
+
+    await client.query(
+      `
+      UPDATE returns r
+      SET
+        status = CASE WHEN totals.received >= totals.expected THEN 'received' ELSE 'partially_received' END,
+        received_at = CASE WHEN totals.received >= totals.expected THEN NOW() ELSE r.received_at END
+      FROM (
+        SELECT SUM(quantity) AS expected, SUM(received_quantity) AS received
+        FROM return_items
+        WHERE return_id = $1
+      ) totals
+      WHERE r.id = $1
+      `,
+      [returnId]
+    );
+
+    const orderStatus = await updateOrderReturnStatus(client, ret.order_id, { actor: receivedBy, returnId });
+    const updated = await getReturn(shopId, returnId, client);
+
+    await client.query('COMMIT');
+    return { receipt: receiptResult.rows[0], return: updated, order_status: orderStatus };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Claim a return for its refund or exchange, so it can only be resolved
+ * once. Something must have been received; a failed attempt can be retried.
+ * @param {number} shopId - shops.id
+ * @param {number} returnId - returns.id
+ * @returns {Promise<Object>} - The return, as getReturn
+ */
+export async function claimReturnResolution(shopId, returnId) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE returns
+      SET resolution_status = 'processing', resolution_error = NULL
+      WHERE id = $1 AND shop_id = $2
+        AND status IN ('partially_received', 'received')
+        AND resolution_status IN ('pending', 'failed')
+      RETURNING id
+      `,
+      [returnId, shopId]
+    );
+
+    const ret = await getReturn(shopId, returnId);
+    if (!ret) {
+      throw httpError(404, 'Return not found');
+    }
+
+    if (result.rows.length === 0) {
+      throw httpError(
+        409,
+        ['partially_received', 'received'].includes(ret.status)
+          ? `Return resolution is already ${ret.resolution_status}`
+          : `Return is ${ret.status}; receive it before resolving it`
+      );
+    }
+
+    return ret;
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error claiming return resolution:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a completed refund
+ * @param {number} returnId - returns.id
+ * @param {Object} refund - { shopifyRefundId, amount }
+ */
+export async function markReturnRefunded(returnId, { shopifyRefundId, amount }) {
+  try {
+    await pool.query(
+      `
+      UPDATE returns
+      SET resolution_status = 'completed', shopify_refund_id = $2, refund_amount = $3, resolved_at = NOW()
+      WHERE id = $1
+      `,
+      [returnId, shopifyRefundId, amount]
+    );
+  } catch (error) {
+    console.error('Error marking return refunded:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record why a refund or exchange failed; it can be tried again
+ * @param {number} returnId - returns.id
+ * @param {string} message
+ */
+export async function markReturnResolutionFailed(returnId, message) {
+  try {
+    await pool.query(
+      `UPDATE returns SET resolution_status = 'failed', resolution_error = $2 WHERE id = $1`,
+      [returnId, message]
+    );
+  } catch (error) {
+    console.error('Error marking return resolution failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create the replacement order for an exchange: a new Pending order to the
+ * same customer with the exchange items (the received items by default)
+ * @param {number} shopId - shops.id
+ * @param {Object} ret - From claimReturnResolution
+ * @param {string} actor - Recorded in order_status_history
+ * @returns {Promise<Object>} - { order, items }
+ */
+export async function createExchangeOrder(shopId, ret, actor) {
+  const items = ret.exchange_items || ret.items
+    .filter(item => item.received_quantity > 0)
+    .map(item => ({
+      sku: item.sku,
+      product_name: item.product_name,
+      quantity: item.received_quantity,
+      price: item.price,
+    }));
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `
+      INSERT INTO orders (
+        order_number, order_date, customer_name, customer_email, recipient_name,
+        recipient_company, recipient_address, recipient_address2, recipient_city,
+        recipient_state, recipient_zip, recipient_country, recipient_phone,
+        order_total, status, shopify_customer_id, shop_id, shipping_method
+      )
+      SELECT
+        o.order_number || '-EX' || $2::text, NOW(), o.customer_name, o.customer_email, o.recipient_name,
+        o.recipient_company, o.recipient_address, o.recipient_address2, o.recipient_city,
+        o.recipient_state, o.recipient_zip, o.recipient_country, o.recipient_phone,
+        0, 'Pending', o.shopify_customer_id, o.shop_id, o.shipping_method
+      FROM orders o
+      WHERE o.id = $1 AND o.shop_id = $3
+      RETURNING *
+      `,
+      [ret.order_id, ret.id, shopId]
+    );
+    const order = orderResult.rows[0];
+
+    const saved = [];
+    for (const item of items) {
+      const itemResult = await client.query(
+        `
+        INSERT INTO order_items (order_id, sku, product_name, quantity, price)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+        `,
+        [order.id, item.sku, item.product_name, item.quantity, item.price ?? null]
+      );
+      saved.push(itemResult.rows[0]);
+    }
+
+    await recordOrderStatus(client, {
+      orderId: order.id,
+      shopId,
+      to: order.status,
+      actor,
+      reason: `Exchange for return RMA-${ret.id} on order ${ret.order_number}`,
+    });
+
+    await client.query(
+      `
+      UPDATE returns
+      SET resolution_status = 'completed', exchange_order_id = $2, resolved_at = NOW()
+      WHERE id = $1
+      `,
+      [ret.id, order.id]
+    );
+
+    await client.query('COMMIT');
+    return { order, items: saved };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
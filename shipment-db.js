@@ -0,0 +1,185 @@
+import pool from './db.js';
+import { transitionOrderStatus } from './order-status.js';
+import { httpError } from './errors.js';
+
+/**
+ * Each line item on an order with how many units have shipped so far
+ * @param {Object} db - pool, or a client inside the caller's transaction
+ * @param {number} orderId - orders.id
+ * @returns {Promise<Array>} - { order_item_id, sku, product_name, ordered, shipped, remaining }
+ */
+export async function getOrderItemProgress(db, orderId) {
+  const result = await db.query(
+    `
+    SELECT
+      oi.id AS order_item_id,
+      oi.sku,
+      oi.product_name,
+      oi.quantity AS ordered,
+      COALESCE(SUM(si.quantity), 0)::int AS shipped
+    FROM order_items oi
+    LEFT JOIN shipment_items si ON si.order_item_id = oi.id
+    WHERE oi.order_id = $1
+    GROUP BY oi.id
+    ORDER BY oi.id
+    `,
+    [orderId]
+  );
+
+  return result.rows.map(row => ({ ...row, remaining: Math.max(row.ordered - row.shipped, 0) }));
+}
+
+/**
+ * Work out what goes in a package. Without an item list the package takes
+ * everything not yet shipped. Throws (status 409/422) rather than ship more
+ * than was ordered.
+ * @param {Array} progress - From getOrderItemProgress
+ * @param {Array|null} items - { order_item_id, quantity } from the request
+ * @returns {Array} - { order_item_id, quantity } to record
+ */
+export function resolveShipmentItems(progress, items) {
+  if (!items) {
+    const unshipped = progress
+      .filter(item => item.remaining > 0)
+      .map(item => ({ order_item_id: item.order_item_id, quantity: item.remaining }));
+
+    if (progress.length > 0 && unshipped.length === 0) {
+      throw httpError(409, 'Everything on this order has already shipped');
+    }
+
+    return unshipped;
+  }
+
+  // The same line item may be listed twice; check the total
+  const requested = new Map();
+  for (const item of items) {
+    requested.set(item.order_item_id, (requested.get(item.order_item_id) || 0) + item.quantity);
+  }
+
+  const byId = new Map(progress.map(item => [item.order_item_id, item]));
+  const problems = [];
+
+  for (const [orderItemId, quantity] of requested) {
+    const item = byId.get(orderItemId);
+
+    if (!item) {
+      problems.push({ order_item_id: orderItemId, error: 'Not an item on this order' });
+    } else if (quantity > item.remaining) {
+      problems.push({
+        order_item_id: orderItemId,
+        sku: item.sku,
+        ordered: item.ordered,
+        shipped: item.shipped,
+        requested: quantity,
+        error: `Only ${item.remaining} left to ship`,
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw httpError(422, 'Shipment items exceed what is left to ship', problems);
+  }
+
+  return [...requested].map(([orderItemId, quantity]) => ({ order_item_id: orderItemId, quantity }));
+}
+
+/**
+ * Record a package for an order: the shipments row, the items in it and the
+ * order's new status (Partially Shipped until every unit has shipped), all
+ * in one transaction
+ * @param {Object} params
+ * @param {number} params.orderId - orders.id
+ * @param {number} params.shopId - Only ship the order if it belongs to this shop
+ * @param {Object} params.fields - shipments columns (carrier, tracking_number, ...)
+ * @param {Array|null} params.items - { order_item_id, quantity }, null for the rest of the order
+ * @param {string} params.actor - Recorded in order_status_history
+ * @param {string} params.reason - Recorded in order_status_history
+ * @returns {Promise<Object>} - { shipment, items, order_status }
+ */
+export async function createShipment({ orderId, shopId, fields, items, actor, reason }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the order so two packers can't ship the same units
+    const orderResult = await client.query(
+      'SELECT id, shop_id FROM orders WHERE id = $1 AND shop_id = $2 FOR UPDATE',
+      [orderId, shopId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw httpError(404, 'Order not found');
+    }
+
+    const progress = await getOrderItemProgress(client, orderId);
+    const packageItems = resolveShipmentItems(progress, items);
+
+    const columns = ['shop_id', 'order_id', ...Object.keys(fields)];
+    const values = [shopId, orderId, ...Object.values(fields)];
+
+    const shipmentResult = await client.query(
+      `
+      INSERT INTO shipments (${columns.join(', ')})
+      VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+      RETURNING *
+      `,
+      values
+    );
+    const shipment = shipmentResult.rows[0];
+
+    for (const item of packageItems) {
+      await client.query(
+        'INSERT INTO shipment_items (shipment_id, order_item_id, quantity) VALUES ($1, $2, $3)',
+        [shipment.id, item.order_item_id, item.quantity]
+      );
+    }
+
+    const shipping = new Map(packageItems.map(item => [item.order_item_id, item.quantity]));
+    const complete = progress.every(item => item.remaining - (shipping.get(item.order_item_id) || 0) <= 0);
+
+    const transition = await transitionOrderStatus(orderId, complete ? 'Shipped' : 'Partially Shipped', {
+      actor,
+      reason,
+      skipInvalid: true,
+      client,
+    });
+
+    await client.query('COMMIT');
+    return { shipment, items: packageItems, order_status: transition.to };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The order items in one package
+ * @param {number} shipmentId - shipments.id
+ * @returns {Promise<Array>} - { order_item_id, shopify_line_item_id, sku, product_name, quantity }
+ */
+export async function getShipmentItems(shipmentId) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        si.order_item_id,
+        oi.shopify_line_item_id,
+        oi.sku,
+        oi.product_name,
+        si.quantity
+      FROM shipment_items si
+      JOIN order_items oi ON oi.id = si.order_item_id
+      WHERE si.shipment_id = $1
+      ORDER BY oi.product_name
+      `,
+      [shipmentId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting shipment items:', error);
+    throw error;
+  }
+}
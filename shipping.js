@@ -0,0 +1,595 @@
+import crypto from "crypto";
+import EasyPost from "@easypost/api";
+import fetch from "node-fetch";
+import { ZPL_CONTENT_TYPE } from "./thermal.js";
+import { httpError } from "./errors.js";
+
+// ==============================
+// EASYPOST CLIENT
+// ==============================
+
+// EASYPOST_BASE_URL lets us point the client at a local stub of the
+// EasyPost API (e.g. http://localhost:4010/v2/) to exercise label purchases
+// and buy failures without a live account.
+export const easypost = process.env.EASYPOST_API_KEY
+  ? new EasyPost(process.env.EASYPOST_API_KEY, {
+      baseUrl: process.env.EASYPOST_BASE_URL || undefined,
+    })
+  : null;
+
+/**
+ * Build the EasyPost to_address from an order's recipient_* columns
+ * @param {Object} order - Row from the orders table
+ * @returns {Object} - EasyPost address params
+ */
+export function buildToAddress(order) {
+  return {
+    name: order.recipient_name,
+    company: order.recipient_company || null,
+    street1: order.recipient_address,
+    street2: order.recipient_address2 || null,
+    city: order.recipient_city,
+    state: order.recipient_state,
+    zip: order.recipient_zip,
+    country: order.recipient_country || "US",
+    phone: order.recipient_phone || null,
+    email: order.customer_email || null,
+  };
+}
+
+/**
+ * Build the EasyPost from_address from the warehouse SHIP_FROM_* settings
+ * @returns {Object} - EasyPost address params
+ */
+export function buildFromAddress() {
+  return {
+    name: process.env.SHIP_FROM_NAME,
+    company: process.env.SHIP_FROM_COMPANY || null,
+    street1: process.env.SHIP_FROM_STREET1,
+    street2: process.env.SHIP_FROM_STREET2 || null,
+    city: process.env.SHIP_FROM_CITY,
+    state: process.env.SHIP_FROM_STATE,
+    zip: process.env.SHIP_FROM_ZIP,
+    country: process.env.SHIP_FROM_COUNTRY || "US",
+    phone: process.env.SHIP_FROM_PHONE || null,
+  };
+}
+
+/**
+ * Build the EasyPost parcel, falling back to the DEFAULT_PARCEL_* settings
+ * for anything the packer didn't send. Dimensions are inches, weight ounces.
+ * @param {Object} [parcel] - Parcel overrides from the request body
+ * @returns {Object|null} - EasyPost parcel params, or null without a weight
+ */
+export function buildParcel(parcel = {}) {
+  if (parcel.predefined_package) {
+    return parcel.weight
+      ? { predefined_package: parcel.predefined_package, weight: Number(parcel.weight) }
+      : null;
+  }
+
+  const weight = parcel.weight || process.env.DEFAULT_PARCEL_WEIGHT_OZ;
+  if (!weight) {
+    return null;
+  }
+
+  return {
+    length: Number(parcel.length || process.env.DEFAULT_PARCEL_LENGTH_IN || 10),
+    width: Number(parcel.width || process.env.DEFAULT_PARCEL_WIDTH_IN || 8),
+    height: Number(parcel.height || process.env.DEFAULT_PARCEL_HEIGHT_IN || 4),
+    weight: Number(weight),
+  };
+}
+
+/**
+ * Carrier accounts to rate-shop across. EASYPOST_CARRIER_ACCOUNTS narrows it
+ * to a comma-separated list of ids, otherwise every account on the key is used.
+ * @returns {Promise<Array<string>>} - EasyPost carrier account ids
+ */
+export async function getCarrierAccountIds() {
+  if (process.env.EASYPOST_CARRIER_ACCOUNTS) {
+    return process.env.EASYPOST_CARRIER_ACCOUNTS.split(",").map(id => id.trim()).filter(Boolean);
+  }
+
+  const accounts = await easypost.CarrierAccount.all();
+  return accounts.map(account => account.id);
+}
+
+/**
+ * Create an EasyPost shipment for an order, rated by every carrier account
+ * @param {Object} order - Row from the orders table
+ * @param {Object} parcel - Parcel params from buildParcel
+ * @param {Object} [customsInfo] - From buildCustomsInfo, for shipments abroad
+ * @returns {Promise<Object>} - The EasyPost shipment, with rates
+ */
+export async function createOrderShipment(order, parcel, customsInfo = null) {
+  const carrierAccounts = await getCarrierAccountIds();
+
+  return easypost.Shipment.create({
+    to_address: buildToAddress(order),
+    from_address: buildFromAddress(),
+    parcel,
+    carrier_accounts: carrierAccounts,
+    reference: shipmentReference(order),
+    ...(customsInfo ? { customs_info: customsInfo } : {}),
+  });
+}
+
+/**
+ * The reference we stamp on an order's EasyPost shipments, so a rated
+ * shipment handed back to us can be matched to its shop and order
+ * @param {Object} order - Row from the orders table
+ * @returns {string}
+ */
+export function shipmentReference(order) {
+  return `shop-${order.shop_id}-order-${order.id}`;
+}
+
+const ADDRESS_MATCH_FIELDS = ["name", "street1", "street2", "city", "state", "zip", "country"];
+
+const comparable = value => String(value ?? "").trim().toUpperCase();
+
+/**
+ * Why a rated EasyPost shipment can't be bought for an order, if at all:
+ * it must be one we created for this order, still going to the order's
+ * address and declaring the units in this package
+ * @param {Object} shipment - EasyPost shipment, from Shipment.retrieve
+ * @param {Object} order - Row from the orders table
+ * @param {Object} [customsInfo] - From buildCustomsInfo, for shipments abroad
+ * @returns {string|null} - The mismatch, or null if the shipment is the order's
+ */
+export function ratedShipmentMismatch(shipment, order, customsInfo = null) {
+  if (shipment.reference !== shipmentReference(order)) {
+    return "Shipment was not rated for this order";
+  }
+
+  const expected = buildToAddress(order);
+  const actual = shipment.to_address || {};
+  const changed = ADDRESS_MATCH_FIELDS.filter(field =>
+    // EasyPost returns ZIP+4 once an address is verified
+    field === "zip"
+      ? comparable(actual.zip).slice(0, 5) !== comparable(expected.zip).slice(0, 5)
+      : comparable(actual[field]) !== comparable(expected[field])
+  );
+  if (changed.length > 0) {
+    return `Shipment address no longer matches the order (${changed.join(", ")})`;
+  }
+
+  const declared = items =>
+    (items || [])
+      .map(item => `${comparable(item.code)}x${Number(item.quantity)}`)
+      .sort()
+      .join(",");
+  if (declared(shipment.customs_info?.customs_items) !== declared(customsInfo?.customs_items)) {
+    return "Shipment customs declaration doesn't match the units in this package";
+  }
+
+  return null;
+}
+
+/**
+ * Create an EasyPost return shipment for an order: the customer sends the
+ * parcel back to the warehouse. Addresses stay as on the outbound shipment;
+ * is_return tells EasyPost to swap them.
+ * @param {Object} order - Row from the orders table
+ * @param {Object} parcel - Parcel params from buildParcel
+ * @returns {Promise<Object>} - The EasyPost shipment, with rates
+ */
+export async function createReturnShipment(order, parcel) {
+  const carrierAccounts = await getCarrierAccountIds();
+
+  return easypost.Shipment.create({
+    to_address: buildToAddress(order),
+    from_address: buildFromAddress(),
+    parcel,
+    carrier_accounts: carrierAccounts,
+    is_return: true,
+  });
+}
+
+/**
+ * Normalize an EasyPost rate into the shape our API returns
+ * @param {Object} rate - EasyPost rate
+ * @returns {Object} - Normalized rate
+ */
+export function normalizeRate(rate) {
+  return {
+    id: rate.id,
+    carrier: rate.carrier,
+    service: rate.service,
+    price: parseFloat(rate.rate),
+    currency: rate.currency || "USD",
+    delivery_days: rate.delivery_days ?? rate.est_delivery_days ?? null,
+    delivery_date: rate.delivery_date || null,
+    delivery_date_guaranteed: Boolean(rate.delivery_date_guaranteed),
+    carrier_account_id: rate.carrier_account_id || null,
+  };
+}
+
+export const RATE_POLICIES = [
+  "cheapest",
+  "fastest",
+  "cheapest-within-N-days",
+  "preferred-carrier",
+];
+
+const byPrice = (a, b) => a.price - b.price;
+
+// Unknown transit times sort after every known one
+const byDeliveryDays = (a, b) =>
+  (a.delivery_days ?? Infinity) - (b.delivery_days ?? Infinity) || byPrice(a, b);
+
+/**
+ * Choose a rate by selection policy
+ * @param {Array} rates - Normalized rates
+ * @param {Object} options
+ * @param {string} options.policy - One of RATE_POLICIES
+ * @param {number} [options.maxDays] - Day limit for cheapest-within-N-days
+ * @param {Array<string>|string} [options.preferredCarriers] - Carriers in order of preference
+ * @returns {{ rate: Object|null, reason: string }}
+ */
+export function applyRatePolicy(rates, { policy, maxDays, preferredCarriers } = {}) {
+  if (rates.length === 0) {
+    return { rate: null, reason: "No rates returned" };
+  }
+
+  switch (policy) {
+    case "cheapest": {
+      const rate = [...rates].sort(byPrice)[0];
+      return { rate, reason: `cheapest of ${rates.length} rates` };
+    }
+
+    case "fastest": {
+      const rate = [...rates].sort(byDeliveryDays)[0];
+      return {
+        rate,
+        reason: rate.delivery_days != null
+          ? `fastest delivery (${rate.delivery_days} days) of ${rates.length} rates`
+          : `no delivery estimates; cheapest of ${rates.length} rates`,
+      };
+    }
+
+    case "cheapest-within-N-days": {
+      const days = parseInt(maxDays, 10);
+      if (!Number.isInteger(days) || days < 1) {
+        return { rate: null, reason: "cheapest-within-N-days needs maxDays" };
+      }
+
+      const within = rates.filter(r => r.delivery_days != null && r.delivery_days <= days);
+      if (within.length === 0) {
+        return { rate: null, reason: `No rate delivers within ${days} days` };
+      }
+
+      const rate = [...within].sort(byPrice)[0];
+      return {
+        rate,
+        reason: `cheapest of ${within.length} rates delivering within ${days} days`,
+      };
+    }
+
+    case "preferred-carrier": {
+      const preferred = (preferredCarriers || process.env.PREFERRED_CARRIERS || "")
+        .toString()
+        .split(",")
+        .map(c => c.trim())
+        .filter(Boolean);
+
+      for (const carrier of preferred) {
+        const matches = rates.filter(r => r.carrier.toLowerCase() === carrier.toLowerCase());
+        if (matches.length > 0) {
+          return {
+            rate: [...matches].sort(byPrice)[0],
+            reason: `cheapest ${carrier} rate (preferred carrier)`,
+          };
+        }
+      }
+
+      return {
+        rate: [...rates].sort(byPrice)[0],
+        reason: "no preferred carrier rated this shipment; fell back to cheapest",
+      };
+    }
+
+    default:
+      return { rate: null, reason: `Unknown rate policy: ${policy}` };
+  }
+}
+
+/**
+ * Pick the rate to buy: an explicit rate id, a carrier/service match, or
+ * whatever the policy (DEFAULT_RATE_POLICY, else cheapest) chooses
+ * @param {Array} rates - Normalized rates
+ * @param {Object} [options] - rateId, carrier, service, policy, maxDays, preferredCarriers
+ * @returns {{ rate: Object|null, reason: string, policy: string|null }}
+ */
+export function selectRate(rates = [], options = {}) {
+  const { rateId, carrier, service } = options;
+
+  if (rateId) {
+    const rate = rates.find(r => r.id === rateId) || null;
+    return { rate, reason: rate ? "rate chosen by packer" : `Rate ${rateId} not found`, policy: null };
+  }
+
+  if (carrier || service) {
+    const matches = rates.filter(r =>
+      (!carrier || r.carrier.toLowerCase() === carrier.toLowerCase()) &&
+      (!service || r.service.toLowerCase() === service.toLowerCase())
+    );
+
+    if (matches.length === 0) {
+      return { rate: null, reason: "No rate matches the requested carrier/service", policy: null };
+    }
+
+    return {
+      rate: [...matches].sort(byPrice)[0],
+      reason: `cheapest ${[carrier, service].filter(Boolean).join(" ")} rate`,
+      policy: null,
+    };
+  }
+
+  const policy = options.policy || process.env.DEFAULT_RATE_POLICY || "cheapest";
+  return { ...applyRatePolicy(rates, { ...options, policy }), policy };
+}
+
+/**
+ * Buy an order's label: create its EasyPost shipment (or reuse the one it
+ * was rated on), pick the rate and buy it. EasyPost errors are thrown as
+ * they come; our own refusals carry .status and .body.
+ * @param {Object} order - Row from the orders table
+ * @param {Object} options
+ * @param {string} [options.shipmentId] - Rated shipment from /orders/:orderId/rates
+ * @param {Object} [options.parcel] - Parcel params from buildParcel, to create one
+ * @param {Object} [options.customsInfo] - From buildCustomsInfo, for shipments abroad
+ * @param {Object} [options.rate] - selectRate options
+ * @returns {Promise<{ purchased: Object, selection: Object }>}
+ */
+export async function purchaseOrderLabel(order, { shipmentId = null, parcel = null, customsInfo = null, rate = {} }) {
+  const refuse = (status, body) => Object.assign(httpError(status, body.error), { body });
+
+  const shipment = shipmentId
+    ? await easypost.Shipment.retrieve(shipmentId)
+    : await createOrderShipment(order, parcel, customsInfo);
+
+  // A rated shipment id comes from the client; only buy it for its own order
+  const mismatch = shipmentId ? ratedShipmentMismatch(shipment, order, customsInfo) : null;
+  if (mismatch) {
+    throw refuse(409, { error: mismatch, easypost_shipment_id: shipmentId });
+  }
+
+  const rates = (shipment.rates || []).map(normalizeRate);
+  const selection = selectRate(rates, rate);
+
+  if (!selection.rate) {
+    throw refuse(422, {
+      error: "No rate could be selected for this shipment",
+      reason: selection.reason,
+      rates,
+    });
+  }
+
+  const purchased = await easypost.Shipment.buy(shipment.id, selection.rate.id);
+  return { purchased, selection };
+}
+
+/**
+ * Map an EasyPost API error to an HTTP status and a message for the packer
+ * @param {Error} err - Error thrown by the EasyPost client
+ * @returns {{ status: number, body: Object }}
+ */
+export function describeEasyPostError(err) {
+  const code = err.code || "";
+  const details = {
+    code: code || null,
+    message: err.message,
+    errors: err.errors || [],
+  };
+
+  if (err.statusCode === 402 || /FUNDS|PAYMENT|BILLING/i.test(code)) {
+    return {
+      status: 402,
+      body: { error: "Insufficient EasyPost balance to buy label", details },
+    };
+  }
+
+  if (/ADDRESS/i.test(code)) {
+    return {
+      status: 422,
+      body: { error: "Address rejected by carrier", details },
+    };
+  }
+
+  if (err.statusCode === 422 || err.statusCode === 400) {
+    return {
+      status: 422,
+      body: { error: "EasyPost rejected the shipment", details },
+    };
+  }
+
+  return {
+    status: 502,
+    body: { error: "EasyPost request failed", details },
+  };
+}
+
+/**
+ * Create a USPS SCAN form for purchased EasyPost shipments and download
+ * the form PDF so the manifest can be reprinted without EasyPost
+ * @param {Array<string>} easypostShipmentIds - Shipment ids to close out
+ * @returns {Promise<Object>} - { id, form_url, form_file_type, pdf }
+ */
+export async function createScanForm(easypostShipmentIds) {
+  const scanForm = await easypost.ScanForm.create({
+    shipments: easypostShipmentIds.map(id => ({ id })),
+  });
+
+  let pdf = null;
+  if (scanForm.form_url) {
+    const response = await fetch(scanForm.form_url);
+    if (!response.ok) {
+      throw new Error(`Failed to download SCAN form PDF (${response.status})`);
+    }
+    pdf = Buffer.from(await response.arrayBuffer());
+  }
+
+  return {
+    id: scanForm.id,
+    form_url: scanForm.form_url || null,
+    form_file_type: scanForm.form_file_type || null,
+    pdf,
+  };
+}
+
+// ==============================
+// LABEL FORMATS
+// ==============================
+
+// EasyPost file_format for each label format, and where the URL lands
+export const LABEL_FORMATS = {
+  png: { column: "label_url", contentType: "image/png" },
+  pdf: { column: "label_pdf_url", fileFormat: "PDF", field: "label_pdf_url", contentType: "application/pdf" },
+  zpl: { column: "label_zpl_url", fileFormat: "ZPL", field: "label_zpl_url", contentType: ZPL_CONTENT_TYPE },
+};
+
+/**
+ * URL of a purchased label in the requested format, asking EasyPost to
+ * convert it when we don't have one yet
+ * @param {Object} shipment - shipments row
+ * @param {string} format - Key of LABEL_FORMATS
+ * @returns {Promise<{ url: string|null, converted: boolean }>}
+ */
+export async function getLabelUrl(shipment, format) {
+  const { column, fileFormat, field } = LABEL_FORMATS[format];
+
+  if (shipment[column] || !fileFormat || !shipment.easypost_shipment_id) {
+    return { url: shipment[column] || null, converted: false };
+  }
+
+  const converted = await easypost.Shipment.convertLabelFormat(
+    shipment.easypost_shipment_id,
+    fileFormat
+  );
+
+  return { url: converted.postage_label?.[field] || null, converted: true };
+}
+
+/**
+ * Download a label file
+ * @param {string} url - EasyPost label URL
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadLabel(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download label (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// ==============================
+// TRACKING
+// ==============================
+
+// Our tracking statuses, in the order a package normally moves through them
+export const TRACKING_STATUSES = [
+  "pre_transit",
+  "in_transit",
+  "out_for_delivery",
+  "available_for_pickup",
+  "delivered",
+  "exception",
+  "returned_to_sender",
+];
+
+// Statuses a package doesn't leave; nothing more to poll for
+export const FINAL_TRACKING_STATUSES = ["delivered", "returned_to_sender"];
+
+const EASYPOST_TRACKING_STATUSES = {
+  unknown: "pre_transit",
+  pre_transit: "pre_transit",
+  in_transit: "in_transit",
+  out_for_delivery: "out_for_delivery",
+  available_for_pickup: "available_for_pickup",
+  delivered: "delivered",
+  return_to_sender: "returned_to_sender",
+  failure: "exception",
+  error: "exception",
+  cancelled: "exception",
+};
+
+/**
+ * Check an EasyPost webhook's X-Hmac-Signature header against the raw body
+ * and EASYPOST_WEBHOOK_SECRET
+ * @param {Buffer} rawBody - Body exactly as EasyPost sent it
+ * @param {string} signatureHeader - "hmac-sha256-hex=<digest>"
+ * @returns {boolean}
+ */
+export function verifyEasyPostWebhook(rawBody, signatureHeader) {
+  const secret = process.env.EASYPOST_WEBHOOK_SECRET;
+  if (!rawBody || !signatureHeader || !secret) {
+    return false;
+  }
+
+  // EasyPost signs whole-number weights as floats ("weight": 10.0), the
+  // same correction their client library makes before comparing
+  const body = rawBody.toString("utf8").replace(/("weight":\s*)(\d+)(\s*)(?=,|\})/g, "$1$2.0");
+
+  const expected = Buffer.from(
+    `hmac-sha256-hex=${crypto.createHmac("sha256", secret.normalize("NFKD")).update(body, "utf8").digest("hex")}`
+  );
+  const received = Buffer.from(signatureHeader);
+
+  return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Map an EasyPost tracker onto our tracking status and events
+ * @param {Object} tracker - EasyPost tracker (webhook result or API)
+ * @returns {Object} - tracker_id, easypost_shipment_id, tracking_code, carrier,
+ *   status, carrier_status, status_detail, est_delivery_date, public_url, events
+ */
+export function normalizeTracker(tracker) {
+  const status = EASYPOST_TRACKING_STATUSES[tracker.status] || "in_transit";
+
+  return {
+    tracker_id: tracker.id || null,
+    easypost_shipment_id: tracker.shipment_id || null,
+    tracking_code: tracker.tracking_code,
+    carrier: tracker.carrier || null,
+    status,
+    carrier_status: tracker.status || null,
+    status_detail: tracker.status_detail || null,
+    est_delivery_date: tracker.est_delivery_date || null,
+    public_url: tracker.public_url || null,
+    events: (tracker.tracking_details || [])
+      .filter(detail => detail.datetime)
+      .map(detail => ({
+        status: EASYPOST_TRACKING_STATUSES[detail.status] || "in_transit",
+        carrier_status: detail.status || null,
+        status_detail: detail.status_detail || null,
+        message: detail.message || null,
+        city: detail.tracking_location?.city || null,
+        state: detail.tracking_location?.state || null,
+        zip: detail.tracking_location?.zip || null,
+        country: detail.tracking_location?.country || null,
+        occurred_at: detail.datetime,
+      })),
+  };
+}
+
+/**
+ * Fetch the current tracker for a shipment. Shipments without one (tracking
+ * typed in by hand) get a tracker created; EasyPost returns the existing
+ * one if it already tracks that number.
+ * @param {Object} shipment - shipments row
+ * @returns {Promise<Object>} - EasyPost tracker
+ */
+export async function fetchTracker(shipment) {
+  if (shipment.easypost_tracker_id) {
+    return easypost.Tracker.retrieve(shipment.easypost_tracker_id);
+  }
+
+  return easypost.Tracker.create({
+    tracking_code: shipment.tracking_number,
+    carrier: shipment.carrier,
+  });
+}
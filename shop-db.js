@@ -1,12 +1,12 @@
-const pool = require('./db');
-const { encrypt, decrypt } = require('./crypto-utils');
+import pool from './db.js';
+import { encrypt, decrypt } from './crypto-utils.js';
 
 /**
  * Save or update a shop's access token and information
  * @param {Object} shopData - Shop information
  * @returns {Promise<Object>} - Saved shop data
  */
-async function saveShop(shopData) {
+export async function saveShop(shopData) {
   const {
     shop,
     accessToken,
@@ -76,7 +76,7 @@ async function saveShop(shopData) {
  * @param {string} shop - Shop domain (e.g., "my-store.myshopify.com")
  * @returns {Promise<Object|null>} - Shop data with decrypted token
  */
-async function getShop(shop) {
+export async function getShop(shop) {
   try {
     const query = 'SELECT * FROM shops WHERE shop = $1 AND is_active = true';
     const result = await pool.query(query, [shop]);
@@ -101,7 +101,7 @@ async function getShop(shop) {
  * Get all active shops
  * @returns {Promise<Array>} - Array of shop data
  */
-async function getAllActiveShops() {
+export async function getAllActiveShops() {
   try {
     const query = 'SELECT * FROM shops WHERE is_active = true ORDER BY installed_at DESC';
     const result = await pool.query(query);
@@ -117,12 +117,29 @@ async function getAllActiveShops() {
   }
 }
 
+/**
+ * Look up a shop's id whether or not it is still installed
+ * (GDPR requests can arrive after uninstall)
+ * @param {string} shop - Shop domain
+ * @returns {Promise<number|null>} - shops.id, or null if unknown
+ */
+export async function getShopId(shop) {
+  try {
+    const query = 'SELECT id FROM shops WHERE shop = $1';
+    const result = await pool.query(query, [shop]);
+    return result.rows[0]?.id ?? null;
+  } catch (error) {
+    console.error('Error getting shop id:', error);
+    throw error;
+  }
+}
+
 /**
  * Mark a shop as inactive (when they uninstall the app)
  * @param {string} shop - Shop domain
  * @returns {Promise<Object>} - Updated shop data
  */
-async function deactivateShop(shop) {
+export async function deactivateShop(shop) {
   try {
     const query = `
       UPDATE shops 
@@ -140,11 +157,12 @@ async function deactivateShop(shop) {
 }
 
 /**
- * Delete a shop completely (for GDPR compliance)
+ * Delete a shop completely (for GDPR compliance). Its orders, batches,
+ * shipments and manifests are removed with it (ON DELETE CASCADE).
  * @param {string} shop - Shop domain
  * @returns {Promise<boolean>} - Success status
  */
-async function deleteShop(shop) {
+export async function deleteShop(shop) {
   try {
     const query = 'DELETE FROM shops WHERE shop = $1';
     await pool.query(query, [shop]);
@@ -156,10 +174,47 @@ async function deleteShop(shop) {
   }
 }
 
-module.exports = {
-  saveShop,
-  getShop,
-  getAllActiveShops,
-  deactivateShop,
-  deleteShop,
-};
+/**
+ * Store an OAuth state nonce for a shop until it expires
+ * @param {string} state - Random nonce sent to Shopify
+ * @param {string} shop - Shop domain the install was started for
+ * @param {number} ttlMinutes - How long the install may take
+ * @returns {Promise<void>}
+ */
+export async function saveOAuthState(state, shop, ttlMinutes = 10) {
+  try {
+    // Clear out abandoned installs while we're here
+    await pool.query('DELETE FROM oauth_states WHERE expires_at < NOW()');
+
+    const query = `
+      INSERT INTO oauth_states (state, shop, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3));
+    `;
+    await pool.query(query, [state, shop, ttlMinutes]);
+  } catch (error) {
+    console.error('Error saving OAuth state:', error);
+    throw error;
+  }
+}
+
+/**
+ * Use up an OAuth state nonce. Each nonce works once, for its own shop,
+ * before it expires.
+ * @param {string} state - Nonce from the callback query
+ * @param {string} shop - Shop domain from the callback query
+ * @returns {Promise<boolean>} - True if the nonce was valid
+ */
+export async function consumeOAuthState(state, shop) {
+  try {
+    const query = `
+      DELETE FROM oauth_states
+      WHERE state = $1 AND shop = $2 AND expires_at >= NOW()
+      RETURNING state;
+    `;
+    const result = await pool.query(query, [state, shop]);
+    return result.rows.length === 1;
+  } catch (error) {
+    console.error('Error consuming OAuth state:', error);
+    throw error;
+  }
+}
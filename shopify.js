@@ -0,0 +1,609 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { httpError } from "./errors.js";
+
+export const SHOPIFY_API_VERSION = "2024-01";
+
+// ==============================
+// WEBHOOK VERIFICATION
+// ==============================
+
+/**
+ * Check a webhook's X-Shopify-Hmac-Sha256 header against the raw request body
+ * @param {Buffer} rawBody - Body exactly as Shopify sent it
+ * @param {string} hmacHeader - Base64 HMAC-SHA256 from the header
+ * @returns {boolean} - True when the signature matches our app secret
+ */
+export function verifyWebhookHmac(rawBody, hmacHeader) {
+  if (!rawBody || !hmacHeader || !process.env.SHOPIFY_API_SECRET) {
+    return false;
+  }
+
+  const digest = crypto
+    .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, "base64");
+
+  return received.length === digest.length && crypto.timingSafeEqual(digest, received);
+}
+
+// ==============================
+// OAUTH
+// ==============================
+
+/**
+ * Shop domains must be a plain *.myshopify.com host
+ * @param {string} shop - Shop domain from the query string
+ * @returns {boolean}
+ */
+export function isValidShopDomain(shop) {
+  return typeof shop === "string" && /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/.test(shop);
+}
+
+/**
+ * Check the hmac Shopify adds to install and OAuth callback query strings
+ * @param {Object} query - Parsed query string, including hmac
+ * @returns {boolean} - True when the signature matches our app secret
+ */
+export function verifyOAuthHmac(query) {
+  const { hmac, signature, ...params } = query;
+
+  if (!hmac || !process.env.SHOPIFY_API_SECRET) {
+    return false;
+  }
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(",") : params[key]}`)
+    .join("&");
+
+  const digest = crypto
+    .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+    .update(message)
+    .digest("hex");
+
+  return hmac.length === digest.length &&
+    crypto.timingSafeEqual(Buffer.from(digest), Buffer.from(hmac));
+}
+
+/**
+ * Verify an App Bridge session token (HS256 JWT signed with our app secret)
+ * and work out which shop it was issued for
+ * @param {string} token - Session token from the Authorization header
+ * @returns {{ shop: string, userId: string|null }|null} - Null if invalid
+ */
+export function verifySessionToken(token) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  const [header, payload, signature] = (token || "").split(".");
+
+  if (!secret || !header || !payload || !signature) {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${header}.${payload}`)
+    .digest("base64url");
+
+  if (
+    expected.length !== signature.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  ) {
+    return null;
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") {
+      return null;
+    }
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch (err) {
+    return null;
+  }
+
+  // A few seconds of leeway for clock drift
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp < now - 5 || claims.nbf > now + 5) {
+    return null;
+  }
+
+  if (claims.aud !== process.env.SHOPIFY_API_KEY) {
+    return null;
+  }
+
+  let shop;
+  try {
+    shop = new URL(claims.dest).hostname;
+  } catch (err) {
+    return null;
+  }
+
+  return isValidShopDomain(shop) ? { shop, userId: claims.sub || null } : null;
+}
+
+/**
+ * Exchange an OAuth code for the shop's permanent access token
+ * @param {string} shop - Shop domain
+ * @param {string} code - Code from the OAuth callback
+ * @returns {Promise<{ access_token: string, scope: string }>}
+ */
+export async function exchangeAccessToken(shop, code) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      client_id: process.env.SHOPIFY_API_KEY,
+      client_secret: process.env.SHOPIFY_API_SECRET,
+      code,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new Error(`Token exchange failed (${response.status})`);
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the shop's details from shop.json
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - The shop's Admin API token
+ * @returns {Promise<Object>} - Shopify shop resource
+ */
+export async function fetchShopDetails(shop, accessToken) {
+  const response = await fetch(`https://${shop}/admin/api/${SHOPIFY_API_VERSION}/shop.json`, {
+    headers: { "X-Shopify-Access-Token": accessToken },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch shop details (${response.status})`);
+  }
+
+  return (await response.json()).shop;
+}
+
+// ==============================
+// PAGINATED ADMIN API READS
+// ==============================
+
+/**
+ * Pull the rel="next" URL out of a Shopify Link header
+ * @param {string|null} linkHeader - Link response header
+ * @returns {string|null} - Next page URL, or null on the last page
+ */
+export function parseNextLink(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+
+  const next = linkHeader
+    .split(",")
+    .map(part => part.trim())
+    .find(part => /rel="?next"?/.test(part));
+
+  return next ? next.match(/<([^>]+)>/)?.[1] || null : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call the Admin API as a shop, waiting out Shopify's rate limit
+ * (429 + Retry-After) up to five times
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} url - Full Admin API URL
+ * @param {Object} [options] - method and JSON body
+ * @returns {Promise<Response>} - The successful response
+ */
+async function shopifyFetch(shopData, url, { method = "GET", body } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        "X-Shopify-Access-Token": shopData.access_token,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (response.status === 429 && attempt < 5) {
+      const retryAfter = parseFloat(response.headers.get("retry-after")) || 2;
+      await sleep(retryAfter * 1000);
+      continue;
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw httpError(response.status, `Shopify ${method} ${new URL(url).pathname} failed (${response.status}): ${text.slice(0, 200)}`);
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Admin API request relative to the shop's versioned API root
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} endpoint - e.g. "orders/123/fulfillment_orders.json"
+ * @param {Object} [options] - method and JSON body
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+export async function shopifyAdminRequest(shopData, endpoint, options) {
+  const url = `https://${shopData.shop}/admin/api/${SHOPIFY_API_VERSION}/${endpoint}`;
+  const response = await shopifyFetch(shopData, url, options);
+  return response.json();
+}
+
+/**
+ * Fetch one page of orders
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} url - First-page URL or a rel="next" URL
+ * @returns {Promise<{ orders: Array, nextUrl: string|null }>}
+ */
+export async function fetchOrdersPage(shopData, url) {
+  const response = await shopifyFetch(shopData, url);
+  const data = await response.json();
+
+  return {
+    orders: data.orders || [],
+    nextUrl: parseNextLink(response.headers.get("link")),
+  };
+}
+
+/**
+ * First-page URL for an order sync. Without updatedAtMin (first sync) we
+ * import open, unfulfilled orders; after that every order changed since the
+ * last run, so cancellations and edits come through too.
+ * @param {string} shop - Shop domain
+ * @param {Date|null} updatedAtMin - Last successful sync start
+ * @returns {string}
+ */
+export function buildOrdersSyncUrl(shop, updatedAtMin) {
+  const params = new URLSearchParams({ limit: "250" });
+
+  if (updatedAtMin) {
+    params.set("status", "any");
+    params.set("updated_at_min", updatedAtMin.toISOString());
+  } else {
+    params.set("status", "open");
+    params.set("fulfillment_status", "unfulfilled");
+  }
+
+  return `https://${shop}/admin/api/${SHOPIFY_API_VERSION}/orders.json?${params}`;
+}
+
+// ==============================
+// ORDER MAPPING
+// ==============================
+
+/**
+ * Map a Shopify order payload onto our orders / order_items columns.
+ * Used by both /shopify/sync-orders and the order webhooks.
+ * @param {Object} shopifyOrder - Order from the Admin API or a webhook
+ * @returns {{ order: Object, items: Array<Object> }}
+ */
+export function mapShopifyOrder(shopifyOrder) {
+  const shipping = shopifyOrder.shipping_address || {};
+  const customer = shopifyOrder.customer || {};
+  const customerName = `${customer.first_name || ""} ${customer.last_name || ""}`.trim();
+
+  const address = {
+    recipient_name: shipping.name || customerName,
+    recipient_company: shipping.company || null,
+    recipient_address: shipping.address1 || "",
+    recipient_address2: shipping.address2 || null,
+    recipient_city: shipping.city || "",
+    // Not every country has province codes
+    recipient_state: shipping.province_code || shipping.province || "",
+    recipient_zip: shipping.zip || "",
+    recipient_country: shipping.country_code || null,
+    recipient_phone: shipping.phone || customer.phone || "",
+  };
+
+  return {
+    order: {
+      order_number: String(shopifyOrder.order_number),
+      order_date: shopifyOrder.created_at,
+      customer_name: customerName,
+      customer_email: shopifyOrder.email || customer.email || null,
+      ...address,
+      shopify_address_hash: crypto.createHash("md5").update(JSON.stringify(address)).digest("hex"),
+      order_total: shopifyOrder.total_price,
+      shopify_order_id: String(shopifyOrder.id),
+      shopify_customer_id: customer.id ? String(customer.id) : null,
+      shopify_updated_at: shopifyOrder.updated_at || null,
+      shipping_method: shopifyOrder.shipping_lines?.[0]?.title || null,
+    },
+    // current_quantity leaves out units removed by order edits and refunds;
+    // lines with none left aren't ours to ship
+    items: (shopifyOrder.line_items || [])
+      .map(item => ({
+        shopify_line_item_id: String(item.id),
+        sku: item.sku || String(item.variant_id),
+        product_name: item.name,
+        quantity: item.current_quantity ?? item.quantity,
+        price: item.price,
+      }))
+      .filter(item => item.quantity > 0),
+  };
+}
+
+// ==============================
+// FULFILLMENTS
+// ==============================
+
+// Shopify recognises these spellings and links tracking numbers for them
+const SHOPIFY_TRACKING_COMPANIES = {
+  USPS: "USPS",
+  UPS: "UPS",
+  FEDEX: "FedEx",
+  DHL: "DHL Express",
+  DHLEXPRESS: "DHL Express",
+  CANADAPOST: "Canada Post",
+};
+
+/**
+ * Map our carrier name (EasyPost or typed by a packer) to Shopify's
+ * tracking company, passing unknown carriers through unchanged
+ * @param {string} carrier - e.g. "USPS", "FedEx"
+ * @returns {string|null}
+ */
+export function shopifyTrackingCompany(carrier) {
+  if (!carrier) {
+    return null;
+  }
+
+  return SHOPIFY_TRACKING_COMPANIES[carrier.replace(/[^a-z]/gi, "").toUpperCase()] || carrier;
+}
+
+function buildTrackingInfo({ number, company, url }) {
+  return {
+    number,
+    ...(company ? { company } : {}),
+    ...(url ? { url } : {}),
+  };
+}
+
+const FULFILLABLE_STATUSES = ["open", "in_progress"];
+
+/**
+ * Fulfill an order (or part of it) in Shopify through its FulfillmentOrders
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} shopifyOrderId - orders.shopify_order_id
+ * @param {Object} fulfillment
+ * @param {Array<Object>|null} fulfillment.lineItems - { shopify_line_item_id, quantity },
+ *   or null for everything Shopify still has to fulfill
+ * @param {Object} fulfillment.tracking - { number, company, url }
+ * @param {boolean} fulfillment.notifyCustomer - Let Shopify send its shipping confirmation
+ * @returns {Promise<Object>} - Shopify fulfillment resource
+ */
+export async function createFulfillment(shopData, shopifyOrderId, { lineItems, tracking, notifyCustomer }) {
+  const { fulfillment_orders: fulfillmentOrders = [] } = await shopifyAdminRequest(
+    shopData,
+    `orders/${shopifyOrderId}/fulfillment_orders.json`
+  );
+
+  // Quantity still wanted per Shopify line item; null means take everything
+  let wanted = null;
+  if (lineItems) {
+    wanted = new Map();
+    for (const item of lineItems) {
+      const key = String(item.shopify_line_item_id);
+      wanted.set(key, (wanted.get(key) || 0) + item.quantity);
+    }
+  }
+
+  const byFulfillmentOrder = [];
+  for (const fulfillmentOrder of fulfillmentOrders) {
+    if (!FULFILLABLE_STATUSES.includes(fulfillmentOrder.status)) {
+      continue;
+    }
+
+    const items = [];
+    for (const lineItem of fulfillmentOrder.line_items || []) {
+      const key = String(lineItem.line_item_id);
+      const quantity = wanted
+        ? Math.min(lineItem.fulfillable_quantity, wanted.get(key) || 0)
+        : lineItem.fulfillable_quantity;
+
+      if (quantity > 0) {
+        items.push({ id: lineItem.id, quantity });
+        wanted?.set(key, wanted.get(key) - quantity);
+      }
+    }
+
+    if (items.length > 0) {
+      byFulfillmentOrder.push({
+        location: fulfillmentOrder.assigned_location_id,
+        fulfillment_order_id: fulfillmentOrder.id,
+        fulfillment_order_line_items: items,
+      });
+    }
+  }
+
+  const unfulfillable = wanted && [...wanted.values()].some(quantity => quantity > 0);
+  if (byFulfillmentOrder.length === 0 || unfulfillable) {
+    throw httpError(422, "Shopify has no open fulfillment for these items (already fulfilled or cancelled?)");
+  }
+
+  // One fulfillment can only cover fulfillment orders from the same location
+  if (new Set(byFulfillmentOrder.map(group => group.location)).size > 1) {
+    throw httpError(422, "Items are assigned to different Shopify locations; ship them separately");
+  }
+
+  const data = await shopifyAdminRequest(shopData, "fulfillments.json", {
+    method: "POST",
+    body: {
+      fulfillment: {
+        line_items_by_fulfillment_order: byFulfillmentOrder.map(({ location, ...group }) => group),
+        tracking_info: buildTrackingInfo(tracking),
+        notify_customer: notifyCustomer,
+      },
+    },
+  });
+
+  return data.fulfillment;
+}
+
+/**
+ * Replace the tracking details on an existing Shopify fulfillment
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} fulfillmentId - Shopify fulfillment id
+ * @param {Object} tracking - { number, company, url }
+ * @param {boolean} notifyCustomer - Let Shopify email the new tracking details
+ * @returns {Promise<Object>} - Shopify fulfillment resource
+ */
+export async function updateFulfillmentTracking(shopData, fulfillmentId, tracking, notifyCustomer) {
+  const data = await shopifyAdminRequest(shopData, `fulfillments/${fulfillmentId}/update_tracking.json`, {
+    method: "POST",
+    body: {
+      fulfillment: {
+        tracking_info: buildTrackingInfo(tracking),
+        notify_customer: notifyCustomer,
+      },
+    },
+  });
+
+  return data.fulfillment;
+}
+
+// ==============================
+// REFUNDS
+// ==============================
+
+/**
+ * Where restocked units of an order go back into stock: the location that
+ * shipped it, or the shop's primary location for orders fulfilled elsewhere
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} shopifyOrderId - orders.shopify_order_id
+ * @returns {Promise<string>} - Shopify location id
+ */
+async function restockLocationId(shopData, shopifyOrderId) {
+  const { fulfillments = [] } = await shopifyAdminRequest(shopData, `orders/${shopifyOrderId}/fulfillments.json`);
+  const shipped = fulfillments.filter(fulfillment => fulfillment.status === "success" && fulfillment.location_id);
+  if (shipped.length > 0) {
+    return shipped[shipped.length - 1].location_id;
+  }
+
+  const { shop } = await shopifyAdminRequest(shopData, "shop.json");
+  return shop.primary_location_id;
+}
+
+/**
+ * Refund returned line items. Shopify calculates the amount (item price,
+ * discounts and tax) and which transactions to refund it against.
+ * Units the warehouse put back on the shelf are restocked in Shopify too.
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} shopifyOrderId - orders.shopify_order_id
+ * @param {Object} refund
+ * @param {Array<Object>} refund.lineItems - { shopify_line_item_id, quantity, restock }
+ * @param {string} [refund.note] - Shown on the order in Shopify admin
+ * @param {boolean} refund.notifyCustomer - Let Shopify email the customer
+ * @returns {Promise<Object>} - Shopify refund resource
+ */
+export async function createRefund(shopData, shopifyOrderId, { lineItems, note, notifyCustomer }) {
+  const locationId = lineItems.some(item => item.restock)
+    ? await restockLocationId(shopData, shopifyOrderId)
+    : null;
+
+  const refundLineItems = lineItems.map(item => item.restock
+    ? { line_item_id: item.shopify_line_item_id, quantity: item.quantity, restock_type: "return", location_id: locationId }
+    : { line_item_id: item.shopify_line_item_id, quantity: item.quantity, restock_type: "no_restock" });
+
+  const { refund: calculated } = await shopifyAdminRequest(
+    shopData,
+    `orders/${shopifyOrderId}/refunds/calculate.json`,
+    { method: "POST", body: { refund: { refund_line_items: refundLineItems } } }
+  );
+
+  const data = await shopifyAdminRequest(shopData, `orders/${shopifyOrderId}/refunds.json`, {
+    method: "POST",
+    body: {
+      refund: {
+        note: note || undefined,
+        notify: notifyCustomer,
+        refund_line_items: refundLineItems,
+        // calculate suggests the transactions; they have to be sent back as refunds
+        transactions: (calculated.transactions || []).map(transaction => ({
+          parent_id: transaction.parent_id,
+          amount: transaction.amount,
+          gateway: transaction.gateway,
+          kind: "refund",
+        })),
+      },
+    },
+  });
+
+  return data.refund;
+}
+
+/**
+ * An order's refunds, newest last
+ * @param {Object} shopData - Shop from getShop (decrypted access_token)
+ * @param {string} shopifyOrderId - orders.shopify_order_id
+ * @returns {Promise<Array<Object>>} - Shopify refund resources
+ */
+export async function getRefunds(shopData, shopifyOrderId) {
+  const data = await shopifyAdminRequest(shopData, `orders/${shopifyOrderId}/refunds.json`);
+  return data.refunds || [];
+}
+
+// ==============================
+// WEBHOOK REGISTRATION
+// ==============================
+
+export const ORDER_WEBHOOK_TOPICS = [
+  "orders/create",
+  "orders/updated",
+  "orders/cancelled",
+  "orders/fulfilled",
+];
+
+// The GDPR topics (customers/data_request, customers/redact, shop/redact)
+// can't be subscribed through the API; set their URLs in the Partner Dashboard.
+export const APP_WEBHOOK_TOPICS = ["app/uninstalled"];
+
+/**
+ * Subscribe a shop to webhook topics, each delivered to APP_URL/webhooks/<topic>.
+ * Topics the shop is already subscribed to are left alone.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - The shop's Admin API token
+ * @param {Array<string>} topics - Webhook topics, e.g. "orders/create"
+ * @returns {Promise<Array<Object>>} - { topic, status } per topic
+ */
+export async function registerWebhooks(shop, accessToken, topics) {
+  const baseUrl = `https://${shop}/admin/api/${SHOPIFY_API_VERSION}`;
+  const headers = {
+    "X-Shopify-Access-Token": accessToken,
+    "Content-Type": "application/json",
+  };
+
+  const existingResponse = await fetch(`${baseUrl}/webhooks.json`, { headers });
+  const existing = existingResponse.ok ? (await existingResponse.json()).webhooks || [] : [];
+
+  const results = [];
+  for (const topic of topics) {
+    const address = `${process.env.APP_URL}/webhooks/${topic}`;
+
+    if (existing.some(webhook => webhook.topic === topic && webhook.address === address)) {
+      results.push({ topic, status: "exists" });
+      continue;
+    }
+
+    const response = await fetch(`${baseUrl}/webhooks.json`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ webhook: { topic, address, format: "json" } }),
+    });
+
+    results.push({
+      topic,
+      status: response.ok ? "created" : `failed (${response.status})`,
+    });
+  }
+
+  return results;
+}
@@ -0,0 +1,143 @@
+import pool from './db.js';
+
+// A run still marked running after this long is assumed to have crashed
+const STALE_RUN_MINUTES = 15;
+
+/**
+ * Get a shop's sync cursor
+ * @param {number} shopId - shops.id
+ * @returns {Promise<Object|null>} - sync_state row
+ */
+export async function getSyncState(shopId) {
+  try {
+    const result = await pool.query('SELECT * FROM sync_state WHERE shop_id = $1', [shopId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting sync state:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a sync run, unless one is already running for the shop. A run
+ * still marked running after STALE_RUN_MINUTES is closed out as failed
+ * first; the partial unique index on running runs does the rest.
+ * @param {number} shopId - shops.id
+ * @param {Date|null} updatedAtMin - Cursor this run syncs from
+ * @returns {Promise<Object|null>} - New sync_runs row, or null if busy
+ */
+export async function startSyncRun(shopId, updatedAtMin) {
+  try {
+    await pool.query(
+      `
+      UPDATE sync_runs
+      SET status = 'failed',
+          errors = errors || '[{"error": "Sync run abandoned"}]'::jsonb,
+          finished_at = NOW(),
+          duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::int
+      WHERE shop_id = $1
+        AND status = 'running'
+        AND started_at <= NOW() - make_interval(mins => $2)
+      `,
+      [shopId, STALE_RUN_MINUTES]
+    );
+
+    const result = await pool.query(
+      `
+      INSERT INTO sync_runs (shop_id, status, updated_at_min, started_at)
+      VALUES ($1, 'running', $2, NOW())
+      ON CONFLICT (shop_id) WHERE status = 'running' DO NOTHING
+      RETURNING *;
+      `,
+      [shopId, updatedAtMin]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error starting sync run:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record how a sync run went. The shop's cursor only moves forward when
+ * every order synced, so failed and partial runs retry from the same point.
+ * @param {Object} run - sync_runs row from startSyncRun
+ * @param {Object} outcome - status, counts and errors
+ * @returns {Promise<Object>} - Updated sync_runs row
+ */
+export async function finishSyncRun(run, { status, pages, fetched, created, updated, skipped, failed, errors }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `
+      UPDATE sync_runs
+      SET
+        status = $2,
+        pages = $3,
+        orders_fetched = $4,
+        orders_created = $5,
+        orders_updated = $6,
+        orders_skipped = $7,
+        orders_failed = $8,
+        errors = $9,
+        finished_at = NOW(),
+        duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::int
+      WHERE id = $1
+      RETURNING *;
+      `,
+      [run.id, status, pages, fetched, created, updated, skipped, failed, JSON.stringify(errors)]
+    );
+
+    // Changes made while this run was going are picked up next time
+    // because the cursor is the run's start, not its end.
+    await client.query(
+      `
+      INSERT INTO sync_state (shop_id, last_synced_at, last_run_id, updated_at)
+      VALUES ($1, CASE WHEN $3 = 'completed' THEN $4::timestamptz END, $2, NOW())
+      ON CONFLICT (shop_id)
+      DO UPDATE SET
+        last_synced_at = CASE
+          WHEN $3 = 'completed' THEN $4::timestamptz
+          ELSE sync_state.last_synced_at
+        END,
+        last_run_id = $2,
+        updated_at = NOW();
+      `,
+      [run.shop_id, run.id, status, run.started_at]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error finishing sync run:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Recent sync runs for a shop, newest first
+ * @param {number} shopId - shops.id
+ * @param {number} limit - How many runs to return
+ * @returns {Promise<Array>} - sync_runs rows
+ */
+export async function getSyncRuns(shopId, limit = 20) {
+  try {
+    const query = `
+      SELECT * FROM sync_runs
+      WHERE shop_id = $1
+      ORDER BY started_at DESC
+      LIMIT $2;
+    `;
+    const result = await pool.query(query, [shopId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting sync runs:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, createOrder } from "./helpers/app.js";
+
+let ctx;
+let verification;
+
+// Answers whatever the test put in `verification`, and keeps what it was asked
+const checked = [];
+const stubVerifier = {
+  name: "stub",
+  async verify(address) {
+    checked.push(address);
+    return verification;
+  },
+};
+
+before(async () => {
+  ctx = await startApp({ shop: "address-test.myshopify.com" });
+
+  const { setAddressVerifier } = await import("../address-verification.js");
+  setAddressVerifier(stubVerifier);
+});
+
+after(() => ctx?.close());
+
+test("an undeliverable address holds the order until the correction is accepted", async () => {
+  const { order } = await createOrder(ctx.db, ctx.shop.id, { recipient_zip: "62799" });
+
+  verification = {
+    deliverable: false,
+    address: {
+      street1: "12 ANALYTICAL WAY",
+      street2: null,
+      city: "SPRINGFIELD",
+      state: "IL",
+      zip: "62701-1234",
+      country: "US",
+    },
+    messages: ["ZIP code does not match city"],
+  };
+
+  const verified = await ctx.request({ method: "POST", url: `/orders/${order.id}/address/verify` });
+  assert.equal(verified.statusCode, 200);
+  assert.deepEqual(verified.json().verification, { address_status: "undeliverable", order_status: "On Hold" });
+  assert.equal(checked.at(-1).zip, "62799");
+
+  const held = verified.json().order;
+  assert.equal(held.status, "On Hold");
+  assert.equal(held.address_hold, true);
+  assert.equal(held.suggested_address.zip, "62701-1234");
+  assert.deepEqual(held.address_messages, ["ZIP code does not match city"]);
+
+  const accepted = await ctx.request({ method: "POST", url: `/orders/${order.id}/address/accept` });
+  assert.equal(accepted.statusCode, 200);
+  assert.equal(accepted.json().order_status, "Pending");
+
+  const { order: released } = (await ctx.request({ method: "GET", url: `/orders/${order.id}/address` })).json();
+  assert.equal(released.status, "Pending");
+  assert.equal(released.address_hold, false);
+  assert.equal(released.address_status, "verified");
+  assert.equal(released.recipient_zip, "62701-1234");
+  assert.equal(released.suggested_address, null);
+
+  const history = await ctx.db.query(
+    "SELECT from_status, to_status, actor FROM order_status_history WHERE order_id = $1 ORDER BY id",
+    [order.id]
+  );
+  assert.deepEqual(history.rows.map(row => [row.from_status, row.to_status, row.actor]), [
+    ["Pending", "On Hold", "address-verification"],
+    ["On Hold", "Pending", "user:1"],
+  ]);
+});
+
+test("a deliverable address leaves the order where it is", async () => {
+  const { order } = await createOrder(ctx.db, ctx.shop.id);
+
+  verification = {
+    deliverable: true,
+    address: { street1: "12 Analytical Way", street2: null, city: "Springfield", state: "IL", zip: "62701", country: "US" },
+    messages: [],
+  };
+
+  const response = await ctx.request({ method: "POST", url: `/orders/${order.id}/address/verify` });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json().verification, { address_status: "verified", order_status: null });
+  assert.equal(response.json().order.status, "Pending");
+  assert.equal(response.json().order.suggested_address, null);
+});
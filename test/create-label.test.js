@@ -0,0 +1,269 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { startApp, createOrder } from "./helpers/app.js";
+
+// A local stand-in for the EasyPost API (EASYPOST_BASE_URL). Each test sets
+// what the routes answer; requests are kept to check what was sent.
+const routes = new Map();
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", chunk => (raw += chunk));
+  req.on("end", () => {
+    const key = `${req.method} ${new URL(req.url, "http://stub").pathname}`;
+    requests.push({ key, body: raw ? JSON.parse(raw) : null });
+
+    const [status, body] = routes.get(key) || [404, { error: { code: "NOT_FOUND", message: `No stub for ${key}` } }];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+});
+
+let shipping;
+let ctx;
+
+const order = {
+  id: 7,
+  shop_id: 3,
+  recipient_name: "Ada Lovelace",
+  recipient_address: "12 Analytical Way",
+  recipient_city: "Springfield",
+  recipient_state: "IL",
+  recipient_zip: "62701",
+  recipient_country: "US",
+};
+
+const parcel = { weight: 16 };
+
+function ratedShipment(id, overrides = {}) {
+  return {
+    id,
+    reference: "shop-3-order-7",
+    to_address: {
+      name: "Ada Lovelace",
+      street1: "12 Analytical Way",
+      city: "Springfield",
+      state: "IL",
+      zip: "62701-1234",
+      country: "US",
+    },
+    rates: [
+      { id: "rate_priority", carrier: "USPS", service: "Priority", rate: "9.40", delivery_days: 2 },
+      { id: "rate_ground", carrier: "USPS", service: "GroundAdvantage", rate: "5.10", delivery_days: 5 },
+    ],
+    ...overrides,
+  };
+}
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.EASYPOST_API_KEY = "EZTK_test";
+  process.env.EASYPOST_BASE_URL = `http://127.0.0.1:${server.address().port}/v2/`;
+  process.env.EASYPOST_CARRIER_ACCOUNTS = "ca_usps";
+
+  // The client is set up from the environment when shipping.js loads
+  shipping = await import("../shipping.js");
+  ctx = await startApp({ shop: "label-test.myshopify.com" });
+});
+
+after(async () => {
+  await ctx?.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  routes.clear();
+  requests.length = 0;
+});
+
+test("buys the cheapest rate on a new shipment tagged with the order", async () => {
+  routes.set("POST /v2/shipments", [201, ratedShipment("shp_new")]);
+  routes.set("POST /v2/shipments/shp_new/buy", [200, {
+    ...ratedShipment("shp_new"),
+    tracking_code: "9400100000000000000000",
+    selected_rate: { id: "rate_ground", carrier: "USPS", service: "GroundAdvantage", rate: "5.10" },
+  }]);
+
+  const { purchased, selection } = await shipping.purchaseOrderLabel(order, { parcel, rate: { policy: "cheapest" } });
+
+  assert.equal(selection.rate.id, "rate_ground");
+  assert.equal(purchased.tracking_code, "9400100000000000000000");
+  assert.equal(requests[0].body.shipment.reference, "shop-3-order-7");
+  assert.deepEqual(requests[1].body, { rate: { id: "rate_ground" } });
+});
+
+test("an address the carrier rejects is a 422 for the packer", async () => {
+  routes.set("POST /v2/shipments", [422, {
+    error: {
+      code: "ADDRESS.VERIFY.FAILURE",
+      message: "Unable to verify address.",
+      errors: [{ field: "street1", message: "Address not found" }],
+    },
+  }]);
+
+  const err = await shipping.purchaseOrderLabel(order, { parcel }).then(() => null, error => error);
+  assert.ok(err, "expected the purchase to fail");
+
+  const { status, body } = shipping.describeEasyPostError(err);
+  assert.equal(status, 422);
+  assert.equal(body.error, "Address rejected by carrier");
+  assert.equal(body.details.code, "ADDRESS.VERIFY.FAILURE");
+  assert.equal(body.details.errors[0].message, "Address not found");
+});
+
+test("a buy refused for lack of funds is a 402", async () => {
+  routes.set("POST /v2/shipments", [201, ratedShipment("shp_broke")]);
+  routes.set("POST /v2/shipments/shp_broke/buy", [402, {
+    error: { code: "PAYMENT_REQUIRED", message: "Insufficient funds.", errors: [] },
+  }]);
+
+  const err = await shipping.purchaseOrderLabel(order, { parcel }).then(() => null, error => error);
+  assert.ok(err, "expected the purchase to fail");
+
+  const { status, body } = shipping.describeEasyPostError(err);
+  assert.equal(status, 402);
+  assert.equal(body.error, "Insufficient EasyPost balance to buy label");
+});
+
+test("a rated shipment from another order is refused before buying", async () => {
+  routes.set("GET /v2/shipments/shp_other", [200, ratedShipment("shp_other", { reference: "shop-3-order-8" })]);
+
+  const err = await shipping.purchaseOrderLabel(order, { shipmentId: "shp_other" }).then(() => null, error => error);
+
+  assert.equal(err.status, 409);
+  assert.equal(err.body.easypost_shipment_id, "shp_other");
+  assert.ok(!requests.some(request => request.key.endsWith("/buy")));
+});
+
+test("a rated shipment to an address since changed is refused", async () => {
+  routes.set("GET /v2/shipments/shp_moved", [200, ratedShipment("shp_moved")]);
+
+  const moved = { ...order, recipient_address: "1 New Street" };
+  const err = await shipping.purchaseOrderLabel(moved, { shipmentId: "shp_moved" }).then(() => null, error => error);
+
+  assert.equal(err.status, 409);
+  assert.match(err.body.error, /street1/);
+});
+
+// ==============================
+// POST /shipping/create-label
+// ==============================
+
+// The stub's answer to buying a rate on a shipment
+function boughtShipment(id, trackingCode) {
+  return {
+    ...ratedShipment(id),
+    tracking_code: trackingCode,
+    selected_rate: { id: "rate_ground", carrier: "USPS", service: "GroundAdvantage", rate: "5.10", delivery_days: 5 },
+    postage_label: { label_url: `https://labels.example/${id}.png` },
+    tracker: { id: `trk_${id}`, public_url: `https://track.example/${trackingCode}` },
+  };
+}
+
+function createLabel(body) {
+  return ctx.request({ method: "POST", url: "/shipping/create-label", payload: { parcel, ...body } });
+}
+
+test("create-label saves the shipment and moves the order through Partially Shipped to Shipped", async () => {
+  const { order, items: [mug, plate] } = await createOrder(ctx.db, ctx.shop.id, {}, [
+    { sku: "MUG-1", product_name: "Mug", quantity: 2, price: 12 },
+    { sku: "PLATE-1", product_name: "Plate", quantity: 1, price: 20 },
+  ]);
+
+  routes.set("POST /v2/shipments", [201, ratedShipment("shp_first")]);
+  routes.set("POST /v2/shipments/shp_first/buy", [200, boughtShipment("shp_first", "9400111")]);
+
+  const first = await createLabel({ orderId: order.id, items: [{ order_item_id: mug.id, quantity: 2 }] });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.json().order_status, "Partially Shipped");
+  assert.equal(requests[0].body.shipment.reference, `shop-${ctx.shop.id}-order-${order.id}`);
+
+  const saved = await ctx.db.query("SELECT * FROM shipments WHERE order_id = $1", [order.id]);
+  assert.equal(saved.rows.length, 1);
+  assert.equal(saved.rows[0].id, first.json().shipment.id);
+  assert.equal(saved.rows[0].carrier, "USPS");
+  assert.equal(saved.rows[0].service, "GroundAdvantage");
+  assert.equal(saved.rows[0].tracking_number, "9400111");
+  assert.equal(saved.rows[0].easypost_shipment_id, "shp_first");
+  assert.equal(saved.rows[0].label_url, "https://labels.example/shp_first.png");
+  assert.equal(Number(saved.rows[0].postage_cost), 5.1);
+
+  const packed = await ctx.db.query("SELECT order_item_id, quantity FROM shipment_items WHERE shipment_id = $1", [saved.rows[0].id]);
+  assert.deepEqual(packed.rows, [{ order_item_id: mug.id, quantity: 2 }]);
+
+  routes.set("POST /v2/shipments", [201, ratedShipment("shp_second")]);
+  routes.set("POST /v2/shipments/shp_second/buy", [200, boughtShipment("shp_second", "9400222")]);
+
+  const second = await createLabel({ orderId: order.id });
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.json().order_status, "Shipped");
+  assert.deepEqual(second.json().items, [{ order_item_id: plate.id, quantity: 1 }]);
+
+  const history = await ctx.db.query(
+    "SELECT from_status, to_status FROM order_status_history WHERE order_id = $1 ORDER BY id",
+    [order.id]
+  );
+  assert.deepEqual(history.rows.map(row => [row.from_status, row.to_status]), [
+    ["Pending", "Partially Shipped"],
+    ["Partially Shipped", "Shipped"],
+  ]);
+});
+
+test("create-label answers 422 when the carrier rejects the address", async () => {
+  const { order } = await createOrder(ctx.db, ctx.shop.id);
+
+  routes.set("POST /v2/shipments", [422, {
+    error: { code: "ADDRESS.VERIFY.FAILURE", message: "Unable to verify address.", errors: [] },
+  }]);
+
+  const response = await createLabel({ orderId: order.id });
+  assert.equal(response.statusCode, 422);
+  assert.equal(response.json().error, "Address rejected by carrier");
+
+  const saved = await ctx.db.query("SELECT id FROM shipments WHERE order_id = $1", [order.id]);
+  assert.equal(saved.rows.length, 0);
+});
+
+test("create-label answers 402 when the EasyPost balance can't pay for the label", async () => {
+  const { order } = await createOrder(ctx.db, ctx.shop.id);
+
+  routes.set("POST /v2/shipments", [201, ratedShipment("shp_unpaid")]);
+  routes.set("POST /v2/shipments/shp_unpaid/buy", [402, {
+    error: { code: "PAYMENT_REQUIRED", message: "Insufficient funds.", errors: [] },
+  }]);
+
+  const response = await createLabel({ orderId: order.id });
+  assert.equal(response.statusCode, 402);
+  assert.equal(response.json().error, "Insufficient EasyPost balance to buy label");
+
+  const current = await ctx.db.query("SELECT status FROM orders WHERE id = $1", [order.id]);
+  assert.equal(current.rows[0].status, "Pending");
+});
+
+test("create-label reports the paid-for label when the shipment can't be saved", async () => {
+  const { order } = await createOrder(ctx.db, ctx.shop.id);
+
+  routes.set("POST /v2/shipments", [201, ratedShipment("shp_lost")]);
+  routes.set("POST /v2/shipments/shp_lost/buy", [200, boughtShipment("shp_lost", "9400333")]);
+
+  // Stands in for the database failing after EasyPost has charged for the label
+  await ctx.db.query("ALTER TABLE shipments ADD CONSTRAINT test_refuse_shipment CHECK (tracking_number <> '9400333')");
+  let response;
+  try {
+    response = await createLabel({ orderId: order.id });
+  } finally {
+    await ctx.db.query("ALTER TABLE shipments DROP CONSTRAINT test_refuse_shipment");
+  }
+
+  assert.equal(response.statusCode, 500);
+  assert.deepEqual(response.json(), {
+    error: "Label purchased but failed to save shipment",
+    easypost_shipment_id: "shp_lost",
+    tracking_number: "9400333",
+  });
+
+  const current = await ctx.db.query("SELECT status FROM orders WHERE id = $1", [order.id]);
+  assert.equal(current.rows[0].status, "Pending");
+});
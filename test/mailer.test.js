@@ -0,0 +1,119 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { smtpTransport } from "../mailer.js";
+
+// A local SMTP sink: accepts mail for anyone but the mailboxes in `rejects`,
+// which get that reply to RCPT TO, and keeps what it was sent
+const received = [];
+let rejects = {};
+
+const sink = net.createServer(socket => {
+  let message = null;
+  let data = null;
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply("220 sink.test ESMTP");
+
+  let buffer = "";
+  socket.on("data", chunk => {
+    buffer += chunk;
+
+    let end;
+    while ((end = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line === ".") {
+          received.push({ ...message, data: data.join("\n") });
+          data = null;
+          reply("250 2.0.0 Queued");
+        } else {
+          data.push(line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "EHLO" || command === "HELO") {
+        reply("250 sink.test");
+      } else if (command === "MAIL") {
+        message = { from: line.match(/<(.*)>/)?.[1], to: [] };
+        reply("250 2.1.0 OK");
+      } else if (command === "RCPT") {
+        const to = line.match(/<(.*)>/)?.[1];
+        if (rejects[to]) {
+          reply(rejects[to]);
+        } else {
+          message.to.push(to);
+          reply("250 2.1.5 OK");
+        }
+      } else if (command === "DATA") {
+        data = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (command === "QUIT") {
+        reply("221 2.0.0 Bye");
+        socket.end();
+      } else {
+        reply("250 OK");
+      }
+    }
+  });
+});
+
+let transport;
+
+before(async () => {
+  await new Promise(resolve => sink.listen(0, "127.0.0.1", resolve));
+  transport = smtpTransport({ host: "127.0.0.1", port: sink.address().port });
+});
+
+after(() => new Promise(resolve => sink.close(resolve)));
+
+beforeEach(() => {
+  received.length = 0;
+  rejects = {};
+});
+
+const message = {
+  from: "Shop <orders@shop.test>",
+  to: "customer@example.test",
+  replyTo: "help@shop.test",
+  subject: "Your order #1001 has shipped",
+  html: "<p>On its way</p>",
+  text: "On its way",
+};
+
+test("delivers a message to the SMTP server", async () => {
+  const result = await transport.send(message);
+
+  assert.ok(result.messageId);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].from, "orders@shop.test");
+  assert.deepEqual(received[0].to, ["customer@example.test"]);
+  assert.match(received[0].data, /Subject: Your order #1001 has shipped/);
+  assert.match(received[0].data, /Reply-To: help@shop.test/);
+  assert.match(received[0].data, /On its way/);
+});
+
+test("a mailbox the server rejects for good is a permanent failure", async () => {
+  rejects["customer@example.test"] = "550 5.1.1 No such user";
+
+  const err = await transport.send(message).then(() => null, error => error);
+
+  assert.ok(err, "expected the send to fail");
+  assert.equal(err.responseCode, 550);
+  assert.equal(err.permanent, true);
+  assert.equal(received.length, 0);
+});
+
+test("a temporary refusal can be retried", async () => {
+  rejects["customer@example.test"] = "451 4.3.0 Try again later";
+
+  const err = await transport.send(message).then(() => null, error => error);
+
+  assert.ok(err, "expected the send to fail");
+  assert.equal(err.responseCode, 451);
+  assert.equal(err.permanent, false);
+});
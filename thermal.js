@@ -0,0 +1,306 @@
+import bwipjs from "bwip-js";
+import PDFDocument from "pdfkit";
+
+// ==============================
+// THERMAL DOCUMENTS (4x6)
+// ==============================
+//
+// A document is a list of pages, each a list of blocks:
+//   { type: "title", text }
+//   { type: "text", text, small }
+//   { type: "barcode", value }
+//   { type: "rule" }
+//   { type: "space" }
+//   { type: "image", data }   (PNG/JPEG buffer; PDF output only)
+// and renders to ZPL II, PDF (pdfkit) or plain text, so each document is
+// laid out once for every printer we drive.
+
+export const DOCUMENT_FORMATS = ["zpl", "pdf", "text"];
+
+export const ZPL_CONTENT_TYPE = "application/zpl";
+
+// ==============================
+// ZPL
+// ==============================
+
+// 4x6 at 203 dpi
+const ZPL_WIDTH = 812;
+const ZPL_HEIGHT = 1218;
+const ZPL_MARGIN = 30;
+
+const ZPL_FONT_SIZES = { title: 44, text: 28, small: 24 };
+
+/**
+ * Escape a value for a ^FH\ field: ^, ~ and \ would otherwise be read as
+ * commands or hex escapes
+ * @param {*} value
+ * @returns {string}
+ */
+export function zplEscape(value) {
+  return String(value ?? "")
+    .replace(/[\r\n]+/g, " ")
+    .replace(/[\\^~]/g, char => `\\${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Font 0 glyphs average a little over half their height in width
+function fitText(text, size) {
+  const maxChars = Math.floor((ZPL_WIDTH - ZPL_MARGIN * 2) / (size * 0.55));
+  const value = String(text ?? "");
+  return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+}
+
+/**
+ * Render a document as ZPL II, one ^XA…^XZ label per page. Pages that
+ * don't fit on a label continue on the next one.
+ * @param {Array<Array<Object>>} pages
+ * @returns {string}
+ */
+export function renderZpl(pages) {
+  const labels = [];
+
+  for (const blocks of pages) {
+    let fields = [];
+    let y = ZPL_MARGIN;
+
+    const finishLabel = () => {
+      labels.push(
+        [`^XA`, `^CI28`, `^PW${ZPL_WIDTH}`, `^LL${ZPL_HEIGHT}`, `^LH0,0`, ...fields, `^XZ`].join("\n")
+      );
+      fields = [];
+      y = ZPL_MARGIN;
+    };
+
+    const reserve = height => {
+      if (y + height > ZPL_HEIGHT - ZPL_MARGIN && fields.length > 0) {
+        finishLabel();
+      }
+    };
+
+    for (const block of blocks) {
+      if (block.type === "title" || block.type === "text") {
+        const size = ZPL_FONT_SIZES[block.type === "title" ? "title" : block.small ? "small" : "text"];
+        const align = block.type === "title" ? "C" : "L";
+        reserve(size + 8);
+        fields.push(
+          `^FO${ZPL_MARGIN},${y}^A0N,${size},${size}^FB${ZPL_WIDTH - ZPL_MARGIN * 2},1,0,${align}` +
+          `^FH\\^FD${zplEscape(fitText(block.text, size))}^FS`
+        );
+        y += size + 8;
+      } else if (block.type === "barcode") {
+        reserve(150);
+        fields.push(`^FO${ZPL_MARGIN + 20},${y}^BY2^BCN,100,Y,N,N^FH\\^FD${zplEscape(block.value)}^FS`);
+        y += 150;
+      } else if (block.type === "rule") {
+        reserve(16);
+        fields.push(`^FO${ZPL_MARGIN},${y}^GB${ZPL_WIDTH - ZPL_MARGIN * 2},3,3^FS`);
+        y += 16;
+      } else if (block.type === "space") {
+        y += 16;
+      }
+    }
+
+    finishLabel();
+  }
+
+  return labels.join("\n");
+}
+
+// ==============================
+// PDF
+// ==============================
+
+// Sized for a 4x6 page (288x432 pt) with a 12 pt margin
+const THERMAL_PDF_OPTIONS = { size: [288, 432], margin: 12 };
+
+/**
+ * Draw a document onto a 4x6 PDFDocument, one page per page
+ * @param {Object} doc - pdfkit PDFDocument created with THERMAL_PDF_OPTIONS
+ * @param {Array<Array<Object>>} pages
+ */
+async function renderThermalPdf(doc, pages) {
+  for (const [index, blocks] of pages.entries()) {
+    if (index > 0) {
+      doc.addPage();
+    }
+
+    for (const block of blocks) {
+      if (block.type === "title") {
+        doc.fontSize(14).text(block.text, { align: "center" });
+        doc.moveDown(0.3);
+      } else if (block.type === "text") {
+        doc.fontSize(block.small ? 9 : 10).text(block.text);
+      } else if (block.type === "barcode") {
+        const barcodeBuffer = await bwipjs.toBuffer({
+          bcid: "code128",
+          text: String(block.value),
+          scale: 2,
+          height: 10,
+          includetext: true,
+          textxalign: "center",
+        });
+
+        doc.image(barcodeBuffer, { fit: [200, 50], align: "center" });
+        doc.moveDown(0.5);
+      } else if (block.type === "rule") {
+        doc.moveDown(0.2);
+        doc.moveTo(12, doc.y).lineTo(276, doc.y).stroke();
+        doc.moveDown(0.3);
+      } else if (block.type === "space") {
+        doc.moveDown(0.5);
+      } else if (block.type === "image") {
+        doc.image(block.data, { fit: [160, 50], align: "center" });
+        doc.moveDown(0.3);
+      }
+    }
+  }
+}
+
+// ==============================
+// TEXT
+// ==============================
+
+const TEXT_RULE = "--------------------------";
+
+/**
+ * Render a document for plain-text receipt printers. Barcodes are left
+ * out; pages are separated by blank lines for the cutter.
+ * @param {Array<Array<Object>>} pages
+ * @returns {string}
+ */
+export function renderText(pages) {
+  return pages
+    .map(blocks => {
+      const lines = [];
+      for (const block of blocks) {
+        if (block.type === "title" || block.type === "text") {
+          lines.push(block.text);
+        } else if (block.type === "rule") {
+          lines.push(TEXT_RULE);
+        } else if (block.type === "space") {
+          lines.push("");
+        }
+      }
+      return `${lines.join("\n")}\n`;
+    })
+    .join("\n\n\n");
+}
+
+/**
+ * Render a document in one of DOCUMENT_FORMATS, ready to send or queue
+ * @param {string} format - zpl, pdf or text
+ * @param {Array<Array<Object>>} pages
+ * @returns {Promise<{ content: Buffer, contentType: string }>}
+ */
+export async function renderThermalDocument(format, pages) {
+  if (format === "zpl") {
+    return { content: Buffer.from(renderZpl(pages)), contentType: ZPL_CONTENT_TYPE };
+  }
+
+  if (format === "text") {
+    return { content: Buffer.from(renderText(pages)), contentType: "text/plain; charset=utf-8" };
+  }
+
+  const doc = new PDFDocument(THERMAL_PDF_OPTIONS);
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on("end", resolve));
+
+  await renderThermalPdf(doc, pages);
+  doc.end();
+  await finished;
+
+  return { content: Buffer.concat(chunks), contentType: "application/pdf" };
+}
+
+// ==============================
+// DOCUMENTS
+// ==============================
+
+/**
+ * Pick list, one page per order with items in walk order and the ones with
+ * no bin at the end
+ * @param {Array<Object>} orders - { order_number, items: [{ location_code, sku, product_name, quantity }] }
+ * @returns {Array<Array<Object>>}
+ */
+export function pickListPages(orders) {
+  return orders.map(order => {
+    const located = order.items.filter(item => item.location_code);
+    const unassigned = order.items.filter(item => !item.location_code);
+
+    const blocks = [
+      { type: "title", text: "PICK LIST" },
+      { type: "text", text: `Order #: ${order.order_number}` },
+      { type: "barcode", value: order.order_number },
+      { type: "rule" },
+      { type: "text", text: "ITEMS:" },
+      ...located.map(item => ({
+        type: "text",
+        small: true,
+        text: `[${item.location_code}] ${item.sku}  ${item.product_name}  (Qty: ${item.quantity})`,
+      })),
+    ];
+
+    if (unassigned.length > 0) {
+      blocks.push({ type: "space" }, { type: "text", text: "NO BIN ASSIGNED:" });
+      blocks.push(...unassigned.map(item => ({
+        type: "text",
+        small: true,
+        text: `• ${item.sku}  ${item.product_name}  (Qty: ${item.quantity})`,
+      })));
+    }
+
+    return blocks;
+  });
+}
+
+/**
+ * Batch pick list totalled by SKU in walk order, on one page
+ * @param {number|string} batchId
+ * @param {Object} summary - { located, unassigned } from summarizePickList
+ * @returns {Array<Array<Object>>}
+ */
+export function pickSummaryPages(batchId, { located, unassigned }) {
+  const itemBlocks = item => [
+    ...(item.location_code ? [{ type: "text", text: `BIN: ${item.location_code}` }] : []),
+    { type: "text", small: true, text: `${item.sku}  ${item.product_name}` },
+    { type: "text", text: `QTY: ${item.total_quantity}` },
+    { type: "space" },
+  ];
+
+  const blocks = [
+    { type: "title", text: "BATCH PICK LIST" },
+    { type: "text", text: `Batch ID: ${batchId}` },
+    { type: "rule" },
+    ...located.flatMap(itemBlocks),
+  ];
+
+  if (unassigned.length > 0) {
+    blocks.push({ type: "rule" }, { type: "text", text: "NO BIN ASSIGNED" }, { type: "rule" });
+    blocks.push(...unassigned.flatMap(itemBlocks));
+  }
+
+  return [blocks];
+}
+
+/**
+ * Carrier pickup manifest: the SCAN form it goes with, if any, then a
+ * barcode per package and a signature block
+ * @param {Object} manifest - shipping_manifests row (with batch_name)
+ * @returns {Array<Array<Object>>}
+ */
+export function manifestPages(manifest) {
+  return [[
+    { type: "title", text: `${manifest.carrier.toUpperCase()} PICKUP MANIFEST` },
+    { type: "text", text: `Manifest ID: ${manifest.id}` },
+    { type: "text", text: `Date: ${new Date(manifest.manifest_date).toLocaleDateString()}` },
+    ...(manifest.batch_name ? [{ type: "text", text: `Batch: ${manifest.batch_name}` }] : []),
+    { type: "text", text: `Packages: ${manifest.shipment_count}` },
+    ...(manifest.scan_form_id ? [{ type: "text", text: `SCAN form: ${manifest.scan_form_id}` }] : []),
+    { type: "rule" },
+    ...manifest.tracking_codes.map(code => ({ type: "barcode", value: code })),
+    { type: "rule" },
+    { type: "text", text: "Driver signature: ______________" },
+    { type: "space" },
+    { type: "text", text: "Pickup time: ___________________" },
+  ]];
+}
@@ -0,0 +1,480 @@
+import crypto from 'crypto';
+import pool from './db.js';
+import { transitionOrderStatus } from './order-status.js';
+
+// Packages nobody has tracked for this long are left alone
+const TRACKING_WINDOW_DAYS = 60;
+
+const TRACKING_COLUMNS = `
+  s.id, s.order_id, s.carrier, s.service, s.tracking_number, s.tracking_url,
+  s.tracking_status, s.tracking_status_detail, s.tracking_updated_at,
+  s.est_delivery_date, s.delivered_at, s.shipped_at
+`;
+
+/**
+ * Shipments an EasyPost tracker belongs to: by tracker id, the EasyPost
+ * shipment it was bought with, or its tracking number
+ * @param {Object} tracker - From normalizeTracker
+ * @returns {Promise<Array>} - shipments rows
+ */
+export async function findTrackedShipments(tracker) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT * FROM shipments
+      WHERE easypost_tracker_id = $1
+        OR ($2::text IS NOT NULL AND easypost_shipment_id = $2)
+        OR tracking_number = $3
+      `,
+      [tracker.tracker_id, tracker.easypost_shipment_id, tracker.tracking_code]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding tracked shipments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a tracker's events (each once) and its current status on the
+ * shipment. When every package of a shipped order is delivered, the order
+ * moves to Delivered.
+ * @param {number} shipmentId - shipments.id
+ * @param {Object} tracker - From normalizeTracker
+ * @param {string} source - 'webhook' or 'poll'
+ * @returns {Promise<Object>} - { shipment, previous_status, previous_est_delivery_date,
+ *   events_added, order_status }
+ */
+export async function recordTrackingUpdate(shipmentId, tracker, source) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      `SELECT id, order_id, tracking_status, est_delivery_date FROM shipments WHERE id = $1 FOR UPDATE`,
+      [shipmentId]
+    );
+    const current = currentResult.rows[0];
+
+    if (!current) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let eventsAdded = 0;
+    for (const event of tracker.events) {
+      const inserted = await client.query(
+        `
+        INSERT INTO shipment_events (
+          shipment_id, status, carrier_status, status_detail, message,
+          city, state, zip, country, occurred_at, source
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (shipment_id, occurred_at, status, md5(COALESCE(message, ''))) DO NOTHING
+        `,
+        [
+          shipmentId,
+          event.status,
+          event.carrier_status,
+          event.status_detail,
+          event.message,
+          event.city,
+          event.state,
+          event.zip,
+          event.country,
+          event.occurred_at,
+          source,
+        ]
+      );
+      eventsAdded += inserted.rowCount;
+    }
+
+    const deliveredAt = tracker.status === 'delivered'
+      ? tracker.events.filter(event => event.status === 'delivered').map(event => event.occurred_at).pop() || new Date()
+      : null;
+
+    const shipmentResult = await client.query(
+      `
+      UPDATE shipments s
+      SET
+        easypost_tracker_id = COALESCE(s.easypost_tracker_id, $2),
+        tracking_status = $3,
+        tracking_status_detail = $4,
+        est_delivery_date = COALESCE($5, s.est_delivery_date),
+        tracking_url = COALESCE(s.tracking_url, $6),
+        delivered_at = CASE WHEN $3 = 'delivered' THEN COALESCE(s.delivered_at, $7) END,
+        tracking_updated_at = NOW(),
+        tracking_polled_at = CASE WHEN $8::text = 'poll' THEN NOW() ELSE s.tracking_polled_at END
+      WHERE s.id = $1
+      RETURNING ${TRACKING_COLUMNS}, s.shop_id
+      `,
+      [
+        shipmentId,
+        tracker.tracker_id,
+        tracker.status,
+        tracker.status_detail,
+        tracker.est_delivery_date,
+        tracker.public_url,
+        deliveredAt,
+        source,
+      ]
+    );
+    const shipment = shipmentResult.rows[0];
+
+    let orderStatus = null;
+    if (tracker.status === 'delivered') {
+      const pending = await client.query(
+        `
+        SELECT COUNT(*)::int AS count FROM shipments
+        WHERE order_id = $1 AND tracking_status IS DISTINCT FROM 'delivered'
+        `,
+        [current.order_id]
+      );
+
+      // Partially Shipped orders still have units to send, so they stay put
+      if (pending.rows[0].count === 0) {
+        orderStatus = await transitionOrderStatus(current.order_id, 'Delivered', {
+          actor: 'carrier',
+          reason: `Delivered: ${shipment.carrier} ${shipment.tracking_number}`,
+          skipInvalid: true,
+          client,
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+    return {
+      shipment,
+      previous_status: current.tracking_status,
+      previous_est_delivery_date: current.est_delivery_date,
+      events_added: eventsAdded,
+      order_status: orderStatus,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error recording tracking update:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Claim in-flight shipments that haven't had a tracking update (webhook or
+ * poll) for a while, for carriers that don't send webhooks
+ * @param {Object} options
+ * @param {number} [options.limit] - How many to claim
+ * @param {number} [options.staleHours] - How long without an update
+ * @returns {Promise<Array>} - shipments rows
+ */
+export async function claimTrackingPolls({ limit = 20, staleHours = 6 } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE shipments s
+      SET tracking_polled_at = NOW()
+      WHERE s.id IN (
+        SELECT id FROM shipments
+        WHERE tracking_number IS NOT NULL
+          AND (tracking_status IS NULL OR tracking_status NOT IN ('delivered', 'returned_to_sender'))
+          AND shipped_at > NOW() - make_interval(days => $3)
+          AND (tracking_updated_at IS NULL OR tracking_updated_at < NOW() - make_interval(hours => $2))
+          AND (tracking_polled_at IS NULL OR tracking_polled_at < NOW() - make_interval(hours => $2))
+        ORDER BY tracking_polled_at NULLS FIRST, id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING s.*
+      `,
+      [limit, staleHours, TRACKING_WINDOW_DAYS]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming tracking polls:', error);
+    throw error;
+  }
+}
+
+/**
+ * A shipment's tracking status and its events, oldest first
+ * @param {number} shopId - shops.id
+ * @param {number} shipmentId - shipments.id
+ * @returns {Promise<Object|null>} - { shipment, events }
+ */
+export async function getShipmentEvents(shopId, shipmentId) {
+  try {
+    const shipmentResult = await pool.query(
+      `SELECT ${TRACKING_COLUMNS} FROM shipments s WHERE s.id = $1 AND s.shop_id = $2`,
+      [shipmentId, shopId]
+    );
+
+    if (shipmentResult.rows.length === 0) {
+      return null;
+    }
+
+    const eventsResult = await pool.query(
+      `
+      SELECT id, status, carrier_status, status_detail, message, city, state, zip, country, occurred_at, source
+      FROM shipment_events
+      WHERE shipment_id = $1
+      ORDER BY occurred_at, id
+      `,
+      [shipmentId]
+    );
+
+    return { shipment: shipmentResult.rows[0], events: eventsResult.rows };
+  } catch (error) {
+    console.error('Error getting shipment events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deliveries that need someone to look at them: carrier exceptions, packages
+ * on their way back, packages past their estimated delivery date, and
+ * packages with no tracking movement for stuckDays
+ * @param {number} shopId - shops.id
+ * @param {Object} [options]
+ * @param {number} [options.stuckDays] - Days without a tracking event
+ * @returns {Promise<Array>} - Shipments with problem, last_event and last_event_at
+ */
+export async function getTrackingExceptions(shopId, { stuckDays = 5 } = {}) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT * FROM (
+        SELECT
+          ${TRACKING_COLUMNS},
+          o.order_number,
+          o.customer_name,
+          last.message AS last_event,
+          last.occurred_at AS last_event_at,
+          CASE
+            WHEN s.tracking_status IN ('exception', 'returned_to_sender') THEN s.tracking_status
+            WHEN s.est_delivery_date < NOW() - INTERVAL '1 day' THEN 'late'
+            WHEN COALESCE(last.occurred_at, s.shipped_at) < NOW() - make_interval(days => $2) THEN 'stuck'
+          END AS problem
+        FROM shipments s
+        JOIN orders o ON o.id = s.order_id
+        LEFT JOIN LATERAL (
+          SELECT message, occurred_at
+          FROM shipment_events e
+          WHERE e.shipment_id = s.id
+          ORDER BY occurred_at DESC, id DESC
+          LIMIT 1
+        ) last ON TRUE
+        WHERE s.shop_id = $1
+          AND s.tracking_number IS NOT NULL
+          AND s.tracking_status IS DISTINCT FROM 'delivered'
+          AND s.shipped_at > NOW() - make_interval(days => $3)
+      ) tracked
+      WHERE problem IS NOT NULL
+      ORDER BY
+        CASE problem WHEN 'exception' THEN 0 WHEN 'returned_to_sender' THEN 1 WHEN 'late' THEN 2 ELSE 3 END,
+        shipped_at
+      `,
+      [shopId, stuckDays, TRACKING_WINDOW_DAYS]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting tracking exceptions:', error);
+    throw error;
+  }
+}
+
+// ==============================
+// CUSTOMER TRACKING PAGE
+// ==============================
+
+/**
+ * An order's tracking page token, created the first time it's asked for
+ * @param {number} shopId - shops.id
+ * @param {number} orderId - orders.id
+ * @returns {Promise<string|null>} - Null if the order isn't the shop's
+ */
+export async function getOrderTrackingToken(shopId, orderId) {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE orders
+      SET tracking_token = COALESCE(tracking_token, $3)
+      WHERE id = $1 AND shop_id = $2
+      RETURNING tracking_token
+      `,
+      [orderId, shopId, crypto.randomBytes(24).toString('base64url')]
+    );
+    return result.rows[0]?.tracking_token || null;
+  } catch (error) {
+    console.error('Error getting order tracking token:', error);
+    throw error;
+  }
+}
+
+/**
+ * An installed shop and its tracking_page template, by myshopify or custom
+ * domain
+ * @param {string} domain - Shop domain
+ * @returns {Promise<Object|null>} - { shop: { id, shop, shop_name }, template_row }
+ */
+export async function getTrackingShop(domain) {
+  try {
+    const result = await pool.query(
+      `
+      SELECT sh.id, sh.shop, sh.shop_name, t.settings, t.logo
+      FROM shops sh
+      LEFT JOIN document_templates t ON t.shop_id = sh.id AND t.document_type = 'tracking_page'
+      WHERE (sh.shop = $1 OR sh.domain = $1) AND sh.is_active = TRUE
+      LIMIT 1
+      `,
+      [String(domain || '').toLowerCase()]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    return {
+      shop: { id: row.id, shop: row.shop, shop_name: row.shop_name },
+      template_row: row.settings ? { settings: row.settings, logo: row.logo } : null,
+    };
+  } catch (error) {
+    console.error('Error getting tracking shop:', error);
+    throw error;
+  }
+}
+
+/**
+ * Everything the tracking page shows for an order: items, and each package
+ * with its contents and tracking events
+ * @param {string} token - orders.tracking_token
+ * @returns {Promise<Object|null>} - { shop, template_row, page }
+ */
+export async function getTrackingPageData(token) {
+  try {
+    const orderResult = await pool.query(
+      `
+      SELECT
+        o.id, o.order_number, o.order_date, o.customer_name, o.status,
+        o.recipient_name, o.recipient_city, o.recipient_state,
+        sh.id AS shop_id, sh.shop, sh.shop_name, t.settings, t.logo
+      FROM orders o
+      JOIN shops sh ON sh.id = o.shop_id AND sh.is_active = TRUE
+      LEFT JOIN document_templates t ON t.shop_id = o.shop_id AND t.document_type = 'tracking_page'
+      WHERE o.tracking_token = $1
+      `,
+      [token]
+    );
+
+    const order = orderResult.rows[0];
+    if (!order) {
+      return null;
+    }
+
+    const [itemsResult, shipmentsResult, packageItemsResult, eventsResult] = await Promise.all([
+      pool.query(
+        `
+        SELECT sku, product_name, quantity, price
+        FROM order_items
+        WHERE order_id = $1
+        ORDER BY product_name
+        `,
+        [order.id]
+      ),
+      pool.query(
+        `SELECT ${TRACKING_COLUMNS} FROM shipments s WHERE s.order_id = $1 ORDER BY s.shipped_at, s.id`,
+        [order.id]
+      ),
+      pool.query(
+        `
+        SELECT si.shipment_id, oi.product_name, si.quantity
+        FROM shipment_items si
+        JOIN shipments s ON s.id = si.shipment_id
+        JOIN order_items oi ON oi.id = si.order_item_id
+        WHERE s.order_id = $1
+        ORDER BY oi.product_name
+        `,
+        [order.id]
+      ),
+      pool.query(
+        `
+        SELECT e.shipment_id, e.status, e.message, e.city, e.state, e.country, e.occurred_at
+        FROM shipment_events e
+        JOIN shipments s ON s.id = e.shipment_id
+        WHERE s.order_id = $1
+        ORDER BY e.occurred_at, e.id
+        `,
+        [order.id]
+      ),
+    ]);
+
+    const packages = shipmentsResult.rows.map(shipment => ({
+      ...shipment,
+      items: packageItemsResult.rows.filter(item => item.shipment_id === shipment.id),
+      events: eventsResult.rows.filter(event => event.shipment_id === shipment.id),
+    }));
+
+    return {
+      shop: { id: order.shop_id, shop: order.shop, shop_name: order.shop_name },
+      template_row: order.settings ? { settings: order.settings, logo: order.logo } : null,
+      page: {
+        order_number: order.order_number,
+        order_date: order.order_date,
+        customer_name: order.customer_name,
+        status: order.status,
+        ship_to: {
+          name: order.recipient_name,
+          city: order.recipient_city,
+          state: order.recipient_state,
+        },
+        items: itemsResult.rows,
+        packages,
+      },
+    };
+  } catch (error) {
+    console.error('Error getting tracking page data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find an order from what a customer knows about it: the order number plus
+ * the email it was placed with or the ZIP code it ships to
+ * @param {number} shopId - shops.id
+ * @param {string} orderNumber - With or without a leading #
+ * @param {string} contact - Email address or ZIP code
+ * @returns {Promise<Object|null>} - { id } or null when nothing matches
+ */
+export async function findOrderForTracking(shopId, orderNumber, contact) {
+  const number = String(orderNumber || '').trim().replace(/^#/, '');
+  const value = String(contact || '').trim();
+
+  // A ZIP of "-" would match every order without one
+  if (!number || !(value.includes('@') || /[0-9a-z]{3}/i.test(value))) {
+    return null;
+  }
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT id FROM orders
+      WHERE shop_id = $1
+        AND order_number = $2
+        AND (
+          ($3::text LIKE '%@%' AND LOWER(customer_email) = LOWER($3))
+          OR (
+            $3::text NOT LIKE '%@%'
+            AND split_part(UPPER(REPLACE(recipient_zip, ' ', '')), '-', 1)
+              = split_part(UPPER(REPLACE($3, ' ', '')), '-', 1)
+          )
+        )
+      LIMIT 1
+      `,
+      [shopId, number, value]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding order for tracking:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,322 @@
+import { fillTemplateText } from "./packing-slip.js";
+
+// ==============================
+// CUSTOMER TRACKING PAGE
+// ==============================
+//
+// Server-rendered HTML for customers following their order. Branding comes
+// from the shop's tracking_page template (see packing-slip.js).
+
+const PACKAGE_STATUS_LABELS = {
+  pre_transit: "Label created",
+  in_transit: "In transit",
+  out_for_delivery: "Out for delivery",
+  available_for_pickup: "Ready for pickup",
+  delivered: "Delivered",
+  exception: "Delivery problem",
+  returned_to_sender: "Returning to sender",
+};
+
+// Before anything ships, the order status is all there is to show
+const ORDER_STATUS_LABELS = {
+  Pending: "We're preparing your order",
+  "On Hold": "We're preparing your order",
+  Batched: "We're preparing your order",
+  Picking: "We're preparing your order",
+  Packed: "Packed and ready to ship",
+  Cancelled: "This order was cancelled",
+};
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Carriers report event times in the local time of the scan, labelled UTC,
+// so format in UTC to show them as the carrier meant them
+const formatDate = value =>
+  new Date(value).toLocaleDateString("en-US", {
+    weekday: "long", month: "long", day: "numeric", timeZone: "UTC",
+  });
+
+const formatDateTime = value =>
+  new Date(value).toLocaleString("en-US", {
+    month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZone: "UTC",
+  });
+
+const money = value => (value == null ? "" : `$${Number(value).toFixed(2)}`);
+
+const safeUrl = value => (/^https?:\/\//i.test(value || "") ? value : null);
+
+function logoDataUrl(logo) {
+  // parseLogo only stores PNG and JPEG
+  const contentType = logo[0] === 0x89 ? "image/png" : "image/jpeg";
+  return `data:${contentType};base64,${logo.toString("base64")}`;
+}
+
+// Shared page shell: brand header, content, footer
+function renderPage(template, title, content, page = {}) {
+  const footer = fillTemplateText(template.footer, page, template);
+  const accent = template.accent_color || "#2c6ecb";
+  const header = template.logo
+    ? `<img class="logo" src="${logoDataUrl(template.logo)}" alt="${escapeHtml(template.brand_name)}">`
+    : `<div class="brand">${escapeHtml(template.brand_name)}</div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - ${escapeHtml(template.brand_name)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Arial, sans-serif;
+      background: #f6f6f7;
+      color: #202223;
+      margin: 0;
+    }
+    header {
+      background: #fff;
+      border-bottom: 3px solid ${accent};
+      padding: 16px;
+      text-align: center;
+    }
+    .logo { max-height: 60px; max-width: 240px; }
+    .brand { font-size: 22px; font-weight: bold; }
+    main { max-width: 640px; margin: 0 auto; padding: 16px; }
+    h1 { font-size: 22px; margin: 8px 0 4px; }
+    h2 { font-size: 16px; margin: 0 0 8px; }
+    .card {
+      background: #fff;
+      border-radius: 8px;
+      box-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
+      padding: 16px;
+      margin: 16px 0;
+    }
+    .muted { color: #6d7175; font-size: 14px; }
+    .status { color: ${accent}; font-size: 20px; font-weight: bold; margin: 4px 0; }
+    .status.problem { color: #d72c0d; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    td { padding: 6px 0; border-bottom: 1px solid #e1e3e5; vertical-align: top; }
+    td.qty { text-align: right; white-space: nowrap; padding-left: 8px; }
+    ol.timeline { list-style: none; margin: 12px 0 0; padding: 0 0 0 16px; border-left: 2px solid #e1e3e5; }
+    ol.timeline li { position: relative; margin: 0 0 12px; font-size: 14px; }
+    ol.timeline li::before {
+      content: "";
+      position: absolute;
+      left: -22px;
+      top: 4px;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #c9cccf;
+    }
+    ol.timeline li:first-child::before { background: ${accent}; }
+    a { color: ${accent}; }
+    form label { display: block; font-size: 14px; margin: 12px 0 4px; }
+    form input {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px;
+      font-size: 16px;
+      border: 1px solid #c9cccf;
+      border-radius: 4px;
+    }
+    form button {
+      margin-top: 16px;
+      width: 100%;
+      padding: 10px;
+      font-size: 16px;
+      color: #fff;
+      background: ${accent};
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    .error { color: #d72c0d; font-size: 14px; }
+    footer { text-align: center; padding: 16px; white-space: pre-line; }
+  </style>
+</head>
+<body>
+  <header>${header}</header>
+  <main>
+${content}
+  </main>
+  ${footer ? `<footer class="muted">${escapeHtml(footer)}</footer>` : ""}
+</body>
+</html>
+`;
+}
+
+function renderItems(items, template) {
+  const rows = items.map(item => `
+        <tr>
+          <td>
+            ${escapeHtml(item.product_name)}
+            ${template.show_sku && item.sku ? `<div class="muted">${escapeHtml(item.sku)}</div>` : ""}
+          </td>
+          <td class="qty">&times; ${escapeHtml(item.quantity)}</td>
+          ${template.show_price ? `<td class="qty">${escapeHtml(money(item.price))}</td>` : ""}
+        </tr>`);
+
+  return `<table>${rows.join("")}
+      </table>`;
+}
+
+function renderPackage(pkg, index, count) {
+  const status = PACKAGE_STATUS_LABELS[pkg.tracking_status] || "Shipped";
+  const problem = ["exception", "returned_to_sender"].includes(pkg.tracking_status);
+  const trackingUrl = safeUrl(pkg.tracking_url);
+
+  let when = "";
+  if (pkg.tracking_status === "delivered" && pkg.delivered_at) {
+    when = `Delivered ${formatDate(pkg.delivered_at)}`;
+  } else if (pkg.est_delivery_date) {
+    when = `Estimated delivery: ${formatDate(pkg.est_delivery_date)}`;
+  }
+
+  // Newest first, like the carriers show it
+  const events = [...(pkg.events || [])].reverse().map(event => {
+    const place = [event.city, event.state].filter(Boolean).join(", ");
+    return `
+          <li>
+            <div>${escapeHtml(event.message || PACKAGE_STATUS_LABELS[event.status] || event.status)}</div>
+            <div class="muted">${escapeHtml(formatDateTime(event.occurred_at))}${place ? ` &middot; ${escapeHtml(place)}` : ""}</div>
+          </li>`;
+  });
+
+  const contents = (pkg.items || [])
+    .map(item => `${escapeHtml(item.product_name)} &times; ${escapeHtml(item.quantity)}`)
+    .join(", ");
+
+  return `
+    <section class="card">
+      <h2>${count > 1 ? `Package ${index + 1} of ${count}` : "Your package"}</h2>
+      <div class="status${problem ? " problem" : ""}">${escapeHtml(status)}</div>
+      ${when ? `<div>${escapeHtml(when)}</div>` : ""}
+      <div class="muted">
+        ${escapeHtml(pkg.carrier)}${pkg.service ? ` ${escapeHtml(pkg.service)}` : ""}
+        ${pkg.tracking_number
+          ? ` &middot; ${trackingUrl
+            ? `<a href="${escapeHtml(trackingUrl)}" rel="noreferrer noopener" target="_blank">${escapeHtml(pkg.tracking_number)}</a>`
+            : escapeHtml(pkg.tracking_number)}`
+          : ""}
+      </div>
+      ${contents ? `<div class="muted">Contains: ${contents}</div>` : ""}
+      ${events.length > 0
+        ? `<ol class="timeline">${events.join("")}
+      </ol>`
+        : `<p class="muted">Tracking updates will appear here once the carrier scans the package.</p>`}
+    </section>`;
+}
+
+/**
+ * The tracking page for one order
+ * @param {Object} page - order_number, order_date, customer_name, status,
+ *   ship_to (name, city, state), items and packages (shipments with items and events)
+ * @param {Object} template - From resolveTemplate (tracking_page)
+ * @returns {string} - HTML
+ */
+export function renderTrackingPage(page, template) {
+  const message = fillTemplateText(template.message, page, template);
+  const packages = page.packages || [];
+  const shipTo = page.ship_to || {};
+  const destination = [shipTo.city, shipTo.state].filter(Boolean).join(", ");
+
+  const content = `
+    <h1>${escapeHtml(template.title)}</h1>
+    <div class="muted">
+      Order #${escapeHtml(page.order_number)}${page.order_date ? ` &middot; placed ${escapeHtml(formatDate(page.order_date))}` : ""}
+    </div>
+    ${template.show_ship_to && destination ? `<div class="muted">Shipping to ${escapeHtml(destination)}</div>` : ""}
+    ${message ? `<p>${escapeHtml(message)}</p>` : ""}
+    ${packages.length === 0
+      ? `<section class="card"><div class="status">${escapeHtml(ORDER_STATUS_LABELS[page.status] || page.status)}</div></section>`
+      : packages.map((pkg, index) => renderPackage(pkg, index, packages.length)).join("")}
+    <section class="card">
+      <h2>Items in this order</h2>
+      ${renderItems(page.items || [], template)}
+    </section>`;
+
+  return renderPage(template, `Order #${page.order_number}`, content, page);
+}
+
+/**
+ * The order lookup form (order number plus email or ZIP code)
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain the form looks orders up in
+ * @param {Object} options.template - From resolveTemplate (tracking_page)
+ * @param {Object} [options.values] - What the customer typed, to refill the form
+ * @param {string} [options.error] - Why the last lookup failed
+ * @returns {string} - HTML
+ */
+export function renderLookupPage({ shop, template, values = {}, error = null }) {
+  const content = `
+    <h1>${escapeHtml(template.title)}</h1>
+    <section class="card">
+      <form method="post" action="/track/lookup">
+        <input type="hidden" name="shop" value="${escapeHtml(shop)}">
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+        <label for="order_number">Order number</label>
+        <input id="order_number" name="order_number" required value="${escapeHtml(values.order_number)}">
+        <label for="contact">Email or ZIP code</label>
+        <input id="contact" name="contact" required value="${escapeHtml(values.contact)}">
+        <button type="submit">Track order</button>
+      </form>
+    </section>`;
+
+  return renderPage(template, template.title, content);
+}
+
+/**
+ * A page with a single message, for missing orders and rate limits
+ * @param {Object} template - From resolveTemplate (tracking_page)
+ * @param {string} title
+ * @param {string} message
+ * @returns {string} - HTML
+ */
+export function renderMessagePage(template, title, message) {
+  return renderPage(template, title, `
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>`);
+}
+
+// Made-up order for previews
+export const SAMPLE_TRACKING_PAGE = {
+  order_number: "1001",
+  order_date: "2026-01-15T10:30:00Z",
+  customer_name: "Jane Doe",
+  status: "Shipped",
+  ship_to: { name: "Jane Doe", city: "Austin", state: "TX" },
+  items: [
+    { sku: "TEE-BLK-M", product_name: "Classic Tee - Black / M", quantity: 2, price: "20.00" },
+    { sku: "CAP-NVY", product_name: "Logo Cap - Navy", quantity: 1, price: "24.00" },
+  ],
+  packages: [
+    {
+      carrier: "USPS",
+      service: "GroundAdvantage",
+      tracking_number: "9400100000000000000000",
+      tracking_url: null,
+      tracking_status: "in_transit",
+      est_delivery_date: "2026-01-19T00:00:00Z",
+      delivered_at: null,
+      items: [
+        { product_name: "Classic Tee - Black / M", quantity: 2 },
+        { product_name: "Logo Cap - Navy", quantity: 1 },
+      ],
+      events: [
+        { status: "pre_transit", message: "Shipping Label Created", city: "Dallas", state: "TX", occurred_at: "2026-01-16T09:12:00Z" },
+        { status: "in_transit", message: "Accepted at USPS Origin Facility", city: "Dallas", state: "TX", occurred_at: "2026-01-16T17:40:00Z" },
+        { status: "in_transit", message: "Arrived at USPS Regional Facility", city: "Austin", state: "TX", occurred_at: "2026-01-17T22:05:00Z" },
+      ],
+    },
+  ],
+};